@@ -19,6 +19,9 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Identify the requesting user (req.user) - see services/userService.js
+app.use(require('./services/userService').identifyUser);
+
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -42,6 +45,39 @@ app.use('/cet-apps', require('./routes/cetAppsRoutes'));
 app.use('/cet-issues', require('./routes/cetIssuesRoutes'));
 app.use('/cet-queues', require('./routes/cetQueuesRoutes'));
 app.use('/cet-reports', require('./routes/cetReportsRoutes'));
+app.use('/my-requests', require('./routes/myRequestsRoutes'));
+app.use('/cet-history', require('./routes/cetHistoryRoutes'));
+app.use('/runbooks', require('./routes/runbooksAdminRoutes'));
+
+// Versioned JSON API - delegated to routes/apiV1Routes.js
+app.use('/api/v1', require('./routes/apiV1Routes'));
+
+// Background data request jobs - delegated to routes/jobRoutes.js
+app.use('/api/jobs', require('./routes/jobRoutes'));
+
+// Server-side alert rules and events - delegated to routes/alertRoutes.js
+app.use('/api/alerts', require('./routes/alertRoutes'));
+
+// CET issue workflow (acknowledge, assign, notes, resolve) - delegated to routes/issueRoutes.js
+app.use('/api/issues', require('./routes/issueRoutes'));
+
+// Alert notification channels and delivery log - delegated to routes/notificationRoutes.js
+app.use('/api/notifications', require('./routes/notificationRoutes'));
+
+// Dashboard metric snapshots and history - delegated to routes/historyRoutes.js
+app.use('/api/history', require('./routes/historyRoutes'));
+
+// Saved table views (per user, shared with the team) - delegated to routes/savedViewRoutes.js
+app.use('/api/views', require('./routes/savedViewRoutes'));
+
+// Runbook and knowledge-base entries matched to issues - delegated to routes/runbookRoutes.js
+app.use('/api/runbooks', require('./routes/runbookRoutes'));
+
+// Queue message inspector and replay (before /api/queues) - delegated to routes/queueMessageRoutes.js
+app.use('/api/queues/messages', require('./routes/queueMessageRoutes'));
+
+// Queue control actions (enable, disable, retry, purge) - delegated to routes/queueActionRoutes.js
+app.use('/api/queues', require('./routes/queueActionRoutes'));
 
 // API Routes - delegated to routes/apiRoutes.js
 app.use('/api', require('./routes/apiRoutes'));
@@ -51,10 +87,28 @@ app.use('/api', require('./routes/apiRoutes'));
  */
 app.listen(PORT, () => {
   console.log(`CET Dashboard is running on http://localhost:${PORT}`);
+  console.log(`Data provider: ${require('./services/dataProviderService').getProviderName()}`);
   console.log(`Visit http://localhost:${PORT}/cet-dashboard to view CET application health monitoring`);
   console.log(`Visit http://localhost:${PORT}/cet-apps to view CET applications registry`);
   console.log(`Visit http://localhost:${PORT}/cet-apps/admin to manage CET applications`);
   console.log(`Visit http://localhost:${PORT}/cet-issues to view CET issues tracking`);
   console.log(`Visit http://localhost:${PORT}/cet-queues to view CET queue monitoring`);
   console.log(`Visit http://localhost:${PORT}/cet-reports to view CET segment execution reports`);
+  console.log(`Visit http://localhost:${PORT}/my-requests to view your data request history`);
+  console.log(`Visit http://localhost:${PORT}/cet-history to view CET dashboard trends`);
+  console.log(`Visit http://localhost:${PORT}/runbooks to manage runbook links`);
+  console.log(`Visit http://localhost:${PORT}/api/v1 to list the JSON API datasets`);
+
+  // Process queued data requests in the background
+  require('./services/dataRequestJobService').startWorker()
+    .catch(error => console.error('Data request worker failed to start:', error));
+
+  // Send alert events to the notification channels (subscribe before the first evaluation)
+  require('./services/notificationService').start();
+
+  // Evaluate alert rules on a schedule, whether or not anyone has a page open
+  require('./services/alertRulesService').startScheduler();
+
+  // Snapshot the dashboard metrics on a schedule for the trend charts
+  require('./services/dashboardHistoryService').startSnapshotter();
 });
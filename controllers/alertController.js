@@ -0,0 +1,111 @@
+/**
+ * Alert Controller
+ * Rules and events of the server-side alert rules engine
+ */
+
+/**
+ * File: alertController.js
+ * Created: 2026-10-18
+ */
+
+const alertRulesService = require('../services/alertRulesService');
+
+/**
+ * GET /api/alerts/rules
+ * Lists the alert rules with the result of their last evaluation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listRules = (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...alertRulesService.getRules()
+    });
+  } catch (error) {
+    console.error('Error loading alert rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading alert rules.'
+    });
+  }
+}
+
+/**
+ * GET /api/alerts/events
+ * Lists alert events, newest first
+ * Query: status (optional) - open or resolved
+ *        ruleId (optional) - only events of this rule
+ *        top (optional)    - maximum number of events (default 200)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listEvents = async (req, res) => {
+  try {
+    const { status, ruleId } = req.query;
+
+    if (status && !alertRulesService.EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status: ${status}. Use one of ${alertRulesService.EVENT_STATUSES.join(', ')}.`
+      });
+    }
+
+    const result = await alertRulesService.listEvents({
+      status: status || null,
+      ruleId: ruleId || null,
+      top: parseInt(req.query.top) || 200
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while loading alert events.'
+      });
+    }
+
+    res.json({
+      success: true,
+      events: result.events
+    });
+  } catch (error) {
+    console.error('Error listing alert events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading alert events.'
+    });
+  }
+}
+
+/**
+ * POST /api/alerts/evaluate
+ * Evaluates every rule now instead of waiting for the schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const evaluateRules = async (req, res) => {
+  try {
+    const result = await alertRulesService.evaluateRules();
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error evaluating alert rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while evaluating alert rules.'
+    });
+  }
+}
+
+module.exports = {
+  listRules,
+  listEvents,
+  evaluateRules
+};
@@ -18,11 +18,11 @@ const { loadConfig } = require('../services/configService');
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const requestData = (req, res) => {
+const requestData = async (req, res) => {
   try {
     const { appId, startDateTime, endDateTime } = req.body;
     
-    const result = apiService.processDataRequest(appId, startDateTime, endDateTime);
+    const result = await apiService.processDataRequest(appId, startDateTime, endDateTime, req.user);
     
     if (!result.success) {
       return res.status(result.status).json({
@@ -31,7 +31,7 @@ const requestData = (req, res) => {
       });
     }
     
-    res.json(result.data);
+    res.status(result.status).json(result.data);
     
   } catch (error) {
     console.error('Error processing data request:', error);
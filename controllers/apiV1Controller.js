@@ -0,0 +1,223 @@
+/**
+ * API v1 Controller
+ * Read-only JSON access to the CET datasets behind the dashboard, issues, queues and reports views
+ */
+
+/**
+ * File: apiV1Controller.js
+ * Created: 2026-10-18
+ */
+
+const dataProvider = require('../services/dataProviderService');
+const serverSideService = require('../services/serverSideService');
+const liveUpdateService = require('../services/liveUpdateService');
+// Resources exposed under /api/v1, keyed by URL segment
+const { RESOURCES } = require('../services/datasetService');
+const { buildMeta, sendSuccess, sendError } = require('./apiV1Response');
+
+/**
+ * Resolve a resource service or send a 404 envelope
+ * @param {Object} res - Express response object
+ * @param {string} resource - Resource name from the URL
+ * @returns {Object|null} Service, or null when a response was already sent
+ */
+const resolveResource = (res, resource) => {
+  // Own keys only: names like constructor would resolve on the prototype
+  const service = Object.hasOwn(RESOURCES, resource) ? RESOURCES[resource] : null;
+  if (!service) {
+    sendError(res, 'NOT_FOUND', `Unknown resource: ${resource}`, {
+      resources: Object.keys(RESOURCES)
+    });
+    return null;
+  }
+  return service;
+};
+
+/**
+ * GET /api/v1
+ * Lists every resource and dataset with its URL
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listResources = (req, res) => {
+  const resources = Object.entries(RESOURCES).map(([resource, service]) => ({
+    resource,
+    url: `${req.baseUrl}/${resource}`,
+    datasets: Object.keys(service.DATASETS).map(dataset => {
+      const entry = { dataset, url: `${req.baseUrl}/${resource}/${dataset}` };
+      if (service.PAGED_DATASETS && service.PAGED_DATASETS[dataset]) {
+        entry.pageUrl = `${entry.url}/page`;
+      }
+      if (service.LIVE_DATASETS && service.LIVE_DATASETS.includes(dataset)) {
+        entry.liveUrl = `${req.baseUrl}/live/${resource}/${dataset}`;
+      }
+      return entry;
+    })
+  }));
+
+  sendSuccess(res, resources, { provider: dataProvider.getProviderName() });
+};
+
+/**
+ * GET /api/v1/:resource
+ * Returns every dataset of a resource, keyed by dataset name
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getResource = async (req, res) => {
+  const { resource } = req.params;
+  const service = resolveResource(res, resource);
+  if (!service) return;
+
+  try {
+    const names = Object.keys(service.DATASETS);
+    const results = await Promise.all(names.map(name => service.getDataset(name)));
+
+    const failedIndex = results.findIndex(result => !result.success);
+    if (failedIndex !== -1) {
+      return sendError(res, 'DATA_SOURCE_ERROR',
+        `Failed to load ${resource}/${names[failedIndex]}`, results[failedIndex].error);
+    }
+
+    const data = {};
+    const counts = {};
+    names.forEach((name, index) => {
+      data[name] = results[index].data || [];
+      counts[name] = data[name].length;
+    });
+
+    sendSuccess(res, data, { resource, counts });
+  } catch (error) {
+    console.error(`Error loading ${resource}:`, error);
+    sendError(res, 'INTERNAL_ERROR', `An error occurred while loading ${resource}.`);
+  }
+};
+
+/**
+ * GET /api/v1/:resource/:dataset
+ * Returns the rows of a single dataset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDataset = async (req, res) => {
+  const { resource, dataset } = req.params;
+  const service = resolveResource(res, resource);
+  if (!service) return;
+
+  if (!Object.hasOwn(service.DATASETS, dataset)) {
+    return sendError(res, 'NOT_FOUND', `Unknown ${resource} dataset: ${dataset}`, {
+      datasets: Object.keys(service.DATASETS)
+    });
+  }
+
+  try {
+    const result = await service.getDataset(dataset);
+
+    if (!result.success) {
+      return sendError(res, 'DATA_SOURCE_ERROR', `Failed to load ${resource}/${dataset}`, result.error);
+    }
+
+    const rows = result.data || [];
+    sendSuccess(res, rows, { resource, dataset, count: rows.length });
+  } catch (error) {
+    console.error(`Error loading ${resource}/${dataset}:`, error);
+    sendError(res, 'INTERNAL_ERROR', `An error occurred while loading ${resource}/${dataset}.`);
+  }
+};
+
+/**
+ * GET /api/v1/:resource/:dataset/page
+ * DataTables server-side processing endpoint (draw/start/length/order/search/columns)
+ * Responds with the standard envelope plus the DataTables fields at the top level:
+ * { success, draw, recordsTotal, recordsFiltered, data, aggregates, meta }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDatasetPage = async (req, res) => {
+  const { resource, dataset } = req.params;
+  const service = resolveResource(res, resource);
+  if (!service) return;
+
+  if (!service.PAGED_DATASETS || !Object.hasOwn(service.PAGED_DATASETS, dataset)) {
+    return sendError(res, 'NOT_FOUND', `${resource}/${dataset} does not support server-side paging`, {
+      datasets: Object.keys(service.PAGED_DATASETS || {})
+    });
+  }
+
+  try {
+    const { draw, params } = serverSideService.parseDataTablesRequest(req.query);
+    const result = await service.getDatasetPage(dataset, params);
+
+    if (!result.success) {
+      return sendError(res, 'DATA_SOURCE_ERROR', `Failed to load ${resource}/${dataset}`, result.error);
+    }
+
+    const { data, ...page } = serverSideService.buildDataTablesResponse(draw, result);
+    res.json({
+      success: true,
+      ...page,
+      data,
+      meta: buildMeta({ resource, dataset, start: params.Start, length: params.Length, count: data.length })
+    });
+  } catch (error) {
+    console.error(`Error paging ${resource}/${dataset}:`, error);
+    sendError(res, 'INTERNAL_ERROR', `An error occurred while loading ${resource}/${dataset}.`);
+  }
+};
+
+/**
+ * GET /api/v1/live/:resource/:dataset
+ * Server-Sent Events stream of row changes for datasets listed in the service's LIVE_DATASETS
+ * Validation failures are answered with a normal JSON envelope before the stream opens.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const streamDataset = (req, res) => {
+  const { resource, dataset } = req.params;
+  const service = resolveResource(res, resource);
+  if (!service) return;
+
+  const liveDatasets = service.LIVE_DATASETS || [];
+  if (!liveDatasets.includes(dataset)) {
+    return sendError(res, 'NOT_FOUND', `${resource}/${dataset} does not support live updates`, {
+      datasets: liveDatasets
+    });
+  }
+
+  liveUpdateService.subscribe(`${resource}/${dataset}`, () => service.getDataset(dataset), req, res);
+};
+
+/**
+ * Fallback for unmatched /api/v1 paths
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const notFound = (req, res) => {
+  sendError(res, 'NOT_FOUND', `No API v1 endpoint for ${req.method} ${req.originalUrl}`);
+};
+
+/**
+ * Error-handling middleware for /api/v1 (errors thrown or passed to next by v1 handlers)
+ * @param {Error} err - Error raised by an earlier handler
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const handleError = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  console.error('API v1 error:', err);
+  sendError(res, 'INTERNAL_ERROR', 'An unexpected error occurred.');
+};
+
+module.exports = {
+  listResources,
+  getResource,
+  getDataset,
+  getDatasetPage,
+  streamDataset,
+  notFound,
+  handleError
+};
@@ -0,0 +1,84 @@
+/**
+ * File: apiV1Response.js
+ * Created: 2026-10-18
+ *
+ * API v1 Response Helpers
+ * Shared envelope and error shapes for every /api/v1 endpoint.
+ *
+ * Success: { success: true, data, meta: { apiVersion, generatedAt, ... } }
+ * Error:   { success: false, message, error: { code, status, details? }, meta: { apiVersion, generatedAt } }
+ *
+ * `message` stays at the top level so clients written against the older
+ * { success, message } endpoints can read v1 errors the same way.
+ */
+
+const API_VERSION = 'v1';
+
+/**
+ * Error codes and their HTTP status
+ */
+const ERROR_CODES = {
+  BAD_REQUEST: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  DATA_SOURCE_ERROR: 502,
+  INTERNAL_ERROR: 500
+};
+
+/**
+ * Build the meta block shared by all responses
+ * @param {Object} extra - Endpoint-specific meta fields
+ * @returns {Object} Meta block
+ */
+const buildMeta = (extra = {}) => ({
+  apiVersion: API_VERSION,
+  generatedAt: new Date().toISOString(),
+  ...extra
+});
+
+/**
+ * Send a success envelope
+ * @param {Object} res - Express response object
+ * @param {*} data - Response payload
+ * @param {Object} meta - Endpoint-specific meta fields
+ * @param {number} status - HTTP status (default 200)
+ */
+const sendSuccess = (res, data, meta = {}, status = 200) => {
+  res.status(status).json({
+    success: true,
+    data,
+    meta: buildMeta(meta)
+  });
+};
+
+/**
+ * Send an error envelope
+ * @param {Object} res - Express response object
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {*} details - Optional extra detail (validation errors, allowed values, ...)
+ */
+const sendError = (res, code, message, details) => {
+  const status = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+  const error = { code, status };
+
+  if (details !== undefined) {
+    error.details = details;
+  }
+
+  res.status(status).json({
+    success: false,
+    message,
+    error,
+    meta: buildMeta()
+  });
+};
+
+module.exports = {
+  API_VERSION,
+  ERROR_CODES,
+  buildMeta,
+  sendSuccess,
+  sendError
+};
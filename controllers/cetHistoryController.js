@@ -0,0 +1,32 @@
+/**
+ * CET History Controller
+ * Handles requests for CET History view
+ */
+
+/**
+ * File: cetHistoryController.js
+ * Created: 2026-10-18
+ */
+
+const dashboardHistoryService = require('../services/dashboardHistoryService');
+
+/**
+ * Render CET History view
+ * Query: metric, range, iGateApp, cetApp (optional) - initial chart selection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const showCETHistory = async (req, res) => {
+  try {
+    const { metric, range, iGateApp, cetApp } = req.query;
+    const data = await dashboardHistoryService.getHistoryViewData({ metric, range, iGateApp, cetApp });
+    res.render('cet-history-view', data);
+  } catch (error) {
+    console.error('Error loading CET history:', error);
+    res.status(500).send('Error loading CET history');
+  }
+}
+
+module.exports = {
+  showCETHistory
+};
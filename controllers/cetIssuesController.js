@@ -13,12 +13,18 @@ const cetIssuesService = require('../services/cetIssuesService');
 
 /**
  * Render CET Issues view
+ * Query: show (optional) - all, unacknowledged or mine (issues assigned to the current user)
+ *        mode (optional) - raw (every occurrence) or grouped (one row per alert signature)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const showIssues = async (req, res) => {
   try {
-    const data = await cetIssuesService.getIssuesData();
+    const data = await cetIssuesService.getIssuesData({
+      user: req.user,
+      show: req.query.show || 'all',
+      mode: req.query.mode || 'raw'
+    });
     res.render('cet-issues-view', data);
   } catch (error) {
     console.error('Error loading issues:', error);
@@ -18,7 +18,7 @@ const cetQueuesService = require('../services/cetQueuesService');
  */
 const showQueues = async (req, res) => {
   try {
-    const data = await cetQueuesService.getQueuesData();
+    const data = await cetQueuesService.getQueuesData({ roles: req.roles });
     res.render('cet-queues-view', data);
   } catch (error) {
     console.error('Error loading queues:', error);
@@ -0,0 +1,163 @@
+/**
+ * History Controller
+ * Dashboard metric history (see services/dashboardHistoryService.js) and queue depth
+ * history (see services/queueDepthService.js)
+ */
+
+/**
+ * File: historyController.js
+ * Created: 2026-10-18
+ */
+
+const dashboardHistoryService = require('../services/dashboardHistoryService');
+const queueDepthService = require('../services/queueDepthService');
+
+/**
+ * GET /api/history/dashboard
+ * Dashboard metrics over time, totalled across apps or for one app
+ * Query: range (optional)    - 6h, 24h (default), 7d or 30d
+ *        from, to (optional) - ISO dates instead of range
+ *        iGateApp, cetApp (optional) - only this app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDashboardHistory = async (req, res) => {
+  try {
+    const { range, from, to, iGateApp, cetApp } = req.query;
+    const result = await dashboardHistoryService.getHistory({ range, from, to, iGateApp, cetApp });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error loading dashboard history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading dashboard history.'
+    });
+  }
+}
+
+/**
+ * GET /api/history/dashboard/apps
+ * One dashboard metric over time, per app
+ * Query: metric (optional)   - messages, issues (default), alerts, disabledQueues, processesBehind or slow
+ *        range, from, to (optional) - as for /api/history/dashboard
+ *        iGateApp (optional) - only the CET apps of this iGate app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAppHistory = async (req, res) => {
+  try {
+    const { metric, range, from, to, iGateApp } = req.query;
+    const result = await dashboardHistoryService.getAppHistory({ metric, range, from, to, iGateApp });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error loading dashboard history by app:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading dashboard history.'
+    });
+  }
+}
+
+/**
+ * GET /api/history/queues
+ * Queue depth over time, with the messages enqueued and dequeued, totalled across
+ * queues or for one queue
+ * Query: queueId (optional)  - only this queue
+ *        range, from, to (optional) - as for /api/history/dashboard
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getQueueHistory = async (req, res) => {
+  try {
+    const { range, from, to } = req.query;
+    const queueId = req.query.queueId ? parseInt(req.query.queueId) : null;
+
+    if (req.query.queueId && (isNaN(queueId) || queueId <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'queueId must be a queue id.'
+      });
+    }
+
+    const result = await queueDepthService.getQueueHistory({ range, from, to, queueId });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error loading queue depth history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading queue depth history.'
+    });
+  }
+}
+
+/**
+ * GET /api/history/snapshots
+ * Snapshot interval, retention and the result of the last capture
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSnapshotStatus = (req, res) => {
+  res.json({
+    success: true,
+    ...dashboardHistoryService.getSnapshotStatus()
+  });
+}
+
+/**
+ * POST /api/history/snapshots
+ * Takes a snapshot now instead of waiting for the schedule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const captureSnapshot = async (req, res) => {
+  try {
+    const result = await dashboardHistoryService.captureSnapshot(true);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while capturing the dashboard snapshot.'
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error capturing dashboard snapshot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while capturing the dashboard snapshot.'
+    });
+  }
+}
+
+module.exports = {
+  getDashboardHistory,
+  getAppHistory,
+  getQueueHistory,
+  getSnapshotStatus,
+  captureSnapshot
+};
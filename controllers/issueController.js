@@ -0,0 +1,124 @@
+/**
+ * Issue Controller
+ * Acknowledge / assign / notes / resolve workflow of CET issues
+ */
+
+/**
+ * File: issueController.js
+ * Created: 2026-10-18
+ */
+
+const cetIssuesService = require('../services/cetIssuesService');
+const { ACTIONS } = require('../services/issueWorkflowService');
+
+/**
+ * GET /api/issues/:issueKey
+ * Returns an issue with its workflow state and notes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getIssue = async (req, res) => {
+  try {
+    const result = await cetIssuesService.getIssue(req.params.issueKey);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      issue: result.issue,
+      notes: result.notes
+    });
+  } catch (error) {
+    console.error('Error loading issue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the issue.'
+    });
+  }
+}
+
+/**
+ * POST /api/issues/:issueKey/:action
+ * Acknowledges, assigns, resolves or reopens an issue as the current user
+ * Body (assign only): { assignedTo } - empty to unassign
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateIssue = async (req, res) => {
+  try {
+    const { issueKey, action } = req.params;
+
+    if (!ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid action: ${action}. Use one of ${ACTIONS.join(', ')}.`
+      });
+    }
+
+    const result = await cetIssuesService.updateIssue(issueKey, action, {
+      user: req.user,
+      assignedTo: (req.body || {}).assignedTo
+    });
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      issue: result.issue
+    });
+  } catch (error) {
+    console.error('Error updating issue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while updating the issue.'
+    });
+  }
+}
+
+/**
+ * POST /api/issues/:issueKey/notes
+ * Adds a note to an issue as the current user
+ * Body: { note }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addNote = async (req, res) => {
+  try {
+    const result = await cetIssuesService.addIssueNote(req.params.issueKey, req.user, (req.body || {}).note);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      note: result.note,
+      issue: result.issue
+    });
+  } catch (error) {
+    console.error('Error adding issue note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while adding the note.'
+    });
+  }
+}
+
+module.exports = {
+  getIssue,
+  updateIssue,
+  addNote
+};
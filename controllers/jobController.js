@@ -0,0 +1,221 @@
+/**
+ * Job Controller
+ * Status, cancellation and downloads for background data request jobs
+ */
+
+/**
+ * File: jobController.js
+ * Created: 2026-10-18
+ */
+
+const dataRequestJobService = require('../services/dataRequestJobService');
+const apiService = require('../services/apiService');
+
+/**
+ * Parse the :jobId route parameter or send a 400 response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {number|null} Job ID, or null when a response was already sent
+ */
+const parseJobId = (req, res) => {
+  const jobId = parseInt(req.params.jobId);
+  if (isNaN(jobId) || jobId < 1) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid job ID: ${req.params.jobId}`
+    });
+    return null;
+  }
+  return jobId;
+};
+
+/**
+ * GET /api/jobs
+ * Lists data request jobs, newest first
+ * Query: status (optional) - queued, running, succeeded, failed or cancelled
+ *        mine (optional)   - true to list only jobs requested by the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listJobs = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !dataRequestJobService.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status: ${status}. Use one of ${dataRequestJobService.JOB_STATUSES.join(', ')}.`
+      });
+    }
+
+    const result = await dataRequestJobService.listJobs({
+      status: status || null,
+      requestedBy: req.query.mine === 'true' ? req.user : null
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while loading jobs.'
+      });
+    }
+
+    res.json({
+      success: true,
+      jobs: result.jobs
+    });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading jobs.'
+    });
+  }
+}
+
+/**
+ * GET /api/jobs/:jobId
+ * Returns the status and progress of a job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJob = async (req, res) => {
+  const jobId = parseJobId(req, res);
+  if (jobId === null) return;
+
+  try {
+    const result = await dataRequestJobService.getJob(jobId);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while loading the job.'
+      });
+    }
+
+    if (!result.job) {
+      return res.status(404).json({
+        success: false,
+        message: `Job ${jobId} not found.`
+      });
+    }
+
+    res.json({
+      success: true,
+      job: result.job
+    });
+  } catch (error) {
+    console.error('Error loading job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the job.'
+    });
+  }
+}
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancels a queued or running job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const cancelJob = async (req, res) => {
+  const jobId = parseJobId(req, res);
+  if (jobId === null) return;
+
+  try {
+    const result = await dataRequestJobService.cancelJob(jobId);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.status === 500 ? 'An error occurred while cancelling the job.' : result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.job.status === 'cancelled'
+        ? `Job ${jobId} cancelled.`
+        : `Cancellation of job ${jobId} requested.`,
+      job: result.job
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while cancelling the job.'
+    });
+  }
+}
+
+/**
+ * POST /api/jobs/:jobId/rerun
+ * Queues a new job with the same application and time range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rerunJob = async (req, res) => {
+  const jobId = parseJobId(req, res);
+  if (jobId === null) return;
+
+  try {
+    const result = await apiService.resubmitDataRequest(jobId, req.user);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(result.status).json(result.data);
+  } catch (error) {
+    console.error('Error re-submitting job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while re-submitting the job.'
+    });
+  }
+}
+
+/**
+ * GET /api/jobs/:jobId/download
+ * Downloads the result of a succeeded job
+ * Query: format - csv (default) or json
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const downloadJob = async (req, res) => {
+  const jobId = parseJobId(req, res);
+  if (jobId === null) return;
+
+  try {
+    const result = await dataRequestJobService.getJobResult(jobId, req.query.format || 'csv');
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.status === 500 ? 'An error occurred while loading the job result.' : result.message
+      });
+    }
+
+    res.attachment(result.fileName);
+    res.type(result.contentType);
+    res.send(result.body);
+  } catch (error) {
+    console.error('Error downloading job result:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the job result.'
+    });
+  }
+}
+
+module.exports = {
+  listJobs,
+  getJob,
+  cancelJob,
+  rerunJob,
+  downloadJob
+};
@@ -0,0 +1,31 @@
+/**
+ * My Requests Controller
+ * Handles requests for My Requests view
+ */
+
+/**
+ * File: myRequestsController.js
+ * Created: 2026-10-18
+ */
+
+const myRequestsService = require('../services/myRequestsService');
+
+/**
+ * Render My Requests view
+ * Query: scope (optional) - 'all' to list every user's requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const showMyRequests = async (req, res) => {
+  try {
+    const data = await myRequestsService.getMyRequestsData(req.user, req.query.scope);
+    res.render('my-requests-view', data);
+  } catch (error) {
+    console.error('Error loading data requests:', error);
+    res.status(500).send('Error loading data requests');
+  }
+}
+
+module.exports = {
+  showMyRequests
+};
@@ -0,0 +1,115 @@
+/**
+ * Notification Controller
+ * Notification channels and the delivery log
+ */
+
+/**
+ * File: notificationController.js
+ * Created: 2026-10-18
+ */
+
+const notificationService = require('../services/notificationService');
+
+/**
+ * GET /api/notifications/channels
+ * Lists the notification channels (URLs redacted, headers omitted)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listChannels = (req, res) => {
+  try {
+    res.json({
+      success: true,
+      channels: notificationService.getChannels()
+    });
+  } catch (error) {
+    console.error('Error loading notification channels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading notification channels.'
+    });
+  }
+}
+
+/**
+ * GET /api/notifications/deliveries
+ * Lists notification deliveries, newest first
+ * Query: status (optional)    - pending, retrying, delivered or failed
+ *        channelId (optional) - only deliveries of this channel
+ *        top (optional)       - maximum number of deliveries (default 200)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listDeliveries = async (req, res) => {
+  try {
+    const { status, channelId } = req.query;
+
+    if (status && !notificationService.DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status: ${status}. Use one of ${notificationService.DELIVERY_STATUSES.join(', ')}.`
+      });
+    }
+
+    const result = await notificationService.listDeliveries({
+      status: status || null,
+      channelId: channelId || null,
+      top: parseInt(req.query.top) || 200
+    });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'An error occurred while loading notification deliveries.'
+      });
+    }
+
+    res.json({
+      success: true,
+      deliveries: result.deliveries
+    });
+  } catch (error) {
+    console.error('Error listing notification deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading notification deliveries.'
+    });
+  }
+}
+
+/**
+ * POST /api/notifications/channels/:channelId/test
+ * Sends a sample notification through a channel (enabled or not)
+ * Responds after the first attempt; failed attempts are retried in the background.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const sendTest = async (req, res) => {
+  try {
+    const result = await notificationService.sendTestNotification(req.params.channelId);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery: result.delivery
+    });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while sending the test notification.'
+    });
+  }
+}
+
+module.exports = {
+  listChannels,
+  listDeliveries,
+  sendTest
+};
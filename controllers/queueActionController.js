@@ -0,0 +1,149 @@
+/**
+ * Queue Action Controller
+ * Enable, disable, retry and purge actions on CET queues, and their audit log
+ */
+
+/**
+ * File: queueActionController.js
+ * Created: 2026-10-18
+ */
+
+const queueActionService = require('../services/queueActionService');
+
+/**
+ * Parse a queue id route or query parameter
+ * @param {string} value - Parameter value
+ * @returns {number|null} Queue id, or null when not a positive integer
+ */
+const parseQueueId = (value) => {
+  const queueId = Number(value);
+  return Number.isInteger(queueId) && queueId > 0 ? queueId : null;
+};
+
+/**
+ * Send a failed service result
+ * @param {Object} res - Express response object
+ * @param {Object} result - { status, message }
+ */
+const sendError = (res, result) => {
+  res.status(result.status).json({
+    success: false,
+    message: result.message
+  });
+};
+
+/**
+ * Send the 400 response of an invalid queue id
+ * @param {Object} res - Express response object
+ * @param {string} value - Parameter value
+ */
+const sendInvalidId = (res, value) => {
+  res.status(400).json({
+    success: false,
+    message: `Invalid queue id: ${value}`
+  });
+};
+
+/**
+ * Send the audit log of queue actions
+ * @param {Object} res - Express response object
+ * @param {number|null} queueId - Queue id (null for every queue)
+ * @param {string} limit - limit query parameter
+ */
+const sendActions = async (res, queueId, limit) => {
+  const result = await queueActionService.listActions({
+    queueId,
+    limit: parseInt(limit) || undefined
+  });
+  if (!result.success) return sendError(res, result);
+
+  res.json({
+    success: true,
+    actions: result.actions
+  });
+};
+
+/**
+ * GET /api/queues/actions
+ * Returns the latest queue actions (?queueId= for one queue, ?limit= default 100)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listActions = async (req, res) => {
+  try {
+    let queueId = null;
+    if (req.query.queueId !== undefined && req.query.queueId !== '') {
+      queueId = parseQueueId(req.query.queueId);
+      if (!queueId) return sendInvalidId(res, req.query.queueId);
+    }
+
+    await sendActions(res, queueId, req.query.limit);
+  } catch (error) {
+    console.error('Error loading queue actions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the queue actions.'
+    });
+  }
+}
+
+/**
+ * GET /api/queues/:queueId/actions
+ * Returns the latest actions on one queue (?limit= default 100)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listQueueActions = async (req, res) => {
+  try {
+    const queueId = parseQueueId(req.params.queueId);
+    if (!queueId) return sendInvalidId(res, req.params.queueId);
+
+    await sendActions(res, queueId, req.query.limit);
+  } catch (error) {
+    console.error('Error loading queue actions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the queue actions.'
+    });
+  }
+}
+
+/**
+ * POST /api/queues/:queueId/:action
+ * Runs enable, disable, retry or purge on a queue
+ * Body: { reason }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const runAction = async (req, res) => {
+  try {
+    const queueId = parseQueueId(req.params.queueId);
+    if (!queueId) return sendInvalidId(res, req.params.queueId);
+
+    const result = await queueActionService.runAction(queueId, req.params.action, {
+      user: req.user,
+      roles: req.roles,
+      reason: (req.body || {}).reason
+    });
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      message: result.message,
+      row: result.row,
+      audit: result.audit
+    });
+  } catch (error) {
+    console.error('Error running queue action:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while running the queue action.'
+    });
+  }
+}
+
+module.exports = {
+  listActions,
+  listQueueActions,
+  runAction
+};
@@ -0,0 +1,142 @@
+/**
+ * Queue Message Controller
+ * Message inspector and replay of the CET queue messages
+ */
+
+/**
+ * File: queueMessageController.js
+ * Created: 2026-10-18
+ */
+
+const queueMessageService = require('../services/queueMessageService');
+
+/**
+ * Parse a message id route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} Message id, or null when not a positive integer
+ */
+const parseMessageId = (value) => {
+  const messageId = Number(value);
+  return Number.isInteger(messageId) && messageId > 0 ? messageId : null;
+};
+
+/**
+ * Send a failed service result
+ * @param {Object} res - Express response object
+ * @param {Object} result - { status, message }
+ */
+const sendError = (res, result) => {
+  res.status(result.status).json({
+    success: false,
+    message: result.message
+  });
+};
+
+/**
+ * Send the 400 response of an invalid message id
+ * @param {Object} res - Express response object
+ * @param {string} value - Route parameter
+ */
+const sendInvalidId = (res, value) => {
+  res.status(400).json({
+    success: false,
+    message: `Invalid message id: ${value}`
+  });
+};
+
+/**
+ * Replay messages and send the result
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Array<number>} messageIds - Messages to replay
+ */
+const sendReplay = async (req, res, messageIds) => {
+  const result = await queueMessageService.replayMessages(messageIds, {
+    user: req.user,
+    roles: req.roles,
+    reason: (req.body || {}).reason
+  });
+  if (!result.success) return sendError(res, result);
+
+  res.json({
+    success: true,
+    message: result.message,
+    messages: result.messages,
+    missingIds: result.missingIds
+  });
+};
+
+/**
+ * GET /api/queues/messages/:messageId
+ * Returns a message with its headers, body (as received and pretty-printed), retry count
+ * and last error
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMessage = async (req, res) => {
+  try {
+    const messageId = parseMessageId(req.params.messageId);
+    if (!messageId) return sendInvalidId(res, req.params.messageId);
+
+    const result = await queueMessageService.getMessage(messageId);
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+  } catch (error) {
+    console.error('Error loading message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the message.'
+    });
+  }
+}
+
+/**
+ * POST /api/queues/messages/replay
+ * Replays several messages
+ * Body: { messageIds, reason }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const replayMessages = async (req, res) => {
+  try {
+    await sendReplay(req, res, (req.body || {}).messageIds);
+  } catch (error) {
+    console.error('Error replaying messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while replaying the messages.'
+    });
+  }
+}
+
+/**
+ * POST /api/queues/messages/:messageId/replay
+ * Replays one message
+ * Body: { reason }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const replayMessage = async (req, res) => {
+  try {
+    const messageId = parseMessageId(req.params.messageId);
+    if (!messageId) return sendInvalidId(res, req.params.messageId);
+
+    await sendReplay(req, res, [messageId]);
+  } catch (error) {
+    console.error('Error replaying message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while replaying the messages.'
+    });
+  }
+}
+
+module.exports = {
+  getMessage,
+  replayMessages,
+  replayMessage
+};
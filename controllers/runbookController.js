@@ -0,0 +1,202 @@
+/**
+ * Runbook Controller
+ * Runbook and knowledge-base links matched to the CET issues, and their admin page
+ */
+
+/**
+ * File: runbookController.js
+ * Created: 2026-10-18
+ */
+
+const runbookService = require('../services/runbookService');
+
+/**
+ * Parse a runbook id route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} Runbook id, or null when not a positive integer
+ */
+const parseRunbookId = (value) => {
+  const runbookId = Number(value);
+  return Number.isInteger(runbookId) && runbookId > 0 ? runbookId : null;
+};
+
+/**
+ * Send a failed service result
+ * @param {Object} res - Express response object
+ * @param {Object} result - { status, message }
+ */
+const sendError = (res, result) => {
+  res.status(result.status).json({
+    success: false,
+    message: result.message
+  });
+};
+
+/**
+ * Send the 400 response of an invalid runbook id
+ * @param {Object} res - Express response object
+ * @param {string} value - Route parameter
+ */
+const sendInvalidId = (res, value) => {
+  res.status(400).json({
+    success: false,
+    message: `Invalid runbook id: ${value}`
+  });
+};
+
+/**
+ * Render the runbook administration page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const showRunbooksAdmin = async (req, res) => {
+  try {
+    const data = await runbookService.getRunbooksAdminData();
+    res.render('runbooks-admin', data);
+  } catch (error) {
+    console.error('Error loading runbooks page:', error);
+    res.status(500).send('Error loading runbooks page');
+  }
+}
+
+/**
+ * GET /api/runbooks
+ * Returns every runbook entry (?active=true for the active ones only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listRunbooks = async (req, res) => {
+  try {
+    const result = await runbookService.listRunbooks({ activeOnly: req.query.active === 'true' });
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      runbooks: result.runbooks
+    });
+  } catch (error) {
+    console.error('Error loading runbooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the runbooks.'
+    });
+  }
+}
+
+/**
+ * GET /api/runbooks/:runbookId
+ * Returns one runbook entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRunbook = async (req, res) => {
+  try {
+    const runbookId = parseRunbookId(req.params.runbookId);
+    if (!runbookId) return sendInvalidId(res, req.params.runbookId);
+
+    const result = await runbookService.getRunbook(runbookId);
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      runbook: result.runbook
+    });
+  } catch (error) {
+    console.error('Error loading runbook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the runbook.'
+    });
+  }
+}
+
+/**
+ * POST /api/runbooks
+ * Creates a runbook entry
+ * Body: { title, url, steps, category, application, pattern, active }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRunbook = async (req, res) => {
+  try {
+    const result = await runbookService.saveRunbook(req.body || {}, req.user);
+    if (!result.success) return sendError(res, result);
+
+    res.status(201).json({
+      success: true,
+      message: 'Runbook created.',
+      runbook: result.runbook
+    });
+  } catch (error) {
+    console.error('Error creating runbook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while saving the runbook.'
+    });
+  }
+}
+
+/**
+ * PUT /api/runbooks/:runbookId
+ * Updates a runbook entry
+ * Body: { title, url, steps, category, application, pattern, active }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateRunbook = async (req, res) => {
+  try {
+    const runbookId = parseRunbookId(req.params.runbookId);
+    if (!runbookId) return sendInvalidId(res, req.params.runbookId);
+
+    const result = await runbookService.saveRunbook(req.body || {}, req.user, runbookId);
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      message: 'Runbook updated.',
+      runbook: result.runbook
+    });
+  } catch (error) {
+    console.error('Error updating runbook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while saving the runbook.'
+    });
+  }
+}
+
+/**
+ * DELETE /api/runbooks/:runbookId
+ * Deletes a runbook entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRunbook = async (req, res) => {
+  try {
+    const runbookId = parseRunbookId(req.params.runbookId);
+    if (!runbookId) return sendInvalidId(res, req.params.runbookId);
+
+    const result = await runbookService.deleteRunbook(runbookId);
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      message: 'Runbook deleted.'
+    });
+  } catch (error) {
+    console.error('Error deleting runbook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while deleting the runbook.'
+    });
+  }
+}
+
+module.exports = {
+  showRunbooksAdmin,
+  listRunbooks,
+  getRunbook,
+  createRunbook,
+  updateRunbook,
+  deleteRunbook
+};
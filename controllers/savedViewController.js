@@ -0,0 +1,186 @@
+/**
+ * Saved View Controller
+ * Named, per-user table views with team sharing and a default view per table
+ */
+
+/**
+ * File: savedViewController.js
+ * Created: 2026-10-18
+ */
+
+const savedViewService = require('../services/savedViewService');
+
+/**
+ * Parse a view id route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} View id, or null when not a positive integer
+ */
+const parseViewId = (value) => {
+  const viewId = Number(value);
+  return Number.isInteger(viewId) && viewId > 0 ? viewId : null;
+};
+
+/**
+ * Send a failed service result
+ * @param {Object} res - Express response object
+ * @param {Object} result - { status, message }
+ */
+const sendError = (res, result) => {
+  res.status(result.status).json({
+    success: false,
+    message: result.message
+  });
+};
+
+/**
+ * GET /api/views/:tableId
+ * Returns the current user's views of a table and the views shared with the team
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listViews = async (req, res) => {
+  try {
+    const result = await savedViewService.listViews(req.params.tableId, req.user);
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      views: result.views
+    });
+  } catch (error) {
+    console.error('Error loading saved views:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while loading the saved views.'
+    });
+  }
+}
+
+/**
+ * POST /api/views/:tableId
+ * Saves a new view as the current user
+ * Body: { name, state, shared, isDefault }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createView = async (req, res) => {
+  try {
+    const result = await savedViewService.saveView(req.params.tableId, req.user, req.body || {});
+    if (!result.success) return sendError(res, result);
+
+    res.status(201).json({
+      success: true,
+      view: result.view
+    });
+  } catch (error) {
+    console.error('Error saving view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while saving the view.'
+    });
+  }
+}
+
+/**
+ * PUT /api/views/:tableId/:viewId
+ * Updates a view of the current user (name, state, sharing, default)
+ * Body: { name, state, shared, isDefault }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateView = async (req, res) => {
+  try {
+    const viewId = parseViewId(req.params.viewId);
+    if (!viewId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid view id: ${req.params.viewId}`
+      });
+    }
+
+    const result = await savedViewService.saveView(req.params.tableId, req.user, req.body || {}, viewId);
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      view: result.view
+    });
+  } catch (error) {
+    console.error('Error updating view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while saving the view.'
+    });
+  }
+}
+
+/**
+ * DELETE /api/views/:tableId/:viewId
+ * Deletes a view of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteView = async (req, res) => {
+  try {
+    const viewId = parseViewId(req.params.viewId);
+    if (!viewId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid view id: ${req.params.viewId}`
+      });
+    }
+
+    const result = await savedViewService.deleteView(req.params.tableId, req.user, viewId);
+    if (!result.success) return sendError(res, result);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while deleting the view.'
+    });
+  }
+}
+
+/**
+ * PUT /api/views/:tableId/default
+ * Sets the view the current user opens the table with
+ * Body: { viewId } - an own or shared view, null to open the table as configured
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setDefaultView = async (req, res) => {
+  try {
+    const requested = (req.body || {}).viewId;
+    const viewId = requested == null || requested === '' ? null : parseViewId(requested);
+    if (requested != null && requested !== '' && !viewId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid view id: ${requested}`
+      });
+    }
+
+    const result = await savedViewService.setDefaultView(req.params.tableId, req.user, viewId);
+    if (!result.success) return sendError(res, result);
+
+    res.json({
+      success: true,
+      viewId: result.viewId
+    });
+  } catch (error) {
+    console.error('Error setting default view:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while setting the default view.'
+    });
+  }
+}
+
+module.exports = {
+  listViews,
+  createView,
+  updateView,
+  deleteView,
+  setDefaultView
+};
@@ -0,0 +1,116 @@
+/**
+ * File: copyLib.js
+ * Created: 2026-10-19
+ *
+ * Script to copy the UI kits from node_modules/@mfribeiro into public/js/lib
+ * Run on postinstall, or with: node copyLib.js [datatable-kit|card-kit|form-kit]
+ *
+ * The kit files listed in LOCAL_CHANGES carry changes made in this project (they load
+ * the modules in public/js/kit-extensions) and are not overwritten; the script lists
+ * the ones whose upstream version differs, so upstream changes can be merged by hand.
+ * The stylesheets of datatable-kit and card-kit are also copied to public/css/lib.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KITS = ['datatable-kit', 'card-kit', 'form-kit'];
+
+// Kits whose stylesheets are served from public/css/lib
+const CSS_KITS = ['datatable-kit', 'card-kit'];
+
+// Kit files changed in this project, relative to the kit's src directory
+const LOCAL_CHANGES = {
+  'datatable-kit': [
+    'index.js',
+    'core/table-init.js',
+    'features/table-feature-actions.js',
+    'features/table-feature-filters.js',
+    'features/table-feature-footer.js',
+    'features/table-feature-search.js',
+    'features/table-feature-selection.js'
+  ],
+  'card-kit': [
+    'index.js',
+    'handlers/card-custom-handlers.js'
+  ],
+  'form-kit': []
+};
+
+/**
+ * List the files of a directory tree
+ * @param {string} dir - Directory
+ * @param {string} base - Path of dir relative to the tree root
+ * @returns {Array<string>} File paths relative to the tree root ('/' separated)
+ */
+const listFiles = (dir, base = '') => {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const relative = base ? `${base}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(path.join(dir, entry.name), relative) : [relative];
+  });
+};
+
+/**
+ * Copy one kit into public/js/lib, keeping the locally changed files
+ * @param {string} kit - Kit name
+ * @returns {boolean} True when the kit was copied
+ */
+const copyKit = (kit) => {
+  const sourceDir = path.join(__dirname, 'node_modules', '@mfribeiro', kit, 'src');
+  const targetDir = path.join(__dirname, 'public', 'js', 'lib', kit);
+
+  if (!fs.existsSync(sourceDir)) {
+    console.error(`  ✗ ${kit}: ${sourceDir} not found (run npm install)`);
+    return false;
+  }
+
+  const kept = [];
+  let copied = 0;
+
+  listFiles(sourceDir).forEach(file => {
+    const source = path.join(sourceDir, file);
+    const target = path.join(targetDir, file);
+
+    if (LOCAL_CHANGES[kit].includes(file) && fs.existsSync(target)) {
+      if (!fs.readFileSync(source).equals(fs.readFileSync(target))) kept.push(file);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+    copied++;
+  });
+
+  console.log(`  ✓ ${kit}: ${copied} file(s) copied`);
+  kept.forEach(file => console.log(`    kept local changes in ${file} (upstream differs, merge by hand)`));
+
+  if (CSS_KITS.includes(kit)) {
+    const cssDir = path.join(targetDir, 'css');
+    const cssTarget = path.join(__dirname, 'public', 'css', 'lib');
+    if (fs.existsSync(cssDir)) {
+      fs.mkdirSync(cssTarget, { recursive: true });
+      fs.readdirSync(cssDir)
+        .filter(file => file.endsWith('.css'))
+        .forEach(file => fs.copyFileSync(path.join(cssDir, file), path.join(cssTarget, file)));
+    }
+  }
+
+  return true;
+};
+
+const copyLib = () => {
+  const requested = process.argv.slice(2);
+  const unknown = requested.filter(kit => !KITS.includes(kit));
+  if (unknown.length > 0) {
+    console.error(`Unknown kit(s): ${unknown.join(', ')}. Use ${KITS.join(', ')}.`);
+    process.exit(1);
+  }
+
+  console.log('Copying UI kits into public/js/lib...');
+  const failed = (requested.length > 0 ? requested : KITS).filter(kit => !copyKit(kit));
+  if (failed.length > 0) {
+    process.exit(1);
+  }
+};
+
+copyLib();
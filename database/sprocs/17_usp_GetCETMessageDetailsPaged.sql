@@ -0,0 +1,120 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETMessageDetailsPaged
+-- Description: Paged, sorted and filtered message details for server-side DataTables
+-- Parameters:
+--   @Start       - Zero-based offset of the first row
+--   @Length      - Page size (-1 returns every filtered row; the API caps pages at
+--                  1000 rows and does not send -1)
+--   @OrderColumn - Column to sort by (unknown columns fall back to queueId, messageEnqueueTime)
+--   @OrderDir    - ASC or DESC
+--   @Search      - Global search text (matched with LIKE against queue, enqueue time, section)
+--   @Filters     - JSON column filters: { "<column>": { "value", "exact", "in", "min", "max" } }
+-- Returns:
+--   Result set 1: the requested page
+--   Result set 2: recordsTotal, recordsFiltered and <column>_<aggregation> values over the filtered rows
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETMessageDetailsPaged
+    @Start INT = 0,
+    @Length INT = 25,
+    @OrderColumn NVARCHAR(128) = NULL,
+    @OrderDir NVARCHAR(4) = N'ASC',
+    @Search NVARCHAR(200) = NULL,
+    @Filters NVARCHAR(MAX) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @Start IS NULL OR @Start < 0 SET @Start = 0;
+        IF @Length IS NULL OR @Length < 0 SET @Length = 2147483647;
+        IF @Search = N'' SET @Search = NULL;
+        IF @Filters IS NOT NULL AND ISJSON(@Filters) = 0
+            RAISERROR('Invalid @Filters JSON', 16, 1);
+
+        -- Column filters
+        DECLARE @QueueIdExact INT = TRY_CAST(JSON_VALUE(@Filters, '$.queueId.exact') AS INT);
+        DECLARE @QueueValue NVARCHAR(200) = NULLIF(JSON_VALUE(@Filters, '$.queue.value'), N'');
+        DECLARE @QueueExact NVARCHAR(200) = JSON_VALUE(@Filters, '$.queue.exact');
+        DECLARE @EnqueueValue NVARCHAR(50) = NULLIF(JSON_VALUE(@Filters, '$.messageEnqueueTime.value'), N'');
+        DECLARE @EnqueueMin DATETIME = TRY_CAST(JSON_VALUE(@Filters, '$.messageEnqueueTime.min') AS DATETIME);
+        DECLARE @EnqueueMax DATETIME = TRY_CAST(JSON_VALUE(@Filters, '$.messageEnqueueTime.max') AS DATETIME);
+        DECLARE @SectionExact INT = TRY_CAST(JSON_VALUE(@Filters, '$.criticalSection.exact') AS INT);
+        DECLARE @SectionValue NVARCHAR(20) = NULLIF(JSON_VALUE(@Filters, '$.criticalSection.value'), N'');
+        DECLARE @SectionMin INT = TRY_CAST(JSON_VALUE(@Filters, '$.criticalSection.min') AS INT);
+        DECLARE @SectionMax INT = TRY_CAST(JSON_VALUE(@Filters, '$.criticalSection.max') AS INT);
+        DECLARE @HasSectionIn BIT = CASE WHEN EXISTS (SELECT 1 FROM OPENJSON(@Filters, '$.criticalSection.in')) THEN 1 ELSE 0 END;
+
+        SELECT
+            id,
+            queueId,
+            queue,
+            messageEnqueueTime,
+            criticalSection
+        INTO #Filtered
+        FROM
+            dbo.CETMessageDetails
+        WHERE
+            (@Search IS NULL
+                OR queue LIKE N'%' + @Search + N'%'
+                OR CONVERT(NVARCHAR(30), messageEnqueueTime, 120) LIKE N'%' + @Search + N'%'
+                OR CAST(criticalSection AS NVARCHAR(20)) LIKE N'%' + @Search + N'%')
+            AND (@QueueIdExact IS NULL OR queueId = @QueueIdExact)
+            AND (@QueueValue IS NULL OR queue LIKE N'%' + @QueueValue + N'%')
+            AND (@QueueExact IS NULL OR queue = @QueueExact)
+            AND (@EnqueueValue IS NULL OR CONVERT(NVARCHAR(30), messageEnqueueTime, 120) LIKE N'%' + @EnqueueValue + N'%')
+            AND (@EnqueueMin IS NULL OR messageEnqueueTime >= @EnqueueMin)
+            AND (@EnqueueMax IS NULL OR messageEnqueueTime <= @EnqueueMax)
+            AND (@SectionExact IS NULL OR criticalSection = @SectionExact)
+            AND (@SectionValue IS NULL OR CAST(criticalSection AS NVARCHAR(20)) LIKE N'%' + @SectionValue + N'%')
+            AND (@SectionMin IS NULL OR criticalSection >= @SectionMin)
+            AND (@SectionMax IS NULL OR criticalSection <= @SectionMax)
+            AND (@HasSectionIn = 0 OR criticalSection IN (
+                SELECT TRY_CAST(value AS INT) FROM OPENJSON(@Filters, '$.criticalSection.in')));
+
+        -- Result set 1: requested page
+        SELECT
+            id,
+            queueId,
+            queue,
+            messageEnqueueTime,
+            criticalSection
+        FROM
+            #Filtered
+        ORDER BY
+            CASE WHEN @OrderColumn = N'queueId' AND @OrderDir = N'ASC' THEN queueId END ASC,
+            CASE WHEN @OrderColumn = N'queueId' AND @OrderDir = N'DESC' THEN queueId END DESC,
+            CASE WHEN @OrderColumn = N'queue' AND @OrderDir = N'ASC' THEN queue END ASC,
+            CASE WHEN @OrderColumn = N'queue' AND @OrderDir = N'DESC' THEN queue END DESC,
+            CASE WHEN @OrderColumn = N'messageEnqueueTime' AND @OrderDir = N'ASC' THEN messageEnqueueTime END ASC,
+            CASE WHEN @OrderColumn = N'messageEnqueueTime' AND @OrderDir = N'DESC' THEN messageEnqueueTime END DESC,
+            CASE WHEN @OrderColumn = N'criticalSection' AND @OrderDir = N'ASC' THEN criticalSection END ASC,
+            CASE WHEN @OrderColumn = N'criticalSection' AND @OrderDir = N'DESC' THEN criticalSection END DESC,
+            queueId,
+            messageEnqueueTime,
+            id
+        OFFSET @Start ROWS
+        FETCH NEXT @Length ROWS ONLY;
+
+        -- Result set 2: totals and aggregates over the filtered rows
+        SELECT
+            (SELECT COUNT(*) FROM dbo.CETMessageDetails) AS recordsTotal,
+            COUNT(*) AS recordsFiltered,
+            COUNT(DISTINCT queueId) AS queueId_countUnique,
+            COUNT(DISTINCT queue) AS queue_countUnique,
+            COUNT(DISTINCT criticalSection) AS criticalSection_countUnique,
+            MIN(messageEnqueueTime) AS messageEnqueueTime_min,
+            MAX(messageEnqueueTime) AS messageEnqueueTime_max
+        FROM
+            #Filtered;
+
+        DROP TABLE #Filtered;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
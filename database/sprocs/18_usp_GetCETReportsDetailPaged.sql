@@ -0,0 +1,199 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETReportsDetailPaged
+-- Description: Paged, sorted and filtered reports detail for server-side DataTables
+-- Parameters:
+--   @Start       - Zero-based offset of the first row
+--   @Length      - Page size (-1 returns every filtered row; the API caps pages at
+--                  1000 rows and does not send -1)
+--   @OrderColumn - Column to sort by (unknown columns fall back to the usp_GetCETReportsDetail order)
+--                  segmentAt, startAt and endAt sort by the segment, start and end times, a start
+--                  or end time earlier than the time before it being on the next day (past midnight)
+--   @OrderDir    - ASC or DESC
+--   @Search      - Global search text (matched with LIKE against step/section and segment columns)
+--   @Filters     - JSON column filters: { "<column>": { "value", "exact", "in", "min", "max" } }
+--                  segmentDate bounds are YYYYMMDD strings
+-- Returns:
+--   Result set 1: the requested page
+--   Result set 2: recordsTotal, recordsFiltered and <column>_<aggregation> values over the filtered rows
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETReportsDetailPaged
+    @Start INT = 0,
+    @Length INT = 25,
+    @OrderColumn NVARCHAR(128) = NULL,
+    @OrderDir NVARCHAR(4) = N'ASC',
+    @Search NVARCHAR(200) = NULL,
+    @Filters NVARCHAR(MAX) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @Start IS NULL OR @Start < 0 SET @Start = 0;
+        IF @Length IS NULL OR @Length < 0 SET @Length = 2147483647;
+        IF @Search = N'' SET @Search = NULL;
+        IF @Filters IS NOT NULL AND ISJSON(@Filters) = 0
+            RAISERROR('Invalid @Filters JSON', 16, 1);
+
+        -- Column filters
+        DECLARE @StepExact INT = TRY_CAST(JSON_VALUE(@Filters, '$.step.exact') AS INT);
+        DECLARE @StepValue NVARCHAR(20) = NULLIF(JSON_VALUE(@Filters, '$.step.value'), N'');
+        DECLARE @HasStepIn BIT = CASE WHEN EXISTS (SELECT 1 FROM OPENJSON(@Filters, '$.step.in')) THEN 1 ELSE 0 END;
+        DECLARE @SubStepExact INT = TRY_CAST(JSON_VALUE(@Filters, '$.subStep.exact') AS INT);
+        DECLARE @SubStepValue NVARCHAR(20) = NULLIF(JSON_VALUE(@Filters, '$.subStep.value'), N'');
+        DECLARE @SectionExact INT = TRY_CAST(JSON_VALUE(@Filters, '$.criticalSection.exact') AS INT);
+        DECLARE @SectionValue NVARCHAR(20) = NULLIF(JSON_VALUE(@Filters, '$.criticalSection.value'), N'');
+        DECLARE @HasSectionIn BIT = CASE WHEN EXISTS (SELECT 1 FROM OPENJSON(@Filters, '$.criticalSection.in')) THEN 1 ELSE 0 END;
+        DECLARE @DateValue NVARCHAR(20) = NULLIF(JSON_VALUE(@Filters, '$.segmentDate.value'), N'');
+        DECLARE @DateMin NVARCHAR(8) = NULLIF(JSON_VALUE(@Filters, '$.segmentDate.min'), N'');
+        DECLARE @DateMax NVARCHAR(8) = NULLIF(JSON_VALUE(@Filters, '$.segmentDate.max'), N'');
+        DECLARE @TimeValue NVARCHAR(20) = NULLIF(JSON_VALUE(@Filters, '$.segmentTime.value'), N'');
+        DECLARE @DurationMin INT = TRY_CAST(JSON_VALUE(@Filters, '$.duration.min') AS INT);
+        DECLARE @DurationMax INT = TRY_CAST(JSON_VALUE(@Filters, '$.duration.max') AS INT);
+
+        SELECT
+            id,
+            step,
+            subStep,
+            criticalSection,
+            segmentDate,
+            segmentTime,
+            waitTime,
+            startTime,
+            endTime,
+            duration,
+            deletes,
+            updates,
+            inserts,
+            lastUpdated,
+            segment.segmentAt,
+            run.startAt,
+            finish.endAt
+        INTO #Filtered
+        FROM
+            dbo.CETReportsDetail
+            CROSS APPLY (SELECT
+                TRY_CAST(segmentDate AS DATE) AS segmentDay,
+                CAST(TRY_CAST(STUFF(STUFF(segmentTime, 5, 0, ':'), 3, 0, ':') AS TIME(0)) AS DATETIME) AS segmentClock,
+                CAST(TRY_CAST(STUFF(STUFF(startTime, 5, 0, ':'), 3, 0, ':') AS TIME(0)) AS DATETIME) AS startClock,
+                CAST(TRY_CAST(STUFF(STUFF(endTime, 5, 0, ':'), 3, 0, ':') AS TIME(0)) AS DATETIME) AS endClock) AS clock
+            CROSS APPLY (SELECT
+                CAST(clock.segmentDay AS DATETIME) + clock.segmentClock AS segmentAt) AS segment
+            CROSS APPLY (SELECT
+                DATEADD(DAY, CASE WHEN clock.startClock < clock.segmentClock THEN 1 ELSE 0 END,
+                    CAST(clock.segmentDay AS DATETIME)) + clock.startClock AS startAt) AS run
+            CROSS APPLY (SELECT
+                DATEADD(DAY, CASE WHEN clock.endClock < clock.startClock THEN 1 ELSE 0 END,
+                    CAST(CAST(run.startAt AS DATE) AS DATETIME)) + clock.endClock AS endAt) AS finish
+        WHERE
+            (@Search IS NULL
+                OR CAST(step AS NVARCHAR(20)) LIKE N'%' + @Search + N'%'
+                OR CAST(subStep AS NVARCHAR(20)) LIKE N'%' + @Search + N'%'
+                OR CAST(criticalSection AS NVARCHAR(20)) LIKE N'%' + @Search + N'%'
+                OR segmentDate LIKE N'%' + @Search + N'%'
+                OR segmentTime LIKE N'%' + @Search + N'%'
+                OR startTime LIKE N'%' + @Search + N'%'
+                OR endTime LIKE N'%' + @Search + N'%')
+            AND (@StepExact IS NULL OR step = @StepExact)
+            AND (@StepValue IS NULL OR CAST(step AS NVARCHAR(20)) LIKE N'%' + @StepValue + N'%')
+            AND (@HasStepIn = 0 OR step IN (
+                SELECT TRY_CAST(value AS INT) FROM OPENJSON(@Filters, '$.step.in')))
+            AND (@SubStepExact IS NULL OR subStep = @SubStepExact)
+            AND (@SubStepValue IS NULL OR CAST(subStep AS NVARCHAR(20)) LIKE N'%' + @SubStepValue + N'%')
+            AND (@SectionExact IS NULL OR criticalSection = @SectionExact)
+            AND (@SectionValue IS NULL OR CAST(criticalSection AS NVARCHAR(20)) LIKE N'%' + @SectionValue + N'%')
+            AND (@HasSectionIn = 0 OR criticalSection IN (
+                SELECT TRY_CAST(value AS INT) FROM OPENJSON(@Filters, '$.criticalSection.in')))
+            AND (@DateValue IS NULL OR segmentDate LIKE N'%' + @DateValue + N'%')
+            AND (@DateMin IS NULL OR segmentDate >= @DateMin)
+            AND (@DateMax IS NULL OR segmentDate <= @DateMax)
+            AND (@TimeValue IS NULL OR segmentTime LIKE N'%' + @TimeValue + N'%')
+            AND (@DurationMin IS NULL OR duration >= @DurationMin)
+            AND (@DurationMax IS NULL OR duration <= @DurationMax);
+
+        -- Result set 1: requested page
+        SELECT
+            id,
+            step,
+            subStep,
+            criticalSection,
+            segmentDate,
+            segmentTime,
+            waitTime,
+            startTime,
+            endTime,
+            duration,
+            deletes,
+            updates,
+            inserts,
+            lastUpdated
+        FROM
+            #Filtered
+        ORDER BY
+            CASE WHEN @OrderColumn = N'step' AND @OrderDir = N'ASC' THEN step END ASC,
+            CASE WHEN @OrderColumn = N'step' AND @OrderDir = N'DESC' THEN step END DESC,
+            CASE WHEN @OrderColumn = N'subStep' AND @OrderDir = N'ASC' THEN subStep END ASC,
+            CASE WHEN @OrderColumn = N'subStep' AND @OrderDir = N'DESC' THEN subStep END DESC,
+            CASE WHEN @OrderColumn = N'criticalSection' AND @OrderDir = N'ASC' THEN criticalSection END ASC,
+            CASE WHEN @OrderColumn = N'criticalSection' AND @OrderDir = N'DESC' THEN criticalSection END DESC,
+            CASE WHEN @OrderColumn = N'segmentDate' AND @OrderDir = N'ASC' THEN segmentDate END ASC,
+            CASE WHEN @OrderColumn = N'segmentDate' AND @OrderDir = N'DESC' THEN segmentDate END DESC,
+            CASE WHEN @OrderColumn = N'segmentTime' AND @OrderDir = N'ASC' THEN segmentTime END ASC,
+            CASE WHEN @OrderColumn = N'segmentTime' AND @OrderDir = N'DESC' THEN segmentTime END DESC,
+            CASE WHEN @OrderColumn = N'waitTime' AND @OrderDir = N'ASC' THEN waitTime END ASC,
+            CASE WHEN @OrderColumn = N'waitTime' AND @OrderDir = N'DESC' THEN waitTime END DESC,
+            CASE WHEN @OrderColumn = N'startTime' AND @OrderDir = N'ASC' THEN startTime END ASC,
+            CASE WHEN @OrderColumn = N'startTime' AND @OrderDir = N'DESC' THEN startTime END DESC,
+            CASE WHEN @OrderColumn = N'endTime' AND @OrderDir = N'ASC' THEN endTime END ASC,
+            CASE WHEN @OrderColumn = N'endTime' AND @OrderDir = N'DESC' THEN endTime END DESC,
+            CASE WHEN @OrderColumn = N'duration' AND @OrderDir = N'ASC' THEN duration END ASC,
+            CASE WHEN @OrderColumn = N'duration' AND @OrderDir = N'DESC' THEN duration END DESC,
+            CASE WHEN @OrderColumn = N'deletes' AND @OrderDir = N'ASC' THEN deletes END ASC,
+            CASE WHEN @OrderColumn = N'deletes' AND @OrderDir = N'DESC' THEN deletes END DESC,
+            CASE WHEN @OrderColumn = N'updates' AND @OrderDir = N'ASC' THEN updates END ASC,
+            CASE WHEN @OrderColumn = N'updates' AND @OrderDir = N'DESC' THEN updates END DESC,
+            CASE WHEN @OrderColumn = N'inserts' AND @OrderDir = N'ASC' THEN inserts END ASC,
+            CASE WHEN @OrderColumn = N'inserts' AND @OrderDir = N'DESC' THEN inserts END DESC,
+            CASE WHEN @OrderColumn = N'segmentAt' AND @OrderDir = N'ASC' THEN segmentAt END ASC,
+            CASE WHEN @OrderColumn = N'segmentAt' AND @OrderDir = N'DESC' THEN segmentAt END DESC,
+            CASE WHEN @OrderColumn = N'startAt' AND @OrderDir = N'ASC' THEN startAt END ASC,
+            CASE WHEN @OrderColumn = N'startAt' AND @OrderDir = N'DESC' THEN startAt END DESC,
+            CASE WHEN @OrderColumn = N'endAt' AND @OrderDir = N'ASC' THEN endAt END ASC,
+            CASE WHEN @OrderColumn = N'endAt' AND @OrderDir = N'DESC' THEN endAt END DESC,
+            step,
+            subStep,
+            criticalSection,
+            segmentDate DESC,
+            segmentTime DESC,
+            id
+        OFFSET @Start ROWS
+        FETCH NEXT @Length ROWS ONLY;
+
+        -- Result set 2: totals and aggregates over the filtered rows
+        SELECT
+            (SELECT COUNT(*) FROM dbo.CETReportsDetail) AS recordsTotal,
+            COUNT(*) AS recordsFiltered,
+            COUNT(DISTINCT step) AS step_countUnique,
+            COUNT(DISTINCT criticalSection) AS criticalSection_countUnique,
+            AVG(CAST(waitTime AS FLOAT)) AS waitTime_average,
+            MAX(waitTime) AS waitTime_max,
+            SUM(duration) AS duration_sum,
+            AVG(CAST(duration AS FLOAT)) AS duration_average,
+            MIN(duration) AS duration_min,
+            MAX(duration) AS duration_max,
+            SUM(deletes) AS deletes_sum,
+            SUM(updates) AS updates_sum,
+            SUM(inserts) AS inserts_sum
+        FROM
+            #Filtered;
+
+        DROP TABLE #Filtered;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,83 @@
+-- =============================================
+-- Stored Procedure: usp_CreateCETDataRequestJob
+-- Description: Queues a new data extraction job
+-- Parameters:
+--   @AppId         - Application the data is requested for
+--   @AppName       - Display name of the application at request time
+--   @StartDateTime - Start of the requested range
+--   @EndDateTime   - End of the requested range
+--   @RequestedBy   - User who submitted the request (optional)
+-- Returns: The newly created job record
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_CreateCETDataRequestJob
+    @AppId INT,
+    @AppName NVARCHAR(255),
+    @StartDateTime DATETIME2,
+    @EndDateTime DATETIME2,
+    @RequestedBy NVARCHAR(100) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @AppId IS NULL OR @AppName IS NULL OR @StartDateTime IS NULL OR @EndDateTime IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: AppId, AppName, StartDateTime, EndDateTime', 16, 1);
+            RETURN;
+        END
+
+        IF @EndDateTime <= @StartDateTime
+        BEGIN
+            RAISERROR('EndDateTime must be after StartDateTime', 16, 1);
+            RETURN;
+        END
+
+        INSERT INTO dbo.CETDataRequestJobs (
+            appId,
+            appName,
+            startDateTime,
+            endDateTime,
+            requestedBy
+        )
+        VALUES (
+            @AppId,
+            @AppName,
+            @StartDateTime,
+            @EndDateTime,
+            @RequestedBy
+        );
+
+        DECLARE @NewId INT = SCOPE_IDENTITY();
+
+        SELECT
+            id,
+            appId,
+            appName,
+            startDateTime,
+            endDateTime,
+            status,
+            progress,
+            totalRecords,
+            recordCount,
+            workerId,
+            leaseExpiresAt,
+            errorMessage,
+            cancelRequested,
+            requestedBy,
+            createdAt,
+            startedAt,
+            completedAt
+        FROM
+            dbo.CETDataRequestJobs
+        WHERE
+            id = @NewId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
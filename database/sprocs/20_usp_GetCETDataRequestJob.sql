@@ -0,0 +1,51 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETDataRequestJob
+-- Description: Retrieves a single data request job
+-- Parameters: @JobId - The job ID to retrieve
+-- Returns: Single job record or empty if not found
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETDataRequestJob
+    @JobId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @JobId IS NULL
+        BEGIN
+            RAISERROR('Parameter @JobId cannot be NULL', 16, 1);
+            RETURN;
+        END
+
+        SELECT
+            id,
+            appId,
+            appName,
+            startDateTime,
+            endDateTime,
+            status,
+            progress,
+            totalRecords,
+            recordCount,
+            workerId,
+            leaseExpiresAt,
+            errorMessage,
+            cancelRequested,
+            requestedBy,
+            createdAt,
+            startedAt,
+            completedAt
+        FROM
+            dbo.CETDataRequestJobs
+        WHERE
+            id = @JobId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,56 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETDataRequestJobs
+-- Description: Lists data request jobs, newest first
+-- Parameters:
+--   @RequestedBy - Only jobs submitted by this user (optional)
+--   @Status      - Only jobs in this status (optional)
+--   @Top         - Maximum number of jobs returned (default 200)
+-- Returns: Job records ordered by createdAt DESC
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETDataRequestJobs
+    @RequestedBy NVARCHAR(100) = NULL,
+    @Status NVARCHAR(20) = NULL,
+    @Top INT = 200
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @Top IS NULL OR @Top < 1 SET @Top = 200;
+
+        SELECT TOP (@Top)
+            id,
+            appId,
+            appName,
+            startDateTime,
+            endDateTime,
+            status,
+            progress,
+            totalRecords,
+            recordCount,
+            workerId,
+            leaseExpiresAt,
+            errorMessage,
+            cancelRequested,
+            requestedBy,
+            createdAt,
+            startedAt,
+            completedAt
+        FROM
+            dbo.CETDataRequestJobs
+        WHERE
+            (@RequestedBy IS NULL OR requestedBy = @RequestedBy)
+            AND (@Status IS NULL OR status = @Status)
+        ORDER BY
+            createdAt DESC,
+            id DESC;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
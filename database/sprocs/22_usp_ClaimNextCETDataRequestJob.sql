@@ -0,0 +1,64 @@
+-- =============================================
+-- Stored Procedure: usp_ClaimNextCETDataRequestJob
+-- Description: Atomically moves the oldest queued job to running for a worker
+--              (READPAST lets several app instances claim jobs without blocking each other)
+-- Parameters:
+--   @WorkerId     - The claiming worker process
+--   @LeaseSeconds - How long the job stays claimed without a renewal
+-- Returns: The claimed job record, or empty when nothing is queued
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_ClaimNextCETDataRequestJob
+    @WorkerId NVARCHAR(100),
+    @LeaseSeconds INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @WorkerId IS NULL OR @LeaseSeconds IS NULL OR @LeaseSeconds < 1
+        BEGIN
+            RAISERROR('A worker ID and a positive lease are required', 16, 1);
+            RETURN;
+        END
+
+        WITH NextJob AS (
+            SELECT TOP (1) *
+            FROM dbo.CETDataRequestJobs WITH (UPDLOCK, READPAST, ROWLOCK)
+            WHERE status = N'queued'
+            ORDER BY createdAt, id
+        )
+        UPDATE NextJob
+        SET
+            status = N'running',
+            progress = 0,
+            startedAt = SYSUTCDATETIME(),
+            workerId = @WorkerId,
+            leaseExpiresAt = DATEADD(SECOND, @LeaseSeconds, SYSUTCDATETIME())
+        OUTPUT
+            inserted.id,
+            inserted.appId,
+            inserted.appName,
+            inserted.startDateTime,
+            inserted.endDateTime,
+            inserted.status,
+            inserted.progress,
+            inserted.totalRecords,
+            inserted.recordCount,
+            inserted.workerId,
+            inserted.leaseExpiresAt,
+            inserted.errorMessage,
+            inserted.cancelRequested,
+            inserted.requestedBy,
+            inserted.createdAt,
+            inserted.startedAt,
+            inserted.completedAt;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
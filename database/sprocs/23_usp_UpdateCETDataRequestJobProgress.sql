@@ -0,0 +1,75 @@
+-- =============================================
+-- Stored Procedure: usp_UpdateCETDataRequestJobProgress
+-- Description: Records extraction progress for a running job and renews its lease
+-- Parameters:
+--   @JobId        - The job ID
+--   @WorkerId     - The worker running the job (the job is left alone when another
+--                   worker holds it, after its lease expired and it was requeued)
+--   @LeaseSeconds - New lease from now
+--   @Progress     - Percent complete (0-100)
+--   @RecordCount  - Rows extracted so far
+--   @TotalRecords - Rows the extraction will return (optional)
+-- Returns: The job record (cancelRequested tells the worker to stop; a status other
+--          than running or another workerId tells it the job is no longer its own)
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_UpdateCETDataRequestJobProgress
+    @JobId INT,
+    @WorkerId NVARCHAR(100),
+    @LeaseSeconds INT,
+    @Progress INT,
+    @RecordCount INT,
+    @TotalRecords INT = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @JobId IS NULL OR @WorkerId IS NULL OR @LeaseSeconds IS NULL OR @LeaseSeconds < 1
+        BEGIN
+            RAISERROR('A job ID, a worker ID and a positive lease are required', 16, 1);
+            RETURN;
+        END
+
+        UPDATE dbo.CETDataRequestJobs
+        SET
+            progress = CASE WHEN @Progress < 0 THEN 0 WHEN @Progress > 100 THEN 100 ELSE @Progress END,
+            recordCount = @RecordCount,
+            totalRecords = ISNULL(@TotalRecords, totalRecords),
+            leaseExpiresAt = DATEADD(SECOND, @LeaseSeconds, SYSUTCDATETIME())
+        WHERE
+            id = @JobId
+            AND status = N'running'
+            AND workerId = @WorkerId;
+
+        SELECT
+            id,
+            appId,
+            appName,
+            startDateTime,
+            endDateTime,
+            status,
+            progress,
+            totalRecords,
+            recordCount,
+            workerId,
+            leaseExpiresAt,
+            errorMessage,
+            cancelRequested,
+            requestedBy,
+            createdAt,
+            startedAt,
+            completedAt
+        FROM
+            dbo.CETDataRequestJobs
+        WHERE
+            id = @JobId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
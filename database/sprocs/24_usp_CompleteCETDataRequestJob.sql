@@ -0,0 +1,90 @@
+-- =============================================
+-- Stored Procedure: usp_CompleteCETDataRequestJob
+-- Description: Moves a running job to a final status and stores the extracted rows
+--              of a succeeded job in dbo.CETDataRequestJobResults
+-- Parameters:
+--   @JobId        - The job ID
+--   @WorkerId     - The worker running the job (nothing changes when another worker
+--                   holds it)
+--   @Status       - succeeded, failed or cancelled
+--   @RecordCount  - Rows extracted
+--   @ResultData   - The extracted rows as a JSON array (succeeded jobs)
+--   @ErrorMessage - Failure reason (failed jobs)
+-- Returns: The job record
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_CompleteCETDataRequestJob
+    @JobId INT,
+    @WorkerId NVARCHAR(100),
+    @Status NVARCHAR(20),
+    @RecordCount INT = NULL,
+    @ResultData NVARCHAR(MAX) = NULL,
+    @ErrorMessage NVARCHAR(4000) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @JobId IS NULL OR @WorkerId IS NULL OR @Status NOT IN (N'succeeded', N'failed', N'cancelled')
+        BEGIN
+            RAISERROR('A job ID, a worker ID and a final status (succeeded, failed, cancelled) are required', 16, 1);
+            RETURN;
+        END
+
+        BEGIN TRANSACTION;
+
+        UPDATE dbo.CETDataRequestJobs
+        SET
+            status = @Status,
+            progress = CASE WHEN @Status = N'succeeded' THEN 100 ELSE progress END,
+            recordCount = ISNULL(@RecordCount, recordCount),
+            errorMessage = @ErrorMessage,
+            completedAt = SYSUTCDATETIME(),
+            leaseExpiresAt = NULL
+        WHERE
+            id = @JobId
+            AND status = N'running'
+            AND workerId = @WorkerId;
+
+        IF @@ROWCOUNT = 1 AND @Status = N'succeeded'
+        BEGIN
+            DELETE FROM dbo.CETDataRequestJobResults WHERE jobId = @JobId;
+
+            INSERT INTO dbo.CETDataRequestJobResults (jobId, resultData)
+            VALUES (@JobId, ISNULL(@ResultData, N'[]'));
+        END
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            id,
+            appId,
+            appName,
+            startDateTime,
+            endDateTime,
+            status,
+            progress,
+            totalRecords,
+            recordCount,
+            workerId,
+            leaseExpiresAt,
+            errorMessage,
+            cancelRequested,
+            requestedBy,
+            createdAt,
+            startedAt,
+            completedAt
+        FROM
+            dbo.CETDataRequestJobs
+        WHERE
+            id = @JobId;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,62 @@
+-- =============================================
+-- Stored Procedure: usp_CancelCETDataRequestJob
+-- Description: Cancels a job. Queued jobs are cancelled immediately; running jobs are
+--              flagged with cancelRequested and stopped by the worker at its next checkpoint.
+--              Jobs that already finished are left unchanged.
+-- Parameters: @JobId - The job ID to cancel
+-- Returns: The job record after the update, or empty if not found
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_CancelCETDataRequestJob
+    @JobId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @JobId IS NULL
+        BEGIN
+            RAISERROR('Parameter @JobId cannot be NULL', 16, 1);
+            RETURN;
+        END
+
+        UPDATE dbo.CETDataRequestJobs
+        SET
+            status = CASE WHEN status = N'queued' THEN N'cancelled' ELSE status END,
+            completedAt = CASE WHEN status = N'queued' THEN SYSUTCDATETIME() ELSE completedAt END,
+            cancelRequested = 1
+        WHERE
+            id = @JobId
+            AND status IN (N'queued', N'running');
+
+        SELECT
+            id,
+            appId,
+            appName,
+            startDateTime,
+            endDateTime,
+            status,
+            progress,
+            totalRecords,
+            recordCount,
+            workerId,
+            leaseExpiresAt,
+            errorMessage,
+            cancelRequested,
+            requestedBy,
+            createdAt,
+            startedAt,
+            completedAt
+        FROM
+            dbo.CETDataRequestJobs
+        WHERE
+            id = @JobId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
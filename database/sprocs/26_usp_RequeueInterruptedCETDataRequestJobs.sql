@@ -0,0 +1,54 @@
+-- =============================================
+-- Stored Procedure: usp_RequeueInterruptedCETDataRequestJobs
+-- Description: Returns running jobs whose lease expired (their worker stopped or lost
+--              the database) to the queue; jobs of live workers, which renew their
+--              leases, are left alone. Jobs with a pending cancel request are
+--              cancelled instead. Called by every worker as it polls.
+-- Returns: The affected job records
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_RequeueInterruptedCETDataRequestJobs
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        UPDATE dbo.CETDataRequestJobs
+        SET
+            status = CASE WHEN cancelRequested = 1 THEN N'cancelled' ELSE N'queued' END,
+            completedAt = CASE WHEN cancelRequested = 1 THEN SYSUTCDATETIME() ELSE NULL END,
+            progress = 0,
+            recordCount = 0,
+            startedAt = NULL,
+            workerId = NULL,
+            leaseExpiresAt = NULL
+        OUTPUT
+            inserted.id,
+            inserted.appId,
+            inserted.appName,
+            inserted.startDateTime,
+            inserted.endDateTime,
+            inserted.status,
+            inserted.progress,
+            inserted.totalRecords,
+            inserted.recordCount,
+            inserted.workerId,
+            inserted.leaseExpiresAt,
+            inserted.errorMessage,
+            inserted.cancelRequested,
+            inserted.requestedBy,
+            inserted.createdAt,
+            inserted.startedAt,
+            inserted.completedAt
+        WHERE
+            status = N'running'
+            AND (leaseExpiresAt IS NULL OR leaseExpiresAt < SYSUTCDATETIME());
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
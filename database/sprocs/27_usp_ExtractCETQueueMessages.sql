@@ -0,0 +1,91 @@
+-- =============================================
+-- Stored Procedure: usp_ExtractCETQueueMessages
+-- Description: Queue messages of one application enqueued within a time range.
+--              Used by the data request worker, which reads the result in pages so
+--              it can report progress and stop when a job is cancelled.
+--              Queues belong to an application when CETQueuesSummary.app is the
+--              numeric prefix of CETApps.cetApp (e.g. '1097' for '1097 (ESR Primary)').
+-- Parameters:
+--   @AppId         - Application ID (dbo.CETApps.id)
+--   @StartDateTime - Inclusive start of the range (UTC)
+--   @EndDateTime   - Inclusive end of the range (UTC)
+--   @Start         - Zero-based offset of the first row
+--   @Length        - Page size (-1 returns every row)
+-- Returns:
+--   Result set 1: the requested page of messages
+--   Result set 2: totalRecords for the whole range
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_ExtractCETQueueMessages
+    @AppId INT,
+    @StartDateTime DATETIME2,
+    @EndDateTime DATETIME2,
+    @Start INT = 0,
+    @Length INT = 500
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @AppId IS NULL OR @StartDateTime IS NULL OR @EndDateTime IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: AppId, StartDateTime, EndDateTime', 16, 1);
+            RETURN;
+        END
+
+        IF @Start IS NULL OR @Start < 0 SET @Start = 0;
+        IF @Length IS NULL OR @Length < 0 SET @Length = 2147483647;
+
+        -- Message enqueue times are on the server's local clock
+        DECLARE @OffsetMinutes INT = DATEPART(TZOFFSET, SYSDATETIMEOFFSET());
+        DECLARE @LocalStart DATETIME2 = DATEADD(MINUTE, @OffsetMinutes, @StartDateTime);
+        DECLARE @LocalEnd DATETIME2 = DATEADD(MINUTE, @OffsetMinutes, @EndDateTime);
+
+        SELECT
+            m.id,
+            m.queueId,
+            m.queue,
+            q.app,
+            q.appName,
+            m.messageEnqueueTime,
+            m.criticalSection
+        INTO #Extract
+        FROM
+            dbo.CETMessageDetails m
+            INNER JOIN dbo.CETQueuesSummary q ON q.id = m.queueId
+            INNER JOIN dbo.CETApps a ON a.cetApp = q.app OR a.cetApp LIKE q.app + N' %'
+        WHERE
+            a.id = @AppId
+            AND m.messageEnqueueTime >= @LocalStart
+            AND m.messageEnqueueTime <= @LocalEnd;
+
+        -- Result set 1: requested page
+        SELECT
+            id,
+            queueId,
+            queue,
+            app,
+            appName,
+            messageEnqueueTime,
+            criticalSection
+        FROM
+            #Extract
+        ORDER BY
+            messageEnqueueTime,
+            id
+        OFFSET @Start ROWS
+        FETCH NEXT @Length ROWS ONLY;
+
+        -- Result set 2: size of the whole extract
+        SELECT COUNT(*) AS totalRecords FROM #Extract;
+
+        DROP TABLE #Extract;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,100 @@
+-- =============================================
+-- Stored Procedure: usp_OpenCETAlertEvent
+-- Description: Opens an alert event for a rule and group, unless one is already open
+--              (several app instances may evaluate the same rules)
+-- Parameters:
+--   @RuleId      - Rule identifier from alert-rules.yaml
+--   @RuleName    - Display name of the rule
+--   @GroupKey    - Group the rule was evaluated for (e.g. a CET app), empty for whole datasets
+--   @Severity    - warning or danger
+--   @MetricValue - Value that breached the threshold
+--   @Threshold   - Threshold that was breached
+--   @Message     - Human-readable alert text
+-- Returns: The open event record, with created = 1 when this call opened it
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_OpenCETAlertEvent
+    @RuleId NVARCHAR(100),
+    @RuleName NVARCHAR(255),
+    @GroupKey NVARCHAR(255) = N'',
+    @Severity NVARCHAR(20),
+    @MetricValue FLOAT = NULL,
+    @Threshold FLOAT = NULL,
+    @Message NVARCHAR(1000)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @RuleId IS NULL OR @RuleName IS NULL OR @Severity IS NULL OR @Message IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: RuleId, RuleName, Severity, Message', 16, 1);
+            RETURN;
+        END
+
+        SET @GroupKey = ISNULL(@GroupKey, N'');
+
+        DECLARE @EventId INT;
+        DECLARE @Created BIT = 0;
+
+        BEGIN TRANSACTION;
+
+        SELECT @EventId = id
+        FROM dbo.CETAlertEvents WITH (UPDLOCK, HOLDLOCK)
+        WHERE ruleId = @RuleId AND groupKey = @GroupKey AND status = N'open';
+
+        IF @EventId IS NULL
+        BEGIN
+            INSERT INTO dbo.CETAlertEvents (
+                ruleId,
+                ruleName,
+                groupKey,
+                severity,
+                metricValue,
+                threshold,
+                message
+            )
+            VALUES (
+                @RuleId,
+                @RuleName,
+                @GroupKey,
+                @Severity,
+                @MetricValue,
+                @Threshold,
+                @Message
+            );
+
+            SET @EventId = SCOPE_IDENTITY();
+            SET @Created = 1;
+        END
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            id,
+            ruleId,
+            ruleName,
+            groupKey,
+            severity,
+            status,
+            metricValue,
+            threshold,
+            message,
+            openedAt,
+            lastEvaluatedAt,
+            resolvedAt,
+            @Created AS created
+        FROM
+            dbo.CETAlertEvents
+        WHERE
+            id = @EventId;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
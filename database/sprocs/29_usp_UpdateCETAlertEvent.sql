@@ -0,0 +1,62 @@
+-- =============================================
+-- Stored Procedure: usp_UpdateCETAlertEvent
+-- Description: Records the latest evaluation of an open alert event
+--              (value, severity and message may change while the breach lasts)
+-- Parameters:
+--   @EventId     - The event ID
+--   @Severity    - warning or danger
+--   @MetricValue - Latest metric value
+--   @Threshold   - Threshold breached by the latest value
+--   @Message     - Human-readable alert text
+-- Returns: The event record, or empty if it is not open
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_UpdateCETAlertEvent
+    @EventId INT,
+    @Severity NVARCHAR(20),
+    @MetricValue FLOAT = NULL,
+    @Threshold FLOAT = NULL,
+    @Message NVARCHAR(1000)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @EventId IS NULL
+        BEGIN
+            RAISERROR('Parameter @EventId cannot be NULL', 16, 1);
+            RETURN;
+        END
+
+        UPDATE dbo.CETAlertEvents
+        SET
+            severity = ISNULL(@Severity, severity),
+            metricValue = @MetricValue,
+            threshold = @Threshold,
+            message = ISNULL(@Message, message),
+            lastEvaluatedAt = SYSUTCDATETIME()
+        OUTPUT
+            inserted.id,
+            inserted.ruleId,
+            inserted.ruleName,
+            inserted.groupKey,
+            inserted.severity,
+            inserted.status,
+            inserted.metricValue,
+            inserted.threshold,
+            inserted.message,
+            inserted.openedAt,
+            inserted.lastEvaluatedAt,
+            inserted.resolvedAt
+        WHERE
+            id = @EventId
+            AND status = N'open';
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
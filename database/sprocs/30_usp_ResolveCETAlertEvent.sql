@@ -0,0 +1,55 @@
+-- =============================================
+-- Stored Procedure: usp_ResolveCETAlertEvent
+-- Description: Resolves an open alert event once its rule no longer breaches
+-- Parameters:
+--   @EventId     - The event ID
+--   @MetricValue - Value at resolution (optional)
+-- Returns: The resolved event record, or empty if it was not open
+--          (another instance resolved it first)
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_ResolveCETAlertEvent
+    @EventId INT,
+    @MetricValue FLOAT = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @EventId IS NULL
+        BEGIN
+            RAISERROR('Parameter @EventId cannot be NULL', 16, 1);
+            RETURN;
+        END
+
+        UPDATE dbo.CETAlertEvents
+        SET
+            status = N'resolved',
+            metricValue = ISNULL(@MetricValue, metricValue),
+            lastEvaluatedAt = SYSUTCDATETIME(),
+            resolvedAt = SYSUTCDATETIME()
+        OUTPUT
+            inserted.id,
+            inserted.ruleId,
+            inserted.ruleName,
+            inserted.groupKey,
+            inserted.severity,
+            inserted.status,
+            inserted.metricValue,
+            inserted.threshold,
+            inserted.message,
+            inserted.openedAt,
+            inserted.lastEvaluatedAt,
+            inserted.resolvedAt
+        WHERE
+            id = @EventId
+            AND status = N'open';
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,51 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETAlertEvents
+-- Description: Lists alert events, newest first
+-- Parameters:
+--   @Status - Only events in this status, open or resolved (optional)
+--   @RuleId - Only events of this rule (optional)
+--   @Top    - Maximum number of events returned (default 200)
+-- Returns: Event records ordered by openedAt DESC
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETAlertEvents
+    @Status NVARCHAR(20) = NULL,
+    @RuleId NVARCHAR(100) = NULL,
+    @Top INT = 200
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @Top IS NULL OR @Top < 1 SET @Top = 200;
+
+        SELECT TOP (@Top)
+            id,
+            ruleId,
+            ruleName,
+            groupKey,
+            severity,
+            status,
+            metricValue,
+            threshold,
+            message,
+            openedAt,
+            lastEvaluatedAt,
+            resolvedAt
+        FROM
+            dbo.CETAlertEvents
+        WHERE
+            (@Status IS NULL OR status = @Status)
+            AND (@RuleId IS NULL OR ruleId = @RuleId)
+        ORDER BY
+            openedAt DESC,
+            id DESC;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,83 @@
+-- =============================================
+-- Stored Procedure: usp_CreateCETNotificationDelivery
+-- Description: Logs a notification about to be sent through a channel
+-- Parameters:
+--   @ChannelId    - Channel identifier from notification-channels.yaml
+--   @ChannelType  - email, webhook, teams or slack
+--   @Kind         - threshold (alert rule event) or cetAlert (new CET alert row)
+--   @EventType    - opened, updated, resolved, new or test
+--   @AlertEventId - dbo.CETAlertEvents row the notification is about (optional)
+--   @Subject      - Rendered subject/title
+--   @Payload      - Rendered message sent to the channel (JSON or text)
+-- Returns: The newly created delivery record
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_CreateCETNotificationDelivery
+    @ChannelId NVARCHAR(100),
+    @ChannelType NVARCHAR(20),
+    @Kind NVARCHAR(20),
+    @EventType NVARCHAR(20),
+    @AlertEventId INT = NULL,
+    @Subject NVARCHAR(500),
+    @Payload NVARCHAR(MAX) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @ChannelId IS NULL OR @ChannelType IS NULL OR @Kind IS NULL OR @EventType IS NULL OR @Subject IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: ChannelId, ChannelType, Kind, EventType, Subject', 16, 1);
+            RETURN;
+        END
+
+        INSERT INTO dbo.CETNotificationDeliveries (
+            channelId,
+            channelType,
+            kind,
+            eventType,
+            alertEventId,
+            subject,
+            payload
+        )
+        VALUES (
+            @ChannelId,
+            @ChannelType,
+            @Kind,
+            @EventType,
+            @AlertEventId,
+            @Subject,
+            @Payload
+        );
+
+        DECLARE @NewId INT = SCOPE_IDENTITY();
+
+        SELECT
+            id,
+            channelId,
+            channelType,
+            kind,
+            eventType,
+            alertEventId,
+            subject,
+            payload,
+            status,
+            attempts,
+            lastError,
+            createdAt,
+            lastAttemptAt,
+            nextAttemptAt,
+            deliveredAt
+        FROM
+            dbo.CETNotificationDeliveries
+        WHERE
+            id = @NewId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
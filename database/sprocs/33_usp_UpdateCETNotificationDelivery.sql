@@ -0,0 +1,64 @@
+-- =============================================
+-- Stored Procedure: usp_UpdateCETNotificationDelivery
+-- Description: Records the outcome of a delivery attempt
+-- Parameters:
+--   @DeliveryId    - The delivery ID
+--   @Status        - retrying, delivered or failed
+--   @Attempts      - Attempts made so far
+--   @LastError     - Error of the last failed attempt (optional)
+--   @NextAttemptAt - When the next retry is due (retrying only)
+-- Returns: The updated delivery record, or empty if not found
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_UpdateCETNotificationDelivery
+    @DeliveryId INT,
+    @Status NVARCHAR(20),
+    @Attempts INT,
+    @LastError NVARCHAR(2000) = NULL,
+    @NextAttemptAt DATETIME2 = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @DeliveryId IS NULL OR @Status NOT IN (N'retrying', N'delivered', N'failed')
+        BEGIN
+            RAISERROR('A delivery ID and a status (retrying, delivered, failed) are required', 16, 1);
+            RETURN;
+        END
+
+        UPDATE dbo.CETNotificationDeliveries
+        SET
+            status = @Status,
+            attempts = @Attempts,
+            lastError = @LastError,
+            lastAttemptAt = SYSUTCDATETIME(),
+            nextAttemptAt = CASE WHEN @Status = N'retrying' THEN @NextAttemptAt ELSE NULL END,
+            deliveredAt = CASE WHEN @Status = N'delivered' THEN SYSUTCDATETIME() ELSE NULL END
+        OUTPUT
+            inserted.id,
+            inserted.channelId,
+            inserted.channelType,
+            inserted.kind,
+            inserted.eventType,
+            inserted.alertEventId,
+            inserted.subject,
+            inserted.payload,
+            inserted.status,
+            inserted.attempts,
+            inserted.lastError,
+            inserted.createdAt,
+            inserted.lastAttemptAt,
+            inserted.nextAttemptAt,
+            inserted.deliveredAt
+        WHERE
+            id = @DeliveryId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,54 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETNotificationDeliveries
+-- Description: Lists notification deliveries, newest first
+-- Parameters:
+--   @ChannelId - Only deliveries through this channel (optional)
+--   @Status    - Only deliveries in this status (optional)
+--   @Top       - Maximum number of deliveries returned (default 200)
+-- Returns: Delivery records ordered by createdAt DESC
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETNotificationDeliveries
+    @ChannelId NVARCHAR(100) = NULL,
+    @Status NVARCHAR(20) = NULL,
+    @Top INT = 200
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @Top IS NULL OR @Top < 1 SET @Top = 200;
+
+        SELECT TOP (@Top)
+            id,
+            channelId,
+            channelType,
+            kind,
+            eventType,
+            alertEventId,
+            subject,
+            payload,
+            status,
+            attempts,
+            lastError,
+            createdAt,
+            lastAttemptAt,
+            nextAttemptAt,
+            deliveredAt
+        FROM
+            dbo.CETNotificationDeliveries
+        WHERE
+            (@ChannelId IS NULL OR channelId = @ChannelId)
+            AND (@Status IS NULL OR status = @Status)
+        ORDER BY
+            createdAt DESC,
+            id DESC;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,44 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETIssueStates
+-- Description: Returns the workflow state of CET issues, with their note count
+-- Parameters:
+--   @IssueType - Only issues of this type: alerts, disabled, behind or slow (optional)
+--   @IssueKey  - Only this issue (optional)
+-- Returns: Issue state records
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETIssueStates
+    @IssueType NVARCHAR(20) = NULL,
+    @IssueKey NVARCHAR(100) = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        SELECT
+            s.issueKey,
+            s.issueType,
+            s.application,
+            s.status,
+            s.assignedTo,
+            s.acknowledgedBy,
+            s.acknowledgedAt,
+            s.resolvedBy,
+            s.resolvedAt,
+            s.updatedBy,
+            s.updatedAt,
+            (SELECT COUNT(*) FROM dbo.CETIssueNotes n WHERE n.issueKey = s.issueKey) AS noteCount
+        FROM
+            dbo.CETIssueStates s
+        WHERE
+            (@IssueType IS NULL OR s.issueType = @IssueType)
+            AND (@IssueKey IS NULL OR s.issueKey = @IssueKey);
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
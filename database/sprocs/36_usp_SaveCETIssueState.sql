@@ -0,0 +1,101 @@
+-- =============================================
+-- Stored Procedure: usp_SaveCETIssueState
+-- Description: Saves the workflow state of a CET issue, creating it on first use.
+--              The save only happens while the issue still has @ExpectedStatus and
+--              @ExpectedAssignedTo, so two people acting on the same issue at once
+--              cannot overwrite each other's status or owner.
+--              Acknowledgement is recorded the first time the issue leaves 'new';
+--              resolution details are kept only while the issue is resolved.
+-- Parameters:
+--   @IssueKey       - Stable issue identifier
+--   @IssueType      - alerts, disabled, behind or slow
+--   @Application    - CET application number of the issue row
+--   @ExpectedStatus - Status the caller based the change on (new when never saved)
+--   @ExpectedAssignedTo - Owner the caller based the change on (NULL when unassigned)
+--   @Status         - New status: new, acknowledged or resolved
+--   @AssignedTo     - Owner of the issue (NULL when unassigned)
+--   @UpdatedBy      - User making the change
+-- Returns: The saved state record, or no rows when the status or owner had changed meanwhile
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_SaveCETIssueState
+    @IssueKey NVARCHAR(100),
+    @IssueType NVARCHAR(20),
+    @Application NVARCHAR(50) = NULL,
+    @ExpectedStatus NVARCHAR(20),
+    @ExpectedAssignedTo NVARCHAR(256) = NULL,
+    @Status NVARCHAR(20),
+    @AssignedTo NVARCHAR(256) = NULL,
+    @UpdatedBy NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @IssueKey IS NULL OR @IssueType IS NULL OR @ExpectedStatus IS NULL OR @Status IS NULL OR @UpdatedBy IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: IssueKey, IssueType, ExpectedStatus, Status, UpdatedBy', 16, 1);
+            RETURN;
+        END
+
+        DECLARE @Saved BIT = 0;
+        DECLARE @Now DATETIME2 = SYSUTCDATETIME();
+
+        BEGIN TRANSACTION;
+
+        IF NOT EXISTS (SELECT 1 FROM dbo.CETIssueStates WITH (UPDLOCK, HOLDLOCK) WHERE issueKey = @IssueKey)
+        BEGIN
+            IF @ExpectedStatus = N'new'
+            BEGIN
+                INSERT INTO dbo.CETIssueStates (issueKey, issueType, application, status)
+                VALUES (@IssueKey, @IssueType, @Application, N'new');
+            END
+        END
+
+        UPDATE dbo.CETIssueStates
+        SET
+            status = @Status,
+            assignedTo = @AssignedTo,
+            acknowledgedBy = CASE WHEN @Status <> N'new' AND acknowledgedBy IS NULL THEN @UpdatedBy ELSE acknowledgedBy END,
+            acknowledgedAt = CASE WHEN @Status <> N'new' AND acknowledgedAt IS NULL THEN @Now ELSE acknowledgedAt END,
+            resolvedBy = CASE WHEN @Status = N'resolved' THEN @UpdatedBy ELSE NULL END,
+            resolvedAt = CASE WHEN @Status = N'resolved' THEN @Now ELSE NULL END,
+            updatedBy = @UpdatedBy,
+            updatedAt = @Now
+        WHERE
+            issueKey = @IssueKey
+            AND status = @ExpectedStatus
+            AND (assignedTo = @ExpectedAssignedTo OR (assignedTo IS NULL AND @ExpectedAssignedTo IS NULL));
+
+        SET @Saved = CASE WHEN @@ROWCOUNT > 0 THEN 1 ELSE 0 END;
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            s.issueKey,
+            s.issueType,
+            s.application,
+            s.status,
+            s.assignedTo,
+            s.acknowledgedBy,
+            s.acknowledgedAt,
+            s.resolvedBy,
+            s.resolvedAt,
+            s.updatedBy,
+            s.updatedAt,
+            (SELECT COUNT(*) FROM dbo.CETIssueNotes n WHERE n.issueKey = s.issueKey) AS noteCount
+        FROM
+            dbo.CETIssueStates s
+        WHERE
+            s.issueKey = @IssueKey
+            AND @Saved = 1;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,66 @@
+-- =============================================
+-- Stored Procedure: usp_AddCETIssueNote
+-- Description: Adds a note to a CET issue, creating its workflow state ('new') on first use
+-- Parameters:
+--   @IssueKey    - Stable issue identifier
+--   @IssueType   - alerts, disabled, behind or slow
+--   @Application - CET application number of the issue row
+--   @Author      - User adding the note
+--   @Note        - Note text
+-- Returns: The new note record
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_AddCETIssueNote
+    @IssueKey NVARCHAR(100),
+    @IssueType NVARCHAR(20),
+    @Application NVARCHAR(50) = NULL,
+    @Author NVARCHAR(256),
+    @Note NVARCHAR(4000)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @IssueKey IS NULL OR @IssueType IS NULL OR @Author IS NULL OR @Note IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: IssueKey, IssueType, Author, Note', 16, 1);
+            RETURN;
+        END
+
+        DECLARE @NoteId INT;
+
+        BEGIN TRANSACTION;
+
+        IF NOT EXISTS (SELECT 1 FROM dbo.CETIssueStates WITH (UPDLOCK, HOLDLOCK) WHERE issueKey = @IssueKey)
+        BEGIN
+            INSERT INTO dbo.CETIssueStates (issueKey, issueType, application, status, updatedBy)
+            VALUES (@IssueKey, @IssueType, @Application, N'new', @Author);
+        END
+
+        INSERT INTO dbo.CETIssueNotes (issueKey, author, note)
+        VALUES (@IssueKey, @Author, @Note);
+
+        SET @NoteId = SCOPE_IDENTITY();
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            id,
+            issueKey,
+            author,
+            note,
+            createdAt
+        FROM
+            dbo.CETIssueNotes
+        WHERE
+            id = @NoteId;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,37 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETIssueNotes
+-- Description: Returns the notes of a CET issue, oldest first
+-- Parameters:
+--   @IssueKey - Stable issue identifier
+-- Returns: Note records ordered by createdAt
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETIssueNotes
+    @IssueKey NVARCHAR(100)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        SELECT
+            id,
+            issueKey,
+            author,
+            note,
+            createdAt
+        FROM
+            dbo.CETIssueNotes
+        WHERE
+            issueKey = @IssueKey
+        ORDER BY
+            createdAt,
+            id;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
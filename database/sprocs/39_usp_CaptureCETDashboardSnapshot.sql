@@ -0,0 +1,127 @@
+-- =============================================
+-- Stored Procedure: usp_CaptureCETDashboardSnapshot
+-- Description: Copies the current per-app metrics of dbo.CETDashboard into
+--              dbo.CETDashboardSnapshots, and the depth of each queue of
+--              dbo.CETQueuesSummary into dbo.CETQueueDepthSnapshots with the messages
+--              enqueued and dequeued since the previous snapshot. Skips the capture when
+--              another snapshot was taken less than @MinIntervalSeconds ago (several app
+--              instances may run the snapshotter).
+-- Parameters:
+--   @MinIntervalSeconds - Minimum time since the previous snapshot (default 0)
+-- Returns: snapshotAt, apps and queues (rows copied) and captured (0 when skipped)
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_CaptureCETDashboardSnapshot
+    @MinIntervalSeconds INT = 0
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        DECLARE @Now DATETIME2(0) = SYSUTCDATETIME();
+        DECLARE @Apps INT = 0;
+        DECLARE @Queues INT = 0;
+        DECLARE @LastSnapshotAt DATETIME2(0);
+        DECLARE @LastQueueSnapshotAt DATETIME2(0);
+        DECLARE @LastQueueSnapshotLocal DATETIME2(0);
+
+        BEGIN TRANSACTION;
+
+        SELECT @LastSnapshotAt = MAX(snapshotAt)
+        FROM dbo.CETDashboardSnapshots WITH (UPDLOCK, HOLDLOCK);
+
+        IF @LastSnapshotAt IS NOT NULL
+            AND DATEDIFF(SECOND, @LastSnapshotAt, @Now) < ISNULL(@MinIntervalSeconds, 0)
+        BEGIN
+            COMMIT TRANSACTION;
+
+            SELECT @LastSnapshotAt AS snapshotAt, 0 AS apps, 0 AS queues, CAST(0 AS BIT) AS captured;
+            RETURN;
+        END
+
+        INSERT INTO dbo.CETDashboardSnapshots (
+            snapshotAt,
+            iGateApp,
+            cetApp,
+            messages,
+            issues,
+            alerts,
+            disabledQueues,
+            processesBehind,
+            slow
+        )
+        SELECT
+            @Now,
+            iGateApp,
+            cetApp,
+            ISNULL(messages, 0),
+            ISNULL(issues, 0),
+            ISNULL(alerts, 0),
+            ISNULL(disabledQueues, 0),
+            ISNULL(processesBehind, 0),
+            ISNULL(slow, 0)
+        FROM
+            dbo.CETDashboard;
+
+        SET @Apps = @@ROWCOUNT;
+
+        -- Queue depth, with the messages enqueued since the previous queue snapshot
+        -- (waiting messages enqueued after it) and the messages dequeued meanwhile
+        -- (previous depth + enqueued - depth)
+        SELECT @LastQueueSnapshotAt = MAX(snapshotAt)
+        FROM dbo.CETQueueDepthSnapshots;
+
+        -- Snapshots are in UTC, message enqueue times on the server's local clock
+        SET @LastQueueSnapshotLocal = DATEADD(MINUTE, DATEPART(TZOFFSET, SYSDATETIMEOFFSET()), @LastQueueSnapshotAt);
+
+        INSERT INTO dbo.CETQueueDepthSnapshots (
+            snapshotAt,
+            queueId,
+            queue,
+            status,
+            messages,
+            enqueued,
+            dequeued
+        )
+        SELECT
+            @Now,
+            q.id,
+            q.queue,
+            q.status,
+            ISNULL(q.messages, 0),
+            CASE WHEN previous.messages IS NULL THEN NULL ELSE added.enqueued END,
+            CASE
+                WHEN previous.messages IS NULL THEN NULL
+                WHEN previous.messages + added.enqueued - ISNULL(q.messages, 0) < 0 THEN 0
+                ELSE previous.messages + added.enqueued - ISNULL(q.messages, 0)
+            END
+        FROM
+            dbo.CETQueuesSummary q
+            OUTER APPLY (
+                SELECT TOP (1) s.messages
+                FROM dbo.CETQueueDepthSnapshots s
+                WHERE s.queueId = q.id
+                  AND s.snapshotAt = @LastQueueSnapshotAt
+            ) previous
+            CROSS APPLY (
+                SELECT COUNT(*) AS enqueued
+                FROM dbo.CETMessageDetails m
+                WHERE m.queueId = q.id
+                  AND m.messageEnqueueTime > @LastQueueSnapshotLocal
+            ) added;
+
+        SET @Queues = @@ROWCOUNT;
+
+        COMMIT TRANSACTION;
+
+        SELECT @Now AS snapshotAt, @Apps AS apps, @Queues AS queues, CAST(1 AS BIT) AS captured;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
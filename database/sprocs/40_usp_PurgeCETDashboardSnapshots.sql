@@ -0,0 +1,58 @@
+-- =============================================
+-- Stored Procedure: usp_PurgeCETDashboardSnapshots
+-- Description: Deletes dashboard and queue depth snapshots older than the retention
+--              period, in batches to keep the transaction log small
+-- Parameters:
+--   @RetentionDays - Days of history to keep
+-- Returns: deleted (number of snapshot rows removed, both tables)
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_PurgeCETDashboardSnapshots
+    @RetentionDays INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @RetentionDays IS NULL OR @RetentionDays < 1
+        BEGIN
+            RAISERROR('RetentionDays must be at least 1', 16, 1);
+            RETURN;
+        END
+
+        DECLARE @Cutoff DATETIME2(0) = DATEADD(DAY, -@RetentionDays, SYSUTCDATETIME());
+        DECLARE @Deleted INT = 0;
+        DECLARE @Batch INT = 1;
+
+        WHILE @Batch > 0
+        BEGIN
+            DELETE TOP (10000)
+            FROM dbo.CETDashboardSnapshots
+            WHERE snapshotAt < @Cutoff;
+
+            SET @Batch = @@ROWCOUNT;
+            SET @Deleted = @Deleted + @Batch;
+        END
+
+        SET @Batch = 1;
+
+        WHILE @Batch > 0
+        BEGIN
+            DELETE TOP (10000)
+            FROM dbo.CETQueueDepthSnapshots
+            WHERE snapshotAt < @Cutoff;
+
+            SET @Batch = @@ROWCOUNT;
+            SET @Deleted = @Deleted + @Batch;
+        END
+
+        SELECT @Deleted AS deleted;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,102 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETDashboardHistory
+-- Description: Returns dashboard metrics over time from dbo.CETDashboardSnapshots,
+--              in buckets of @BucketMinutes. Each bucket holds the highest value seen
+--              in it, so short spikes stay visible on long ranges.
+-- Parameters:
+--   @From          - Start of the range (inclusive)
+--   @To            - End of the range (exclusive)
+--   @BucketMinutes - Bucket size in minutes (default 15)
+--   @IGateApp      - Only this iGate app (optional)
+--   @CetApp        - Only this CET app (optional)
+--   @ByApp         - 1: one series per app; 0: totals across the selected apps (default 0)
+-- Returns: bucketStart, iGateApp, cetApp (NULL for totals) and the six metrics,
+--          ordered by bucketStart
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETDashboardHistory
+    @From DATETIME2(0),
+    @To DATETIME2(0),
+    @BucketMinutes INT = 15,
+    @IGateApp NVARCHAR(100) = NULL,
+    @CetApp NVARCHAR(255) = NULL,
+    @ByApp BIT = 0
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @From IS NULL OR @To IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: From, To', 16, 1);
+            RETURN;
+        END
+
+        IF @BucketMinutes IS NULL OR @BucketMinutes < 1 SET @BucketMinutes = 15;
+
+        WITH selected AS (
+            SELECT
+                snapshotAt,
+                CASE WHEN @ByApp = 1 THEN iGateApp END AS iGateApp,
+                CASE WHEN @ByApp = 1 THEN cetApp END AS cetApp,
+                messages,
+                issues,
+                alerts,
+                disabledQueues,
+                processesBehind,
+                slow
+            FROM
+                dbo.CETDashboardSnapshots
+            WHERE
+                snapshotAt >= @From
+                AND snapshotAt < @To
+                AND (@IGateApp IS NULL OR iGateApp = @IGateApp)
+                AND (@CetApp IS NULL OR cetApp = @CetApp)
+        ),
+        perSnapshot AS (
+            SELECT
+                snapshotAt,
+                iGateApp,
+                cetApp,
+                SUM(messages) AS messages,
+                SUM(issues) AS issues,
+                SUM(alerts) AS alerts,
+                SUM(disabledQueues) AS disabledQueues,
+                SUM(processesBehind) AS processesBehind,
+                SUM(slow) AS slow
+            FROM
+                selected
+            GROUP BY
+                snapshotAt,
+                iGateApp,
+                cetApp
+        )
+        SELECT
+            DATEADD(MINUTE, (DATEDIFF(MINUTE, @From, snapshotAt) / @BucketMinutes) * @BucketMinutes, @From) AS bucketStart,
+            iGateApp,
+            cetApp,
+            MAX(messages) AS messages,
+            MAX(issues) AS issues,
+            MAX(alerts) AS alerts,
+            MAX(disabledQueues) AS disabledQueues,
+            MAX(processesBehind) AS processesBehind,
+            MAX(slow) AS slow
+        FROM
+            perSnapshot
+        GROUP BY
+            DATEADD(MINUTE, (DATEDIFF(MINUTE, @From, snapshotAt) / @BucketMinutes) * @BucketMinutes, @From),
+            iGateApp,
+            cetApp
+        ORDER BY
+            bucketStart,
+            iGateApp,
+            cetApp;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
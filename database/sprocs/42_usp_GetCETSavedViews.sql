@@ -0,0 +1,55 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETSavedViews
+-- Description: Returns the saved views of a table a user can load: the user's own
+--              views and the views shared by others. isDefault marks the user's default.
+-- Parameters:
+--   @TableId - DataTable element id
+--   @User    - Current user
+-- Returns: Saved view records, own views first, then by name
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETSavedViews
+    @TableId NVARCHAR(100),
+    @User NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @TableId IS NULL OR @User IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: TableId, User', 16, 1);
+            RETURN;
+        END
+
+        SELECT
+            v.viewId,
+            v.tableId,
+            v.name,
+            v.owner,
+            v.shared,
+            v.viewState,
+            CAST(CASE WHEN d.viewId IS NULL THEN 0 ELSE 1 END AS BIT) AS isDefault,
+            v.createdAt,
+            v.updatedAt
+        FROM
+            dbo.CETSavedViews v
+            LEFT JOIN dbo.CETSavedViewDefaults d
+                ON d.viewId = v.viewId
+                AND d.tableId = @TableId
+                AND d.userName = @User
+        WHERE
+            v.tableId = @TableId
+            AND (v.owner = @User OR v.shared = 1)
+        ORDER BY
+            CASE WHEN v.owner = @User THEN 0 ELSE 1 END,
+            v.name;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,82 @@
+-- =============================================
+-- Stored Procedure: usp_SaveCETSavedView
+-- Description: Creates a saved view, or updates one owned by @Owner.
+--              Only the owner can change a view, shared or not.
+-- Parameters:
+--   @ViewId    - View to update (NULL creates a view)
+--   @TableId   - DataTable element id
+--   @Name      - View name, unique per owner and table
+--   @Owner     - Current user
+--   @Shared    - 1 to share the view with the team
+--   @ViewState - View as JSON (filters, search, order, columns)
+-- Returns: The saved view record, or no rows when @ViewId is not a view of @Owner
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_SaveCETSavedView
+    @ViewId INT = NULL,
+    @TableId NVARCHAR(100),
+    @Name NVARCHAR(100),
+    @Owner NVARCHAR(256),
+    @Shared BIT = 0,
+    @ViewState NVARCHAR(MAX)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @TableId IS NULL OR @Name IS NULL OR @Owner IS NULL OR @ViewState IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: TableId, Name, Owner, ViewState', 16, 1);
+            RETURN;
+        END
+
+        IF @ViewId IS NULL
+        BEGIN
+            INSERT INTO dbo.CETSavedViews (tableId, name, owner, shared, viewState)
+            VALUES (@TableId, @Name, @Owner, ISNULL(@Shared, 0), @ViewState);
+
+            SET @ViewId = SCOPE_IDENTITY();
+        END
+        ELSE
+        BEGIN
+            UPDATE dbo.CETSavedViews
+            SET
+                name = @Name,
+                shared = ISNULL(@Shared, 0),
+                viewState = @ViewState,
+                updatedAt = SYSUTCDATETIME()
+            WHERE
+                viewId = @ViewId
+                AND tableId = @TableId
+                AND owner = @Owner;
+
+            IF @@ROWCOUNT = 0 SET @ViewId = NULL;
+        END
+
+        SELECT
+            v.viewId,
+            v.tableId,
+            v.name,
+            v.owner,
+            v.shared,
+            v.viewState,
+            CAST(CASE WHEN d.viewId IS NULL THEN 0 ELSE 1 END AS BIT) AS isDefault,
+            v.createdAt,
+            v.updatedAt
+        FROM
+            dbo.CETSavedViews v
+            LEFT JOIN dbo.CETSavedViewDefaults d
+                ON d.viewId = v.viewId
+                AND d.tableId = v.tableId
+                AND d.userName = @Owner
+        WHERE
+            v.viewId = @ViewId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
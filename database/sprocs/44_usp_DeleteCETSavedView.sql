@@ -0,0 +1,43 @@
+-- =============================================
+-- Stored Procedure: usp_DeleteCETSavedView
+-- Description: Deletes a saved view owned by @Owner. Users who opened the table
+--              with it (as their default) fall back to the table's configured view.
+-- Parameters:
+--   @ViewId  - View to delete
+--   @TableId - DataTable element id
+--   @Owner   - Current user
+-- Returns: deleted - 1 when the view was deleted, 0 when it is not a view of @Owner
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_DeleteCETSavedView
+    @ViewId INT,
+    @TableId NVARCHAR(100),
+    @Owner NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @ViewId IS NULL OR @TableId IS NULL OR @Owner IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: ViewId, TableId, Owner', 16, 1);
+            RETURN;
+        END
+
+        -- Defaults pointing at the view are removed by FK_CETSavedViewDefaults_view
+        DELETE FROM dbo.CETSavedViews
+        WHERE
+            viewId = @ViewId
+            AND tableId = @TableId
+            AND owner = @Owner;
+
+        SELECT @@ROWCOUNT AS deleted;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
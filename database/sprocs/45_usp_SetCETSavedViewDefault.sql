@@ -0,0 +1,67 @@
+-- =============================================
+-- Stored Procedure: usp_SetCETSavedViewDefault
+-- Description: Sets the view a user opens a table with, or clears it.
+--              The view must be one the user can load (own or shared).
+-- Parameters:
+--   @TableId - DataTable element id
+--   @User    - Current user
+--   @ViewId  - Default view (NULL clears the default)
+-- Returns: viewId of the default (NULL when cleared), or no rows when @ViewId
+--          is not a view the user can load
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_SetCETSavedViewDefault
+    @TableId NVARCHAR(100),
+    @User NVARCHAR(256),
+    @ViewId INT = NULL
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @TableId IS NULL OR @User IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: TableId, User', 16, 1);
+            RETURN;
+        END
+
+        IF @ViewId IS NULL
+        BEGIN
+            DELETE FROM dbo.CETSavedViewDefaults WHERE tableId = @TableId AND userName = @User;
+            SELECT CAST(NULL AS INT) AS viewId;
+            RETURN;
+        END
+
+        IF NOT EXISTS (
+            SELECT 1 FROM dbo.CETSavedViews
+            WHERE viewId = @ViewId AND tableId = @TableId AND (owner = @User OR shared = 1)
+        )
+        BEGIN
+            RETURN;
+        END
+
+        BEGIN TRANSACTION;
+
+        UPDATE dbo.CETSavedViewDefaults WITH (UPDLOCK, HOLDLOCK)
+        SET viewId = @ViewId, updatedAt = SYSUTCDATETIME()
+        WHERE tableId = @TableId AND userName = @User;
+
+        IF @@ROWCOUNT = 0
+        BEGIN
+            INSERT INTO dbo.CETSavedViewDefaults (tableId, userName, viewId)
+            VALUES (@TableId, @User, @ViewId);
+        END
+
+        COMMIT TRANSACTION;
+
+        SELECT @ViewId AS viewId;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
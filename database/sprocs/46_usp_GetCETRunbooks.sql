@@ -0,0 +1,45 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETRunbooks
+-- Description: Returns the runbook entries, for the admin page and for matching them
+--              against the issue rows.
+-- Parameters:
+--   @ActiveOnly - 1 to leave out inactive entries (default 0)
+-- Returns: Runbook records ordered by title
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETRunbooks
+    @ActiveOnly BIT = 0
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        SELECT
+            runbookId,
+            title,
+            url,
+            steps,
+            category,
+            application,
+            pattern,
+            active,
+            createdBy,
+            createdAt,
+            updatedBy,
+            updatedAt
+        FROM
+            dbo.CETRunbooks
+        WHERE
+            ISNULL(@ActiveOnly, 0) = 0 OR active = 1
+        ORDER BY
+            title,
+            runbookId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,89 @@
+-- =============================================
+-- Stored Procedure: usp_SaveCETRunbook
+-- Description: Creates a runbook entry, or updates one
+-- Parameters:
+--   @RunbookId   - Entry to update (NULL creates an entry)
+--   @Title       - Title shown on the issue rows
+--   @Url         - Link to the remediation steps (NULL when @Steps holds them)
+--   @Steps       - Remediation steps as text (optional)
+--   @Category    - alerts, disabled, behind or slow (NULL for every category)
+--   @Application - CET application number (NULL for every application)
+--   @Pattern     - Text pattern matched against the alert text (optional)
+--   @Active      - 0 to keep the entry without showing it
+--   @User        - Current user (recorded as creator or last editor)
+-- Returns: The saved runbook record, or no rows when @RunbookId does not exist
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_SaveCETRunbook
+    @RunbookId INT = NULL,
+    @Title NVARCHAR(200),
+    @Url NVARCHAR(500) = NULL,
+    @Steps NVARCHAR(MAX) = NULL,
+    @Category NVARCHAR(20) = NULL,
+    @Application NVARCHAR(50) = NULL,
+    @Pattern NVARCHAR(500) = NULL,
+    @Active BIT = 1,
+    @User NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @Title IS NULL OR @User IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: Title, User', 16, 1);
+            RETURN;
+        END
+
+        IF @RunbookId IS NULL
+        BEGIN
+            INSERT INTO dbo.CETRunbooks (title, url, steps, category, application, pattern, active, createdBy, updatedBy)
+            VALUES (@Title, @Url, @Steps, @Category, @Application, @Pattern, ISNULL(@Active, 1), @User, @User);
+
+            SET @RunbookId = SCOPE_IDENTITY();
+        END
+        ELSE
+        BEGIN
+            UPDATE dbo.CETRunbooks
+            SET
+                title = @Title,
+                url = @Url,
+                steps = @Steps,
+                category = @Category,
+                application = @Application,
+                pattern = @Pattern,
+                active = ISNULL(@Active, 1),
+                updatedBy = @User,
+                updatedAt = SYSUTCDATETIME()
+            WHERE
+                runbookId = @RunbookId;
+
+            IF @@ROWCOUNT = 0 SET @RunbookId = NULL;
+        END
+
+        SELECT
+            runbookId,
+            title,
+            url,
+            steps,
+            category,
+            application,
+            pattern,
+            active,
+            createdBy,
+            createdAt,
+            updatedBy,
+            updatedAt
+        FROM
+            dbo.CETRunbooks
+        WHERE
+            runbookId = @RunbookId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
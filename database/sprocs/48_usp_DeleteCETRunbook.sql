@@ -0,0 +1,34 @@
+-- =============================================
+-- Stored Procedure: usp_DeleteCETRunbook
+-- Description: Deletes a runbook entry
+-- Parameters:
+--   @RunbookId - Entry to delete
+-- Returns: deleted - 1 when the entry was deleted, 0 when it does not exist
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_DeleteCETRunbook
+    @RunbookId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @RunbookId IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: RunbookId', 16, 1);
+            RETURN;
+        END
+
+        DELETE FROM dbo.CETRunbooks
+        WHERE runbookId = @RunbookId;
+
+        SELECT @@ROWCOUNT AS deleted;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
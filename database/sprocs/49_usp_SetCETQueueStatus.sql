@@ -0,0 +1,88 @@
+-- =============================================
+-- Stored Procedure: usp_SetCETQueueStatus
+-- Description: Enables or disables a queue and records the change in dbo.CETQueueActions.
+--              A queue already in the requested status is left unchanged and not audited.
+-- Parameters:
+--   @QueueId - Queue to change
+--   @Status  - Enabled or Disabled
+--   @Reason  - Why the operator changed the queue
+--   @User    - Current user (recorded in the audit entry)
+-- Returns: The queue record with affectedCount (1 when changed, 0 when already in @Status)
+--          and the actionId of the audit entry, or no rows when the queue does not exist
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_SetCETQueueStatus
+    @QueueId INT,
+    @Status NVARCHAR(20),
+    @Reason NVARCHAR(1000),
+    @User NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET XACT_ABORT ON;
+
+    BEGIN TRY
+        IF @QueueId IS NULL OR @Status IS NULL OR @Reason IS NULL OR @User IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: QueueId, Status, Reason, User', 16, 1);
+            RETURN;
+        END
+
+        IF @Status NOT IN (N'Enabled', N'Disabled')
+        BEGIN
+            RAISERROR('Invalid @Status: use Enabled or Disabled', 16, 1);
+            RETURN;
+        END
+
+        DECLARE @PreviousStatus NVARCHAR(20);
+        DECLARE @Queue NVARCHAR(255);
+        DECLARE @AffectedCount INT = 0;
+        DECLARE @ActionId INT = NULL;
+
+        BEGIN TRANSACTION;
+
+        SELECT @PreviousStatus = status, @Queue = queue
+        FROM dbo.CETQueuesSummary WITH (UPDLOCK, HOLDLOCK)
+        WHERE id = @QueueId;
+
+        IF @Queue IS NOT NULL AND @PreviousStatus <> @Status
+        BEGIN
+            UPDATE dbo.CETQueuesSummary
+            SET status = @Status
+            WHERE id = @QueueId;
+
+            SET @AffectedCount = 1;
+
+            INSERT INTO dbo.CETQueueActions (queueId, queue, action, reason, previousStatus, newStatus, affectedCount, performedBy)
+            VALUES (@QueueId, @Queue, CASE WHEN @Status = N'Enabled' THEN N'enable' ELSE N'disable' END,
+                    @Reason, @PreviousStatus, @Status, @AffectedCount, @User);
+
+            SET @ActionId = SCOPE_IDENTITY();
+        END
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            id,
+            app,
+            appName,
+            queue,
+            status,
+            messages,
+            @AffectedCount AS affectedCount,
+            @ActionId AS actionId
+        FROM
+            dbo.CETQueuesSummary
+        WHERE
+            id = @QueueId;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
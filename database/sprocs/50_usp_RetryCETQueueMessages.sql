@@ -0,0 +1,84 @@
+-- =============================================
+-- Stored Procedure: usp_RetryCETQueueMessages
+-- Description: Re-enqueues the stuck messages of a queue (enqueued more than
+--              @StuckMinutes ago) so the engine picks them up again, and records the
+--              retry in dbo.CETQueueActions
+-- Parameters:
+--   @QueueId      - Queue to retry
+--   @StuckMinutes - Age after which a waiting message counts as stuck
+--   @Reason       - Why the operator retried the queue
+--   @User         - Current user (recorded in the audit entry)
+-- Returns: The queue record with affectedCount (messages re-enqueued) and the actionId
+--          of the audit entry, or no rows when the queue does not exist
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_RetryCETQueueMessages
+    @QueueId INT,
+    @StuckMinutes INT = 30,
+    @Reason NVARCHAR(1000),
+    @User NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET XACT_ABORT ON;
+
+    BEGIN TRY
+        IF @QueueId IS NULL OR @Reason IS NULL OR @User IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: QueueId, Reason, User', 16, 1);
+            RETURN;
+        END
+
+        DECLARE @Queue NVARCHAR(255);
+        DECLARE @Status NVARCHAR(20);
+        DECLARE @AffectedCount INT = 0;
+        DECLARE @ActionId INT = NULL;
+
+        BEGIN TRANSACTION;
+
+        SELECT @Queue = queue, @Status = status
+        FROM dbo.CETQueuesSummary WITH (UPDLOCK, HOLDLOCK)
+        WHERE id = @QueueId;
+
+        IF @Queue IS NOT NULL
+        BEGIN
+            UPDATE dbo.CETMessageDetails
+            SET messageEnqueueTime = SYSDATETIME()
+            WHERE
+                queueId = @QueueId
+                AND messageEnqueueTime < DATEADD(MINUTE, -ISNULL(@StuckMinutes, 30), SYSDATETIME());
+
+            SET @AffectedCount = @@ROWCOUNT;
+
+            INSERT INTO dbo.CETQueueActions (queueId, queue, action, reason, previousStatus, newStatus, affectedCount, performedBy)
+            VALUES (@QueueId, @Queue, N'retry', @Reason, @Status, @Status, @AffectedCount, @User);
+
+            SET @ActionId = SCOPE_IDENTITY();
+        END
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            id,
+            app,
+            appName,
+            queue,
+            status,
+            messages,
+            @AffectedCount AS affectedCount,
+            @ActionId AS actionId
+        FROM
+            dbo.CETQueuesSummary
+        WHERE
+            id = @QueueId;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,90 @@
+-- =============================================
+-- Stored Procedure: usp_PurgeCETQueue
+-- Description: Deletes every waiting message of a queue (with its payload), resets its
+--              message count and records the purge in dbo.CETQueueActions. The messages
+--              cannot be recovered.
+-- Parameters:
+--   @QueueId - Queue to purge
+--   @Reason  - Why the operator purged the queue
+--   @User    - Current user (recorded in the audit entry)
+-- Returns: The queue record with affectedCount (messages deleted) and the actionId of
+--          the audit entry, or no rows when the queue does not exist
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_PurgeCETQueue
+    @QueueId INT,
+    @Reason NVARCHAR(1000),
+    @User NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET XACT_ABORT ON;
+
+    BEGIN TRY
+        IF @QueueId IS NULL OR @Reason IS NULL OR @User IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: QueueId, Reason, User', 16, 1);
+            RETURN;
+        END
+
+        DECLARE @Queue NVARCHAR(255);
+        DECLARE @Status NVARCHAR(20);
+        DECLARE @AffectedCount INT = 0;
+        DECLARE @ActionId INT = NULL;
+
+        BEGIN TRANSACTION;
+
+        SELECT @Queue = queue, @Status = status
+        FROM dbo.CETQueuesSummary WITH (UPDLOCK, HOLDLOCK)
+        WHERE id = @QueueId;
+
+        IF @Queue IS NOT NULL
+        BEGIN
+            DELETE p
+            FROM
+                dbo.CETMessagePayloads p
+                INNER JOIN dbo.CETMessageDetails m ON m.id = p.messageId
+            WHERE
+                m.queueId = @QueueId;
+
+            DELETE FROM dbo.CETMessageDetails
+            WHERE queueId = @QueueId;
+
+            SET @AffectedCount = @@ROWCOUNT;
+
+            UPDATE dbo.CETQueuesSummary
+            SET messages = 0
+            WHERE id = @QueueId;
+
+            INSERT INTO dbo.CETQueueActions (queueId, queue, action, reason, previousStatus, newStatus, affectedCount, performedBy)
+            VALUES (@QueueId, @Queue, N'purge', @Reason, @Status, @Status, @AffectedCount, @User);
+
+            SET @ActionId = SCOPE_IDENTITY();
+        END
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            id,
+            app,
+            appName,
+            queue,
+            status,
+            messages,
+            @AffectedCount AS affectedCount,
+            @ActionId AS actionId
+        FROM
+            dbo.CETQueuesSummary
+        WHERE
+            id = @QueueId;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,44 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETQueueActions
+-- Description: Retrieves the audit log of queue control actions, most recent first
+-- Parameters:
+--   @QueueId - Only the actions of this queue (NULL for every queue)
+--   @Top     - Maximum number of entries (default 100)
+-- Returns: Audit entries of dbo.CETQueueActions
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETQueueActions
+    @QueueId INT = NULL,
+    @Top INT = 100
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        SELECT TOP (ISNULL(@Top, 100))
+            actionId,
+            queueId,
+            queue,
+            action,
+            reason,
+            previousStatus,
+            newStatus,
+            affectedCount,
+            performedBy,
+            performedAt
+        FROM
+            dbo.CETQueueActions
+        WHERE
+            @QueueId IS NULL OR queueId = @QueueId
+        ORDER BY
+            performedAt DESC,
+            actionId DESC;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,54 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETMessage
+-- Description: One queue message with its queue and the content and processing state
+--              recorded in dbo.CETMessagePayloads (message inspector of /cet-queues)
+-- Parameters:
+--   @MessageId - Message id (dbo.CETMessageDetails.id)
+-- Returns: The message with contentType, headers, body, retryCount, lastError and
+--          lastErrorAt (NULL when the engine recorded no payload), or no rows when the
+--          message does not exist
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETMessage
+    @MessageId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @MessageId IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: MessageId', 16, 1);
+            RETURN;
+        END
+
+        SELECT
+            m.id,
+            m.queueId,
+            m.queue,
+            q.app,
+            q.appName,
+            q.status AS queueStatus,
+            m.messageEnqueueTime,
+            m.criticalSection,
+            p.contentType,
+            p.headers,
+            p.body,
+            ISNULL(p.retryCount, 0) AS retryCount,
+            p.lastError,
+            p.lastErrorAt
+        FROM
+            dbo.CETMessageDetails m
+            LEFT JOIN dbo.CETQueuesSummary q ON q.id = m.queueId
+            LEFT JOIN dbo.CETMessagePayloads p ON p.messageId = m.id
+        WHERE
+            m.id = @MessageId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,101 @@
+-- =============================================
+-- Stored Procedure: usp_ReplayCETMessages
+-- Description: Enqueues messages again so the engine processes them once more,
+--              counts the attempt in dbo.CETMessagePayloads and records one replay
+--              entry per queue in dbo.CETQueueActions
+-- Parameters:
+--   @MessageIds - JSON array of message ids (e.g. '[12,13,40]')
+--   @Reason     - Why the operator replayed the messages
+--   @User       - Current user (recorded in the audit entries)
+-- Returns: The replayed messages (id, queueId, queue, messageEnqueueTime,
+--          criticalSection, retryCount); ids of messages that no longer exist are skipped
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_ReplayCETMessages
+    @MessageIds NVARCHAR(MAX),
+    @Reason NVARCHAR(1000),
+    @User NVARCHAR(256)
+AS
+BEGIN
+    SET NOCOUNT ON;
+    SET XACT_ABORT ON;
+
+    BEGIN TRY
+        IF @MessageIds IS NULL OR @Reason IS NULL OR @User IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: MessageIds, Reason, User', 16, 1);
+            RETURN;
+        END
+
+        SELECT DISTINCT TRY_CAST(value AS INT) AS messageId
+        INTO #Ids
+        FROM OPENJSON(@MessageIds)
+        WHERE TRY_CAST(value AS INT) IS NOT NULL;
+
+        BEGIN TRANSACTION;
+
+        UPDATE m
+        SET messageEnqueueTime = SYSDATETIME()
+        FROM
+            dbo.CETMessageDetails m WITH (UPDLOCK)
+            INNER JOIN #Ids i ON i.messageId = m.id;
+
+        UPDATE p
+        SET retryCount = p.retryCount + 1
+        FROM
+            dbo.CETMessagePayloads p
+            INNER JOIN #Ids i ON i.messageId = p.messageId;
+
+        INSERT INTO dbo.CETMessagePayloads (messageId, retryCount)
+        SELECT i.messageId, 1
+        FROM
+            #Ids i
+            INNER JOIN dbo.CETMessageDetails m ON m.id = i.messageId
+        WHERE
+            NOT EXISTS (SELECT 1 FROM dbo.CETMessagePayloads p WHERE p.messageId = i.messageId);
+
+        INSERT INTO dbo.CETQueueActions (queueId, queue, action, reason, previousStatus, newStatus, affectedCount, performedBy)
+        SELECT
+            m.queueId,
+            m.queue,
+            N'replay',
+            @Reason,
+            q.status,
+            q.status,
+            COUNT(*),
+            @User
+        FROM
+            dbo.CETMessageDetails m
+            INNER JOIN #Ids i ON i.messageId = m.id
+            LEFT JOIN dbo.CETQueuesSummary q ON q.id = m.queueId
+        GROUP BY
+            m.queueId,
+            m.queue,
+            q.status;
+
+        COMMIT TRANSACTION;
+
+        SELECT
+            m.id,
+            m.queueId,
+            m.queue,
+            m.messageEnqueueTime,
+            m.criticalSection,
+            p.retryCount
+        FROM
+            dbo.CETMessageDetails m
+            INNER JOIN #Ids i ON i.messageId = m.id
+            LEFT JOIN dbo.CETMessagePayloads p ON p.messageId = m.id
+        ORDER BY
+            m.id;
+
+    END TRY
+    BEGIN CATCH
+        IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION;
+
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
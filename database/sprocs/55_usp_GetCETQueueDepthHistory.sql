@@ -0,0 +1,106 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETQueueDepthHistory
+-- Description: Returns queue depth over time from dbo.CETQueueDepthSnapshots, in
+--              buckets of @BucketMinutes. Each bucket holds the highest depth seen in
+--              it and the messages enqueued and dequeued during it.
+-- Parameters:
+--   @From          - Start of the range (inclusive)
+--   @To            - End of the range (exclusive)
+--   @BucketMinutes - Bucket size in minutes (default 15)
+--   @QueueId       - Only this queue (optional)
+--   @ByQueue       - 1: one series per queue; 0: totals across the selected queues (default 0)
+-- Returns: bucketStart, queueId, queue, status (NULL for totals; status of the last
+--          snapshot in the bucket), messages, enqueued and dequeued, ordered by bucketStart
+-- Created: 2026-10-18
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETQueueDepthHistory
+    @From DATETIME2(0),
+    @To DATETIME2(0),
+    @BucketMinutes INT = 15,
+    @QueueId INT = NULL,
+    @ByQueue BIT = 0
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @From IS NULL OR @To IS NULL
+        BEGIN
+            RAISERROR('Required parameters cannot be NULL: From, To', 16, 1);
+            RETURN;
+        END
+
+        IF @BucketMinutes IS NULL OR @BucketMinutes < 1 SET @BucketMinutes = 15;
+
+        WITH selected AS (
+            SELECT
+                snapshotAt,
+                CASE WHEN @ByQueue = 1 THEN queueId END AS queueId,
+                CASE WHEN @ByQueue = 1 THEN queue END AS queue,
+                CASE WHEN @ByQueue = 1 THEN status END AS status,
+                messages,
+                enqueued,
+                dequeued
+            FROM
+                dbo.CETQueueDepthSnapshots
+            WHERE
+                snapshotAt >= @From
+                AND snapshotAt < @To
+                AND (@QueueId IS NULL OR queueId = @QueueId)
+        ),
+        perSnapshot AS (
+            SELECT
+                snapshotAt,
+                queueId,
+                queue,
+                MAX(status) AS status,
+                SUM(messages) AS messages,
+                SUM(enqueued) AS enqueued,
+                SUM(dequeued) AS dequeued,
+                DATEADD(MINUTE, (DATEDIFF(MINUTE, @From, snapshotAt) / @BucketMinutes) * @BucketMinutes, @From) AS bucketStart
+            FROM
+                selected
+            GROUP BY
+                snapshotAt,
+                queueId,
+                queue
+        ),
+        lastStatus AS (
+            SELECT
+                bucketStart,
+                queueId,
+                status,
+                ROW_NUMBER() OVER (PARTITION BY bucketStart, queueId ORDER BY snapshotAt DESC) AS position
+            FROM
+                perSnapshot
+        )
+        SELECT
+            p.bucketStart,
+            p.queueId,
+            p.queue,
+            MAX(l.status) AS status,
+            MAX(p.messages) AS messages,
+            SUM(p.enqueued) AS enqueued,
+            SUM(p.dequeued) AS dequeued
+        FROM
+            perSnapshot p
+            LEFT JOIN lastStatus l
+                ON l.bucketStart = p.bucketStart
+                AND (l.queueId = p.queueId OR (l.queueId IS NULL AND p.queueId IS NULL))
+                AND l.position = 1
+        GROUP BY
+            p.bucketStart,
+            p.queueId,
+            p.queue
+        ORDER BY
+            p.bucketStart,
+            p.queueId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,39 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETMessageAges
+-- Description: Age of every waiting queue message, measured on the server's clock
+--              (message enqueue times are local server times, so the age cannot be
+--              computed against the application's UTC clock)
+-- Returns: id, queueId, messageEnqueueTime and ageSeconds (0 for future times),
+--          ordered by queueId and messageEnqueueTime
+-- Created: 2026-10-19
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETMessageAges
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        DECLARE @Now DATETIME2(0) = SYSDATETIME();
+
+        SELECT
+            id,
+            queueId,
+            messageEnqueueTime,
+            CASE
+                WHEN messageEnqueueTime > @Now THEN 0
+                ELSE DATEDIFF(SECOND, messageEnqueueTime, @Now)
+            END AS ageSeconds
+        FROM
+            dbo.CETMessageDetails
+        ORDER BY
+            queueId,
+            messageEnqueueTime;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
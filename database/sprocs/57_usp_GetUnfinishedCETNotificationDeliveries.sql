@@ -0,0 +1,46 @@
+-- =============================================
+-- Stored Procedure: usp_GetUnfinishedCETNotificationDeliveries
+-- Description: Lists the notification deliveries still pending or retrying, so the
+--              application resumes them after a restart (their retries are timers
+--              held in memory)
+-- Returns: Delivery records ordered by createdAt, oldest first
+-- Created: 2026-10-19
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetUnfinishedCETNotificationDeliveries
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        SELECT
+            id,
+            channelId,
+            channelType,
+            kind,
+            eventType,
+            alertEventId,
+            subject,
+            payload,
+            status,
+            attempts,
+            lastError,
+            createdAt,
+            lastAttemptAt,
+            nextAttemptAt,
+            deliveredAt
+        FROM
+            dbo.CETNotificationDeliveries
+        WHERE
+            status IN (N'pending', N'retrying')
+        ORDER BY
+            createdAt,
+            id;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
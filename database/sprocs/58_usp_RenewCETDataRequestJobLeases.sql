@@ -0,0 +1,41 @@
+-- =============================================
+-- Stored Procedure: usp_RenewCETDataRequestJobLeases
+-- Description: Extends the leases of the running jobs of one worker, so a job whose
+--              extraction step outlasts the lease is not requeued while it still runs
+-- Parameters:
+--   @WorkerId     - The worker process
+--   @LeaseSeconds - New lease from now
+-- Returns: renewed - Number of jobs whose lease was extended
+-- Created: 2026-10-19
+-- =============================================
+CREATE PROCEDURE dbo.usp_RenewCETDataRequestJobLeases
+    @WorkerId NVARCHAR(100),
+    @LeaseSeconds INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @WorkerId IS NULL OR @LeaseSeconds IS NULL OR @LeaseSeconds < 1
+        BEGIN
+            RAISERROR('A worker ID and a positive lease are required', 16, 1);
+            RETURN;
+        END
+
+        UPDATE dbo.CETDataRequestJobs
+        SET
+            leaseExpiresAt = DATEADD(SECOND, @LeaseSeconds, SYSUTCDATETIME())
+        WHERE
+            status = N'running'
+            AND workerId = @WorkerId;
+
+        SELECT @@ROWCOUNT AS renewed;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
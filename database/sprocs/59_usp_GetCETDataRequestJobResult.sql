@@ -0,0 +1,36 @@
+-- =============================================
+-- Stored Procedure: usp_GetCETDataRequestJobResult
+-- Description: Retrieves the extracted rows of a succeeded data request job
+-- Parameters: @JobId - The job ID
+-- Returns: jobId and resultData (JSON array), or empty when the job has no result
+-- Created: 2026-10-19
+-- =============================================
+CREATE PROCEDURE dbo.usp_GetCETDataRequestJobResult
+    @JobId INT
+AS
+BEGIN
+    SET NOCOUNT ON;
+
+    BEGIN TRY
+        IF @JobId IS NULL
+        BEGIN
+            RAISERROR('Parameter @JobId cannot be NULL', 16, 1);
+            RETURN;
+        END
+
+        SELECT
+            jobId,
+            resultData
+        FROM
+            dbo.CETDataRequestJobResults
+        WHERE
+            jobId = @JobId;
+
+    END TRY
+    BEGIN CATCH
+        DECLARE @ErrorMessage NVARCHAR(4000) = ERROR_MESSAGE();
+        DECLARE @ErrorSeverity INT = ERROR_SEVERITY();
+        DECLARE @ErrorState INT = ERROR_STATE();
+        RAISERROR (@ErrorMessage, @ErrorSeverity, @ErrorState);
+    END CATCH
+END
@@ -0,0 +1,38 @@
+-- =============================================
+-- Table: CETDataRequestJobs
+-- Description: Background data extraction jobs submitted from the request form
+--              (POST /api/request-data), one row per request
+-- Status values: queued, running, succeeded, failed, cancelled
+-- Running jobs hold a lease: workerId is the worker process running the job, which
+-- renews leaseExpiresAt while it runs; a job whose lease expired is requeued
+-- (usp_RequeueInterruptedCETDataRequestJobs). The extracted rows of succeeded jobs
+-- are kept in dbo.CETDataRequestJobResults.
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETDataRequestJobs', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETDataRequestJobs (
+        id INT IDENTITY(1, 1) NOT NULL PRIMARY KEY,
+        appId INT NOT NULL,
+        appName NVARCHAR(255) NOT NULL,
+        startDateTime DATETIME2 NOT NULL,
+        endDateTime DATETIME2 NOT NULL,
+        status NVARCHAR(20) NOT NULL DEFAULT N'queued',
+        progress INT NOT NULL DEFAULT 0,
+        totalRecords INT NULL,
+        recordCount INT NOT NULL DEFAULT 0,
+        workerId NVARCHAR(100) NULL,
+        leaseExpiresAt DATETIME2 NULL,
+        errorMessage NVARCHAR(4000) NULL,
+        cancelRequested BIT NOT NULL DEFAULT 0,
+        requestedBy NVARCHAR(100) NULL,
+        createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        startedAt DATETIME2 NULL,
+        completedAt DATETIME2 NULL,
+        CONSTRAINT CK_CETDataRequestJobs_status
+            CHECK (status IN (N'queued', N'running', N'succeeded', N'failed', N'cancelled'))
+    );
+
+    CREATE INDEX IX_CETDataRequestJobs_status ON dbo.CETDataRequestJobs (status, createdAt);
+    CREATE INDEX IX_CETDataRequestJobs_requestedBy ON dbo.CETDataRequestJobs (requestedBy, createdAt);
+END
@@ -0,0 +1,37 @@
+-- =============================================
+-- Table: CETAlertEvents
+-- Description: Alert events raised by the server-side rules engine
+--              (services/alertRulesService.js). One row per breach of a rule for a
+--              group (e.g. one CET app); the row is resolved when the breach clears.
+-- Status values: open, resolved
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETAlertEvents', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETAlertEvents (
+        id INT IDENTITY(1, 1) NOT NULL PRIMARY KEY,
+        ruleId NVARCHAR(100) NOT NULL,
+        ruleName NVARCHAR(255) NOT NULL,
+        groupKey NVARCHAR(255) NOT NULL DEFAULT N'',
+        severity NVARCHAR(20) NOT NULL,
+        status NVARCHAR(20) NOT NULL DEFAULT N'open',
+        metricValue FLOAT NULL,
+        threshold FLOAT NULL,
+        message NVARCHAR(1000) NOT NULL,
+        openedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        lastEvaluatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        resolvedAt DATETIME2 NULL,
+        CONSTRAINT CK_CETAlertEvents_status
+            CHECK (status IN (N'open', N'resolved')),
+        CONSTRAINT CK_CETAlertEvents_severity
+            CHECK (severity IN (N'warning', N'danger'))
+    );
+
+    -- At most one open event per rule and group, so several app instances
+    -- evaluating the same rules cannot open duplicates
+    CREATE UNIQUE INDEX UX_CETAlertEvents_open
+        ON dbo.CETAlertEvents (ruleId, groupKey)
+        WHERE status = N'open';
+
+    CREATE INDEX IX_CETAlertEvents_status ON dbo.CETAlertEvents (status, openedAt);
+END
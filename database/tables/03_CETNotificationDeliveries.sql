@@ -0,0 +1,32 @@
+-- =============================================
+-- Table: CETNotificationDeliveries
+-- Description: Delivery log of alert notifications (services/notificationService.js),
+--              one row per notification and channel, updated after every attempt
+-- Status values: pending, retrying, delivered, failed
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETNotificationDeliveries', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETNotificationDeliveries (
+        id INT IDENTITY(1, 1) NOT NULL PRIMARY KEY,
+        channelId NVARCHAR(100) NOT NULL,
+        channelType NVARCHAR(20) NOT NULL,
+        kind NVARCHAR(20) NOT NULL,
+        eventType NVARCHAR(20) NOT NULL,
+        alertEventId INT NULL,
+        subject NVARCHAR(500) NOT NULL,
+        payload NVARCHAR(MAX) NULL,
+        status NVARCHAR(20) NOT NULL DEFAULT N'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        lastError NVARCHAR(2000) NULL,
+        createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        lastAttemptAt DATETIME2 NULL,
+        nextAttemptAt DATETIME2 NULL,
+        deliveredAt DATETIME2 NULL,
+        CONSTRAINT CK_CETNotificationDeliveries_status
+            CHECK (status IN (N'pending', N'retrying', N'delivered', N'failed'))
+    );
+
+    CREATE INDEX IX_CETNotificationDeliveries_status ON dbo.CETNotificationDeliveries (status, createdAt);
+    CREATE INDEX IX_CETNotificationDeliveries_channel ON dbo.CETNotificationDeliveries (channelId, createdAt);
+END
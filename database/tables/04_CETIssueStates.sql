@@ -0,0 +1,33 @@
+-- =============================================
+-- Table: CETIssueStates
+-- Description: Workflow state of the issues listed on /cet-issues (alerts, disabled
+--              queues, processes behind, slow processes). The issue rows themselves
+--              come from the monitoring procedures; this table only records who
+--              acknowledged, owns and resolved each one (services/issueWorkflowService.js).
+-- Keys: issueKey is derived from the identifying fields of the issue row, so it
+--       stays the same across refreshes (see ISSUE_TYPES in issueWorkflowService.js)
+-- Status values: new, acknowledged, resolved
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETIssueStates', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETIssueStates (
+        issueKey NVARCHAR(100) NOT NULL PRIMARY KEY,
+        issueType NVARCHAR(20) NOT NULL,
+        application NVARCHAR(50) NULL,
+        status NVARCHAR(20) NOT NULL DEFAULT N'new',
+        assignedTo NVARCHAR(256) NULL,
+        acknowledgedBy NVARCHAR(256) NULL,
+        acknowledgedAt DATETIME2 NULL,
+        resolvedBy NVARCHAR(256) NULL,
+        resolvedAt DATETIME2 NULL,
+        updatedBy NVARCHAR(256) NULL,
+        updatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT CK_CETIssueStates_status
+            CHECK (status IN (N'new', N'acknowledged', N'resolved')),
+        CONSTRAINT CK_CETIssueStates_issueType
+            CHECK (issueType IN (N'alerts', N'disabled', N'behind', N'slow'))
+    );
+
+    CREATE INDEX IX_CETIssueStates_issueType ON dbo.CETIssueStates (issueType, status);
+END
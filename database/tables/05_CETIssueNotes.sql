@@ -0,0 +1,20 @@
+-- =============================================
+-- Table: CETIssueNotes
+-- Description: Notes added to CET issues from the /cet-issues workflow dialog.
+--              Linked to dbo.CETIssueStates by issueKey.
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETIssueNotes', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETIssueNotes (
+        id INT IDENTITY(1, 1) NOT NULL PRIMARY KEY,
+        issueKey NVARCHAR(100) NOT NULL,
+        author NVARCHAR(256) NOT NULL,
+        note NVARCHAR(4000) NOT NULL,
+        createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT FK_CETIssueNotes_issueKey
+            FOREIGN KEY (issueKey) REFERENCES dbo.CETIssueStates (issueKey)
+    );
+
+    CREATE INDEX IX_CETIssueNotes_issueKey ON dbo.CETIssueNotes (issueKey, createdAt);
+END
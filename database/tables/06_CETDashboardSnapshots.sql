@@ -0,0 +1,27 @@
+-- =============================================
+-- Table: CETDashboardSnapshots
+-- Description: Point-in-time copies of the per-app metrics in dbo.CETDashboard, taken
+--              on a schedule by services/dashboardHistoryService.js so trends can be
+--              charted (GET /api/history/dashboard, /cet-history). Rows older than
+--              SNAPSHOT_RETENTION_DAYS are purged by usp_PurgeCETDashboardSnapshots.
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETDashboardSnapshots', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETDashboardSnapshots (
+        id BIGINT IDENTITY(1, 1) NOT NULL PRIMARY KEY,
+        snapshotAt DATETIME2(0) NOT NULL,
+        iGateApp NVARCHAR(100) NOT NULL,
+        cetApp NVARCHAR(255) NOT NULL,
+        messages INT NOT NULL DEFAULT 0,
+        issues INT NOT NULL DEFAULT 0,
+        alerts INT NOT NULL DEFAULT 0,
+        disabledQueues INT NOT NULL DEFAULT 0,
+        processesBehind INT NOT NULL DEFAULT 0,
+        slow INT NOT NULL DEFAULT 0
+    );
+
+    CREATE INDEX IX_CETDashboardSnapshots_snapshotAt
+        ON dbo.CETDashboardSnapshots (snapshotAt)
+        INCLUDE (iGateApp, cetApp, messages, issues, alerts, disabledQueues, processesBehind, slow);
+END
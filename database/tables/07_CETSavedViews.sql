@@ -0,0 +1,43 @@
+-- =============================================
+-- Table: CETSavedViews
+-- Description: Named views of the dashboard tables (filters, search, sort, column
+--              visibility and order), saved by a user and optionally shared with the
+--              team (services/savedViewService.js). The view itself is stored as JSON.
+-- Keys: tableId is the DataTable element id; names are unique per owner and table
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETSavedViews', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETSavedViews (
+        viewId INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        tableId NVARCHAR(100) NOT NULL,
+        name NVARCHAR(100) NOT NULL,
+        owner NVARCHAR(256) NOT NULL,
+        shared BIT NOT NULL DEFAULT 0,
+        viewState NVARCHAR(MAX) NOT NULL,
+        createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        updatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT UQ_CETSavedViews_name UNIQUE (tableId, owner, name),
+        CONSTRAINT CK_CETSavedViews_viewState CHECK (ISJSON(viewState) = 1)
+    );
+
+    CREATE INDEX IX_CETSavedViews_shared ON dbo.CETSavedViews (tableId, shared);
+END
+
+-- =============================================
+-- Table: CETSavedViewDefaults
+-- Description: The view each user opens a table with. May point at the user's own
+--              view or at a view shared by someone else.
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETSavedViewDefaults', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETSavedViewDefaults (
+        tableId NVARCHAR(100) NOT NULL,
+        userName NVARCHAR(256) NOT NULL,
+        viewId INT NOT NULL
+            CONSTRAINT FK_CETSavedViewDefaults_view REFERENCES dbo.CETSavedViews (viewId) ON DELETE CASCADE,
+        updatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT PK_CETSavedViewDefaults PRIMARY KEY (tableId, userName)
+    );
+END
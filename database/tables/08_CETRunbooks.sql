@@ -0,0 +1,33 @@
+-- =============================================
+-- Table: CETRunbooks
+-- Description: Runbook and knowledge-base links shown next to the issues they help
+--              with (services/runbookService.js). An entry matches an issue row when
+--              every criterion it sets matches: the issue category, the CET application
+--              and a text pattern on the alert text (case-insensitive, * for any text,
+--              | between alternatives).
+-- Categories: alerts, disabled, behind, slow (NULL matches every category)
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETRunbooks', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETRunbooks (
+        runbookId INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        title NVARCHAR(200) NOT NULL,
+        url NVARCHAR(500) NULL,
+        steps NVARCHAR(MAX) NULL,
+        category NVARCHAR(20) NULL,
+        application NVARCHAR(50) NULL,
+        pattern NVARCHAR(500) NULL,
+        active BIT NOT NULL DEFAULT 1,
+        createdBy NVARCHAR(256) NOT NULL,
+        createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        updatedBy NVARCHAR(256) NOT NULL,
+        updatedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT CK_CETRunbooks_category
+            CHECK (category IS NULL OR category IN (N'alerts', N'disabled', N'behind', N'slow')),
+        CONSTRAINT CK_CETRunbooks_criteria
+            CHECK (category IS NOT NULL OR application IS NOT NULL OR pattern IS NOT NULL),
+        CONSTRAINT CK_CETRunbooks_content
+            CHECK (url IS NOT NULL OR steps IS NOT NULL)
+    );
+END
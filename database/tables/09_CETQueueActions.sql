@@ -0,0 +1,28 @@
+-- =============================================
+-- Table: CETQueueActions
+-- Description: Audit log of the queue control actions run from /cet-queues
+--              (services/queueActionService.js) and of message replays
+--              (services/queueMessageService.js). Written by the action procedures in
+--              the same transaction as the change, so every change has its entry.
+-- Action values: enable, disable, retry, purge, replay
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETQueueActions', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETQueueActions (
+        actionId INT IDENTITY(1, 1) NOT NULL PRIMARY KEY,
+        queueId INT NOT NULL,
+        queue NVARCHAR(255) NOT NULL,
+        action NVARCHAR(20) NOT NULL,
+        reason NVARCHAR(1000) NOT NULL,
+        previousStatus NVARCHAR(20) NULL,
+        newStatus NVARCHAR(20) NULL,
+        affectedCount INT NOT NULL DEFAULT 0,
+        performedBy NVARCHAR(256) NOT NULL,
+        performedAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+        CONSTRAINT CK_CETQueueActions_action
+            CHECK (action IN (N'enable', N'disable', N'retry', N'purge', N'replay'))
+    );
+
+    CREATE INDEX IX_CETQueueActions_queueId ON dbo.CETQueueActions (queueId, performedAt);
+END
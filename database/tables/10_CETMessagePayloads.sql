@@ -0,0 +1,25 @@
+-- =============================================
+-- Table: CETMessagePayloads
+-- Description: Content and processing state of the queue messages listed in
+--              dbo.CETMessageDetails (one row per message, same id). Written by the CET
+--              engine when a message is enqueued and each time processing fails; read
+--              by the message inspector of /cet-queues (services/queueMessageService.js).
+-- Columns:
+--   headers    - Message headers as a JSON object
+--   body       - Message body as received (XML, JSON or text)
+--   retryCount - Processing attempts after the first one, replays included
+--   lastError  - Error of the last failed attempt (NULL when none failed)
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETMessagePayloads', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETMessagePayloads (
+        messageId INT NOT NULL PRIMARY KEY,
+        contentType NVARCHAR(100) NULL,
+        headers NVARCHAR(MAX) NULL,
+        body NVARCHAR(MAX) NULL,
+        retryCount INT NOT NULL DEFAULT 0,
+        lastError NVARCHAR(4000) NULL,
+        lastErrorAt DATETIME2 NULL
+    );
+END
@@ -0,0 +1,36 @@
+-- =============================================
+-- Table: CETQueueDepthSnapshots
+-- Description: Point-in-time depth (message count) of each queue in dbo.CETQueuesSummary,
+--              captured with the dashboard snapshots (usp_CaptureCETDashboardSnapshot)
+--              so queue trends and growing queues can be detected
+--              (services/queueDepthService.js, GET /api/history/queues). Rows older than
+--              SNAPSHOT_RETENTION_DAYS are purged by usp_PurgeCETDashboardSnapshots.
+-- Columns:
+--   messages - Queue depth at snapshotAt
+--   enqueued - Messages enqueued since the queue's previous snapshot (waiting messages
+--              with a later enqueue time; NULL on the first snapshot)
+--   dequeued - Messages processed since the previous snapshot, estimated as
+--              previous depth + enqueued - depth (NULL on the first snapshot)
+-- Created: 2026-10-18
+-- =============================================
+IF OBJECT_ID(N'dbo.CETQueueDepthSnapshots', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETQueueDepthSnapshots (
+        id BIGINT IDENTITY(1, 1) NOT NULL PRIMARY KEY,
+        snapshotAt DATETIME2(0) NOT NULL,
+        queueId INT NOT NULL,
+        queue NVARCHAR(255) NOT NULL,
+        status NVARCHAR(20) NOT NULL,
+        messages INT NOT NULL DEFAULT 0,
+        enqueued INT NULL,
+        dequeued INT NULL
+    );
+
+    CREATE INDEX IX_CETQueueDepthSnapshots_snapshotAt
+        ON dbo.CETQueueDepthSnapshots (snapshotAt)
+        INCLUDE (queueId, queue, status, messages, enqueued, dequeued);
+
+    CREATE INDEX IX_CETQueueDepthSnapshots_queueId
+        ON dbo.CETQueueDepthSnapshots (queueId, snapshotAt)
+        INCLUDE (messages);
+END
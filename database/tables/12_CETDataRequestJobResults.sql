@@ -0,0 +1,18 @@
+-- =============================================
+-- Table: CETDataRequestJobResults
+-- Description: Extracted rows of succeeded data request jobs (one row per job), kept
+--              in the database so every application instance can serve the download
+--              whichever instance ran the job
+-- Columns:
+--   resultData - The rows as a JSON array
+-- Created: 2026-10-19
+-- =============================================
+IF OBJECT_ID(N'dbo.CETDataRequestJobResults', N'U') IS NULL
+BEGIN
+    CREATE TABLE dbo.CETDataRequestJobResults (
+        jobId INT NOT NULL PRIMARY KEY
+            CONSTRAINT FK_CETDataRequestJobResults_job REFERENCES dbo.CETDataRequestJobs (id) ON DELETE CASCADE,
+        resultData NVARCHAR(MAX) NOT NULL,
+        createdAt DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+    );
+END
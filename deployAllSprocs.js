@@ -3,6 +3,8 @@
  * Created: 2026-01-17
  * 
  * Script to deploy all stored procedures to the database
+ * Tables in database/tables are created first (each script is idempotent), then
+ * the stored procedures in database/sprocs.
  * Run with: node deployAllSprocs.js
  */
 
@@ -10,11 +12,47 @@ const fs = require('fs');
 const path = require('path');
 const dbService = require('./services/dbService');
 
+/**
+ * Create the application-owned tables (jobs, ...) if they do not exist yet
+ * @returns {Promise<number>} Number of failed scripts
+ */
+const deployTables = async () => {
+  const tablesDir = path.join(__dirname, 'database', 'tables');
+  if (!fs.existsSync(tablesDir)) return 0;
+
+  const files = fs.readdirSync(tablesDir)
+    .filter(f => f.endsWith('.sql'))
+    .sort();
+
+  let failCount = 0;
+
+  for (const file of files) {
+    const tableName = file.replace('.sql', '').replace(/^\d+_/, '');
+
+    try {
+      console.log(`Creating table ${tableName} (if missing)...`);
+      const sql = fs.readFileSync(path.join(tablesDir, file), 'utf8');
+      // executeQuery reports failures in its result instead of throwing
+      const result = await dbService.executeQuery(sql);
+      if (!result.success) throw new Error(result.error);
+      console.log(`  ✓ ${tableName} ready`);
+    } catch (error) {
+      console.log(`  ✗ ${tableName} failed: ${error.message}`);
+      failCount++;
+    }
+  }
+
+  console.log();
+  return failCount;
+};
+
 const deploySprocs = async () => {
   console.log('========================================');
   console.log('Deploying Stored Procedures');
   console.log('========================================\n');
 
+  const tableFailures = await deployTables();
+
   const sprocsDir = path.join(__dirname, 'database', 'sprocs');
   const files = fs.readdirSync(sprocsDir)
     .filter(f => f.endsWith('.sql'))
@@ -31,11 +69,13 @@ const deploySprocs = async () => {
       console.log(`Creating ${sprocName}...`);
       const sql = fs.readFileSync(filePath, 'utf8');
       
-      await dbService.executeQuery(sql);
+      const result = await dbService.executeQuery(sql);
+      if (!result.success) throw new Error(result.error);
       
       // Grant permissions
       const grantSql = `GRANT EXECUTE ON dbo.${sprocName} TO nodejs_user;`;
-      await dbService.executeQuery(grantSql);
+      const grantResult = await dbService.executeQuery(grantSql);
+      if (!grantResult.success) throw new Error(grantResult.error);
       
       console.log(`  ✓ ${sprocName} created successfully`);
       successCount++;
@@ -47,6 +87,9 @@ const deploySprocs = async () => {
 
   console.log('\n========================================');
   console.log(`Summary: ${successCount} succeeded, ${failCount} failed`);
+  if (tableFailures > 0) {
+    console.log(`         ${tableFailures} table script(s) failed`);
+  }
   console.log('========================================\n');
 
   // Test a few key procedures
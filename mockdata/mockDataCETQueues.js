@@ -1,9 +1,10 @@
 /**
  * Mock Data for CET Queues View
  * 
- * Contains 2 datasets:
+ * Contains 3 datasets:
  * 1. Queue Summary - Aggregated message counts per queue
  * 2. Message Details - Detailed message records with timestamps
+ * 3. Message Payloads - Body, headers, retries and last error of each message
  */
 
 // 1. Queue Summary - Top table showing queue status and message counts
@@ -187,6 +188,19 @@ const cetQueuesSummary = [
 ];
 
 // 2. Message Details - Bottom table showing individual message records
+// The sample messages were enqueued between 10:15 and 12:57 of one day; that day is moved
+// so it ends when the server starts, giving the queue ages (queueAgeService) a realistic
+// spread from a few minutes to a few hours
+const SAMPLE_DAY_END = new Date(2025, 11, 2, 12, 57, 0);
+const SAMPLE_OFFSET_MS = Date.now() - SAMPLE_DAY_END.getTime();
+
+// Format a time the way the message enqueue times are stored: M/D/YYYY HH:MM:SS
+const formatEnqueueTime = (date) => {
+  const pad = value => value.toString().padStart(2, '0');
+  return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
 // Helper function to generate messages with incrementing IDs
 const generateMessages = (startId, queueId, queue, count, baseHour, baseMinute) => {
   const messages = [];
@@ -195,11 +209,12 @@ const generateMessages = (startId, queueId, queue, count, baseHour, baseMinute)
     const hour = baseHour + Math.floor(minute / 60);
     const adjustedMinute = minute % 60;
     const second = (i * 17) % 60;
+    const sampleTime = new Date(2025, 11, 2, hour, adjustedMinute, second);
     messages.push({
       id: startId + i,
       queueId: queueId,
       queue: queue,
-      messageEnqueueTime: `12/2/2025 ${hour.toString().padStart(2, '0')}:${adjustedMinute.toString().padStart(2, '0')}:${second.toString().padStart(2, '0')}`,
+      messageEnqueueTime: formatEnqueueTime(new Date(sampleTime.getTime() + SAMPLE_OFFSET_MS)),
       criticalSection: (i % 6) + 1
     });
   }
@@ -272,6 +287,60 @@ const cetMessageDetails = [
   ...generateMessages(messageId + 272, 22, 'CET/Pharmacy/5201/3/0/Queue', 19, 10, 42)
 ];
 
+// 3. Message Payloads - Content and processing state of each message (message inspector)
+// Disabled queues hold messages that failed; the others are waiting their turn
+const disabledQueueIds = cetQueuesSummary.filter(queue => queue.status === 'Disabled').map(queue => queue.id);
+
+const PAYLOAD_ERRORS = [
+  'Connection timeout after 30000ms while calling the instruction endpoint',
+  'Violation of PRIMARY KEY constraint PK_Instruction. Cannot insert duplicate key',
+  'Invalid message: element OrderDate is missing',
+  'Transaction (Process ID 71) was deadlocked on lock resources'
+];
+
+// Helper function to build the payload of a message: XML, JSON or plain text bodies
+const buildPayload = (message) => {
+  const failed = disabledQueueIds.includes(message.queueId) || message.id % 9 === 0;
+  const [date, time] = message.messageEnqueueTime.split(' ');
+  const correlationId = `CET-${message.queueId}-${String(message.id).padStart(6, '0')}`;
+
+  let contentType = 'application/xml';
+  let body = `<?xml version="1.0" encoding="UTF-8"?><Instruction id="${message.id}"><Queue>${message.queue}</Queue>` +
+    `<CriticalSection>${message.criticalSection}</CriticalSection><Patient><Mrn>${100000 + message.id * 37}</Mrn>` +
+    `<Encounter>${200000 + message.id * 11}</Encounter></Patient><Orders><Order code="LAB${message.id % 5}" priority="routine"/></Orders></Instruction>`;
+
+  if (message.id % 3 === 1) {
+    contentType = 'application/json';
+    body = JSON.stringify({
+      instructionId: message.id,
+      queue: message.queue,
+      criticalSection: message.criticalSection,
+      patient: { mrn: 100000 + message.id * 37, encounter: 200000 + message.id * 11 },
+      orders: [{ code: `LAB${message.id % 5}`, priority: 'routine' }]
+    });
+  } else if (message.id % 10 === 5) {
+    contentType = 'text/plain';
+    body = `MSH|^~\\&|CET|${message.queueId}|ENGINE|1|${date} ${time}||ORM^O01|${correlationId}|P|2.3`;
+  }
+
+  return {
+    messageId: message.id,
+    contentType,
+    headers: JSON.stringify({
+      correlationId,
+      source: message.queue.split('/')[1],
+      priority: message.criticalSection <= 2 ? 'high' : 'normal',
+      enqueuedBy: 'cet-engine'
+    }),
+    body,
+    retryCount: failed ? (message.id % 4) + 1 : 0,
+    lastError: failed ? PAYLOAD_ERRORS[message.id % PAYLOAD_ERRORS.length] : null,
+    lastErrorAt: failed ? `${date} ${time}` : null
+  };
+};
+
+const cetMessagePayloads = cetMessageDetails.map(buildPayload);
+
 /**
  * File: mockDataCETQueues.js
  * Created: 2025-12-09 16:20:02
@@ -280,5 +349,6 @@ const cetMessageDetails = [
 
 module.exports = {
   cetQueuesSummary,
-  cetMessageDetails
+  cetMessageDetails,
+  cetMessagePayloads
 };
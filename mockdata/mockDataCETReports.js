@@ -480,6 +480,23 @@ const cetReportsDetail = [
     updates: 251,
     inserts: 19123,
     lastUpdated: new Date('2024-12-15T09:58:00').toISOString()
+  },
+  // Previous day's last run of Critical Section 1, crossing midnight
+  {
+    id: 22,
+    step: 1,
+    subStep: 1,
+    criticalSection: 1,
+    segmentDate: '20251116',
+    segmentTime: '235900',
+    waitTime: 31,
+    startTime: '235931',
+    endTime: '000043',
+    duration: 72,
+    deletes: 0,
+    updates: 301,
+    inserts: 88912,
+    lastUpdated: new Date('2024-12-14T23:59:00').toISOString()
   }
 ];
 
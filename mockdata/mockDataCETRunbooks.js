@@ -0,0 +1,85 @@
+/**
+ * Mock Data for CET Runbooks
+ * 
+ * Runbook and knowledge-base entries matched to the issues on /cet-issues
+ * (see services/runbookService.js and database/tables/08_CETRunbooks.sql)
+ */
+
+const seededAt = new Date('2026-10-01T09:00:00').toISOString();
+
+const mockCETRunbooksData = [
+  {
+    runbookId: 1,
+    title: 'Re-enable a disabled queue',
+    url: 'https://wiki.example.com/cet/runbooks/re-enable-queue',
+    steps: '1. Check the last error of the queue.\n2. Fix the cause (connection, poison message).\n3. Re-enable the queue and watch the backlog drain.',
+    category: 'disabled',
+    application: null,
+    pattern: null,
+    active: true,
+    createdBy: 'system',
+    createdAt: seededAt,
+    updatedBy: 'system',
+    updatedAt: seededAt
+  },
+  {
+    runbookId: 2,
+    title: 'ESR inbound queue connection failures',
+    url: 'https://wiki.example.com/cet/runbooks/esr-inbound-connection',
+    steps: null,
+    category: 'disabled',
+    application: '1097',
+    pattern: 'ESR_PRIMARY_INBOUND',
+    active: true,
+    createdBy: 'system',
+    createdAt: seededAt,
+    updatedBy: 'system',
+    updatedAt: seededAt
+  },
+  {
+    runbookId: 3,
+    title: 'Primary key violations in engine instructions',
+    url: 'https://wiki.example.com/cet/runbooks/pk-violation',
+    steps: 'Find the duplicate instruction rows, remove the duplicate and re-run the critical section.',
+    category: 'alerts',
+    application: null,
+    pattern: 'Violation of PRIMARY',
+    active: true,
+    createdBy: 'system',
+    createdAt: seededAt,
+    updatedBy: 'system',
+    updatedAt: seededAt
+  },
+  {
+    runbookId: 4,
+    title: 'Deadlocks and blocking',
+    url: 'https://wiki.example.com/cet/runbooks/deadlocks',
+    steps: null,
+    category: null,
+    application: null,
+    pattern: 'deadlock|blocking',
+    active: true,
+    createdBy: 'system',
+    createdAt: seededAt,
+    updatedBy: 'system',
+    updatedAt: seededAt
+  },
+  {
+    runbookId: 5,
+    title: 'Process behind schedule',
+    url: 'https://wiki.example.com/cet/runbooks/process-behind',
+    steps: null,
+    category: 'behind',
+    application: null,
+    pattern: null,
+    active: true,
+    createdBy: 'system',
+    createdAt: seededAt,
+    updatedBy: 'system',
+    updatedAt: seededAt
+  }
+];
+
+module.exports = {
+  mockCETRunbooksData
+};
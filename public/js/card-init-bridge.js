@@ -6,7 +6,7 @@
  * are registered from the local helpers.
  * 
  * ARCHITECTURE:
- * - card-kit (library in /js/lib/card-kit/) provides: core init, helpers, state management
+ * - card-kit (library in /js/lib/card-kit/) provides: core init, helpers, state management, chart cards
  * - This project provides: CET-specific card handlers, page-specific logic
  */
 
@@ -36,13 +36,29 @@ import {
   showToast,
   loadCardConfig,
   initializeCardsFromConfig,
+  HISTORY_BASELINES,
+  getThresholdVariant,
+  getCardHistory,
+  getHistoryDelta,
+  renderSparkline,
+  renderCardTrend,
+  METRIC_AGGREGATES,
+  matchesWhere,
+  computeCardMetric,
+  getCardConfigFromDOM,
+  CHART_TYPES,
+  buildChartData,
+  initializeChartCard,
+  initializeChartCards,
+  refreshChartCard,
+  getChartCard,
   setup,
   createMetricCard,
   VERSION
 } from './lib/card-kit/index.js';
 
 // Import CET-specific card handlers (project-specific customizations)
-import { updateDashboardCard } from './lib/card-kit/handlers/card-custom-handlers.js';
+import { updateDashboardCard, bindCardMetrics } from './lib/card-kit/handlers/card-custom-handlers.js';
 
 // Re-export everything for use by other modules in this app
 export {
@@ -72,19 +88,43 @@ export {
   loadCardConfig,
   initializeCardsFromConfig,
   
+  // History functions
+  HISTORY_BASELINES,
+  getThresholdVariant,
+  getCardHistory,
+  getHistoryDelta,
+  renderSparkline,
+  renderCardTrend,
+  
+  // Metric functions
+  METRIC_AGGREGATES,
+  matchesWhere,
+  computeCardMetric,
+  getCardConfigFromDOM,
+  
+  // Chart functions
+  CHART_TYPES,
+  buildChartData,
+  initializeChartCard,
+  initializeChartCards,
+  refreshChartCard,
+  getChartCard,
+  
   // Convenience functions
   setup,
   createMetricCard,
   VERSION,
   
   // CET-specific 
-  updateDashboardCard
+  updateDashboardCard,
+  bindCardMetrics
 };
 
 // Auto-initialize cards on DOM ready
 document.addEventListener('DOMContentLoaded', () => {
   console.log('Card Init Bridge: Auto-initializing cards...');
   initializeCards();
+  initializeChartCards();
 });
 
 console.log('✅ Card Init Bridge loaded - using card-kit library v' + VERSION);
@@ -283,6 +283,214 @@ export function renderQueueStatus(data, type) {
   return data;
 }
 
+/**
+ * Render data request job status badge
+ * 
+ * Displays the state of a background data request job.
+ * 
+ * STATUS INDICATORS:
+ * - queued → grey badge with hourglass icon
+ * - running → blue badge with spinning arrows icon
+ * - succeeded → green badge with check icon
+ * - failed → red badge with warning icon
+ * - cancelled → dark badge with slash icon
+ * 
+ * @param {string} data - Status ('queued', 'running', 'succeeded', 'failed', 'cancelled')
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for badge
+ */
+export function renderJobStatus(data, type) {
+  if (type === 'display') {
+    const statusMap = {
+      'queued': '<span class="badge bg-secondary"><i class="bi bi-hourglass-split"></i> Queued</span>',
+      'running': '<span class="badge bg-primary"><i class="bi bi-arrow-repeat"></i> Running</span>',
+      'succeeded': '<span class="badge bg-success"><i class="bi bi-check-circle-fill"></i> Succeeded</span>',
+      'failed': '<span class="badge bg-danger"><i class="bi bi-exclamation-triangle-fill"></i> Failed</span>',
+      'cancelled': '<span class="badge bg-dark"><i class="bi bi-slash-circle"></i> Cancelled</span>'
+    };
+    return statusMap[data] || `<span class="badge bg-secondary">${data}</span>`;
+  }
+  return data;
+}
+
+/**
+ * Render data request job actions
+ * 
+ * Buttons of the My Requests table. Clicks are handled by my-requests-page.js
+ * through the data-job-action attribute.
+ * 
+ * ACTIONS:
+ * - Re-submit → queue the same app and time range again
+ * - Clone → open the request form prefilled, so the range can be edited
+ * - CSV / JSON → download the output (succeeded jobs only)
+ * 
+ * @param {number} data - Job ID
+ * @param {string} type - DataTables render type
+ * @param {object} row - Full job row (uses downloadUrls)
+ * @returns {string} HTML string for the action buttons
+ */
+export function renderJobActions(data, type, row) {
+  if (type === 'display') {
+    const downloads = row.downloadUrls
+      ? `<a class="btn btn-outline-success" href="${row.downloadUrls.csv}" title="Download CSV" aria-label="Download job ${data} as CSV">
+          <i class="bi bi-filetype-csv"></i>
+        </a>
+        <a class="btn btn-outline-success" href="${row.downloadUrls.json}" title="Download JSON" aria-label="Download job ${data} as JSON">
+          <i class="bi bi-filetype-json"></i>
+        </a>`
+      : '';
+
+    return `<div class="btn-group btn-group-sm" role="group">
+      <button type="button" class="btn btn-outline-primary" data-job-action="rerun" data-job-id="${data}" title="Re-submit" aria-label="Re-submit job ${data}">
+        <i class="bi bi-arrow-clockwise"></i>
+      </button>
+      <button type="button" class="btn btn-outline-secondary" data-job-action="clone" data-job-id="${data}" title="Clone with a new time range" aria-label="Clone job ${data}">
+        <i class="bi bi-copy"></i>
+      </button>
+      ${downloads}
+    </div>`;
+  }
+  return data;
+}
+
+/**
+ * Escape HTML entities in user-entered text (issue owners and notes)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+  return String(text).replace(/[&<>"']/g, m => map[m]);
+}
+
+/**
+ * Name of the signed-in user, as shown in the navbar (header.ejs)
+ * @returns {string|null} User name
+ */
+function getCurrentUser() {
+  const element = document.getElementById('currentUser');
+  return element ? element.dataset.user : null;
+}
+
+/**
+ * Render CET issue workflow state badge
+ * 
+ * Displays where an issue is in the acknowledge / resolve workflow, with a
+ * note counter when notes were added. The tooltip names who acknowledged or resolved it.
+ * 
+ * STATUS INDICATORS:
+ * - new → red badge with bell icon (nobody has picked it up)
+ * - acknowledged → yellow badge with eye icon
+ * - resolved → green badge with check icon
+ * 
+ * @param {string} data - Status ('new', 'acknowledged', 'resolved')
+ * @param {string} type - DataTables render type
+ * @param {object} row - Full issue row (uses acknowledgedBy, resolvedBy, noteCount)
+ * @returns {string} HTML string for badge
+ */
+export function renderIssueState(data, type, row) {
+  if (type === 'display') {
+    const statusMap = {
+      'new': { className: 'bg-danger', icon: 'bi-bell-fill', label: 'New', title: 'Not acknowledged yet' },
+      'acknowledged': { className: 'bg-warning text-dark', icon: 'bi-eye-fill', label: 'Acknowledged', title: `Acknowledged by ${row.acknowledgedBy}` },
+      'resolved': { className: 'bg-success', icon: 'bi-check-circle-fill', label: 'Resolved', title: `Resolved by ${row.resolvedBy}` }
+    };
+    const status = statusMap[data];
+    if (!status) return `<span class="badge bg-secondary">${data}</span>`;
+
+    const notes = row.noteCount > 0
+      ? ` <span class="badge bg-light text-dark border" title="${row.noteCount} note(s)"><i class="bi bi-chat-left-text"></i> ${row.noteCount}</span>`
+      : '';
+    return `<span class="badge ${status.className}" title="${escapeHTML(status.title)}"><i class="bi ${status.icon}"></i> ${status.label}</span>${notes}`;
+  }
+  return data;
+}
+
+/**
+ * Render CET issue owner
+ * 
+ * Shows who the issue is assigned to, highlighting issues owned by the current user
+ * so it is obvious when someone else is already on it.
+ * 
+ * @param {string} data - Owner user name (null when unassigned)
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for the owner
+ */
+export function renderIssueOwner(data, type) {
+  if (type === 'display') {
+    if (!data) return '<span class="text-muted fst-italic">Unassigned</span>';
+
+    const you = data === getCurrentUser() ? ' <span class="badge bg-primary">you</span>' : '';
+    return `<i class="bi bi-person"></i> ${escapeHTML(data)}${you}`;
+  }
+  if (type === 'filter' || type === 'sort') {
+    return data || '';
+  }
+  return data;
+}
+
+/**
+ * Render CET issue workflow actions
+ * 
+ * Buttons of the issue detail tables. Clicks are handled by cet-issues-page.js
+ * through the data-issue-action attribute.
+ * 
+ * ACTIONS:
+ * - Acknowledge → take the issue (new issues only)
+ * - Resolve / Reopen → depending on the current state
+ * - Details → owner and notes dialog
+ * 
+ * @param {string} data - Issue key
+ * @param {string} type - DataTables render type
+ * @param {object} row - Full issue row (uses issueStatus)
+ * @returns {string} HTML string for the action buttons
+ */
+export function renderIssueActions(data, type, row) {
+  if (type === 'display') {
+    const acknowledge = row.issueStatus === 'new'
+      ? `<button type="button" class="btn btn-outline-warning" data-issue-action="acknowledge" data-issue-key="${data}" title="Acknowledge" aria-label="Acknowledge issue">
+          <i class="bi bi-eye"></i>
+        </button>`
+      : '';
+    const resolve = row.issueStatus === 'resolved'
+      ? `<button type="button" class="btn btn-outline-secondary" data-issue-action="reopen" data-issue-key="${data}" title="Reopen" aria-label="Reopen issue">
+          <i class="bi bi-arrow-counterclockwise"></i>
+        </button>`
+      : `<button type="button" class="btn btn-outline-success" data-issue-action="resolve" data-issue-key="${data}" title="Resolve" aria-label="Resolve issue">
+          <i class="bi bi-check-lg"></i>
+        </button>`;
+
+    return `<div class="btn-group btn-group-sm" role="group">
+      ${acknowledge}
+      ${resolve}
+      <button type="button" class="btn btn-outline-primary" data-issue-action="details" data-issue-key="${data}" title="Owner and notes" aria-label="Owner and notes">
+        <i class="bi bi-chat-left-text"></i>
+      </button>
+    </div>`;
+  }
+  return data;
+}
+
+/**
+ * Render a link to the trend charts of a dashboard row
+ * 
+ * Opens /cet-history with the row's application selected.
+ * 
+ * @param {string} data - CET app name
+ * @param {string} type - DataTables render type
+ * @param {object} row - Full dashboard row (uses iGateApp and cetApp)
+ * @returns {string} HTML string for the link button
+ */
+export function renderHistoryLink(data, type, row) {
+  if (type === 'display') {
+    const url = `/cet-history?iGateApp=${encodeURIComponent(row.iGateApp)}&cetApp=${encodeURIComponent(row.cetApp)}`;
+    return `<a href="${url}" class="btn btn-sm btn-outline-primary" title="Trend" aria-label="Trend of ${escapeHTML(row.iGateApp)} / ${escapeHTML(row.cetApp)}">
+      <i class="bi bi-graph-up"></i>
+    </a>`;
+  }
+  return data;
+}
+
 /**
  * Render message count with color coding
  * 
@@ -308,6 +516,132 @@ export function renderMessageCount(data, type) {
   return data;
 }
 
+// Badge colour of each queue SLA status (slaStatus, see queue-sla.yaml)
+const SLA_STATUSES = {
+  ok: { className: 'bg-success', icon: 'bi-check-circle-fill', label: 'OK' },
+  warning: { className: 'bg-warning text-dark', icon: 'bi-exclamation-triangle-fill', label: 'At risk' },
+  breached: { className: 'bg-danger', icon: 'bi-alarm-fill', label: 'Breached' }
+};
+
+/**
+ * Format a message age
+ * @param {number} minutes - Age in minutes
+ * @returns {string} '12m', '2h 05m' or '3d 4h'
+ */
+function formatAge(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 1440) return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  return `${Math.floor(minutes / 1440)}d ${Math.floor((minutes % 1440) / 60)}h`;
+}
+
+/**
+ * Render the age of a queue's oldest message
+ *
+ * Coloured by the queue's SLA status (row.slaStatus): green within the SLA,
+ * yellow at risk, red breached. Sorted and filtered by the age in minutes.
+ *
+ * @param {number|null} data - Age in minutes (null for an empty queue)
+ * @param {string} type - DataTables render type
+ * @param {object} row - Queue summary row (slaStatus, oldestMessageEnqueueTime)
+ * @returns {string} HTML string for badge
+ */
+export function renderMessageAge(data, type, row) {
+  if (type === 'display') {
+    if (data === null || data === undefined) return '<span class="text-muted">—</span>';
+    const status = SLA_STATUSES[row.slaStatus] || SLA_STATUSES.ok;
+    return `<span class="badge ${status.className}" title="Enqueued ${escapeHTML(row.oldestMessageEnqueueTime)}">${formatAge(data)}</span>`;
+  }
+  if (type === 'sort' || type === 'type') {
+    return data ?? -1;
+  }
+  return data ?? '';
+}
+
+/**
+ * Render the message age histogram of a queue
+ *
+ * One bar segment per age bucket (queue-sla.yaml), as wide as its share of the
+ * queue's messages and coloured by the bucket variant; each segment's tooltip
+ * gives the bucket and its count.
+ *
+ * @param {Array<object>} data - Buckets [{ label, variant, count }]
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for the histogram
+ */
+export function renderAgeBuckets(data, type) {
+  const buckets = Array.isArray(data) ? data : [];
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  if (type === 'display') {
+    if (total === 0) return '<span class="text-muted">—</span>';
+
+    const summary = buckets.map(bucket => `${bucket.label}: ${bucket.count}`).join(', ');
+    const segments = buckets
+      .filter(bucket => bucket.count > 0)
+      .map(bucket => `<div class="progress" style="width: ${(bucket.count / total) * 100}%; height: 1rem;" title="${escapeHTML(bucket.label)}: ${bucket.count}"><div class="progress-bar bg-${escapeHTML(bucket.variant)}"></div></div>`)
+      .join('');
+    return `<div class="progress-stacked" style="min-width: 120px; height: 1rem;" role="img" aria-label="Message age: ${escapeHTML(summary)}">${segments}</div>`;
+  }
+  return buckets.map(bucket => `${bucket.label}: ${bucket.count}`).join(', ');
+}
+
+/**
+ * Render the SLA status of a queue
+ *
+ * STATUS INDICATORS:
+ * - ok → green badge
+ * - warning → yellow "At risk" badge
+ * - breached → red badge with alarm icon
+ *
+ * @param {string} data - SLA status (ok, warning, breached)
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for badge
+ */
+export function renderSlaStatus(data, type) {
+  if (type === 'display') {
+    const status = SLA_STATUSES[data];
+    if (!status) return `<span class="badge bg-secondary">${escapeHTML(data ?? '—')}</span>`;
+    return `<span class="badge ${status.className}"><i class="bi ${status.icon}"></i> ${status.label}</span>`;
+  }
+  return data;
+}
+
+/**
+ * Render the depth trend of a queue
+ *
+ * Shows the depth change over the growth window of queue-depth.yaml, with the
+ * enqueue and dequeue rates in the tooltip.
+ *
+ * STATUS INDICATORS:
+ * - growing (row.growing) → red "Growing" badge: the consumer has probably stopped
+ * - depth up → yellow up arrow
+ * - depth down → green down arrow
+ * - unchanged → grey arrow
+ *
+ * @param {number|null} data - Depth change (null without snapshots)
+ * @param {string} type - DataTables render type
+ * @param {object} row - Queue summary row (growing, enqueueRate, dequeueRate)
+ * @returns {string} HTML string for the trend
+ */
+export function renderDepthTrend(data, type, row) {
+  if (type === 'display') {
+    if (data === null || data === undefined) return '<span class="text-muted">—</span>';
+
+    const change = data > 0 ? `+${data}` : `${data}`;
+    const title = `Enqueued ${row.enqueueRate ?? 0}/min, dequeued ${row.dequeueRate ?? 0}/min`;
+    if (row.growing) {
+      return `<span class="badge bg-danger" title="${title}"><i class="bi bi-graph-up-arrow"></i> Growing ${change}</span>`;
+    }
+    if (data > 0) return `<span class="text-warning" title="${title}"><i class="bi bi-arrow-up"></i> ${change}</span>`;
+    if (data < 0) return `<span class="text-success" title="${title}"><i class="bi bi-arrow-down"></i> ${change}</span>`;
+    return `<span class="text-muted" title="${title}"><i class="bi bi-arrow-right"></i> 0</span>`;
+  }
+  if (type === 'filter') {
+    return row.growing ? `${data} growing` : (data ?? '');
+  }
+  return data ?? 0;
+}
+
 /**
  * Render support link as clickable button
  * 
@@ -330,3 +664,269 @@ export function renderSupportLink(data, type, row) {
   }
   return data;
 }
+
+/**
+ * Render the expand button of a grouped alert
+ * 
+ * Clicking it shows the group's occurrences as a child row (formatAlertOccurrencesRow,
+ * set as the table's childRowRender); table-init toggles aria-expanded.
+ * 
+ * @param {string} data - Group key
+ * @param {string} type - DataTables render type
+ * @param {object} row - Alert group (uses occurrenceCount)
+ * @returns {string} HTML string for the button
+ */
+export function renderOccurrencesToggle(data, type, row) {
+  if (type === 'display') {
+    return `<button type="button" class="btn btn-sm btn-outline-secondary dt-child-toggle" aria-expanded="false" title="Occurrences" aria-label="Show ${row.occurrenceCount} occurrence(s)">
+      <i class="bi bi-chevron-right"></i>
+    </button>`;
+  }
+  return data;
+}
+
+/**
+ * Render the occurrence count of a grouped alert
+ * 
+ * COLOR CODING:
+ * - Every occurrence resolved → green (success)
+ * - 1 open occurrence → blue (info)
+ * - 2-4 open → yellow (warning)
+ * - 5+ open → red (danger)
+ * 
+ * @param {number} data - Occurrence count
+ * @param {string} type - DataTables render type
+ * @param {object} row - Alert group (uses openCount)
+ * @returns {string} HTML string for badge
+ */
+export function renderOccurrenceCount(data, type, row) {
+  if (type === 'display') {
+    const open = row.openCount;
+    const className = open === 0 ? 'bg-success' : open >= 5 ? 'bg-danger' : open >= 2 ? 'bg-warning text-dark' : 'bg-info';
+    const openText = open === data ? '' : ` <span class="small text-muted">(${open} open)</span>`;
+    return `<span class="badge ${className}" title="${open} of ${data} not resolved">${data}</span>${openText}`;
+  }
+  return data;
+}
+
+/**
+ * Format the child row of a grouped alert: its occurrences, latest first
+ * 
+ * Each occurrence keeps its workflow state and action buttons, so it can be
+ * acknowledged or resolved from the grouped view.
+ * 
+ * @param {object} row - Alert group (uses occurrences)
+ * @returns {string} HTML string for child row content
+ */
+export function formatAlertOccurrencesRow(row) {
+  const occurrences = row.occurrences || [];
+  if (occurrences.length === 0) {
+    return '<div class="p-3 text-muted">No occurrences</div>';
+  }
+
+  const rows = occurrences.map(occurrence => `
+      <tr>
+        <td class="text-nowrap">${escapeHTML(occurrence.seenAt ?? '')}</td>
+        <td class="text-center">${escapeHTML(occurrence.step ?? '')} / ${escapeHTML(occurrence.subStep ?? '')}</td>
+        <td class="text-center">${escapeHTML(occurrence.criticalSection ?? '')}</td>
+        <td class="font-monospace small text-wrap">${escapeHTML(occurrence.alert ?? '')}</td>
+        <td class="text-center">${renderIssueState(occurrence.issueStatus, 'display', occurrence)}</td>
+        <td>${renderIssueOwner(occurrence.assignedTo, 'display')}</td>
+        <td class="text-center">${renderIssueActions(occurrence.issueKey, 'display', occurrence)}</td>
+      </tr>`).join('');
+
+  return `
+    <div class="child-row-content">
+      <strong>${occurrences.length} occurrence(s)</strong>
+      <table class="table table-sm table-bordered mb-0 bg-white">
+        <thead>
+          <tr>
+            <th scope="col">Seen</th>
+            <th scope="col">Step / SubStep</th>
+            <th scope="col">Critical Section</th>
+            <th scope="col">Alert</th>
+            <th scope="col">State</th>
+            <th scope="col">Owner</th>
+            <th scope="col">Actions</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Labels of the issue categories a runbook can be limited to
+ */
+const RUNBOOK_CATEGORY_LABELS = {
+  alerts: 'Alerts',
+  disabled: 'Disabled queues',
+  behind: 'Processes behind',
+  slow: 'Slow processes'
+};
+
+/**
+ * Render the runbooks matched to an issue row
+ * 
+ * Entries with a link open it in a new tab; entries holding remediation steps only
+ * show them in the tooltip. Sorting, searching and exports use the titles.
+ * 
+ * @param {Array<object>} data - Matched runbooks ({ runbookId, title, url, steps })
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string with one link per runbook
+ */
+export function renderRunbooks(data, type) {
+  const runbooks = Array.isArray(data) ? data : [];
+  if (type !== 'display') {
+    return runbooks.map(runbook => runbook.title).join(', ');
+  }
+  if (runbooks.length === 0) {
+    return '<span class="text-muted small">-</span>';
+  }
+
+  return runbooks.map(runbook => {
+    const title = escapeHTML(runbook.title);
+    const steps = runbook.steps ? ` title="${escapeHTML(runbook.steps)}"` : '';
+    if (runbook.url) {
+      return `<a href="${escapeHTML(runbook.url)}" class="d-block small text-nowrap" target="_blank" rel="noopener noreferrer"${steps}>
+        <i class="bi bi-journal-medical"></i> ${title}
+      </a>`;
+    }
+    return `<span class="d-block small text-nowrap"${steps}><i class="bi bi-journal-text"></i> ${title}</span>`;
+  }).join('');
+}
+
+/**
+ * Render the category of a runbook entry ("Any" when it applies to every category)
+ * 
+ * @param {string} data - alerts, disabled, behind, slow or null
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for badge
+ */
+export function renderRunbookCategory(data, type) {
+  if (type === 'display') {
+    return data
+      ? `<span class="badge bg-secondary">${escapeHTML(RUNBOOK_CATEGORY_LABELS[data] || data)}</span>`
+      : '<span class="text-muted fst-italic">Any</span>';
+  }
+  return data ? (RUNBOOK_CATEGORY_LABELS[data] || data) : '';
+}
+
+/**
+ * Render an optional runbook criterion (application or pattern), "Any" when not set
+ * 
+ * @param {string} data - Criterion value
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for the value
+ */
+export function renderRunbookCriterion(data, type) {
+  if (type === 'display') {
+    return data ? escapeHTML(data) : '<span class="text-muted fst-italic">Any</span>';
+  }
+  return data || '';
+}
+
+/**
+ * Render the link of a runbook entry
+ * 
+ * @param {string} data - Runbook URL (null when the entry holds steps only)
+ * @param {string} type - DataTables render type
+ * @param {object} row - Runbook entry (uses title)
+ * @returns {string} HTML string for the link
+ */
+export function renderRunbookLink(data, type, row) {
+  if (type === 'display') {
+    if (!data) return '<span class="text-muted fst-italic">Steps only</span>';
+    return `<a href="${escapeHTML(data)}" class="btn btn-sm btn-outline-primary" target="_blank" rel="noopener noreferrer" title="${escapeHTML(data)}" aria-label="Open runbook ${escapeHTML(row.title)}">
+      <i class="bi bi-box-arrow-up-right"></i> Open
+    </a>`;
+  }
+  return data || '';
+}
+
+/**
+ * Render whether a runbook entry is matched to issues
+ * 
+ * @param {boolean} data - Active flag
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for badge
+ */
+export function renderRunbookActive(data, type) {
+  if (type === 'display') {
+    return data
+      ? '<span class="badge bg-success"><i class="bi bi-check-circle-fill"></i> Active</span>'
+      : '<span class="badge bg-secondary"><i class="bi bi-pause-circle"></i> Inactive</span>';
+  }
+  return data ? 'Active' : 'Inactive';
+}
+
+/**
+ * Render the actions of a runbook entry on the admin page
+ * Clicks are handled by runbooks-admin-page.js through the data-runbook-action attribute.
+ * 
+ * @param {number} data - Runbook id
+ * @param {string} type - DataTables render type
+ * @param {object} row - Runbook entry (uses title)
+ * @returns {string} HTML string for the action buttons
+ */
+export function renderRunbookActions(data, type, row) {
+  if (type === 'display') {
+    const title = escapeHTML(row.title);
+    return `<div class="btn-group btn-group-sm" role="group">
+      <button type="button" class="btn btn-outline-primary" data-runbook-action="edit" data-runbook-id="${data}" title="Edit" aria-label="Edit runbook ${title}">
+        <i class="bi bi-pencil-square"></i>
+      </button>
+      <button type="button" class="btn btn-outline-danger" data-runbook-action="delete" data-runbook-id="${data}" title="Delete" aria-label="Delete runbook ${title}">
+        <i class="bi bi-trash"></i>
+      </button>
+    </div>`;
+  }
+  return data;
+}
+
+/**
+ * Render the inspect button of a queue message
+ * Clicks are handled by cet-queues-page.js, which opens the message inspector
+ * (cet-message-inspector-modal.ejs) through the data-message-inspect attribute.
+ * 
+ * @param {number} data - Message id
+ * @param {string} type - DataTables render type
+ * @param {object} row - Message row (uses queue)
+ * @returns {string} HTML string for the button
+ */
+export function renderMessageInspect(data, type, row) {
+  if (type === 'display') {
+    return `<button type="button" class="btn btn-sm btn-outline-primary" data-message-inspect="${data}" title="Inspect" aria-label="Inspect message ${data} of ${escapeHTML(row.queue)}">
+      <i class="bi bi-search"></i> #${data}
+    </button>`;
+  }
+  return data;
+}
+
+// Date and time style of renderLocalTimestamp (seconds matter for segment runs)
+const LOCAL_TIMESTAMP_FORMAT = { dateStyle: 'medium', timeStyle: 'medium' };
+
+/**
+ * Render a timestamp in the user's locale and time zone
+ * 
+ * Shows the date and time with the browser's locale settings; the tooltip names the
+ * time zone. Sorting and filtering use the ISO 8601 value, so they follow the real
+ * time order and date range filters can read it (runs past midnight included).
+ * 
+ * @param {string|null} data - ISO 8601 timestamp (e.g. segmentAt, startAt, endAt)
+ * @param {string} type - DataTables render type
+ * @returns {string} HTML string for the timestamp
+ */
+export function renderLocalTimestamp(data, type) {
+  if (type === 'display') {
+    if (!data) return '<span class="text-muted">—</span>';
+
+    const date = new Date(data);
+    if (Number.isNaN(date.getTime())) return escapeHTML(data);
+
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return `<time datetime="${escapeHTML(data)}" title="${escapeHTML(timeZone)}">${escapeHTML(date.toLocaleString(undefined, LOCAL_TIMESTAMP_FORMAT))}</time>`;
+  }
+  return data ?? '';
+}
@@ -0,0 +1,319 @@
+/**
+ * Card Kit - Chart Cards
+ *
+ * Renders `type: 'chart'` cards with Chart.js (loaded globally as `Chart`).
+ * The chart is declared with the card (partials/card.ejs writes it to data-chart):
+ *
+ *   chart:
+ *     type: stacked                 # bar, line, donut or stacked (stacked bars)
+ *     source:
+ *       table: cetTable             # the filtered rows of a DataTable, or
+ *       url: /api/v1/dashboard/summary   # rows from an endpoint (data array, or dataPath)
+ *     labelField: iGateApp          # one bar / point / slice per value
+ *     series:                       # card metrics (see card-metrics.js), one per dataset
+ *       - { label: Slow, aggregate: sum, field: slow, color: warning }
+ *     sort: desc                    # by the first series: desc, asc, or label (default)
+ *     limit: 10                     # keep the first N labels
+ *
+ * Table-bound charts redraw when the table is searched or filtered. The card actions
+ * of card-init.js apply: refresh re-reads the source, fullscreen and expand resize
+ * the chart. Every chart comes with a generated data table that screen readers use
+ * instead of the canvas; the "Table" button shows it to everyone.
+ *
+ * @module card-kit/chart
+ */
+
+'use strict';
+
+import { escapeHTML } from '../../lib/card-kit/core/card-helpers.js';
+import { registerCardHandler } from '../../lib/card-kit/core/card-init.js';
+import { computeCardMetric } from './card-metrics.js';
+import { whenTableReady, onTableReady, onTableEvent } from '../datatable-kit/table-registry.js';
+
+export const CHART_TYPES = ['bar', 'line', 'donut', 'stacked'];
+
+// Default series colours (Bootstrap theme colours, resolved from CSS variables)
+const PALETTE = ['primary', 'danger', 'warning', 'info', 'success', 'secondary', 'dark'];
+
+// Chart cards by card ID: { card, config, chart, rows }
+const chartCards = new Map();
+
+/**
+ * Resolve a colour: Bootstrap theme colour name or any CSS colour
+ * @param {String} color - e.g. 'danger' or '#ff0000'
+ * @returns {String} CSS colour
+ */
+const resolveColor = (color) => {
+  const themed = getComputedStyle(document.documentElement).getPropertyValue(`--bs-${color}`).trim();
+  return themed || color;
+};
+
+/**
+ * Read the chart declaration of a card
+ * @param {HTMLElement} card - Card element
+ * @returns {Object|null} Chart config
+ */
+const readChartConfig = (card) => {
+  try {
+    return JSON.parse(card.dataset.chart || 'null');
+  } catch (error) {
+    console.warn(`Invalid data-chart on card ${card.id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Group rows by label and compute every series per label
+ * @param {Array<Object>} rows - Source rows
+ * @param {Object} config - Chart config
+ * @returns {Object} { labels, datasets: [{ label, values, color }] }
+ */
+export const buildChartData = (rows, config) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const label = row[config.labelField] ?? '(none)';
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(row);
+  });
+
+  const series = config.series || [];
+  let points = [...groups.entries()].map(([label, groupRows]) => ({
+    label: String(label),
+    values: series.map(metric => computeCardMetric(groupRows, metric))
+  }));
+
+  if (config.sort === 'desc' || config.sort === 'asc') {
+    const direction = config.sort === 'desc' ? -1 : 1;
+    points.sort((a, b) => direction * ((a.values[0] || 0) - (b.values[0] || 0)));
+  } else {
+    points.sort((a, b) => a.label.localeCompare(b.label));
+  }
+  if (config.limit) {
+    points = points.slice(0, config.limit);
+  }
+
+  return {
+    labels: points.map(point => point.label),
+    datasets: series.map((metric, index) => ({
+      label: metric.label || metric.field || metric.aggregate,
+      values: points.map(point => point.values[index]),
+      color: metric.color || PALETTE[index % PALETTE.length]
+    }))
+  };
+};
+
+/**
+ * Build the Chart.js configuration of a chart card
+ * @param {Object} config - Chart config
+ * @param {Object} data - From buildChartData
+ * @returns {Object} Chart.js configuration
+ */
+const toChartJsConfig = (config, data) => {
+  const isDonut = config.type === 'donut';
+  const isStacked = config.type === 'stacked';
+
+  const datasets = isDonut
+    ? [{
+      label: data.datasets[0]?.label || '',
+      data: data.datasets[0]?.values || [],
+      backgroundColor: data.labels.map((label, index) => resolveColor(PALETTE[index % PALETTE.length]))
+    }]
+    : data.datasets.map(dataset => ({
+      label: dataset.label,
+      data: dataset.values,
+      backgroundColor: resolveColor(dataset.color),
+      borderColor: resolveColor(dataset.color),
+      borderWidth: config.type === 'line' ? 2 : 0,
+      tension: 0.2
+    }));
+
+  return {
+    type: isDonut ? 'doughnut' : (config.type === 'line' ? 'line' : 'bar'),
+    data: { labels: data.labels, datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: {
+        legend: { position: 'bottom', display: isDonut || datasets.length > 1 }
+      },
+      scales: isDonut ? {} : {
+        x: { stacked: isStacked },
+        y: { stacked: isStacked, beginAtZero: true, ticks: { precision: 0 } }
+      }
+    }
+  };
+};
+
+/**
+ * Render the data table alternative of a chart
+ * @param {Object} config - Chart config
+ * @param {Object} data - From buildChartData
+ * @param {String} caption - Table caption
+ * @returns {String} HTML table
+ */
+const renderDataTable = (config, data, caption) => {
+  const datasets = config.type === 'donut' ? data.datasets.slice(0, 1) : data.datasets;
+  const headers = datasets.map(dataset => `<th scope="col" class="text-end">${escapeHTML(dataset.label)}</th>`).join('');
+  const rows = data.labels.map((label, index) => `
+    <tr>
+      <th scope="row">${escapeHTML(label)}</th>
+      ${datasets.map(dataset => `<td class="text-end">${(dataset.values[index] ?? 0).toLocaleString()}</td>`).join('')}
+    </tr>`).join('');
+
+  return `<table class="table table-sm table-striped mb-0">
+    <caption>${escapeHTML(caption)}</caption>
+    <thead><tr><th scope="col">${escapeHTML(config.labelTitle || config.labelField || '')}</th>${headers}</tr></thead>
+    <tbody>${rows || `<tr><td colspan="${datasets.length + 1}" class="text-muted">No data</td></tr>`}</tbody>
+  </table>`;
+};
+
+/**
+ * Draw a chart card from its current rows
+ * @param {String} cardId - Card element ID
+ */
+const renderChartCard = (cardId) => {
+  const entry = chartCards.get(cardId);
+  if (!entry) return;
+
+  const { card, config } = entry;
+  const data = buildChartData(entry.rows, config);
+  const caption = config.description || card.querySelector('.card-title')?.textContent.trim() || 'Chart data';
+
+  const tableEl = card.querySelector('.card-chart-table');
+  if (tableEl) {
+    tableEl.innerHTML = renderDataTable(config, data, caption);
+  }
+
+  const canvas = card.querySelector('canvas.card-chart-canvas');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  canvas.setAttribute('aria-label', `${caption}: ${config.type} chart of ${data.labels.length} item(s). The data is also available as a table.`);
+
+  if (entry.chart) {
+    const chartJsConfig = toChartJsConfig(config, data);
+    entry.chart.data.labels = chartJsConfig.data.labels;
+    entry.chart.data.datasets = chartJsConfig.data.datasets;
+    entry.chart.update('none');
+  } else {
+    entry.chart = new Chart(canvas, toChartJsConfig(config, data));
+  }
+};
+
+/**
+ * Fetch the rows of an endpoint-bound chart
+ * @param {Object} source - { url, dataPath }
+ * @returns {Promise<Array<Object>>} Rows
+ */
+const fetchRows = async (source) => {
+  const response = await fetch(source.url, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const body = await response.json();
+  const rows = (source.dataPath || 'data').split('.').reduce((value, key) => value?.[key], body);
+  return Array.isArray(body) ? body : (rows || []);
+};
+
+/**
+ * Re-read a chart card's source and redraw it
+ * @param {String} cardId - Card element ID
+ * @returns {Promise<void>}
+ */
+export const refreshChartCard = async (cardId) => {
+  const entry = chartCards.get(cardId);
+  if (!entry) return;
+
+  const { source = {} } = entry.config;
+  if (source.table) {
+    const table = await whenTableReady(source.table);
+    if (table.ajax?.url()) {
+      await new Promise(resolve => table.ajax.reload(resolve, false));
+    }
+    entry.rows = table.rows({ search: 'applied' }).data().toArray();
+  } else if (source.url) {
+    entry.rows = await fetchRows(source);
+  }
+  renderChartCard(cardId);
+};
+
+/**
+ * Bind a chart card to a DataTable: redraw on every search, filter and draw
+ * @param {String} cardId - Card element ID
+ * @param {String} tableId - DataTable element ID
+ */
+const bindToTable = (cardId, tableId) => {
+  const update = (table) => {
+    const entry = chartCards.get(cardId);
+    if (!entry) return;
+    entry.rows = table.rows({ search: 'applied' }).data().toArray();
+    renderChartCard(cardId);
+  };
+
+  // DataTables initialise asynchronously; draw once the table is ready, then on every redraw
+  onTableReady(tableId, update);
+  onTableEvent(tableId, 'draw', ({ api }) => update(api));
+};
+
+/**
+ * Initialize a chart card
+ * @param {HTMLElement} card - Card element with data-card-type="chart" and data-chart
+ */
+export const initializeChartCard = (card) => {
+  const config = readChartConfig(card);
+  if (!config || chartCards.has(card.id)) return;
+
+  if (!CHART_TYPES.includes(config.type)) {
+    console.warn(`Chart card ${card.id}: unknown chart type ${config.type}`);
+    return;
+  }
+  if (typeof Chart === 'undefined') {
+    console.warn(`Chart card ${card.id}: Chart.js is not loaded, only the data table is shown`);
+    card.querySelector('.card-chart-table')?.classList.remove('visually-hidden');
+  }
+
+  chartCards.set(card.id, { card, config, chart: null, rows: [] });
+
+  // Card actions: refresh re-reads the source; the chart resizes when it becomes visible or fullscreen
+  registerCardHandler(card.id, { refresh: () => refreshChartCard(card.id) });
+  card.addEventListener('card:fullscreen', () => chartCards.get(card.id)?.chart?.resize());
+  card.addEventListener('card:collapse', (event) => {
+    if (!event.detail.collapsed) chartCards.get(card.id)?.chart?.resize();
+  });
+
+  // Table / chart toggle
+  card.querySelector('[data-chart-toggle-table]')?.addEventListener('click', (event) => {
+    const tableEl = card.querySelector('.card-chart-table');
+    const showTable = tableEl.classList.contains('visually-hidden');
+    tableEl.classList.toggle('visually-hidden', !showTable);
+    event.currentTarget.setAttribute('aria-pressed', String(showTable));
+  });
+
+  const source = config.source || {};
+  if (source.table) {
+    bindToTable(card.id, source.table);
+  } else if (source.url) {
+    refreshChartCard(card.id).catch(error => {
+      console.error(`Chart card ${card.id}: could not load ${source.url}:`, error);
+    });
+    if (source.refreshMs) {
+      setInterval(() => refreshChartCard(card.id).catch(() => {}), Math.max(5000, source.refreshMs));
+    }
+  } else {
+    console.warn(`Chart card ${card.id}: source needs a table or url`);
+  }
+};
+
+/**
+ * Initialize every chart card on the page
+ */
+export const initializeChartCards = () => {
+  document.querySelectorAll('[data-card-type="chart"][data-chart]').forEach(card => initializeChartCard(card));
+};
+
+/**
+ * Get the Chart.js instance of a chart card
+ * @param {String} cardId - Card element ID
+ * @returns {Object|null} Chart instance
+ */
+export const getChartCard = (cardId) => chartCards.get(cardId)?.chart || null;
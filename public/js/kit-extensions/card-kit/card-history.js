@@ -0,0 +1,222 @@
+/**
+ * Card Kit - History (Sparklines and Deltas)
+ *
+ * Adds a trend to metric cards: a sparkline of the metric's recent history and the
+ * change against a baseline (the previous hour, the same time yesterday, ...).
+ *
+ * HISTORY SOURCE:
+ * A card declares where its history comes from:
+ *   { source: '/api/history/dashboard', metric: 'issues', range: '24h', baseline: 'previousHour' }
+ * The source is fetched as `${source}?range=${range}` and must answer
+ *   { buckets: [ISO timestamps], series: { [metric]: [values, null for gaps] } }
+ * Responses are cached per URL for HISTORY_TTL_MS, so cards sharing a source share one request.
+ *
+ * COLOURS:
+ * Follow the card's warning/danger thresholds (higher is worse): the sparkline takes the
+ * colour of the current value's band and draws the thresholds it crosses as dashed lines;
+ * a rise is coloured by the band it rises in, a fall is success.
+ *
+ * @module card-kit/history
+ */
+
+'use strict';
+
+import { escapeHTML } from '../../lib/card-kit/core/card-helpers.js';
+
+// How long a fetched history is reused before it is fetched again
+const HISTORY_TTL_MS = 60000;
+
+// Baselines by name: how far back the value to compare against is
+export const HISTORY_BASELINES = {
+  previousHour: { offsetMs: 3600000, label: '1h ago' },
+  sameTimeYesterday: { offsetMs: 86400000, label: 'yesterday' }
+};
+
+const SPARKLINE_WIDTH = 160;
+const SPARKLINE_HEIGHT = 36;
+
+// Fetched histories by URL: { promise, data, fetchedAt }
+const historyCache = new Map();
+
+/**
+ * Band of a value within warning/danger thresholds
+ * @param {Number} value - Metric value
+ * @param {Object} thresholds - { warning, danger }
+ * @returns {String} success, warning or danger
+ */
+export const getThresholdVariant = (value, thresholds = {}) => {
+  if (value < (thresholds.warning ?? Infinity)) return 'success';
+  if (value < (thresholds.danger ?? Infinity)) return 'warning';
+  return 'danger';
+};
+
+/**
+ * Build the URL a history config is fetched from
+ * @param {Object} history - { source, range }
+ * @returns {String} URL
+ */
+const getHistoryUrl = (history) => {
+  const separator = history.source.includes('?') ? '&' : '?';
+  return `${history.source}${separator}range=${encodeURIComponent(history.range || '24h')}`;
+};
+
+/**
+ * Get the history of a card, from the cache when fresh
+ * Returns what is cached right away and fetches in the background when it is
+ * missing or stale; onLoad is called once the fetch completes.
+ *
+ * @param {Object} history - Card history config
+ * @param {Function} onLoad - Called with the history when a fetch completes
+ * @returns {Object|null} Cached history response, or null when none yet
+ */
+export const getCardHistory = (history, onLoad) => {
+  const url = getHistoryUrl(history);
+  const cached = historyCache.get(url) || { promise: null, data: null, fetchedAt: 0 };
+
+  if (!cached.promise && Date.now() - cached.fetchedAt > HISTORY_TTL_MS) {
+    cached.promise = fetch(url, { headers: { Accept: 'application/json' } })
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then(data => {
+        cached.data = data;
+        return data;
+      })
+      .catch(error => {
+        console.warn(`Card history not available from ${url}:`, error.message);
+        return cached.data;
+      })
+      .finally(() => {
+        cached.fetchedAt = Date.now();
+        cached.promise = null;
+      });
+    historyCache.set(url, cached);
+  }
+
+  if (cached.promise && onLoad) {
+    cached.promise.then(data => data && onLoad(data));
+  }
+  return cached.data;
+};
+
+/**
+ * Value of a series at (or just before) a point in time
+ * @param {Array<String>} buckets - Bucket start times
+ * @param {Array<Number|null>} values - Values aligned with buckets
+ * @param {Number} time - Time (ms)
+ * @returns {Number|null} Last non-null value at or before time
+ */
+const valueAt = (buckets, values, time) => {
+  for (let index = buckets.length - 1; index >= 0; index--) {
+    if (new Date(buckets[index]).getTime() <= time && values[index] != null) {
+      return values[index];
+    }
+  }
+  return null;
+};
+
+/**
+ * Render a sparkline as inline SVG
+ * Gaps (null values) break the line.
+ *
+ * @param {Array<Number|null>} values - Series values
+ * @param {Object} thresholds - { warning, danger }, drawn when within the value range
+ * @param {String} variant - Line colour (success, warning, danger)
+ * @returns {String} SVG markup
+ */
+export const renderSparkline = (values, thresholds = {}, variant = 'secondary') => {
+  const numbers = values.filter(value => value != null);
+  if (numbers.length < 2) return '';
+
+  const max = Math.max(...numbers, 1);
+  const x = index => ((index / (values.length - 1)) * SPARKLINE_WIDTH).toFixed(1);
+  const y = value => (SPARKLINE_HEIGHT - 2 - (value / max) * (SPARKLINE_HEIGHT - 4)).toFixed(1);
+
+  // One polyline per run of values between gaps
+  const segments = [];
+  let points = [];
+  values.forEach((value, index) => {
+    if (value == null) {
+      if (points.length) segments.push(points);
+      points = [];
+    } else {
+      points.push(`${x(index)},${y(value)}`);
+    }
+  });
+  if (points.length) segments.push(points);
+
+  const lines = ['warning', 'danger']
+    .filter(level => thresholds[level] != null && thresholds[level] <= max)
+    .map(level => `<line x1="0" x2="${SPARKLINE_WIDTH}" y1="${y(thresholds[level])}" y2="${y(thresholds[level])}"
+      stroke="var(--bs-${level})" stroke-width="1" stroke-dasharray="3 3" vector-effect="non-scaling-stroke" />`)
+    .join('');
+
+  const polylines = segments
+    .map(segment => segment.length === 1
+      ? `<circle cx="${segment[0].split(',')[0]}" cy="${segment[0].split(',')[1]}" r="1.5" fill="var(--bs-${variant})" />`
+      : `<polyline points="${segment.join(' ')}" fill="none" stroke="var(--bs-${variant})" stroke-width="1.5"
+          stroke-linejoin="round" vector-effect="non-scaling-stroke" />`)
+    .join('');
+
+  return `<svg class="card-sparkline" width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}"
+    viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}" preserveAspectRatio="none" aria-hidden="true" focusable="false">
+    ${lines}${polylines}
+  </svg>`;
+};
+
+/**
+ * Work out the change of a value against a baseline in a history
+ * @param {Number} value - Current value
+ * @param {Object} data - History response { buckets, series }
+ * @param {Object} history - Card history config { metric, baseline }
+ * @returns {Object|null} { baselineValue, change, percent, label }, or null without a baseline value
+ */
+export const getHistoryDelta = (value, data, history) => {
+  const baseline = HISTORY_BASELINES[history.baseline || 'previousHour'];
+  const values = data?.series?.[history.metric];
+  if (!baseline || !values) return null;
+
+  const baselineValue = valueAt(data.buckets, values, Date.now() - baseline.offsetMs);
+  if (baselineValue == null) return null;
+
+  const change = value - baselineValue;
+  return {
+    baselineValue,
+    change,
+    percent: baselineValue ? Math.round((change / baselineValue) * 100) : null,
+    label: baseline.label
+  };
+};
+
+/**
+ * Render the trend of a metric card: sparkline plus change against the baseline
+ *
+ * @param {Number} value - Current value (appended to the sparkline)
+ * @param {Object} data - History response { buckets, series }
+ * @param {Object} history - Card history config { metric, baseline }
+ * @param {Object} thresholds - { warning, danger }
+ * @returns {String} HTML (empty when the history has no values for the metric)
+ */
+export const renderCardTrend = (value, data, history, thresholds = {}) => {
+  const values = data?.series?.[history.metric];
+  if (!values) return '';
+
+  const variant = getThresholdVariant(value, thresholds);
+  const sparkline = renderSparkline([...values, value], thresholds, variant);
+  const delta = getHistoryDelta(value, data, history);
+
+  let deltaHTML = '';
+  if (delta) {
+    const { change, percent, label, baselineValue } = delta;
+    const deltaVariant = change > 0 ? (variant === 'success' ? 'secondary' : variant) : (change < 0 ? 'success' : 'secondary');
+    const icon = change > 0 ? 'arrow-up' : (change < 0 ? 'arrow-down' : 'dash');
+    const amount = `${change > 0 ? '+' : ''}${change.toLocaleString()}${percent != null && change !== 0 ? ` (${percent > 0 ? '+' : ''}${percent}%)` : ''}`;
+    const description = `${change === 0 ? 'No change' : amount} since ${label} (was ${baselineValue.toLocaleString()})`;
+
+    deltaHTML = `<span class="small fw-semibold text-${deltaVariant} card-delta" title="${escapeHTML(description)}">
+      <i class="bi bi-${icon}" aria-hidden="true"></i> ${escapeHTML(change === 0 ? '0' : amount)}
+      <span class="text-muted fw-normal">vs ${escapeHTML(label)}</span>
+      <span class="visually-hidden">${escapeHTML(description)}</span>
+    </span>`;
+  }
+
+  return `${sparkline}${deltaHTML}`;
+};
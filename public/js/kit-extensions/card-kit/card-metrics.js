@@ -0,0 +1,166 @@
+/**
+ * Card Kit - Declarative Card Metrics
+ *
+ * Computes a card's value from table rows, as declared in the card configuration,
+ * so adding a metric card needs no JavaScript:
+ *
+ *   metric:
+ *     aggregate: sum          # count, countDistinct, sum, avg, min, max or ratio
+ *     field: messages         # column to aggregate (all but count)
+ *     where:                  # optional row predicate
+ *       status: Enabled       #   equals
+ *       iGateApp: [ESR, OMS]  #   any of
+ *       messages: { gt: 0 }   #   gt, gte, lt, lte, ne
+ *
+ * ratio is a percentage: numerator / denominator * 100, each a metric of its own
+ * (denominator defaults to the count of all rows). avg and ratio are rounded to
+ * `decimals` places (default 0).
+ *
+ * Card configurations are read from the data-* attributes that partials/card.ejs
+ * writes from the card YAML (data-metric holds the metric as JSON).
+ *
+ * @module card-kit/metrics
+ */
+
+'use strict';
+
+export const METRIC_AGGREGATES = ['count', 'countDistinct', 'sum', 'avg', 'min', 'max', 'ratio'];
+
+// Comparison operators of where clauses
+const OPERATORS = {
+  gt: (value, operand) => value > operand,
+  gte: (value, operand) => value >= operand,
+  lt: (value, operand) => value < operand,
+  lte: (value, operand) => value <= operand,
+  ne: (value, operand) => value !== operand
+};
+
+/**
+ * Check a row against a where clause
+ * @param {Object} row - Table row
+ * @param {Object|null} where - { field: value | [values] | { operator: operand } }
+ * @returns {Boolean} True when every condition holds
+ */
+export const matchesWhere = (row, where) => {
+  if (!where) return true;
+
+  return Object.entries(where).every(([field, expected]) => {
+    const value = row[field];
+    if (Array.isArray(expected)) {
+      return expected.includes(value);
+    }
+    if (expected !== null && typeof expected === 'object') {
+      return Object.entries(expected).every(([operator, operand]) =>
+        OPERATORS[operator] ? OPERATORS[operator](typeof operand === 'number' ? Number(value) : value, operand) : false
+      );
+    }
+    return value === expected;
+  });
+};
+
+/**
+ * Numeric values of a column (non-numeric values skipped)
+ * @param {Array<Object>} rows - Table rows
+ * @param {String} field - Column
+ * @returns {Array<Number>} Values
+ */
+const numbersOf = (rows, field) => {
+  return rows
+    .map(row => parseFloat(row[field]))
+    .filter(value => !isNaN(value));
+};
+
+/**
+ * Round to a number of decimal places
+ * @param {Number} value - Value
+ * @param {Number} decimals - Decimal places
+ * @returns {Number} Rounded value
+ */
+const round = (value, decimals = 0) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Compute a card metric from table rows
+ * @param {Array<Object>} rows - Table rows (usually the filtered rows)
+ * @param {Object} metric - { aggregate, field, where, decimals, numerator, denominator }
+ * @returns {Number} Metric value (0 when there is nothing to aggregate)
+ */
+export const computeCardMetric = (rows, metric) => {
+  const matching = rows.filter(row => matchesWhere(row, metric.where));
+
+  switch (metric.aggregate) {
+    case 'count':
+      return matching.length;
+
+    case 'countDistinct':
+      return new Set(matching.map(row => row[metric.field]).filter(value => value != null && value !== '')).size;
+
+    case 'sum':
+      return numbersOf(matching, metric.field).reduce((total, value) => total + value, 0);
+
+    case 'avg': {
+      const values = numbersOf(matching, metric.field);
+      return values.length ? round(values.reduce((total, value) => total + value, 0) / values.length, metric.decimals) : 0;
+    }
+
+    case 'min': {
+      const values = numbersOf(matching, metric.field);
+      return values.length ? Math.min(...values) : 0;
+    }
+
+    case 'max': {
+      const values = numbersOf(matching, metric.field);
+      return values.length ? Math.max(...values) : 0;
+    }
+
+    case 'ratio': {
+      const numerator = computeCardMetric(matching, metric.numerator || { aggregate: 'count' });
+      const denominator = computeCardMetric(matching, metric.denominator || { aggregate: 'count' });
+      return denominator ? round((numerator / denominator) * 100, metric.decimals) : 0;
+    }
+
+    default:
+      console.warn(`Unknown card metric aggregate: ${metric.aggregate}`);
+      return 0;
+  }
+};
+
+/**
+ * Read a card's configuration from its data-* attributes
+ * @param {String|HTMLElement} cardOrId - Card element or its ID
+ * @returns {Object|null} { cardId, icon, label, description, clickAction, thresholds, history, metric }
+ */
+export const getCardConfigFromDOM = (cardOrId) => {
+  const card = typeof cardOrId === 'string' ? document.getElementById(cardOrId) : cardOrId;
+  if (!card) return null;
+
+  let metric = null;
+  if (card.dataset.metric) {
+    try {
+      metric = JSON.parse(card.dataset.metric);
+    } catch (error) {
+      console.warn(`Invalid data-metric on card ${card.id}:`, error.message);
+    }
+  }
+
+  return {
+    cardId: card.id,
+    icon: card.dataset.icon || '',
+    label: card.dataset.label || '',
+    description: card.dataset.description || '',
+    clickAction: card.dataset.clickAction || null,
+    history: card.dataset.historySource ? {
+      source: card.dataset.historySource,
+      metric: card.dataset.historyMetric,
+      range: card.dataset.historyRange || '24h',
+      baseline: card.dataset.historyBaseline || 'previousHour'
+    } : null,
+    thresholds: {
+      warning: card.dataset.thresholdWarning ? parseFloat(card.dataset.thresholdWarning) : Infinity,
+      danger: card.dataset.thresholdDanger ? parseFloat(card.dataset.thresholdDanger) : Infinity
+    },
+    metric
+  };
+};
@@ -0,0 +1,314 @@
+/**
+ * File: table-feature-linked.js
+ * Created: 2026-10-18
+ *
+ * DataTable Linked Tables Module (Master-Detail)
+ *
+ * A detail table declares the master table it follows; selecting a master row filters
+ * the detail table to the rows with the same key values:
+ *
+ *   linkedTo: {
+ *     table: 'cetReportsSummaryTable',           // master table id
+ *     keys: ['step', 'subStep', 'criticalSection'],
+ *     label: 'Step {step}, SubStep {subStep}, Critical Section {criticalSection}'
+ *   }
+ *
+ * KEYS:
+ * Each key maps a master row field to a detail column: { field: 'id', column: 'queueId' }.
+ * A string key uses the same name on both sides. column is the column's data name or its
+ * index; it must be a column of the detail table (hide it with `visible: false` when it
+ * should not show). Filters are anchored regex column searches, so they also reach the
+ * server for server-side detail tables, where they become exact-match filters.
+ *
+ * MASTER TABLE:
+ * Rows are selected with a click, Enter or Space and cleared by selecting the row again
+ * or pressing Escape. Every detail table linked to the master follows the selection.
+ * The selected row is kept in the URL (DataTableUrlState, key values joined with '|').
+ * A `datatable:linkchange` event ({ tableId, row }) is dispatched on the master table.
+ *
+ * BADGE:
+ * Each filtered detail table shows a badge with the label (master row fields in braces;
+ * default the key values) and a button clearing the selection. badge: false hides it.
+ */
+
+'use strict';
+
+import { DataTableUrlState } from './table-feature-url-state.js';
+import { onTableReady } from './table-registry.js';
+
+// Master tables by id: { api, fields, selected, details: Map<detailId, { api, config, columns }> }
+const masters = new Map();
+
+const LINK_CHANGE_EVENT = 'datatable:linkchange';
+
+  /**
+   * Normalize the keys of a link
+   * @param {Array|string|Object} keys - ['step', { field: 'id', column: 'queueId' }, ...]
+   * @returns {Array<Object>} [{ field, column }]
+   */
+  const normalizeKeys = (keys) => {
+    return (Array.isArray(keys) ? keys : [keys])
+      .filter(Boolean)
+      .map(key => (typeof key === 'string' ? { field: key, column: key } : { field: key.field, column: key.column ?? key.field }));
+  };
+
+  /**
+   * Find a detail column by data name or index
+   * @param {DataTable} api - Detail table API
+   * @param {string|number} column - Column data name or index
+   * @returns {number} Column index, -1 when the table has no such column
+   */
+  const resolveColumn = (api, column) => {
+    if (Number.isInteger(column)) {
+      return column >= 0 && column < api.columns().count() ? column : -1;
+    }
+    return api.settings()[0].aoColumns.findIndex(col => col.mData === column);
+  };
+
+  /**
+   * Identity of a master row: its key values joined with '|'
+   * @param {Object} master - Master state
+   * @param {Object} data - Row data
+   * @returns {string} Row key
+   */
+  const rowKey = (master, data) => master.fields.map(field => String(data[field] ?? '')).join('|');
+
+  /**
+   * Badge text of a selected master row
+   * @param {Object} detail - Detail link state
+   * @param {Object} data - Master row data
+   * @returns {string} Label
+   */
+  const formatLabel = (detail, data) => {
+    if (detail.config.label) {
+      return detail.config.label.replace(/\{(\w+)\}/g, (match, field) => data[field] ?? '');
+    }
+    return detail.columns.map(({ field }) => data[field]).join(' / ');
+  };
+
+  /**
+   * Show, update or remove the filter badge of a detail table
+   * @param {string} masterId - Master table id
+   * @param {string} detailId - Detail table id
+   * @param {Object|null} data - Selected master row (null removes the badge)
+   */
+  const renderBadge = (masterId, detailId, data) => {
+    const detail = masters.get(masterId).details.get(detailId);
+    const badgeId = `${detailId}_linkedFilter`;
+    let badge = document.getElementById(badgeId);
+
+    if (!data || detail.config.badge === false) {
+      badge?.remove();
+      return;
+    }
+
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.id = badgeId;
+      badge.className = 'linked-filter-badge mb-2';
+      badge.setAttribute('role', 'status');
+      const wrapper = detail.api.table().container();
+      wrapper.parentNode.insertBefore(badge, wrapper);
+    }
+
+    const label = formatLabel(detail, data);
+    const pill = document.createElement('span');
+    pill.className = 'badge text-bg-info fs-6 d-inline-flex align-items-center gap-2';
+
+    const icon = document.createElement('i');
+    icon.className = 'bi bi-funnel-fill';
+    icon.setAttribute('aria-hidden', 'true');
+
+    const text = document.createElement('span');
+    const strong = document.createElement('strong');
+    strong.textContent = label;
+    text.append('Filtered by: ', strong);
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'btn-close btn-close-white';
+    clear.setAttribute('aria-label', `Clear filter ${label}`);
+    clear.addEventListener('click', () => selectRow(masterId, null));
+
+    pill.append(icon, text, clear);
+    badge.replaceChildren(pill);
+  };
+
+  /**
+   * Filter a detail table to a master row (null clears the filter)
+   * @param {string} masterId - Master table id
+   * @param {string} detailId - Detail table id
+   * @param {Object|null} data - Master row data
+   */
+  const filterDetail = (masterId, detailId, data) => {
+    const { api, columns } = masters.get(masterId).details.get(detailId);
+
+    columns.forEach(({ field, index }) => {
+      const value = data ? `^${jQuery.fn.dataTable.util.escapeRegex(String(data[field] ?? ''))}$` : '';
+      api.column(index).search(value, true, false);
+    });
+    api.draw();
+    renderBadge(masterId, detailId, data);
+  };
+
+  /**
+   * Mark the selected row among the master rows on the current page
+   * @param {string} masterId - Master table id
+   */
+  const markRows = (masterId) => {
+    const master = masters.get(masterId);
+    const selectedKey = master.selected ? rowKey(master, master.selected) : null;
+
+    master.api.rows({ page: 'current' }).every(function() {
+      const node = this.node();
+      if (!node) return;
+      const isSelected = selectedKey !== null && rowKey(master, this.data()) === selectedKey;
+      node.classList.toggle('selected', isSelected);
+      node.setAttribute('tabindex', '0');
+      node.setAttribute('aria-selected', String(isSelected));
+    });
+  };
+
+  /**
+   * Select a master row and filter every linked detail table to it
+   * @param {string} masterId - Master table id
+   * @param {Object|null} data - Row data (null clears the selection)
+   */
+  const selectRow = (masterId, data) => {
+    const master = masters.get(masterId);
+    if (!master) return;
+
+    master.selected = data || null;
+    master.details.forEach((detail, detailId) => filterDetail(masterId, detailId, master.selected));
+    markRows(masterId);
+    DataTableUrlState.setSelectedRow(masterId, master.selected ? rowKey(master, master.selected) : null);
+
+    master.api.table().node().dispatchEvent(new CustomEvent(LINK_CHANGE_EVENT, {
+      bubbles: true,
+      detail: { tableId: masterId, row: master.selected }
+    }));
+  };
+
+  /**
+   * Select a master row, or clear the selection when it is the selected one
+   * @param {string} masterId - Master table id
+   * @param {HTMLElement} rowNode - Row element
+   */
+  const toggleRow = (masterId, rowNode) => {
+    const master = masters.get(masterId);
+    const data = master.api.row(rowNode).data();
+    if (!data) return;
+
+    const isSelected = master.selected && rowKey(master, master.selected) === rowKey(master, data);
+    selectRow(masterId, isSelected ? null : data);
+  };
+
+  /**
+   * Make a table a master: row selection by mouse and keyboard
+   * @param {string} masterId - Master table id
+   * @param {DataTable} api - Master table API
+   * @param {Array<string>} fields - Row fields identifying a row
+   * @returns {Object} Master state
+   */
+  const setupMaster = (masterId, api, fields) => {
+    const master = { api, fields, selected: null, details: new Map() };
+    masters.set(masterId, master);
+
+    const $body = jQuery(api.table().body());
+    const isControl = target => jQuery(target).closest('a, button, input, select, textarea, label, .dtr-control').length > 0;
+
+    jQuery(api.table().node()).addClass('linked-master');
+
+    $body.on('click.linked', 'tr', function(event) {
+      if (isControl(event.target)) return;
+      toggleRow(masterId, this);
+    });
+
+    $body.on('keydown.linked', 'tr', function(event) {
+      if (isControl(event.target)) return;
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        toggleRow(masterId, this);
+      } else if (event.key === 'Escape' && master.selected) {
+        selectRow(masterId, null);
+      }
+    });
+
+    api.on('draw.dt', () => markRows(masterId));
+    api.on('destroy.dt', () => {
+      $body.off('.linked');
+      masters.delete(masterId);
+    });
+    markRows(masterId);
+    return master;
+  };
+
+  /**
+   * Select the master row found in the URL (a shared link)
+   * @param {string} masterId - Master table id
+   */
+  const restoreFromUrl = (masterId) => {
+    const master = masters.get(masterId);
+    const selectedKey = DataTableUrlState.getSelectedRow(masterId);
+    if (!selectedKey) return;
+
+    const row = master.api.row((index, data) => rowKey(master, data) === selectedKey);
+    if (row.any()) {
+      selectRow(masterId, row.data());
+    }
+  };
+
+  /**
+   * Link a detail table to its master table
+   * The link is made once the master table is ready.
+   *
+   * @param {string} tableId - Detail table id
+   * @param {DataTable} api - Detail table API
+   * @param {Object} config - { table, keys, label, badge }
+   */
+  const initializeLink = (tableId, api, config) => {
+    if (!config || !config.table) return;
+
+    const keys = normalizeKeys(config.keys);
+    const columns = keys
+      .map(key => ({ field: key.field, index: resolveColumn(api, key.column) }))
+      .filter(({ field, index }, position) => {
+        if (index < 0) {
+          console.warn(`[Linked Tables] ${tableId} has no column ${keys[position].column} for key ${field}`);
+        }
+        return index >= 0;
+      });
+    if (!columns.length) return;
+
+    onTableReady(config.table, (masterApi) => {
+      const isNew = !masters.has(config.table);
+      const master = isNew ? setupMaster(config.table, masterApi, keys.map(key => key.field)) : masters.get(config.table);
+
+      master.details.set(tableId, { api, config, columns });
+      api.on('destroy.dt', () => masters.get(config.table)?.details.delete(tableId));
+
+      if (isNew) {
+        restoreFromUrl(config.table);
+      } else if (master.selected) {
+        filterDetail(config.table, tableId, master.selected);
+      }
+    });
+  };
+
+  /**
+   * Get the selected row of a master table
+   * @param {string} masterId - Master table id
+   * @returns {Object|null} Row data
+   */
+  const getSelectedRow = (masterId) => masters.get(masterId)?.selected || null;
+
+// Public API
+const DataTableLinks = {
+  initialize: initializeLink,
+  selectRow: selectRow,
+  clearSelection: (masterId) => selectRow(masterId, null),
+  getSelectedRow: getSelectedRow
+};
+
+export { DataTableLinks };
+export default DataTableLinks;
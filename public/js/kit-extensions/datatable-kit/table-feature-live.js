@@ -0,0 +1,285 @@
+/**
+ * File: table-feature-live.js
+ * Created: 2026-10-18
+ *
+ * DataTable Live Updates Module
+ *
+ * Keeps a table in sync with a Server-Sent Events stream without reloading the page.
+ *
+ * STREAM EVENTS (see services/liveUpdateService.js):
+ * - snapshot:    { version, rows }                     - full row set (on connect and reconnect)
+ * - changes:     { version, added, updated, removed }  - rows changed since the last poll
+ * - sourceError: { message }                           - the server could not read the data source
+ *
+ * HOW CHANGES ARE APPLIED:
+ * Client-side tables update rows in place (row().data(), rows.add(), row().remove())
+ * and redraw with draw(false), so paging and sort position are kept. The redraw fires
+ * the usual search.dt / draw.dt events, so footers and any cards bound to the table
+ * recompute on their own. Changed rows get the `dt-live-changed` class for
+ * `highlightMs` so the change is visible.
+ *
+ * Server-side tables only hold the current page, so any change triggers
+ * ajax.reload(null, false) instead.
+ *
+ * CONFIGURATION:
+ * liveConfig: {
+ *   enabled: true,
+ *   url: '/api/v1/live/dashboard/summary',
+ *   idField: 'id',              // row key shared with the server (default 'id')
+ *   highlightMs: 3000,          // how long changed rows stay highlighted
+ *   statusElement: '#liveStatus' // optional badge showing connection state
+ * }
+ *
+ * EVENTS:
+ * Triggers `live.dt` on the table element after changes are applied, with
+ * { added, updated, removed } counts. Client-side changes are also announced as
+ * `datatable:data` (table-registry.js); server-side reloads announce themselves.
+ */
+
+'use strict';
+
+import { notifyDataLoaded } from './table-registry.js';
+
+// Per-table live state: { source, config, api, status }
+const liveTables = new Map();
+
+const DEFAULT_HIGHLIGHT_MS = 3000;
+const HIGHLIGHT_CLASS = 'dt-live-changed';
+
+// Badge text and classes for each connection state
+const STATUS_DISPLAY = {
+  connecting: { text: 'Connecting…', className: 'bg-secondary' },
+  live: { text: 'Live', className: 'bg-success' },
+  error: { text: 'Source error', className: 'bg-warning text-dark' },
+  offline: { text: 'Reconnecting…', className: 'bg-danger' }
+};
+
+  /**
+   * Update the connection status badge, if one is configured
+   * @param {string} tableId - Table identifier
+   * @param {string} status - Key of STATUS_DISPLAY
+   * @param {string} detail - Optional tooltip text
+   */
+  const setStatus = (tableId, status, detail) => {
+    const state = liveTables.get(tableId);
+    if (!state) return;
+    state.status = status;
+
+    if (!state.config.statusElement) return;
+    const element = document.querySelector(state.config.statusElement);
+    if (!element) return;
+
+    const display = STATUS_DISPLAY[status];
+    element.textContent = display.text;
+    element.className = `badge ${display.className}`;
+    element.title = detail || '';
+  };
+
+  /**
+   * Find the row index for an id
+   * @param {DataTable} api - DataTables API instance
+   * @param {string} idField - Row key property
+   * @param {*} id - Row key value
+   * @returns {number|undefined} Row index
+   */
+  const findRowIndex = (api, idField, id) => {
+    return api.rows((index, data) => data[idField] === id).indexes()[0];
+  };
+
+  /**
+   * Highlight rows briefly
+   * @param {DataTable} api - DataTables API instance
+   * @param {Array<number>} indexes - Row indexes to highlight
+   * @param {number} highlightMs - Highlight duration
+   */
+  const highlightRows = (api, indexes, highlightMs) => {
+    indexes.forEach(index => {
+      const node = api.row(index).node();
+      if (!node) return;
+
+      node.classList.remove(HIGHLIGHT_CLASS);
+      // Force reflow so the animation restarts for rows changed twice in a row
+      void node.offsetWidth;
+      node.classList.add(HIGHLIGHT_CLASS);
+      setTimeout(() => node.classList.remove(HIGHLIGHT_CLASS), highlightMs);
+    });
+  };
+
+  /**
+   * Apply added/updated/removed rows to a client-side table
+   * @param {string} tableId - Table identifier
+   * @param {Object} changes - { added, updated, removed }
+   */
+  const applyChanges = (tableId, { added = [], updated = [], removed = [] }) => {
+    const state = liveTables.get(tableId);
+    if (!state) return;
+
+    const { api, config } = state;
+    const idField = config.idField || 'id';
+    const changedIndexes = [];
+
+    if (api.settings()[0].oFeatures.bServerSide) {
+      api.ajax.reload(null, false);
+    } else {
+      updated.forEach(row => {
+        const index = findRowIndex(api, idField, row[idField]);
+        if (index === undefined) {
+          added.push(row);
+          return;
+        }
+        api.row(index).data(row);
+        changedIndexes.push(index);
+      });
+
+      removed.forEach(id => {
+        const index = findRowIndex(api, idField, id);
+        if (index !== undefined) {
+          api.row(index).remove();
+        }
+      });
+
+      if (added.length > 0) {
+        api.rows.add(added).indexes().each(index => changedIndexes.push(index));
+      }
+
+      api.draw(false);
+      highlightRows(api, changedIndexes, config.highlightMs || DEFAULT_HIGHLIGHT_MS);
+      notifyDataLoaded(tableId);
+    }
+
+    jQuery('#' + tableId).trigger('live.dt', [{
+      added: added.length,
+      updated: updated.length,
+      removed: removed.length
+    }]);
+  };
+
+  /**
+   * Reconcile the table with a full snapshot
+   * Used on (re)connect, so rows changed while disconnected are still picked up.
+   * @param {string} tableId - Table identifier
+   * @param {Array<Object>} rows - Complete row set
+   */
+  const applySnapshot = (tableId, rows) => {
+    const state = liveTables.get(tableId);
+    if (!state) return;
+
+    const idField = state.config.idField || 'id';
+    const current = new Map();
+    state.api.rows().data().each(row => current.set(row[idField], row));
+
+    const added = [];
+    const updated = [];
+    rows.forEach(row => {
+      const existing = current.get(row[idField]);
+      if (!existing) {
+        added.push(row);
+      } else if (JSON.stringify(existing) !== JSON.stringify(row)) {
+        updated.push(row);
+      }
+      current.delete(row[idField]);
+    });
+    const removed = [...current.keys()];
+
+    if (added.length > 0 || updated.length > 0 || removed.length > 0) {
+      applyChanges(tableId, { added, updated, removed });
+    }
+  };
+
+  /**
+   * Parse an SSE message payload
+   * @param {MessageEvent} event - EventSource message
+   * @returns {Object|null} Parsed payload
+   */
+  const parsePayload = (event) => {
+    try {
+      return JSON.parse(event.data);
+    } catch (error) {
+      console.error('[Live] Invalid event payload:', error);
+      return null;
+    }
+  };
+
+  /**
+   * Initialize live updates for a table
+   * @param {string} tableId - Table identifier
+   * @param {DataTable} api - DataTables API instance
+   * @param {Object} config - Live configuration
+   */
+  const initializeLive = (tableId, api, config) => {
+    if (!config || !config.enabled || !config.url) {
+      return;
+    }
+
+    if (typeof window.EventSource === 'undefined') {
+      console.warn(`[Live] EventSource not supported - live updates disabled for ${tableId}`);
+      return;
+    }
+
+    destroy(tableId);
+
+    const source = new EventSource(config.url);
+    liveTables.set(tableId, { source, config, api, status: 'connecting' });
+    setStatus(tableId, 'connecting');
+
+    source.addEventListener('snapshot', (event) => {
+      const payload = parsePayload(event);
+      if (!payload) return;
+      setStatus(tableId, 'live');
+      applySnapshot(tableId, payload.rows || []);
+    });
+
+    source.addEventListener('changes', (event) => {
+      const payload = parsePayload(event);
+      if (!payload) return;
+      setStatus(tableId, 'live');
+      applyChanges(tableId, payload);
+    });
+
+    source.addEventListener('sourceError', (event) => {
+      const payload = parsePayload(event);
+      setStatus(tableId, 'error', payload && payload.message);
+    });
+
+    // EventSource reconnects on its own; just reflect the state
+    source.onerror = () => setStatus(tableId, 'offline');
+
+    // Stop streaming when the table goes away
+    api.on('destroy.dt', () => destroy(tableId));
+
+    console.log(`[Live] Streaming ${config.url} into ${tableId}`);
+  };
+
+  /**
+   * Close the stream for a table
+   * @param {string} tableId - Table identifier
+   */
+  const destroy = (tableId) => {
+    const state = liveTables.get(tableId);
+    if (!state) return;
+
+    state.source.close();
+    liveTables.delete(tableId);
+  };
+
+  /**
+   * Get the connection status for a table
+   * @param {string} tableId - Table identifier
+   * @returns {string|null} connecting, live, error, offline, or null when not live
+   */
+  const getStatus = (tableId) => {
+    const state = liveTables.get(tableId);
+    return state ? state.status : null;
+  };
+
+// Public API
+const DataTableLive = {
+  initialize: initializeLive,
+  applyChanges: applyChanges,
+  applySnapshot: applySnapshot,
+  getStatus: getStatus,
+  destroy: destroy
+};
+
+export { DataTableLive };
+export default DataTableLive;
@@ -0,0 +1,503 @@
+/**
+ * File: table-feature-saved-views.js
+ * Created: 2026-10-18
+ *
+ * DataTable Saved Views Module
+ *
+ * Named views of a table, stored on the server per user (/api/views, see
+ * services/savedViewService.js), so they follow the user across browsers. A view holds
+ * the search mode and query, sort, column filters, hidden columns and column order.
+ * Views can be shared with the team, and each user can pick one (own or shared) as the
+ * default the table opens with.
+ *
+ * VIEW PICKER:
+ * Registers the `savedViews` DataTables button: a dropdown in the table toolbar listing
+ * the user's views and the team's shared views, with save, update, share, default and
+ * delete actions for the current view.
+ *
+ * PRECEDENCE:
+ * A link with view parameters (table-feature-url-state.js) wins over the default view;
+ * the default view wins over stateSave. Loading a view rewrites the URL as usual.
+ *
+ * CONFIGURATION:
+ * savedViewsConfig: {
+ *   enabled: true,          // default true; false removes the picker
+ *   url: '/api/views',      // saved views endpoint
+ *   applyDefault: true      // open the table with the user's default view
+ * }
+ */
+
+'use strict';
+
+import { DataTableFilters } from '../../lib/datatable-kit/features/table-feature-filters.js';
+import { DataTableUrlState } from './table-feature-url-state.js';
+import { getSearchState, setSearchState } from '../../lib/datatable-kit/features/table-feature-search.js';
+
+// Per-table saved views: { api, config, views, activeViewId, initialState, button, menu }
+const savedTables = new Map();
+
+const DEFAULT_URL = '/api/views';
+
+  /**
+   * Show a message with the page toast, when available
+   * @param {string} message - Message text
+   * @param {string} type - success, danger, ...
+   */
+  const notify = (message, type = 'success') => {
+    if (typeof window.showToast === 'function') {
+      window.showToast(message, type);
+    } else if (type === 'danger') {
+      console.error(`[Saved Views] ${message}`);
+    }
+  };
+
+  /**
+   * Call the saved views endpoint of a table
+   * @param {string} tableId - Table identifier
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after the table id ('' or '/<viewId>', '/default')
+   * @param {Object} body - JSON body (optional)
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With the server message when the request fails
+   */
+  const request = async (tableId, method, path = '', body = undefined) => {
+    const { config } = savedTables.get(tableId);
+    const response = await fetch(`${config.url || DEFAULT_URL}/${encodeURIComponent(tableId)}${path}`, {
+      method,
+      headers: { Accept: 'application/json', 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.message || `Request failed (${response.status})`);
+    }
+    return result;
+  };
+
+  /**
+   * Capture the current view of a table
+   * @param {string} tableId - Table identifier
+   * @returns {Object} { search, order, filters, hidden, columnOrder }
+   */
+  const captureView = (tableId) => {
+    const { api } = savedTables.get(tableId);
+    const regex = Boolean(api.settings()[0].oPreviousSearch.bRegex);
+
+    return {
+      search: getSearchState(tableId) || { mode: regex ? 'regex' : 'simple', query: api.search() },
+      order: api.order().map(([column, dir]) => [column, dir]),
+      filters: DataTableFilters.getFilterValues(tableId),
+      hidden: api.columns().indexes().toArray().filter(index => !api.column(index).visible()),
+      columnOrder: api.colReorder ? api.colReorder.order() : null
+    };
+  };
+
+  /**
+   * Apply a view to a table
+   * Columns that no longer exist are skipped, so views survive column changes.
+   *
+   * @param {string} tableId - Table identifier
+   * @param {Object} view - View state, as captured by captureView
+   */
+  const applyView = (tableId, view) => {
+    const { api } = savedTables.get(tableId);
+    const columnCount = api.columns().count();
+    const inRange = column => Number.isInteger(column) && column >= 0 && column < columnCount;
+
+    if (api.colReorder && Array.isArray(view.columnOrder) && view.columnOrder.length === columnCount) {
+      api.colReorder.order(view.columnOrder, true);
+    }
+
+    const hidden = (view.hidden || []).filter(inRange);
+    api.columns().every(function() {
+      this.visible(!hidden.includes(this.index()), false);
+    });
+    api.columns.adjust();
+
+    const order = (view.order || []).filter(([column]) => inRange(column));
+    api.order(order.length ? order : []);
+
+    // Filters draw as they are applied
+    if (DataTableFilters.activeFilters[tableId]) {
+      DataTableFilters.clearAllFilters(tableId, api);
+      DataTableFilters.setFilters(tableId, api, view.filters || {});
+    }
+
+    const search = view.search || {};
+    if (!setSearchState(tableId, search)) {
+      api.search(search.query || '', search.mode === 'regex', search.mode !== 'regex');
+    }
+
+    api.draw();
+  };
+
+  /**
+   * Find a loaded view
+   * @param {string} tableId - Table identifier
+   * @param {number} viewId - View id
+   * @returns {Object|undefined} View
+   */
+  const findView = (tableId, viewId) => savedTables.get(tableId).views.find(view => view.viewId === viewId);
+
+  /**
+   * Load a saved view into the table
+   * @param {string} tableId - Table identifier
+   * @param {number} viewId - View id
+   */
+  const loadView = (tableId, viewId) => {
+    const entry = savedTables.get(tableId);
+    const view = findView(tableId, viewId);
+    if (!view || !view.state) return;
+
+    applyView(tableId, view.state);
+    entry.activeViewId = view.viewId;
+    renderPicker(tableId);
+  };
+
+  /**
+   * Go back to the table as configured (no saved view)
+   * @param {string} tableId - Table identifier
+   */
+  const resetView = (tableId) => {
+    const entry = savedTables.get(tableId);
+    applyView(tableId, entry.initialState);
+    entry.activeViewId = null;
+    renderPicker(tableId);
+  };
+
+  /**
+   * Fetch the views of a table
+   * @param {string} tableId - Table identifier
+   * @returns {Promise<Array<Object>>} Views (own first, then shared)
+   */
+  const refreshViews = async (tableId) => {
+    const entry = savedTables.get(tableId);
+    const result = await request(tableId, 'GET');
+    entry.views = result.views || [];
+    renderPicker(tableId);
+    return entry.views;
+  };
+
+  /**
+   * Save the current view, as a new view or over an existing own view
+   * @param {string} tableId - Table identifier
+   * @param {Object} options - { name, shared, isDefault, viewId (update), state (default: the current view) }
+   * @returns {Promise<Object>} Saved view
+   */
+  const saveView = async (tableId, { name, shared = false, isDefault = undefined, viewId = null, state = null }) => {
+    const entry = savedTables.get(tableId);
+    const body = { name, shared, isDefault, state: state || captureView(tableId) };
+    const result = viewId
+      ? await request(tableId, 'PUT', `/${viewId}`, body)
+      : await request(tableId, 'POST', '', body);
+
+    await refreshViews(tableId);
+    entry.activeViewId = result.view.viewId;
+    renderPicker(tableId);
+    return result.view;
+  };
+
+  /**
+   * Delete an own view
+   * @param {string} tableId - Table identifier
+   * @param {number} viewId - View id
+   */
+  const deleteView = async (tableId, viewId) => {
+    const entry = savedTables.get(tableId);
+    await request(tableId, 'DELETE', `/${viewId}`);
+    if (entry.activeViewId === viewId) entry.activeViewId = null;
+    await refreshViews(tableId);
+  };
+
+  /**
+   * Set (or clear, with null) the view the table opens with
+   * @param {string} tableId - Table identifier
+   * @param {number|null} viewId - Own or shared view
+   */
+  const setDefaultView = async (tableId, viewId) => {
+    await request(tableId, 'PUT', '/default', { viewId });
+    await refreshViews(tableId);
+  };
+
+  /**
+   * Run a picker action, reporting failures with a toast
+   * @param {Function} action - Async action
+   * @param {string} success - Message on success (optional)
+   */
+  const runAction = async (action, success) => {
+    try {
+      await action();
+      if (success) notify(success);
+    } catch (error) {
+      notify(error.message, 'danger');
+    }
+  };
+
+  /**
+   * Build a picker menu item
+   * @param {string} label - Item text
+   * @param {Function} onClick - Click handler
+   * @param {Object} options - { icon, active, detail, danger }
+   * @returns {jQuery} List item
+   */
+  const menuItem = (label, onClick, { icon = '', active = false, detail = '', danger = false } = {}) => {
+    const $button = jQuery('<button type="button" class="dropdown-item d-flex align-items-center gap-2"></button>')
+      .toggleClass('active', active)
+      .toggleClass('text-danger', danger)
+      .attr('aria-current', active ? 'true' : null)
+      .on('click', onClick);
+    if (icon) $button.append(jQuery('<i aria-hidden="true"></i>').addClass(`bi bi-${icon}`));
+    $button.append(jQuery('<span class="flex-grow-1"></span>').text(label));
+    if (detail) $button.append(jQuery('<small class="text-muted"></small>').text(detail));
+    return jQuery('<li></li>').append($button);
+  };
+
+  /**
+   * Render the view picker of a table (button label and menu)
+   * @param {string} tableId - Table identifier
+   */
+  const renderPicker = (tableId) => {
+    const entry = savedTables.get(tableId);
+    if (!entry || !entry.menu) return;
+
+    const active = entry.activeViewId ? findView(tableId, entry.activeViewId) : null;
+    jQuery(entry.button).find('.saved-views-label').text(active ? `View: ${active.name}` : 'Views');
+
+    const $menu = jQuery(entry.menu).empty();
+    const own = entry.views.filter(view => view.isOwner);
+    const shared = entry.views.filter(view => !view.isOwner);
+
+    const viewItem = view => menuItem(view.name, () => loadView(tableId, view.viewId), {
+      icon: view.isDefault ? 'star-fill' : (view.shared && view.isOwner ? 'people' : 'bookmark'),
+      active: view.viewId === entry.activeViewId,
+      detail: view.isOwner ? (view.isDefault ? 'default' : '') : view.owner
+    });
+
+    $menu.append('<li><h6 class="dropdown-header">My views</h6></li>');
+    if (own.length) {
+      own.forEach(view => $menu.append(viewItem(view)));
+    } else {
+      $menu.append('<li><span class="dropdown-item-text small text-muted">No saved views yet</span></li>');
+    }
+    if (shared.length) {
+      $menu.append('<li><h6 class="dropdown-header">Shared by the team</h6></li>');
+      shared.forEach(view => $menu.append(viewItem(view)));
+    }
+
+    $menu.append('<li><hr class="dropdown-divider"></li>');
+    $menu.append(menuItem('Save current view as...', () => openSaveDialog(tableId), { icon: 'plus-lg' }));
+
+    if (active && active.isOwner) {
+      $menu.append(menuItem(`Update "${active.name}"`, () => runAction(
+        () => saveView(tableId, { name: active.name, shared: active.shared, viewId: active.viewId }),
+        `View "${active.name}" updated.`
+      ), { icon: 'save' }));
+      $menu.append(menuItem('Rename or share...', () => openSaveDialog(tableId, active), { icon: 'pencil' }));
+    }
+    if (active) {
+      $menu.append(active.isDefault
+        ? menuItem('Stop opening with this view', () => runAction(() => setDefaultView(tableId, null), 'Default view cleared.'), { icon: 'star' })
+        : menuItem('Open the table with this view', () => runAction(() => setDefaultView(tableId, active.viewId), `"${active.name}" is now your default view.`), { icon: 'star-fill' }));
+    }
+    if (active && active.isOwner) {
+      $menu.append(menuItem(`Delete "${active.name}"`, () => {
+        if (window.confirm(`Delete the view "${active.name}"?`)) {
+          runAction(() => deleteView(tableId, active.viewId), `View "${active.name}" deleted.`);
+        }
+      }, { icon: 'trash', danger: true }));
+    }
+
+    $menu.append('<li><hr class="dropdown-divider"></li>');
+    $menu.append(menuItem('Reset to the table defaults', () => resetView(tableId), { icon: 'arrow-counterclockwise' }));
+  };
+
+  /**
+   * Create the save dialog of a table (once)
+   * @param {string} tableId - Table identifier
+   * @returns {HTMLElement} Modal element
+   */
+  const getSaveDialog = (tableId) => {
+    const modalId = `savedViewModal-${tableId}`;
+    const existing = document.getElementById(modalId);
+    if (existing) return existing;
+
+    jQuery('body').append(`
+      <div class="modal fade" id="${modalId}" tabindex="-1" aria-labelledby="${modalId}-title" aria-hidden="true">
+        <div class="modal-dialog">
+          <form class="modal-content" novalidate>
+            <div class="modal-header">
+              <h5 class="modal-title" id="${modalId}-title">Save view</h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+              <p class="small text-muted">Saves the search, sort, filters and columns of the table.</p>
+              <div class="mb-3">
+                <label class="form-label" for="${modalId}-name">Name</label>
+                <input type="text" class="form-control" id="${modalId}-name" name="name" maxlength="100" required>
+              </div>
+              <div class="form-check">
+                <input class="form-check-input" type="checkbox" id="${modalId}-shared" name="shared">
+                <label class="form-check-label" for="${modalId}-shared">Share with the team</label>
+              </div>
+              <div class="form-check">
+                <input class="form-check-input" type="checkbox" id="${modalId}-default" name="isDefault">
+                <label class="form-check-label" for="${modalId}-default">Open the table with this view</label>
+              </div>
+              <div class="alert alert-danger small mt-3 mb-0 d-none" role="alert"></div>
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="submit" class="btn btn-primary">Save</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `);
+    return document.getElementById(modalId);
+  };
+
+  /**
+   * Open the save dialog: a new view, or name and sharing of an own view
+   * @param {string} tableId - Table identifier
+   * @param {Object} view - Own view to edit (optional)
+   */
+  const openSaveDialog = (tableId, view = null) => {
+    const modal = getSaveDialog(tableId);
+    const $form = jQuery(modal).find('form');
+    const $error = $form.find('.alert').addClass('d-none');
+
+    $form.find('.modal-title').text(view ? `Edit view "${view.name}"` : 'Save view');
+    $form.find('[name="name"]').val(view ? view.name : '');
+    $form.find('[name="shared"]').prop('checked', Boolean(view && view.shared));
+    $form.find('[name="isDefault"]').prop('checked', Boolean(view && view.isDefault));
+
+    $form.off('submit').on('submit', async (event) => {
+      event.preventDefault();
+      const name = $form.find('[name="name"]').val().trim();
+      if (!name) {
+        $error.text('A view name is required.').removeClass('d-none');
+        return;
+      }
+
+      try {
+        const options = {
+          name,
+          shared: $form.find('[name="shared"]').is(':checked'),
+          isDefault: $form.find('[name="isDefault"]').is(':checked')
+        };
+        // Editing changes the name and sharing only, the saved state is kept
+        if (view) {
+          options.viewId = view.viewId;
+          options.state = view.state;
+        }
+        const saved = await saveView(tableId, options);
+        bootstrap.Modal.getOrCreateInstance(modal).hide();
+        notify(`View "${saved.name}" saved.`);
+      } catch (error) {
+        $error.text(error.message).removeClass('d-none');
+      }
+    });
+
+    jQuery(modal).one('shown.bs.modal', () => $form.find('[name="name"]').trigger('focus'));
+    bootstrap.Modal.getOrCreateInstance(modal).show();
+  };
+
+  /**
+   * Turn the toolbar button of a table into the view picker dropdown
+   * Runs once both the button and the table's saved view state exist.
+   *
+   * @param {string} tableId - Table identifier
+   */
+  const attachPicker = (tableId) => {
+    const entry = savedTables.get(tableId);
+    if (!entry || !entry.button || entry.menu) return;
+
+    const $button = jQuery(entry.button)
+      .attr({ 'data-bs-toggle': 'dropdown', 'aria-expanded': 'false', 'aria-haspopup': 'true' })
+      .addClass('dropdown-toggle');
+    const $menu = jQuery('<ul class="dropdown-menu saved-views-menu"></ul>')
+      .attr('aria-label', `Saved views of ${tableId}`);
+    $button.after($menu);
+
+    entry.menu = $menu[0];
+    renderPicker(tableId);
+  };
+
+  /**
+   * Enable saved views for a table
+   * Call before DataTableUrlState.initialize, so the view captured as the table
+   * defaults is the configured one rather than one restored from a link.
+   *
+   * @param {string} tableId - Table identifier
+   * @param {DataTable} api - DataTables API instance
+   * @param {Object} config - Saved views configuration ({ enabled, url, applyDefault })
+   */
+  const initializeSavedViews = (tableId, api, config = {}) => {
+    if (config === false || config.enabled === false) {
+      return;
+    }
+
+    const existing = savedTables.get(tableId);
+    savedTables.set(tableId, {
+      api,
+      config,
+      views: [],
+      activeViewId: null,
+      initialState: null,
+      button: existing ? existing.button : null,
+      menu: null
+    });
+
+    const entry = savedTables.get(tableId);
+    entry.initialState = captureView(tableId);
+    attachPicker(tableId);
+
+    api.on('destroy.dt', () => savedTables.delete(tableId));
+
+    refreshViews(tableId)
+      .then(views => {
+        const defaultView = views.find(view => view.isDefault);
+        const fromLink = DataTableUrlState.hasUrlState(tableId);
+        if (defaultView && config.applyDefault !== false && !fromLink && savedTables.has(tableId)) {
+          loadView(tableId, defaultView.viewId);
+        }
+      })
+      .catch(error => console.warn(`[Saved Views] Could not load the views of ${tableId}:`, error.message));
+  };
+
+// "Views" picker for the DataTables buttons bar (buttons: [..., 'savedViews'])
+if (typeof jQuery !== 'undefined' && jQuery.fn.dataTable && jQuery.fn.dataTable.ext.buttons) {
+  jQuery.fn.dataTable.ext.buttons.savedViews = {
+    text: '<i class="bi bi-bookmark" aria-hidden="true"></i> <span class="saved-views-label">Views</span>',
+    titleAttr: 'Saved views of this table',
+    className: 'saved-views-toggle',
+    init: (dt, node) => {
+      const tableId = dt.table().node().id;
+      if (!savedTables.has(tableId)) {
+        // Buttons are created before initComplete; keep the node until the table registers
+        savedTables.set(tableId, { button: node[0] });
+        return;
+      }
+      savedTables.get(tableId).button = node[0];
+      attachPicker(tableId);
+    },
+    // The Bootstrap dropdown opens the menu
+    action: () => {}
+  };
+}
+
+// Public API
+const DataTableSavedViews = {
+  initialize: initializeSavedViews,
+  captureView: captureView,
+  applyView: applyView,
+  refreshViews: refreshViews,
+  loadView: loadView,
+  saveView: saveView,
+  deleteView: deleteView,
+  setDefaultView: setDefaultView,
+  resetView: resetView
+};
+
+export { DataTableSavedViews };
+export default DataTableSavedViews;
@@ -0,0 +1,331 @@
+/**
+ * File: table-feature-url-state.js
+ * Created: 2026-10-18
+ *
+ * DataTable URL State Module
+ *
+ * Keeps a table's view in the query string, so a pasted link opens the same slice:
+ * search, sort, column filters, hidden columns, column order, page, page length and
+ * the selected master row. The URL is rewritten with history.replaceState as the table
+ * changes and read back when the table initializes (it takes precedence over stateSave).
+ *
+ * QUERY PARAMETERS (prefixed with the table key, default the table id):
+ * - <key>.q       global search
+ * - <key>.sort    "<columnIndex>:<asc|desc>,..."
+ * - <key>.f       column filters as JSON { columnIndex: value } (see DataTableFilters.getFilterValues)
+ * - <key>.hidden  hidden column indexes "3,5"
+ * - <key>.cols    column order "2,0,1,..." (only with the ColReorder extension)
+ * - <key>.page    page number, from 1
+ * - <key>.len     page length
+ * - <key>.row     id of the selected master row (set by the page, see setSelectedRow)
+ * Values equal to the table's initial state are left out to keep links short.
+ *
+ * COPY LINK:
+ * Registers the `copyLink` DataTables button, which copies the current URL (the view of
+ * every table on the page) to the clipboard.
+ *
+ * CONFIGURATION:
+ * urlStateConfig: {
+ *   enabled: true,     // default true; false keeps the table out of the URL
+ *   key: 'issues'      // parameter prefix (default the table id)
+ * }
+ */
+
+'use strict';
+
+import { DataTableFilters } from '../../lib/datatable-kit/features/table-feature-filters.js';
+
+// Per-table URL state: { key, api, defaults, restoring, restoredFromUrl, selectedRow }
+const urlTables = new Map();
+
+// Delay before the URL is rewritten, so a burst of table events writes it once
+const WRITE_DELAY_MS = 150;
+
+let writeTimer = null;
+
+  /**
+   * Name of a table's query parameter
+   * @param {string} tableId - Table identifier
+   * @param {string} name - Parameter name (q, sort, f, ...)
+   * @returns {string} Query parameter name
+   */
+  const paramName = (tableId, name) => `${urlTables.get(tableId).key}.${name}`;
+
+  /**
+   * Encode a DataTables order as "<column>:<dir>,..."
+   * @param {Array} order - [[columnIndex, dir], ...]
+   * @returns {string} Encoded order
+   */
+  const encodeOrder = (order) => order.map(([column, dir]) => `${column}:${dir}`).join(',');
+
+  /**
+   * Decode "<column>:<dir>,..." into a DataTables order
+   * @param {string} value - Encoded order
+   * @param {number} columnCount - Number of columns (out of range columns are skipped)
+   * @returns {Array} [[columnIndex, dir], ...]
+   */
+  const decodeOrder = (value, columnCount) => {
+    return value.split(',')
+      .map(part => part.split(':'))
+      .map(([column, dir]) => [parseInt(column, 10), dir === 'desc' ? 'desc' : 'asc'])
+      .filter(([column]) => column >= 0 && column < columnCount);
+  };
+
+  /**
+   * Decode a comma separated list of column indexes
+   * @param {string} value - "3,5"
+   * @param {number} columnCount - Number of columns
+   * @returns {Array<number>} Column indexes
+   */
+  const decodeColumns = (value, columnCount) => {
+    return value.split(',')
+      .map(part => parseInt(part, 10))
+      .filter(column => column >= 0 && column < columnCount);
+  };
+
+  /**
+   * Read the current view of a table
+   * @param {string} tableId - Table identifier
+   * @returns {Object} { q, sort, f, hidden, cols, page, len, row } as query parameter values
+   */
+  const readState = (tableId) => {
+    const { api, selectedRow } = urlTables.get(tableId);
+    const filters = DataTableFilters.getFilterValues(tableId);
+
+    return {
+      q: api.search(),
+      sort: encodeOrder(api.order()),
+      f: Object.keys(filters).length ? JSON.stringify(filters) : '',
+      hidden: api.columns().indexes().toArray().filter(index => !api.column(index).visible()).join(','),
+      cols: api.colReorder ? api.colReorder.order().join(',') : '',
+      page: api.page() > 0 ? String(api.page() + 1) : '',
+      len: String(api.page.len()),
+      row: selectedRow == null ? '' : String(selectedRow)
+    };
+  };
+
+  /**
+   * Rewrite the query string with the state of every registered table
+   * Other query parameters are kept.
+   */
+  const writeUrl = () => {
+    const params = new URLSearchParams(window.location.search);
+
+    urlTables.forEach((state, tableId) => {
+      if (state.restoring) return;
+
+      const current = readState(tableId);
+      Object.entries(current).forEach(([name, value]) => {
+        const param = paramName(tableId, name);
+        if (value && value !== state.defaults[name]) {
+          params.set(param, value);
+        } else {
+          params.delete(param);
+        }
+      });
+    });
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  };
+
+  /**
+   * Schedule a URL rewrite
+   */
+  const scheduleWrite = () => {
+    clearTimeout(writeTimer);
+    writeTimer = setTimeout(writeUrl, WRITE_DELAY_MS);
+  };
+
+  /**
+   * Apply the state found in the URL to a table
+   * @param {string} tableId - Table identifier
+   */
+  const restoreFromUrl = (tableId) => {
+    const state = urlTables.get(tableId);
+    const { api } = state;
+    const params = new URLSearchParams(window.location.search);
+    const get = name => params.get(paramName(tableId, name));
+    const columnCount = api.columns().count();
+
+    if (get('row') !== null) {
+      state.selectedRow = get('row');
+    }
+
+    const hasState = ['q', 'sort', 'f', 'hidden', 'cols', 'page', 'len'].some(name => get(name) !== null);
+    state.restoredFromUrl = hasState;
+    if (!hasState) return;
+
+    state.restoring = true;
+    try {
+      if (get('cols') && api.colReorder) {
+        const order = decodeColumns(get('cols'), columnCount);
+        if (order.length === columnCount) {
+          api.colReorder.order(order, true);
+        }
+      }
+
+      if (get('hidden') !== null) {
+        const hidden = decodeColumns(get('hidden'), columnCount);
+        api.columns().every(function() {
+          this.visible(!hidden.includes(this.index()), false);
+        });
+        api.columns.adjust();
+      }
+
+      if (get('q') !== null) {
+        api.search(get('q'));
+      }
+      if (get('sort')) {
+        const order = decodeOrder(get('sort'), columnCount);
+        if (order.length) api.order(order);
+      }
+      if (get('len')) {
+        const length = parseInt(get('len'), 10);
+        if (!isNaN(length)) api.page.len(length);
+      }
+
+      api.draw();
+
+      // Filters draw as they are applied
+      if (get('f')) {
+        try {
+          DataTableFilters.setFilters(tableId, api, JSON.parse(get('f')));
+        } catch (error) {
+          console.warn(`[URL State] Invalid filters for ${tableId}:`, error.message);
+        }
+      }
+
+      if (get('page')) {
+        const page = parseInt(get('page'), 10) - 1;
+        if (page > 0) api.page(page).draw('page');
+      }
+    } finally {
+      state.restoring = false;
+    }
+  };
+
+  /**
+   * Keep a table's view in the URL
+   * Call after the other features (filters in particular) are initialized.
+   *
+   * @param {string} tableId - Table identifier
+   * @param {DataTable} api - DataTables API instance
+   * @param {Object} config - URL state configuration ({ enabled, key })
+   */
+  const initializeUrlState = (tableId, api, config = {}) => {
+    if (config === false || config.enabled === false) {
+      return;
+    }
+
+    urlTables.set(tableId, {
+      key: config.key || tableId,
+      api,
+      defaults: {},
+      restoring: false,
+      restoredFromUrl: false,
+      selectedRow: null
+    });
+
+    // The configured view (sort, page length, columns), left out of the URL
+    const state = urlTables.get(tableId);
+    state.defaults = { ...readState(tableId), q: '', f: '', page: '', row: '' };
+
+    restoreFromUrl(tableId);
+
+    api.on('search.dt order.dt page.dt length.dt column-visibility.dt column-reorder.dt', scheduleWrite);
+    api.on('destroy.dt', () => urlTables.delete(tableId));
+    scheduleWrite();
+  };
+
+  /**
+   * Check whether a table's view was restored from the URL
+   * Features that apply a view of their own (saved views) leave such tables alone.
+   *
+   * @param {string} tableId - Table identifier
+   * @returns {boolean} True when the URL carried view parameters for the table
+   */
+  const hasUrlState = (tableId) => Boolean(urlTables.get(tableId)?.restoredFromUrl);
+
+  /**
+   * Record the selected master row of a table (null clears it)
+   * @param {string} tableId - Table identifier
+   * @param {string|number|null} rowId - Row id
+   */
+  const setSelectedRow = (tableId, rowId) => {
+    const state = urlTables.get(tableId);
+    if (!state) return;
+
+    state.selectedRow = rowId;
+    scheduleWrite();
+  };
+
+  /**
+   * Get the selected master row of a table, as found in the URL or last set
+   * Before the table is initialized, the URL is read with the table id as key.
+   *
+   * @param {string} tableId - Table identifier
+   * @returns {string|null} Row id
+   */
+  const getSelectedRow = (tableId) => {
+    const state = urlTables.get(tableId);
+    if (!state) {
+      return new URLSearchParams(window.location.search).get(`${tableId}.row`);
+    }
+    return state.selectedRow != null ? String(state.selectedRow) : null;
+  };
+
+  /**
+   * Get a link to the current view of every table on the page
+   * @returns {string} Absolute URL
+   */
+  const getShareableUrl = () => {
+    clearTimeout(writeTimer);
+    writeUrl();
+    return window.location.href;
+  };
+
+  /**
+   * Copy the link to the current view to the clipboard
+   * Falls back to a prompt showing the link where the clipboard is not available.
+   *
+   * @returns {Promise<string>} The copied link
+   */
+  const copyShareableUrl = async () => {
+    const url = getShareableUrl();
+
+    try {
+      await navigator.clipboard.writeText(url);
+      if (typeof window.showToast === 'function') {
+        window.showToast('Link to this view copied to the clipboard.', 'success');
+      }
+    } catch (error) {
+      window.prompt('Copy the link to this view:', url);
+    }
+    return url;
+  };
+
+// "Copy link" button for the DataTables buttons bar (buttons: [..., 'copyLink'])
+if (typeof jQuery !== 'undefined' && jQuery.fn.dataTable && jQuery.fn.dataTable.ext.buttons) {
+  jQuery.fn.dataTable.ext.buttons.copyLink = {
+    text: '<i class="bi bi-link-45deg"></i> Copy link',
+    titleAttr: 'Copy a link to this view (search, sort, filters and selection)',
+    action: () => copyShareableUrl()
+  };
+}
+
+// Public API
+const DataTableUrlState = {
+  initialize: initializeUrlState,
+  setSelectedRow: setSelectedRow,
+  getSelectedRow: getSelectedRow,
+  hasUrlState: hasUrlState,
+  getShareableUrl: getShareableUrl,
+  copyShareableUrl: copyShareableUrl
+};
+
+export { DataTableUrlState };
+export default DataTableUrlState;
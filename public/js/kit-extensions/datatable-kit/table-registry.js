@@ -0,0 +1,216 @@
+/**
+ * File: table-registry.js
+ * Created: 2026-10-18
+ *
+ * DataTable Registry and Lifecycle Events
+ *
+ * table-init.js registers every table it initializes. Page scripts, features and
+ * card-kit look tables up by id and wait for them instead of guessing with a timeout:
+ *
+ *   const api = await whenTableReady('cetQueuesSummary');
+ *   onTableEvent('cetQueuesSummary', 'data', ({ api }) => refreshCards(api));
+ *
+ * LIFECYCLE EVENTS (dispatched on the table element, bubbling):
+ * - datatable:ready    Initialized, first data loaded and every feature set up  { tableId, api }
+ * - datatable:data     Rows loaded or replaced: each Ajax response (json), the   { tableId, api, json }
+ *                      initial rows of client-side tables (json null) and rows
+ *                      changed by a feature (notifyDataLoaded)
+ * - datatable:draw     Redrawn (sort, search, filter, page, data)                { tableId, api }
+ * - datatable:destroy  Destroyed; the table leaves the registry until it is      { tableId }
+ *                      initialized again
+ *
+ * Ready tables carry data-dt-ready="true".
+ */
+
+'use strict';
+
+export const TABLE_EVENTS = {
+    ready: 'datatable:ready',
+    data: 'datatable:data',
+    draw: 'datatable:draw',
+    destroy: 'datatable:destroy'
+};
+
+// Kept for listeners written against the ready event alone
+export const READY_EVENT = TABLE_EVENTS.ready;
+
+// Tables by id: { api, ready, promise, resolve }
+const registry = new Map();
+
+/**
+ * Get or create the registry entry of a table
+ * The entry exists before the table is ready so whenTableReady can hand out its promise.
+ *
+ * @param {string} tableId - Table identifier
+ * @returns {Object} Registry entry
+ */
+function getEntry(tableId) {
+    let entry = registry.get(tableId);
+    if (!entry) {
+        entry = { api: null, ready: false };
+        entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+        registry.set(tableId, entry);
+    }
+    return entry;
+}
+
+/**
+ * Dispatch a lifecycle event on the table element
+ * @param {HTMLElement} node - Table element
+ * @param {string} type - Event key (ready, data, draw, destroy)
+ * @param {Object} detail - Event detail
+ */
+function dispatch(node, type, detail) {
+    node.dispatchEvent(new CustomEvent(TABLE_EVENTS[type], { bubbles: true, detail }));
+}
+
+/**
+ * Register a table before DataTables initializes it
+ * Called by table-init.js, so the Ajax response of the first page is seen too.
+ *
+ * @param {string} tableId - Table identifier
+ * @param {HTMLElement} node - Table element
+ */
+export function registerTable(tableId, node) {
+    getEntry(tableId);
+
+    jQuery(node)
+        .off('.registry')
+        .on('xhr.dt.registry', (event, settings, json) => {
+            if (json) {
+                dispatch(node, 'data', { tableId, api: new jQuery.fn.dataTable.Api(settings), json });
+            }
+        })
+        .on('draw.dt.registry', (event, settings) => {
+            dispatch(node, 'draw', { tableId, api: new jQuery.fn.dataTable.Api(settings) });
+        })
+        .on('destroy.dt.registry', () => {
+            jQuery(node).off('.registry');
+            registry.delete(tableId);
+            delete node.dataset.dtReady;
+            dispatch(node, 'destroy', { tableId });
+        });
+}
+
+/**
+ * Mark a table as ready and dispatch the ready event
+ * Called by table-init.js at the end of initComplete.
+ *
+ * @param {string} tableId - Table identifier
+ * @param {DataTable} api - DataTables API instance
+ */
+export function markTableReady(tableId, api) {
+    const node = api.table().node();
+    const entry = getEntry(tableId);
+    entry.api = api;
+    entry.ready = true;
+    node.dataset.dtReady = 'true';
+
+    // Ajax tables announced their rows with the response already
+    if (!api.ajax.url()) {
+        dispatch(node, 'data', { tableId, api, json: null });
+    }
+    entry.resolve(api);
+    dispatch(node, 'ready', { tableId, api });
+}
+
+/**
+ * Announce rows added, changed or replaced without an Ajax request
+ * (e.g. live updates of a client-side table)
+ *
+ * @param {string} tableId - Table identifier
+ */
+export function notifyDataLoaded(tableId) {
+    const api = getTable(tableId);
+    if (api) {
+        dispatch(api.table().node(), 'data', { tableId, api, json: null });
+    }
+}
+
+/**
+ * Get a ready table
+ * @param {string} tableId - Table identifier
+ * @returns {DataTable|null} DataTables API instance, null until the table is ready
+ */
+export function getTable(tableId) {
+    const entry = registry.get(tableId);
+    return entry?.ready ? entry.api : null;
+}
+
+/**
+ * Ids of the ready tables
+ * @returns {Array<string>} Table identifiers
+ */
+export function getTableIds() {
+    return [...registry.entries()].filter(([, entry]) => entry.ready).map(([tableId]) => tableId);
+}
+
+/**
+ * Check whether a table is ready
+ * @param {string} tableId - Table identifier
+ * @returns {boolean} True once the ready event was dispatched
+ */
+export function isTableReady(tableId) {
+    return Boolean(registry.get(tableId)?.ready);
+}
+
+/**
+ * Wait for a table to be ready
+ * @param {string} tableId - Table identifier
+ * @returns {Promise<DataTable>} Resolves with the API instance (right away when ready);
+ *   rejects when the page has no such table
+ */
+export function whenTableReady(tableId) {
+    if (!isTableReady(tableId) && !document.getElementById(tableId)) {
+        return Promise.reject(new Error(`Table #${tableId} not found`));
+    }
+    return getEntry(tableId).promise;
+}
+
+/**
+ * Run a callback once a table is ready (right away when it already is)
+ * @param {string} tableId - Table identifier
+ * @param {Function} callback - Called with the DataTables API instance
+ */
+export function onTableReady(tableId, callback) {
+    whenTableReady(tableId)
+        .then(callback)
+        .catch(error => console.warn(`onTableReady: ${error.message}`));
+}
+
+/**
+ * Listen to a lifecycle event of a table
+ * The listener stays on the table element, so it survives the table being
+ * destroyed and initialized again.
+ *
+ * @param {string} tableId - Table identifier
+ * @param {string} type - ready, data, draw or destroy
+ * @param {Function} handler - Called with the event detail
+ * @returns {Function} Removes the listener
+ */
+export function onTableEvent(tableId, type, handler) {
+    const node = document.getElementById(tableId);
+    if (!node || !TABLE_EVENTS[type]) {
+        console.warn(`onTableEvent: ${node ? `unknown event ${type}` : `table #${tableId} not found`}`);
+        return () => {};
+    }
+
+    const listener = event => handler(event.detail);
+    node.addEventListener(TABLE_EVENTS[type], listener);
+    return () => node.removeEventListener(TABLE_EVENTS[type], listener);
+}
+
+/**
+ * Wait for the next lifecycle event of a table
+ * @param {string} tableId - Table identifier
+ * @param {string} type - ready, data, draw or destroy
+ * @returns {Promise<Object>} Resolves with the event detail
+ */
+export function nextTableEvent(tableId, type) {
+    return new Promise(resolve => {
+        const off = onTableEvent(tableId, type, detail => {
+            off();
+            resolve(detail);
+        });
+    });
+}
@@ -11,6 +11,8 @@
  * 
  * SCOPE:
  * - Generic card update function (updateDashboardCard)
+ * - Optional trend under the count (sparkline + delta, see kit-extensions/card-kit/card-history.js)
+ * - Generic table binder for cards with a declared metric (bindCardMetrics)
  * 
  * ARCHITECTURE:
  * - Generic utilities live here (no hardcoded card IDs or navigation)
@@ -23,6 +25,13 @@
 
 'use strict';
 
+import { getCardHistory, getThresholdVariant, renderCardTrend } from '../../../kit-extensions/card-kit/card-history.js';
+import { computeCardMetric, getCardConfigFromDOM } from '../../../kit-extensions/card-kit/card-metrics.js';
+import { getTable, onTableReady, onTableEvent } from '../../../kit-extensions/datatable-kit/table-registry.js';
+
+// Latest value, thresholds and history config per card, for redrawing the trend once its history loads
+const cardTrends = new Map();
+
 /**
  * Escape HTML entities to prevent XSS attacks
  * @param {String} text - Text to escape
@@ -40,6 +49,22 @@ function escapeHTML(text) {
   return text.replace(/[&<>"']/g, m => map[m]);
 }
 
+/**
+ * Draw the trend of a card from its cached history (fetching it when needed)
+ * @param {String} cardId - Card element ID
+ */
+const updateCardTrend = (cardId) => {
+  const card = document.getElementById(cardId);
+  const trend = cardTrends.get(cardId);
+  const trendEl = card?.querySelector('.card-trend');
+  if (!trend || !trendEl) return;
+
+  const data = getCardHistory(trend.history, () => updateCardTrend(cardId));
+  if (data) {
+    trendEl.innerHTML = renderCardTrend(trend.count, data, trend.history, trend.thresholds);
+  }
+};
+
 /**
  * Update dashboard metric card with dynamic styling based on thresholds
  * This is a generic utility that works with any card - no hardcoded assumptions
@@ -50,23 +75,13 @@ function escapeHTML(text) {
  * @param {String} label - Card label text
  * @param {String} description - Small helper text describing the metric
  * @param {Object} thresholds - Object with warning and danger thresholds
+ * @param {Object} history - Optional history source { source, metric, range, baseline }:
+ *                           adds a sparkline and the change against the baseline
  */
-export const updateDashboardCard = (cardId, count, iconClass, label, description, thresholds) => {
-    let variant, textColor, iconColor;
-    
-    if (count < thresholds.warning) {
-      variant = 'success';
-      textColor = 'text-success';
-      iconColor = 'text-success';
-    } else if (count < thresholds.danger) {
-      variant = 'warning';
-      textColor = 'text-warning';
-      iconColor = 'text-warning';
-    } else {
-      variant = 'danger';
-      textColor = 'text-danger';
-      iconColor = 'text-danger';
-    }
+export const updateDashboardCard = (cardId, count, iconClass, label, description, thresholds, history = null) => {
+    const variant = getThresholdVariant(count, thresholds);
+    const textColor = `text-${variant}`;
+    const iconColor = `text-${variant}`;
     
     // Update the card border
     const card = document.getElementById(cardId);
@@ -88,7 +103,55 @@ export const updateDashboardCard = (cardId, count, iconClass, label, description
         </h5>
         <small class="text-muted d-block mb-2 card-description">${safeDescription}</small>
         <h3 class="card-title ${textColor} mb-0">${safeCount}</h3>
+        ${history ? '<div class="card-trend d-flex flex-wrap align-items-center gap-2 mt-2"></div>' : ''}
       `;
     }
+
+    if (history?.source && history?.metric) {
+      cardTrends.set(cardId, { count, thresholds, history });
+      updateCardTrend(cardId);
+    }
   }
 
+/**
+ * Bind metric cards to a DataTable
+ * Every card with a declared metric (data-metric, from the card YAML) is recomputed
+ * from the table's filtered rows whenever the table is searched, filtered or redrawn.
+ * Cards whose metric names another table (metric.table) are left alone.
+ * A card's history covers the whole table, so its trend only shows while no filter applies.
+ * Can be called before the table is initialized: the cards update once it is ready, and
+ * keep following it when it is destroyed and initialized again.
+ * 
+ * @param {String} tableId - DataTable element ID
+ * @param {String} cardSelector - Cards to consider (default: every card with a metric)
+ * @returns {Function} Updates the cards now (e.g. after rows are replaced)
+ */
+export const bindCardMetrics = (tableId, cardSelector = '[data-metric]') => {
+  const cards = [...document.querySelectorAll(cardSelector)]
+    .map(card => getCardConfigFromDOM(card))
+    .filter(config => config?.metric && (!config.metric.table || config.metric.table === tableId));
+
+  const updateCards = () => {
+    const table = getTable(tableId);
+    if (!table) return;
+
+    const rows = table.rows({ search: 'applied' }).data().toArray();
+    const unfiltered = rows.length === table.rows().count();
+
+    cards.forEach(config => {
+      updateDashboardCard(
+        config.cardId,
+        computeCardMetric(rows, config.metric),
+        config.icon,
+        config.label,
+        config.description,
+        config.thresholds,
+        unfiltered ? config.history : null
+      );
+    });
+  };
+
+  onTableReady(tableId, updateCards);
+  onTableEvent(tableId, 'draw', updateCards);
+  return updateCards;
+};
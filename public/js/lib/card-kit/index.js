@@ -3,6 +3,9 @@
  * 
  * A configuration-driven Bootstrap card enhancement library providing:
  * - Metric/Stat Cards with threshold-based styling
+ * - Sparklines and deltas from a metric history source
+ * - Declarative card metrics computed from table rows
+ * - Chart cards (bar, line, donut, stacked) bound to a table or an endpoint
  * - Card Actions (collapse, refresh, close, fullscreen)
  * - State Management (localStorage persistence)
  * - Loading States with spinners
@@ -50,6 +53,43 @@ export {
   initializeCardsFromConfig
 } from './core/card-helpers.js';
 
+// ============================================================================
+// HISTORY EXPORTS
+// ============================================================================
+
+export {
+  HISTORY_BASELINES,
+  getThresholdVariant,
+  getCardHistory,
+  getHistoryDelta,
+  renderSparkline,
+  renderCardTrend
+} from '../../kit-extensions/card-kit/card-history.js';
+
+// ============================================================================
+// METRIC EXPORTS
+// ============================================================================
+
+export {
+  METRIC_AGGREGATES,
+  matchesWhere,
+  computeCardMetric,
+  getCardConfigFromDOM
+} from '../../kit-extensions/card-kit/card-metrics.js';
+
+// ============================================================================
+// CHART EXPORTS
+// ============================================================================
+
+export {
+  CHART_TYPES,
+  buildChartData,
+  initializeChartCard,
+  initializeChartCards,
+  refreshChartCard,
+  getChartCard
+} from '../../kit-extensions/card-kit/card-chart.js';
+
 // ============================================================================
 // VERSION INFO
 // ============================================================================
@@ -74,6 +74,12 @@ import { DataTableSelection } from '../features/table-feature-selection.js';
 import { initializeFooter } from '../features/table-feature-footer.js';
 import { initializeEditing } from '../features/table-feature-editing.js';
 import { initializeSearch } from '../features/table-feature-search.js';
+import { DataTableLive } from '../../../kit-extensions/datatable-kit/table-feature-live.js';
+import { DataTableUrlState } from '../../../kit-extensions/datatable-kit/table-feature-url-state.js';
+import { DataTableSavedViews } from '../../../kit-extensions/datatable-kit/table-feature-saved-views.js';
+import { DataTableLinks } from '../../../kit-extensions/datatable-kit/table-feature-linked.js';
+import { DataTableRowActions } from '../features/table-feature-actions.js';
+import { registerTable, markTableReady } from '../../../kit-extensions/datatable-kit/table-registry.js';
 
 // ============================================================================
 // RENDER FUNCTION REGISTRY
@@ -120,10 +126,14 @@ import { initializeSearch } from '../features/table-feature-search.js';
  * - Prevents naming conflicts with other libraries
  * - Easy to inspect available functions (Object.keys(renderFunctionRegistry))
  * - Follows ES6 module best practices
+ * 
+ * Application-specific helpers (e.g. cet-render-helpers.js) are added by the
+ * app's bridge module through registerRenderFunction().
  */
 const renderFunctionRegistry = {
     ...tableHelpers,
-    ...cetRenderHelpers
+    // Buttons of the declarative row actions (config.rowActions)
+    renderRowActions: DataTableRowActions.render
 };
 
 /**
@@ -210,6 +220,16 @@ export function registerRenderFunction(name, func) {
  * - initializeSearch: Enhanced search with field-specific filters
  * - DataTableAria: Accessibility enhancements (roles, labels, descriptions)
  * - DataTableKeyboard: Keyboard navigation shortcuts
+ * - DataTableLive: Server-Sent Events row updates
+ * - DataTableUrlState: Table view kept in the query string
+ * - DataTableLinks: Detail table filtered by the selected row of its master table
+ * - DataTableRowActions: Confirmed server actions on a row (registered before creation)
+ * 
+ * TABLE REGISTRY:
+ * Every table is registered by id (see table-registry.js). Once every module is
+ * set up, a `datatable:ready` event is dispatched on the table element; data
+ * loads, redraws and destroy follow as `datatable:data`, `datatable:draw` and
+ * `datatable:destroy`. Pages await a table with whenTableReady(tableId).
  * 
  * @param {Object} config - Complete DataTable configuration object
  * @param {string} config.id - DOM ID of the table element
@@ -226,7 +246,13 @@ export function registerRenderFunction(name, func) {
  * @param {Object} config.searchConfig - Search enhancement configuration
  * @param {Object} config.ariaConfig - ARIA accessibility configuration
  * @param {Object} config.keyboardConfig - Keyboard navigation configuration
+ * @param {Object} config.liveConfig - Live update (SSE) configuration
+ * @param {Object|boolean} config.urlStateConfig - URL state configuration (false to opt out)
+ * @param {Object|boolean} config.savedViewsConfig - Saved views configuration (false to opt out)
+ * @param {Object} config.linkedTo - Master table link of a detail table ({ table, keys, label })
+ * @param {Object} config.rowActions - Row actions posted to the server ({ url, actions }), shown by renderRowActions
  * @param {string} config.childField - Data property for expandable child rows
+ * @param {string} config.childRender - Registered function rendering child rows (default: formatStackTraceRow)
  * @param {Object} config.dtOptions - Additional DataTables options to merge
  * 
  * @returns {Object|null} DataTable API instance or null if initialization fails
@@ -255,6 +281,11 @@ const initDataTable = (config) => {
                 return null;
             }
             
+            // Already initialized (auto-init and a bridge can both request it)
+            if (jQuery.fn.dataTable.isDataTable(table)) {
+                return jQuery(table).DataTable();
+            }
+            
             // ================================================================
             // BUILD COLUMN DEFINITIONS
             // ================================================================
@@ -293,6 +324,11 @@ const initDataTable = (config) => {
                     colDef.responsivePriority = col.responsivePriority;
                 }
                 
+                // Hidden columns still hold data for searching (e.g. linked table keys)
+                if (col.visible === false) {
+                    colDef.visible = false;
+                }
+                
                 // --------------------------------------------------------
                 // RENDER FUNCTION ASSIGNMENT
                 // --------------------------------------------------------
@@ -446,6 +482,9 @@ const initDataTable = (config) => {
              *    - Best for large datasets (1000+ rows)
              *    - Reduces initial page load time
              *    - Requires backend API that follows DataTables protocol
+             *    - The response may carry an `aggregates` object
+             *      (<column>_<aggregation> over all filtered rows) used by
+             *      the footer and by getServerAggregates()
              * 
              * 2. CLIENT-SIDE PROCESSING (default):
              *    - All data is loaded at once via config.dataSource
@@ -456,7 +495,28 @@ const initDataTable = (config) => {
              */
             if (config.serverSide && config.ajaxUrl) {
                 dtConfig.serverSide = true;
-                dtConfig.ajax = config.ajaxUrl;
+                dtConfig.deferRender = true;
+
+                // No "All" entry: the server caps a page at 1000 rows
+                dtConfig.lengthMenu = [[10, 25, 50, 100], [10, 25, 50, 100]];
+                
+                /**
+                 * DataTables already sends draw/start/length/order/search/columns.
+                 * Range, date range and multi-select filters are applied with
+                 * $.fn.dataTable.ext.search on the client, which server-side mode
+                 * skips, so the active filter state is sent along as JSON and the
+                 * server turns it into column filters.
+                 */
+                dtConfig.ajax = {
+                    url: config.ajaxUrl,
+                    type: 'GET',
+                    data: function(request) {
+                        const activeFilters = DataTableFilters.activeFilters[config.id];
+                        if (activeFilters && Object.keys(activeFilters).length > 0) {
+                            request.filters = JSON.stringify(activeFilters);
+                        }
+                    }
+                };
             } else if (config.dataSource) {
                 dtConfig.data = config.dataSource;
             }
@@ -489,7 +549,12 @@ const initDataTable = (config) => {
              * 4. Editing - Attaches click handlers to cells
              * 5. Search - Adds advanced search UI elements
              * 6. ARIA - Enhances accessibility after DOM is stable
-             * 7. Keyboard - Adds keyboard shortcuts last
+             * 7. Keyboard - Adds keyboard shortcuts
+             * 8. URL state - Restores the view from the query string once filters exist
+             * 9. Linked tables - Follows the master table once it is ready
+             * 10. Live - Starts streaming changes once everything else is listening
+             * 
+             * Finally the table is marked ready (`datatable:ready` event).
              * 
              * Each module receives:
              * - tableId: DOM ID for element selection
@@ -537,6 +602,35 @@ const initDataTable = (config) => {
                 if (config.keyboardConfig && DataTableKeyboard) {
                     DataTableKeyboard.initialize(config.id, config.keyboardConfig, api);
                 }
+                
+                // Saved views picker (on unless disabled); before the URL state, so the
+                // table defaults it captures are not a view restored from a link
+                if (config.savedViewsConfig !== false && DataTableSavedViews) {
+                    DataTableSavedViews.initialize(config.id, api, config.savedViewsConfig || {});
+                }
+                
+                // Restore the view from the URL and keep the URL up to date (on unless disabled)
+                if (config.urlStateConfig !== false && DataTableUrlState) {
+                    DataTableUrlState.initialize(config.id, api, config.urlStateConfig || {});
+                }
+                
+                // Handle the row action buttons if configured
+                if (config.rowActions && DataTableRowActions) {
+                    DataTableRowActions.initialize(config.id, api);
+                }
+                
+                // Filter by the selected row of the master table if linked
+                if (config.linkedTo && DataTableLinks) {
+                    DataTableLinks.initialize(config.id, api, config.linkedTo);
+                }
+                
+                // Start live updates if configured
+                if (config.liveConfig && DataTableLive) {
+                    DataTableLive.initialize(config.id, api, config.liveConfig);
+                }
+                
+                // Everything is set up: let pages and linked tables know
+                markTableReady(config.id, api);
             };
             
             // ================================================================
@@ -559,6 +653,11 @@ const initDataTable = (config) => {
              * The return value is a DataTable API instance that provides methods
              * for interacting with the table programmatically.
              */
+            // Row actions are registered first: the first draw renders their buttons
+            if (config.rowActions && DataTableRowActions) {
+                DataTableRowActions.register(config.id, config.rowActions);
+            }
+            registerTable(config.id, table);
             const dataTable = jQuery('#' + config.id).DataTable(dtConfig);
             
             // ----------------------------------------------------------------
@@ -574,23 +673,29 @@ const initDataTable = (config) => {
              * - Additional metadata (expand to see all properties)
              * - Nested tables (show related records)
              * 
-             * RESPONSIVE CONTROL BUTTON:
+             * CONTROLS:
              * DataTables adds a td.dtr-control button to responsive tables.
-             * Clicking it toggles the child row visibility.
+             * A column can also render its own button with the dt-child-toggle
+             * class (e.g. renderOccurrencesToggle); its aria-expanded follows
+             * the child row. Clicking either toggles the child row visibility.
              * 
              * CHILD CONTENT RENDERING:
              * The config.childField specifies which property contains the
              * detailed content (e.g., 'stackTrace', 'metadata').
              * 
              * We use formatStackTraceRow from renderFunctionRegistry to
-             * format the content into readable HTML.
+             * format the content into readable HTML, unless config.childRender
+             * names another registered function. It is called with the row
+             * data and config.childField, and returns the child row HTML.
              * 
              * SHOWN STATE:
              * The 'shown' class is added to the parent row when expanded,
              * allowing CSS to style the expanded state (e.g., highlight).
              */
-            if (config.childField) {
-                jQuery('#' + config.id + ' tbody').on('click', 'td.dtr-control', function() {
+            if (config.childField || config.childRender) {
+                const childRenderName = config.childRender || 'formatStackTraceRow';
+
+                jQuery('#' + config.id + ' tbody').on('click', 'td.dtr-control, .dt-child-toggle', function() {
                     const tr = jQuery(this).closest('tr');
                     const row = dataTable.row(tr);
                     
@@ -598,14 +703,15 @@ const initDataTable = (config) => {
                         row.child.hide();
                         tr.removeClass('shown');
                     } else {
-                        if (renderFunctionRegistry.formatStackTraceRow) {
-                            const childContent = renderFunctionRegistry.formatStackTraceRow(row.data(), config.childField);
+                        if (typeof renderFunctionRegistry[childRenderName] === 'function') {
+                            const childContent = renderFunctionRegistry[childRenderName](row.data(), config.childField);
                             row.child(childContent).show();
                             tr.addClass('shown');
                         } else {
-                            console.error('formatStackTraceRow function not found in registry');
+                            console.error(`${childRenderName} function not found in registry`);
                         }
                     }
+                    tr.find('.dt-child-toggle').attr('aria-expanded', String(row.child.isShown()));
                 });
             }
             
@@ -801,8 +907,9 @@ const initDataTable = (config) => {
                 // DOM still parsing - wait for DOMContentLoaded event
                 document.addEventListener('DOMContentLoaded', autoInitDataTables);
             } else {
-                // DOM already ready - initialize immediately
-                autoInitDataTables();
+                // DOM already ready - initialize on the next task so modules that
+                // import this one can register their render functions first
+                setTimeout(autoInitDataTables, 0);
             }
         } else {
             // Dependencies not ready yet - retry in 50ms
@@ -837,7 +944,10 @@ const initDataTable = (config) => {
      * 
      * - initDataTable: Core initialization function for programmatic use
      * - autoInitDataTables: Scan and initialize all tables with data-dt-config
+     *   (also exported as initAllDataTables, the name used by index.js and bridges)
      * - registerRenderFunction: Add custom render functions to registry
+     * - Table registry (table-registry.js): initialized tables by id and their
+     *   lifecycle events and promises
      * 
      * These exports allow page-specific JavaScript to:
      * 1. Initialize tables manually with custom configuration
@@ -859,6 +969,16 @@ const initDataTable = (config) => {
      *   dataSource: myData
      * });
      */
-    export { initDataTable, autoInitDataTables };
+    export { initDataTable, autoInitDataTables, autoInitDataTables as initAllDataTables };
+    export {
+        getTable,
+        getTableIds,
+        isTableReady,
+        whenTableReady,
+        onTableReady,
+        onTableEvent,
+        nextTableEvent,
+        TABLE_EVENTS
+    } from '../../../kit-extensions/datatable-kit/table-registry.js';
 
 
@@ -32,6 +32,24 @@
  * - customHandlers.exports.*
  * - customHandlers.editing.*
  * - customHandlers.bulk.*
+ * 
+ * DECLARATIVE ROW ACTIONS (DataTableRowActions):
+ * Server actions on a row, configured with the rowActions option of the table and
+ * shown by a column rendered with renderRowActions:
+ * 
+ *   rowActions: {
+ *     url: '/api/queues/{id}/{action}',        // POST target, row fields in braces
+ *     actions: [{ name: 'enable', label: 'Enable', icon: 'bi-play-circle',
+ *                 variant: 'outline-success', when: { field: 'status', equals: 'Disabled' },
+ *                 confirm: 'Enable {queue}?', reason: 'required' }]
+ *   }
+ * 
+ * when shows the button only on matching rows ({ field, equals | notEquals | greaterThan }).
+ * A click opens a confirmation dialog with the confirm message and a reason box
+ * (reason: required, optional, or none), then posts { reason } as JSON. The server
+ * answers { success, message, row }: row replaces the row data, the message is shown
+ * in a toast and a `datatable:action` event ({ tableId, action, row, response }) is
+ * dispatched on the table. Failures are shown in the dialog.
  */
 
 'use strict';
@@ -308,7 +326,7 @@ const initializeActionHandlers = () => {
     $(document).on('draw.dt', function() {
       const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
       tooltipTriggerList.forEach(function(tooltipTriggerEl) {
-        new window.bootstrap.Tooltip(tooltipTriggerEl);
+        window.bootstrap.Tooltip.getOrCreateInstance(tooltipTriggerEl);
       });
     });
   }
@@ -342,6 +360,254 @@ const initializeActionHandlers = () => {
     });
 }
 
+// ============================================================================
+// DECLARATIVE ROW ACTIONS
+// ============================================================================
+
+// Row action configs by table id: { url, actions, api }
+const rowActionTables = new Map();
+
+const ROW_ACTION_EVENT = 'datatable:action';
+const ROW_ACTION_MODAL_ID = 'rowActionModal';
+const MAX_REASON_LENGTH = 1000;
+
+  /**
+   * Escape text for HTML content and attributes
+   * @param {*} value - Text
+   * @returns {string} Escaped text
+   */
+  const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+
+  /**
+   * Replace {field} placeholders with row values
+   * @param {string} template - Text with placeholders
+   * @param {Object} values - Row data (and extra values such as action)
+   * @param {Function} encode - Applied to each value (default: none)
+   * @returns {string} Filled text
+   */
+  const fillTemplate = (template, values, encode = value => value) => {
+    return String(template ?? '').replace(/\{(\w+)\}/g, (match, field) => encode(String(values[field] ?? '')));
+  };
+
+  /**
+   * Check whether an action applies to a row (its when condition)
+   * @param {Object} action - Action config
+   * @param {Object} row - Row data
+   * @returns {boolean} True when the button should show
+   */
+  const actionApplies = (action, row) => {
+    const when = action.when;
+    if (!when || !when.field) return true;
+
+    const value = row[when.field];
+    if ('equals' in when && value !== when.equals) return false;
+    if ('notEquals' in when && value === when.notEquals) return false;
+    if ('greaterThan' in when && !(Number(value) > Number(when.greaterThan))) return false;
+    return true;
+  };
+
+  /**
+   * Register the row actions of a table (before the DataTable is created, so the
+   * first draw renders the buttons)
+   * @param {string} tableId - Table identifier
+   * @param {Object} config - { url, actions }
+   */
+  const registerRowActions = (tableId, config) => {
+    rowActionTables.set(tableId, {
+      url: config.url,
+      actions: Array.isArray(config.actions) ? config.actions : [],
+      api: null
+    });
+  };
+
+  /**
+   * Render the action buttons of a row (column render function renderRowActions)
+   * @param {*} data - Cell data (unused)
+   * @param {string} type - DataTables render type
+   * @param {Object} row - Row data
+   * @param {Object} meta - DataTables render meta (identifies the table)
+   * @returns {string} Button group HTML ('' for other render types, so exports and search skip it)
+   */
+  const renderRowActions = (data, type, row, meta) => {
+    if (type !== 'display') return '';
+
+    const config = rowActionTables.get(meta?.settings?.sTableId);
+    if (!config) return '';
+
+    const buttons = config.actions
+      .filter(action => actionApplies(action, row))
+      .map(action => {
+        const label = escapeHtml(action.label || action.name);
+        const icon = action.icon ? `<i class="bi ${escapeHtml(action.icon)}" aria-hidden="true"></i>` : label;
+        return `<button type="button" class="btn btn-${escapeHtml(action.variant || 'outline-secondary')} btn-row-action" data-row-action="${escapeHtml(action.name)}" title="${label}" aria-label="${label}">${icon}</button>`;
+      });
+
+    return buttons.length ? `<div class="btn-group btn-group-sm" role="group">${buttons.join('')}</div>` : '';
+  };
+
+  /**
+   * Post an action and apply the result to the row
+   * @param {string} tableId - Table identifier
+   * @param {Object} action - Action config
+   * @param {number} rowIndex - DataTables row index
+   * @param {string} reason - Reason entered in the dialog
+   * @returns {Promise<Object>} Response body
+   */
+  const postRowAction = async (tableId, action, rowIndex, reason) => {
+    const config = rowActionTables.get(tableId);
+    const rowData = config.api.row(rowIndex).data();
+    const url = fillTemplate(config.url, { ...rowData, action: action.name }, encodeURIComponent);
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ reason })
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.success === false) {
+      throw new Error(body.message || `HTTP error! status: ${response.status}`);
+    }
+
+    if (body.row) {
+      config.api.row(rowIndex).data(body.row).draw(false);
+    }
+    config.api.table().node().dispatchEvent(new CustomEvent(ROW_ACTION_EVENT, {
+      bubbles: true,
+      detail: { tableId, action: action.name, row: body.row || rowData, response: body }
+    }));
+    return body;
+  };
+
+  /**
+   * Ask for confirmation (and a reason) before running an action
+   * @param {string} tableId - Table identifier
+   * @param {Object} action - Action config
+   * @param {number} rowIndex - DataTables row index
+   */
+  const confirmRowAction = (tableId, action, rowIndex) => {
+    const config = rowActionTables.get(tableId);
+    const rowData = config.api.row(rowIndex).data();
+    const label = escapeHtml(action.label || action.name);
+    const reasonMode = action.reason || 'none';
+    const confirmVariant = String(action.variant || 'primary').replace(/^outline-/, '');
+    const message = action.confirm
+      ? fillTemplate(action.confirm, rowData, escapeHtml)
+      : `${label}?`;
+
+    const reasonHtml = reasonMode === 'none' ? '' : `
+              <label for="${ROW_ACTION_MODAL_ID}Reason" class="form-label">
+                Reason${reasonMode === 'required' ? ' <span class="text-danger">*</span>' : ''}
+              </label>
+              <textarea class="form-control" id="${ROW_ACTION_MODAL_ID}Reason" rows="3" maxlength="${MAX_REASON_LENGTH}"
+                        ${reasonMode === 'required' ? 'required aria-required="true"' : ''}></textarea>
+              <div class="invalid-feedback">A reason is required.</div>`;
+
+    const modalHtml = `
+      <div class="modal fade" id="${ROW_ACTION_MODAL_ID}" tabindex="-1" aria-labelledby="${ROW_ACTION_MODAL_ID}Label" aria-hidden="true">
+        <div class="modal-dialog">
+          <div class="modal-content">
+            <div class="modal-header">
+              <h5 class="modal-title" id="${ROW_ACTION_MODAL_ID}Label">
+                ${action.icon ? `<i class="bi ${escapeHtml(action.icon)}"></i> ` : ''}${label}
+              </h5>
+              <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
+            </div>
+            <div class="modal-body">
+              <p>${message}</p>${reasonHtml}
+              <div class="alert alert-danger mt-3 mb-0 d-none" role="alert" id="${ROW_ACTION_MODAL_ID}Error"></div>
+            </div>
+            <div class="modal-footer">
+              <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+              <button type="button" class="btn btn-${escapeHtml(confirmVariant)}" id="${ROW_ACTION_MODAL_ID}Confirm">${label}</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Remove existing modal if present
+    $(`#${ROW_ACTION_MODAL_ID}`).remove();
+
+    $('body').append(modalHtml);
+    const modalElement = document.getElementById(ROW_ACTION_MODAL_ID);
+    const modal = new window.bootstrap.Modal(modalElement);
+    const reasonInput = document.getElementById(`${ROW_ACTION_MODAL_ID}Reason`);
+    const errorBox = document.getElementById(`${ROW_ACTION_MODAL_ID}Error`);
+    const confirmButton = document.getElementById(`${ROW_ACTION_MODAL_ID}Confirm`);
+
+    confirmButton.addEventListener('click', async () => {
+      const reason = reasonInput ? reasonInput.value.trim() : '';
+      if (reasonInput && reasonMode === 'required' && !reason) {
+        reasonInput.classList.add('is-invalid');
+        reasonInput.focus();
+        return;
+      }
+
+      reasonInput?.classList.remove('is-invalid');
+      errorBox.classList.add('d-none');
+      confirmButton.disabled = true;
+      confirmButton.innerHTML = `<span class="spinner-border spinner-border-sm me-2"></span>${label}`;
+
+      try {
+        const body = await postRowAction(tableId, action, rowIndex, reason);
+        modal.hide();
+        showToast('success', action.label || action.name, escapeHtml(body.message || 'Done.'));
+      } catch (error) {
+        console.error(`Row action ${action.name} failed:`, error);
+        errorBox.textContent = error.message || 'The action failed.';
+        errorBox.classList.remove('d-none');
+        confirmButton.disabled = false;
+        confirmButton.innerHTML = label;
+      }
+    });
+
+    modalElement.addEventListener('shown.bs.modal', () => (reasonInput || confirmButton).focus());
+
+    // Clean up modal after it's hidden
+    $(modalElement).on('hidden.bs.modal', function() {
+      $(this).remove();
+    });
+
+    modal.show();
+  };
+
+  /**
+   * Handle the row action buttons of a table
+   * @param {string} tableId - Table identifier
+   * @param {DataTable} api - DataTable API instance
+   */
+  const initializeRowActions = (tableId, api) => {
+    const config = rowActionTables.get(tableId);
+    if (!config) return;
+    config.api = api;
+
+    jQuery(api.table().body()).off('click.rowActions').on('click.rowActions', '.btn-row-action', function(e) {
+      e.preventDefault();
+      const action = config.actions.find(entry => entry.name === this.dataset.rowAction);
+      const rowIndex = api.row(jQuery(this).closest('tr')).index();
+      if (!action || rowIndex === undefined) return;
+
+      // Same hook as the default view/edit/delete actions
+      if (customHandlers?.actions?.validate && typeof customHandlers.actions.validate === 'function') {
+        const rowData = api.row(rowIndex).data();
+        if (!customHandlers.actions.validate(action.name, rowData.id ?? rowIndex, rowData)) {
+          return;
+        }
+      }
+
+      confirmRowAction(tableId, action, rowIndex);
+    });
+  };
+
+// Public API of the declarative row actions
+const DataTableRowActions = {
+  register: registerRowActions,
+  initialize: initializeRowActions,
+  render: renderRowActions
+};
+
 // Initialize when DOM is ready
 $(document).ready(function() {
   initializeActionHandlers();
@@ -355,5 +621,6 @@ export {
   handleEditAction,
   handleDeleteAction,
   initializeTooltips,
-  showToast
+  showToast,
+  DataTableRowActions
 };
@@ -31,6 +31,8 @@
  * - Filters persist across page refreshes if stateSave is enabled
  * - Active filters are stored in activeFilters[tableId] object
  * - Filter UI state saved to localStorage automatically
+ * - getFilterValues() / setFilters() read and apply the values as { columnIndex: value },
+ *   which is how table-feature-url-state.js keeps filters in the URL
  * 
  * CUSTOMIZATION:
  * Custom filter handlers can be registered via customHandlers.filters.*
@@ -47,6 +49,10 @@ const DataTableFilters = {
         activeFilters: {},
         filterConfigs: {},
         
+        // Range and date range search functions by `${tableId}:${columnIndex}`,
+        // so changing a range replaces its search function instead of stacking another
+        rangeSearches: {},
+        
         /**
          * Initialize filters for a DataTable
          * 
@@ -498,32 +504,41 @@ const DataTableFilters = {
                     break;
                 
                 case 'range':
-                case 'dateRange':
-                    // Custom search function for ranges
-                    $.fn.dataTable.ext.search.push(
-                        function(settings, data, dataIndex) {
-                            if (settings.nTable.id !== table.table().node().id) return true;
-                            
-                            const cellValue = data[columnIndex];
-                            const min = filterValue.min;
-                            const max = filterValue.max;
-                            
-                            if (filterType === 'range') {
-                                const numValue = parseFloat(cellValue);
-                                if (isNaN(numValue)) return true;
-                                if (min && numValue < parseFloat(min)) return false;
-                                if (max && numValue > parseFloat(max)) return false;
-                            } else { // dateRange
-                                const dateValue = new Date(cellValue);
-                                if (min && dateValue < new Date(min)) return false;
-                                if (max && dateValue > new Date(max)) return false;
-                            }
-                            
-                            return true;
+                case 'dateRange': {
+                    // Custom search function for ranges (replacing the column's previous one)
+                    const searchKey = `${table.table().node().id}:${columnIndex}`;
+                    const previous = this.rangeSearches[searchKey];
+                    if (previous) {
+                        const index = $.fn.dataTable.ext.search.indexOf(previous);
+                        if (index !== -1) $.fn.dataTable.ext.search.splice(index, 1);
+                    }
+                    
+                    const rangeSearch = function(settings, data, dataIndex) {
+                        if (settings.nTable.id !== table.table().node().id) return true;
+                        
+                        const cellValue = data[columnIndex];
+                        const min = filterValue.min;
+                        const max = filterValue.max;
+                        
+                        if (filterType === 'range') {
+                            const numValue = parseFloat(cellValue);
+                            if (isNaN(numValue)) return true;
+                            if (min && numValue < parseFloat(min)) return false;
+                            if (max && numValue > parseFloat(max)) return false;
+                        } else { // dateRange: whole days of the user's time zone, both ends included
+                            const dateValue = new Date(cellValue);
+                            if (isNaN(dateValue)) return true;
+                            if (min && dateValue < new Date(`${min}T00:00:00`)) return false;
+                            if (max && dateValue > new Date(`${max}T23:59:59.999`)) return false;
                         }
-                    );
+                        
+                        return true;
+                    };
+                    this.rangeSearches[searchKey] = rangeSearch;
+                    $.fn.dataTable.ext.search.push(rangeSearch);
                     table.draw();
                     break;
+                }
             }
         },
         
@@ -546,8 +561,14 @@ const DataTableFilters = {
             // Clear DataTable searches
             table.columns().search('').draw();
             
-            // Clear custom search functions
-            $.fn.dataTable.ext.search = [];
+            // Clear this table's range search functions
+            Object.keys(this.rangeSearches)
+                .filter(key => key.startsWith(`${tableId}:`))
+                .forEach(key => {
+                    const index = $.fn.dataTable.ext.search.indexOf(this.rangeSearches[key]);
+                    if (index !== -1) $.fn.dataTable.ext.search.splice(index, 1);
+                    delete this.rangeSearches[key];
+                });
             
             // Clear active filters
             this.activeFilters[tableId] = {};
@@ -577,13 +598,68 @@ const DataTableFilters = {
             
             try {
                 const filters = JSON.parse(saved);
-                // TODO: Restore filter UI and apply filters
-                // This would require rebuilding the filter state
+                const values = {};
+                Object.entries(filters).forEach(([columnIndex, filter]) => {
+                    values[columnIndex] = filter.value;
+                });
+                this.setFilters(tableId, table, values);
             } catch (e) {
                 console.error('Error restoring filters:', e);
             }
         },
         
+        /**
+         * Get the values of the active filters that are set
+         * 
+         * @param {string} tableId - Unique table identifier
+         * @returns {object} { columnIndex: value } - a string, an array (multi-select)
+         *                   or { min, max } (range, dateRange)
+         */
+        getFilterValues: function(tableId) {
+            const values = {};
+            Object.entries(this.activeFilters[tableId] || {}).forEach(([columnIndex, filter]) => {
+                const value = filter.value;
+                const isSet = Array.isArray(value)
+                    ? value.length > 0
+                    : (value && typeof value === 'object' ? Boolean(value.min || value.max) : Boolean(value));
+                if (isSet) {
+                    values[columnIndex] = value;
+                }
+            });
+            return values;
+        },
+        
+        /**
+         * Set filter inputs and apply them
+         * Columns without a filter control are skipped.
+         * 
+         * @param {string} tableId - Unique table identifier
+         * @param {DataTable} table - DataTables API instance
+         * @param {object} values - { columnIndex: value }, as returned by getFilterValues()
+         */
+        setFilters: function(tableId, table, values) {
+            Object.entries(values || {}).forEach(([columnIndex, value]) => {
+                const filterId = `${tableId}_filter_${columnIndex}`;
+                let $input;
+                
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    // Range (min/max) or date range (start/end) inputs
+                    const $min = $(`#${filterId}_min, #${filterId}_start`);
+                    const $max = $(`#${filterId}_max, #${filterId}_end`);
+                    $min.val(value.min || '');
+                    $max.val(value.max || '');
+                    $input = $min;
+                } else {
+                    $input = $(`#${filterId}`);
+                    $input.val(value);
+                }
+                
+                if ($input.length) {
+                    this.applyFilter(tableId, table, $input);
+                }
+            });
+        },
+        
         /**
          * Extract column index from filter ID
          */
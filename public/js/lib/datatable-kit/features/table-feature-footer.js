@@ -24,6 +24,12 @@
  * - User changes page length
  * - Server returns new data (in server-side mode)
  * 
+ * SERVER-SIDE TABLES:
+ * Only the current page is in the browser, so totals come from the `aggregates`
+ * object of the last server response, keyed `<column data>_<aggregation>`
+ * (e.g. duration_sum, queue_countUnique). Aggregations the server does not
+ * supply fall back to the rows of the current page.
+ * 
  * CONFIGURATION:
  * Configured via footerConfig parameter in datatable.ejs:
  * footerConfig: {
@@ -130,6 +136,19 @@ const footerConfigs = {};
     }
   };
 
+  /**
+   * Get the aggregates returned with the last server-side response
+   * 
+   * @param {DataTable} table - DataTables API instance
+   * @returns {Object|null} Aggregates keyed `<column>_<aggregation>`, or null for client-side tables
+   */
+  function getServerAggregates(table) {
+    if (!table.page.info().serverSide) return null;
+    
+    const json = table.ajax.json();
+    return json && json.aggregates ? json.aggregates : null;
+  }
+
   /**
    * Initialize footer aggregations for a table
    */
@@ -155,6 +174,8 @@ const footerConfigs = {};
 
     const $footer = $('#' + tableId + ' tfoot tr');
     if ($footer.length === 0) return;
+    
+    const serverAggregates = getServerAggregates(table);
 
     config.columns.forEach(columnConfig => {
       const columnIndex = columnConfig.columnIndex;
@@ -179,9 +200,12 @@ const footerConfigs = {};
         .data()
         .toArray();
 
-      // Calculate aggregation
+      // Calculate aggregation (server-side tables use the server's totals when available)
       let value = '';
-      if (aggregationFunctions[aggregationType]) {
+      const serverKey = `${table.column(columnIndex).dataSrc()}_${aggregationType}`;
+      if (serverAggregates && serverKey in serverAggregates) {
+        value = serverAggregates[serverKey];
+      } else if (aggregationFunctions[aggregationType]) {
         value = aggregationFunctions[aggregationType](columnData, columnConfig, table, columnIndex);
       }
 
@@ -273,6 +297,7 @@ export {
   updateFooter,
   refreshFooter,
   getFooterConfig,
+  getServerAggregates,
   registerAggregation,
   formatFooterValue
 };
@@ -19,8 +19,8 @@
 
 import { customHandlers } from '../core/table-custom-handlers.js';
 
-// Store search configurations per table
-const searchConfigs = {};
+// Search state per table: { table, config, mode, currentQuery, columnSearches, highlightEnabled }
+const searchState = {};
   
   // Search history (max 20 items)
   const MAX_HISTORY = 20;
@@ -798,9 +798,53 @@ const searchConfigs = {};
       } else {
         state.table.search(query).draw();
       }
+      state.currentQuery = query;
+      state.mode = isRegex ? 'regex' : 'simple';
     });
   }
 
+  /**
+   * Get the search mode and query of a table
+   * Column-specific searches are reported as a simple search of the global query.
+   *
+   * @param {string} tableId - Table identifier
+   * @returns {Object|null} { mode: 'simple'|'regex'|'operator', query }, or null when
+   *                        advanced search is not initialized for the table
+   */
+  function getSearchState(tableId) {
+    const state = searchState[tableId];
+    if (!state) return null;
+
+    if (state.mode === 'operator' || (state.mode === 'regex' && state.table.search() === state.currentQuery)) {
+      return { mode: state.mode, query: state.currentQuery };
+    }
+    return { mode: 'simple', query: state.table.search() };
+  }
+
+  /**
+   * Replace the search of a table with a search mode and query (see getSearchState)
+   * @param {string} tableId - Table identifier
+   * @param {Object} search - { mode, query }
+   * @returns {boolean} False when advanced search is not initialized for the table
+   */
+  function setSearchState(tableId, search = {}) {
+    if (!searchState[tableId]) return false;
+
+    clearSearch(tableId);
+    jQuery(`#regexToggle-${tableId}`).prop('checked', search.mode === 'regex');
+    const query = search.query || '';
+    if (!query) return true;
+
+    if (search.mode === 'regex') {
+      performRegexSearch(tableId, query, false);
+    } else if (search.mode === 'operator') {
+      performOperatorSearch(tableId, query);
+    } else {
+      performSimpleSearch(tableId, query);
+    }
+    return true;
+  }
+
 // Export public API
 export {
   initializeSearch,
@@ -808,5 +852,7 @@ export {
   highlightResults,
   clearHighlights,
   applySearch,
-  performSimpleSearch
+  performSimpleSearch,
+  getSearchState,
+  setSearchState
 };
@@ -7,6 +7,17 @@
  * 
  * Provides row selection capabilities with checkboxes, bulk operations,
  * and keyboard shortcuts for efficient multi-row operations.
+ * 
+ * BULK ACTIONS:
+ * bulkActions lists the built-in 'delete', 'export' and 'update', and custom actions
+ * as { name, label, icon, variant }. A custom action calls
+ * customHandlers.selection.bulkAction(name, tableId, selectedIds, table) when defined,
+ * and dispatches a `datatable:bulkaction` event ({ tableId, action, ids, rows }) on the
+ * table, so pages can handle it without a custom handler. rows holds the selected rows
+ * that are loaded (the current page of server-side tables).
+ * 
+ * Checkboxes are added again after each redraw (paging, filtering, server-side
+ * reloads) and keep the selection.
  */
 
 'use strict';
@@ -16,6 +27,8 @@ import { customHandlers } from '../core/table-custom-handlers.js';
 // Store selection state for each table
 const tableSelections = {};
 
+const BULK_ACTION_EVENT = 'datatable:bulkaction';
+
 const DataTableSelection = {
     /**
      * Initialize row selection for a DataTable
@@ -84,20 +97,29 @@ const DataTableSelection = {
                 firstColumnHeader.prepend(headerCheckbox);
             }
             
-            // Add checkboxes to each row
+            this.addRowCheckboxes(tableId, table);
+        },
+        
+        /**
+         * Add checkboxes to the displayed rows that have none (after each redraw),
+         * checked when the row is selected
+         */
+        addRowCheckboxes: function(tableId, table) {
+            const selection = tableSelections[tableId];
             const rows = $(`#${tableId} tbody tr`);
             rows.each(function() {
                 const $row = $(this);
                 const rowData = table.row($row).data();
                 
-                if (!rowData) return;
+                if (!rowData || $row.find('.row-checkbox').length > 0) return;
                 
                 const rowId = rowData.id || $row.index();
                 const checkbox = $('<input>', {
                     type: 'checkbox',
                     class: 'form-check-input row-checkbox',
-                    'data-row-id': rowId
-                });
+                    'data-row-id': rowId,
+                    'aria-label': `Select row ${rowId}`
+                }).prop('checked', selection ? selection.selectedRows.has(rowId) : false);
                 
                 const checkboxCell = $('<div>', { class: 'form-check' }).append(checkbox);
                 
@@ -138,6 +160,12 @@ const DataTableSelection = {
                 self.updateBulkActionsToolbar(tableId);
             });
             
+            // Rows are re-rendered on each draw: add their checkboxes again
+            table.on('draw.dt.selection', function() {
+                self.addRowCheckboxes(tableId, table);
+                self.updateSelectAllState(tableId);
+            });
+            
             // Row click disabled to avoid conflict with DataTables responsive controls
             // Users can click the checkbox directly to select rows
         },
@@ -181,22 +209,28 @@ const DataTableSelection = {
                 selection.selectedRows.delete(rowId);
             }
             
-            // Update select-all checkbox state
-            const totalRows = $(`#${tableId} .row-checkbox`).length;
-            const selectedCount = selection.selectedRows.size;
+            this.updateSelectAllState(tableId);
+            
+            if (selection.settings.persistSelection) {
+                this.saveSelection(tableId);
+            }
+        },
+        
+        /**
+         * Update the select-all checkbox from the displayed rows
+         */
+        updateSelectAllState: function(tableId) {
+            const $checkboxes = $(`#${tableId} .row-checkbox`);
+            const checkedCount = $checkboxes.filter(':checked').length;
             const $selectAll = $(`#${tableId}_selectAll`);
             
-            if (selectedCount === 0) {
+            if (checkedCount === 0) {
                 $selectAll.prop('checked', false).prop('indeterminate', false);
-            } else if (selectedCount === totalRows) {
+            } else if (checkedCount === $checkboxes.length) {
                 $selectAll.prop('checked', true).prop('indeterminate', false);
             } else {
                 $selectAll.prop('checked', false).prop('indeterminate', true);
             }
-            
-            if (selection.settings.persistSelection) {
-                this.saveSelection(tableId);
-            }
         },
         
         /**
@@ -277,6 +311,20 @@ const DataTableSelection = {
                 $toolbar.append($updateBtn);
             }
             
+            // Custom bulk actions ({ name, label, icon, variant })
+            settings.bulkActions
+                .filter(action => action && typeof action === 'object' && action.name)
+                .forEach(action => {
+                    const $actionBtn = $('<button>', {
+                        class: `btn btn-sm btn-${action.variant || 'secondary'} me-2`,
+                        type: 'button',
+                        'data-bulk-action': action.name
+                    }).html(`${action.icon ? `<i class="bi ${action.icon}"></i> ` : ''}`).append(document.createTextNode(action.label || action.name));
+                    
+                    $actionBtn.on('click', () => this.bulkAction(tableId, table, action.name));
+                    $toolbar.append($actionBtn);
+                });
+            
             // Clear selection button
             const $clearBtn = $('<button>', {
                 class: 'btn btn-sm btn-outline-secondary',
@@ -398,6 +446,30 @@ const DataTableSelection = {
             }
         },
         
+        /**
+         * Custom bulk action: handled by customHandlers.selection.bulkAction or by a
+         * listener of the datatable:bulkaction event
+         */
+        bulkAction: function(tableId, table, actionName) {
+            const selectedIds = this.getSelectedIds(tableId);
+            
+            if (selectedIds.length === 0) return;
+            
+            if (customHandlers?.selection?.bulkAction) {
+                customHandlers.selection.bulkAction(actionName, tableId, selectedIds, table);
+            }
+            
+            table.table().node().dispatchEvent(new CustomEvent(BULK_ACTION_EVENT, {
+                bubbles: true,
+                detail: {
+                    tableId,
+                    action: actionName,
+                    ids: selectedIds,
+                    rows: this.getSelectedData(tableId, table)
+                }
+            }));
+        },
+        
         /**
          * Clear all selections
          */
@@ -8,6 +8,11 @@
  * - Footer aggregations (sum, avg, count)
  * - ARIA accessibility enhancements
  * - Keyboard navigation
+ * - Live row updates over Server-Sent Events
+ * - Shareable table views kept in the URL
+ * - Named views saved on the server per user
+ * - Master-detail linking between tables
+ * - Confirmed row actions posted to the server
  * - Custom render function registry
  * 
  * @module datatable-kit
@@ -29,6 +34,19 @@ export {
 // Custom handlers registry
 export { customHandlers } from './core/table-custom-handlers.js';
 
+// Table registry and lifecycle events
+export {
+    getTable,
+    getTableIds,
+    isTableReady,
+    whenTableReady,
+    onTableReady,
+    onTableEvent,
+    nextTableEvent,
+    notifyDataLoaded,
+    TABLE_EVENTS
+} from '../../kit-extensions/datatable-kit/table-registry.js';
+
 // ============================================================================
 // FEATURE EXPORTS
 // ============================================================================
@@ -37,9 +55,14 @@ export { DataTableFilters } from './features/table-feature-filters.js';
 export { DataTableAria } from './features/table-feature-aria.js';
 export { DataTableKeyboard } from './features/table-feature-keyboard.js';
 export { DataTableSelection } from './features/table-feature-selection.js';
-export { initializeFooter } from './features/table-feature-footer.js';
+export { initializeFooter, getServerAggregates } from './features/table-feature-footer.js';
 export { initializeEditing } from './features/table-feature-editing.js';
 export { initializeSearch } from './features/table-feature-search.js';
+export { DataTableLive } from '../../kit-extensions/datatable-kit/table-feature-live.js';
+export { DataTableUrlState } from '../../kit-extensions/datatable-kit/table-feature-url-state.js';
+export { DataTableSavedViews } from '../../kit-extensions/datatable-kit/table-feature-saved-views.js';
+export { DataTableLinks } from '../../kit-extensions/datatable-kit/table-feature-linked.js';
+export { DataTableRowActions } from './features/table-feature-actions.js';
 
 // ============================================================================
 // HELPER EXPORTS
@@ -12,6 +12,7 @@
 'use strict';
 
 import { updateDashboardCard } from '../lib/card-kit/handlers/card-custom-handlers.js';
+import { onTableReady } from '../kit-extensions/datatable-kit/table-registry.js';
 
 /**
  * Get card configuration from DOM data-* attributes
@@ -52,8 +53,7 @@ const getAllCardConfigs = () => {
  */
 const initializeCETAppsCards = (cardConfig) => {
   // Wait for table initialization
-  setTimeout(() => {
-    const table = $('#cetAppsTable').DataTable();
+  onTableReady('cetAppsTable', (table) => {
     
     // Function to update all summary cards
     const updateSummaryCards = () => {
@@ -110,7 +110,7 @@ const initializeCETAppsCards = (cardConfig) => {
     table.on('search.dt draw.dt', () => {
       updateSummaryCards();
     });
-  }, 500);
+  });
 };
 
 // Initialize using DOM data-* attributes (no global variables needed)
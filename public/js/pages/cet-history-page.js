@@ -0,0 +1,229 @@
+/**
+ * File: cet-history-page.js
+ * Created: 2026-10-18
+ *
+ * CET History View Page Initialization
+ *
+ * Draws the dashboard metric trends of /cet-history with Chart.js:
+ * - Totals chart: every metric, across all applications or for the selected one
+ * - Per application chart: the selected metric, one line per CET app
+ * Data comes from /api/history/dashboard and /api/history/dashboard/apps.
+ * The selection is kept in the query string so trend views can be linked to.
+ */
+
+'use strict';
+
+const SELECTION_FORM_ID = 'historySelection';
+
+// Line colours, in dataset order
+const COLORS = ['#0d6efd', '#dc3545', '#fd7e14', '#6f42c1', '#198754', '#20c997', '#d63384', '#6c757d', '#0dcaf0', '#ffc107'];
+
+// Charts by canvas id (destroyed before redrawing)
+const charts = {};
+
+/**
+ * Read the current selection from the form
+ * @returns {Object} { iGateApp, cetApp, metric, range }
+ */
+const getSelection = () => {
+  const form = document.getElementById(SELECTION_FORM_ID);
+  const app = form.querySelector('#historyApp').selectedOptions[0];
+
+  return {
+    iGateApp: app?.dataset.igateApp || '',
+    cetApp: app?.dataset.cetApp || '',
+    metric: form.querySelector('#historyMetric').value,
+    range: form.querySelector('input[name="range"]:checked')?.value || '24h'
+  };
+};
+
+/**
+ * Build a query string from the non-empty values of an object
+ * @param {Object} values - Query parameters
+ * @returns {string} Query string without the leading "?"
+ */
+const toQuery = (values) => {
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+};
+
+/**
+ * Fetch a history endpoint
+ * @param {string} url - Endpoint with query string
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With the server message when the request fails
+ */
+const fetchHistory = async (url) => {
+  const response = await fetch(url, { headers: { Accept: 'application/json' } });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || !body.success) {
+    throw new Error(body.message || `Request failed (${response.status})`);
+  }
+  return body;
+};
+
+/**
+ * Format bucket start times as axis labels
+ * @param {Array<string>} buckets - ISO timestamps
+ * @param {number} bucketMinutes - Bucket size
+ * @returns {Array<string>} Labels (time only for ranges within a day)
+ */
+const formatLabels = (buckets, bucketMinutes) => {
+  const spansDays = buckets.length * bucketMinutes > 24 * 60;
+  const options = spansDays
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' };
+  return buckets.map(bucket => new Date(bucket).toLocaleString(undefined, options));
+};
+
+/**
+ * Draw (or redraw) a line chart
+ * @param {string} canvasId - Canvas element id
+ * @param {Array<string>} labels - X axis labels
+ * @param {Array<Object>} series - [{ label, values }]
+ */
+const drawChart = (canvasId, labels, series) => {
+  charts[canvasId]?.destroy();
+
+  charts[canvasId] = new Chart(document.getElementById(canvasId), {
+    type: 'line',
+    data: {
+      labels,
+      datasets: series.map((item, index) => ({
+        label: item.label,
+        data: item.values,
+        borderColor: COLORS[index % COLORS.length],
+        backgroundColor: COLORS[index % COLORS.length],
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.2,
+        spanGaps: false
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { ticks: { maxTicksLimit: 12, autoSkip: true } },
+        y: { beginAtZero: true, ticks: { precision: 0 } }
+      },
+      plugins: {
+        legend: { position: 'bottom' }
+      }
+    }
+  });
+};
+
+/**
+ * Show a status line under a chart
+ * @param {string} id - Status element id
+ * @param {string} text - Status text
+ */
+const setStatus = (id, text) => {
+  document.getElementById(id).textContent = text;
+};
+
+/**
+ * Load and draw the totals chart
+ * @param {Object} selection - Current selection
+ * @param {Array<Object>} metrics - [{ key, label }]
+ */
+const loadTotals = async (selection, metrics) => {
+  const scope = selection.iGateApp ? `${selection.iGateApp} / ${selection.cetApp}` : 'All applications';
+  document.getElementById('historyTotalsTitle').textContent = scope;
+
+  try {
+    const history = await fetchHistory(`/api/history/dashboard?${toQuery({
+      range: selection.range,
+      iGateApp: selection.iGateApp,
+      cetApp: selection.cetApp
+    })}`);
+
+    drawChart(
+      'historyTotalsChart',
+      formatLabels(history.buckets, history.bucketMinutes),
+      metrics.map(metric => ({ label: metric.label, values: history.series[metric.key] }))
+    );
+    setStatus('historyTotalsStatus', `${scope}, ${history.bucketMinutes}-minute intervals.`);
+  } catch (error) {
+    console.error('Error loading dashboard history:', error);
+    setStatus('historyTotalsStatus', `Could not load history: ${error.message}`);
+  }
+};
+
+/**
+ * Load and draw the per application chart
+ * @param {Object} selection - Current selection
+ * @param {Array<Object>} metrics - [{ key, label }]
+ */
+const loadApps = async (selection, metrics) => {
+  const metricLabel = metrics.find(metric => metric.key === selection.metric)?.label || selection.metric;
+  const scope = selection.iGateApp ? `CET apps of ${selection.iGateApp}` : 'All applications';
+  document.getElementById('historyAppsTitle').textContent = `${metricLabel} per application`;
+
+  try {
+    const history = await fetchHistory(`/api/history/dashboard/apps?${toQuery({
+      metric: selection.metric,
+      range: selection.range,
+      iGateApp: selection.iGateApp
+    })}`);
+
+    drawChart(
+      'historyAppsChart',
+      formatLabels(history.buckets, history.bucketMinutes),
+      history.apps.map(app => ({ label: `${app.iGateApp} / ${app.cetApp}`, values: app.values }))
+    );
+    setStatus('historyAppsStatus', history.apps.length
+      ? `${scope}, ${history.apps.length} CET app(s).`
+      : `${scope}: no snapshots in this range.`);
+  } catch (error) {
+    console.error('Error loading dashboard history by app:', error);
+    setStatus('historyAppsStatus', `Could not load history: ${error.message}`);
+  }
+};
+
+/**
+ * Read the metric list from the metric selector
+ * @returns {Array<Object>} [{ key, label }]
+ */
+const getMetrics = () => {
+  return [...document.querySelectorAll('#historyMetric option')]
+    .map(option => ({ key: option.value, label: option.textContent.trim() }));
+};
+
+/**
+ * Apply the current selection: update the URL and redraw both charts
+ */
+const applySelection = () => {
+  const selection = getSelection();
+  const metrics = getMetrics();
+
+  const form = document.getElementById(SELECTION_FORM_ID);
+  form.querySelector('input[name="iGateApp"]').value = selection.iGateApp;
+  form.querySelector('input[name="cetApp"]').value = selection.cetApp;
+  window.history.replaceState(null, '', `/cet-history?${toQuery(selection)}`);
+
+  loadTotals(selection, metrics);
+  loadApps(selection, metrics);
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById(SELECTION_FORM_ID);
+  if (!form || typeof Chart === 'undefined') {
+    console.error('CET History: selection form or Chart.js not found');
+    return;
+  }
+
+  form.addEventListener('change', applySelection);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    applySelection();
+  });
+
+  applySelection();
+});
@@ -14,152 +14,285 @@
  * - 4 Detail Tables: Show specific issue types (Alerts, Disabled Queues, Behind, Slow)
  * 
  * INTERACTION PATTERN:
- * 1. User clicks a row in the summary table
+ * 1. User clicks (or presses Enter on) a row in the summary table
  * 2. All detail tables filter to show only that application's issues
- * 3. Filter badges appear on detail table headers showing active filter
- * 4. User can clear filter by clicking X button on badges
- * 5. Clearing filter restores all data in detail tables
+ * 3. Filter badges appear above the detail tables showing the active filter
+ * 4. User can clear filter by clicking X button on a badge, selecting the row again or Escape
  * 
- * TECHNICAL APPROACH:
- * - Uses setTimeout to wait for auto-initialization of tables
- * - Uses DataTables API column().search() with regex for exact matching
- * - Stores current filter state in currentAppFilter variable
- * - Updates UI with filter badges dynamically
- * 
- * This page demonstrates coordinated table filtering for drill-down analysis.
+ * The detail tables declare the link themselves (linkedTo in cet-issues-tables.yaml,
+ * handled by datatable-kit's linked tables), which also keeps the selected application
+ * in the URL so a copied link opens the page with the same application selected.
+ *
+ * ISSUE WORKFLOW:
+ * Detail rows carry their workflow state (issueKey, issueStatus, assignedTo, noteCount).
+ * The buttons rendered by renderIssueActions acknowledge, resolve or reopen an issue,
+ * or open the owner and notes dialog (cet-issue-workflow-modal.ejs); changed rows are
+ * redrawn in place from the /api/issues response.
+ *
+ * GROUPED MODE (?mode=grouped):
+ * The detail tables show one row per alert signature; the expand button lists the
+ * group's occurrences in a child row with the same workflow buttons. After an action
+ * the occurrence is updated inside its group and the open child row is redrawn.
  */
 
 'use strict';
 
+import { getTable } from '../kit-extensions/datatable-kit/table-registry.js';
+import { formatAlertOccurrencesRow } from '../helpers/cet-render-helpers.js';
+
+// ============================================================================
+// ISSUE WORKFLOW
+// ============================================================================
+
+const ISSUE_TABLE_IDS = ['cetAlertDetailsTable', 'cetDisabledQueueDetailsTable', 'cetBehindDetailsTable', 'cetSlowDetailsTable'];
+const GROUP_TABLE_IDS = ['cetAlertGroupsTable', 'cetDisabledQueueGroupsTable', 'cetBehindGroupsTable', 'cetSlowGroupsTable'];
+
+const ISSUE_ACTION_MESSAGES = {
+  acknowledge: 'Issue acknowledged.',
+  resolve: 'Issue resolved.',
+  reopen: 'Issue reopened.'
+};
+
+// Issue shown in the owner and notes dialog
+let dialogIssue = null;
+
+/**
+ * Show a toast through form-kit's global helper, when loaded
+ * @param {string} message - Toast text
+ * @param {string} type - success or error
+ */
+function notifyIssue(message, type) {
+  if (typeof window.showToast === 'function') {
+    window.showToast(message, type);
+  }
+}
+
+/**
+ * Call the issue API
+ * @param {string} issueKey - Issue key
+ * @param {string} path - Path after the issue key ('' for the issue itself)
+ * @param {Object} body - JSON body to POST (GET when omitted)
+ * @returns {Promise<Object>} Response body
+ */
+async function issueRequest(issueKey, path, body) {
+  const url = `/api/issues/${encodeURIComponent(issueKey)}${path ? `/${path}` : ''}`;
+  const response = await fetch(url, body ? {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  } : { headers: { 'Accept': 'application/json' } });
+
+  const result = await response.json();
+  if (!response.ok || !result.success) {
+    throw new Error(result.message || `HTTP error! status: ${response.status}`);
+  }
+  return result;
+}
+
+/**
+ * Find the detail table row of an issue
+ * @param {string} issueKey - Issue key
+ * @returns {Object|null} DataTables row API, or null when the issue is not listed
+ */
+function findIssueRow(issueKey) {
+  for (const tableId of ISSUE_TABLE_IDS) {
+    const table = getTable(tableId);
+    if (!table) continue;
+    const row = table.row((index, data) => data.issueKey === issueKey);
+    if (row.any()) return row;
+  }
+  return null;
+}
+
+/**
+ * Find the alert group holding an issue (grouped mode)
+ * @param {string} issueKey - Issue key
+ * @returns {Object|null} DataTables row API, or null when no group holds the issue
+ */
+function findGroupRow(issueKey) {
+  for (const tableId of GROUP_TABLE_IDS) {
+    const table = getTable(tableId);
+    if (!table) continue;
+    const row = table.row((index, data) => data.occurrences.some(occurrence => occurrence.issueKey === issueKey));
+    if (row.any()) return row;
+  }
+  return null;
+}
+
+/**
+ * Update an issue inside its alert group and redraw the group
+ * @param {Object} issue - Issue returned by the API
+ */
+function updateGroupRow(issue) {
+  const row = findGroupRow(issue.issueKey);
+  if (!row) return;
+
+  const group = row.data();
+  const occurrences = group.occurrences.map(occurrence =>
+    occurrence.issueKey === issue.issueKey ? { ...occurrence, ...issue } : occurrence);
+  const updated = {
+    ...group,
+    occurrences,
+    openCount: occurrences.filter(occurrence => occurrence.issueStatus !== 'resolved').length
+  };
+
+  const isShown = row.child.isShown();
+  row.data(updated).draw(false);
+  if (isShown) {
+    row.child(formatAlertOccurrencesRow(updated)).show();
+    $(row.node()).find('.dt-child-toggle').attr('aria-expanded', 'true');
+  }
+}
+
+/**
+ * Redraw an issue's row with its new workflow state
+ * @param {Object} issue - Issue returned by the API
+ */
+function updateIssueRow(issue) {
+  const row = findIssueRow(issue.issueKey);
+  if (row) {
+    row.data({ ...row.data(), ...issue }).draw(false);
+    return;
+  }
+  updateGroupRow(issue);
+}
+
+/**
+ * Acknowledge, assign, resolve or reopen an issue
+ * @param {string} issueKey - Issue key
+ * @param {string} action - acknowledge, assign, resolve or reopen
+ * @param {Object} body - Request body ({ assignedTo } for assign)
+ * @returns {Promise<Object|null>} Updated issue, or null on failure (reported in a toast)
+ */
+async function runIssueAction(issueKey, action, body = {}) {
+  try {
+    const { issue } = await issueRequest(issueKey, action, body);
+    updateIssueRow(issue);
+    return issue;
+  } catch (error) {
+    console.error(`Error running ${action} on issue ${issueKey}:`, error);
+    notifyIssue(error.message, 'error');
+    return null;
+  }
+}
+
+/**
+ * Show the state line of the dialog issue
+ */
+function renderDialogState() {
+  const parts = [`Application ${dialogIssue.application}`, `critical section ${dialogIssue.criticalSection}`];
+  if (dialogIssue.acknowledgedBy) parts.push(`acknowledged by ${dialogIssue.acknowledgedBy}`);
+  if (dialogIssue.resolvedBy) parts.push(`resolved by ${dialogIssue.resolvedBy}`);
+  document.getElementById('issueWorkflowState').textContent = parts.join(' · ');
+}
+
+/**
+ * Fill the notes list of the dialog
+ * @param {Array<Object>} notes - Notes, oldest first
+ */
+function renderIssueNotes(notes) {
+  const list = document.getElementById('issueNotesList');
+  list.replaceChildren();
+
+  if (notes.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'list-group-item text-muted fst-italic';
+    empty.textContent = 'No notes yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  notes.forEach(note => {
+    const item = document.createElement('li');
+    item.className = 'list-group-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'small text-muted';
+    meta.textContent = `${note.author} · ${new Date(note.createdAt).toLocaleString()}`;
+
+    const text = document.createElement('div');
+    text.className = 'text-break';
+    text.style.whiteSpace = 'pre-wrap';
+    text.textContent = note.note;
+
+    item.append(meta, text);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Open the owner and notes dialog of an issue
+ * @param {string} issueKey - Issue key
+ */
+async function openIssueDialog(issueKey) {
+  try {
+    const { issue, notes } = await issueRequest(issueKey, '');
+    dialogIssue = issue;
+
+    document.getElementById('issueWorkflowTitle').textContent = `Issue in application ${issue.application}`;
+    document.getElementById('issueWorkflowText').textContent = issue.alert;
+    document.getElementById('issueAssignedTo').value = issue.assignedTo || '';
+    document.getElementById('issueNoteText').value = '';
+    renderDialogState();
+    renderIssueNotes(notes);
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('issueWorkflowModal')).show();
+  } catch (error) {
+    console.error(`Error loading issue ${issueKey}:`, error);
+    notifyIssue(error.message, 'error');
+  }
+}
+
 $(document).ready(function() {
-  let currentAppFilter = null;
-  
-  // Wait for all tables to initialize
-  setTimeout(function() {
-    const summaryTable = $('#cetIssuesSummaryTable').DataTable();
-    const alertTable = $('#cetAlertDetailsTable').DataTable();
-    const disabledQueueTable = $('#cetDisabledQueueDetailsTable').DataTable();
-    const behindTable = $('#cetBehindDetailsTable').DataTable();
-    const slowTable = $('#cetSlowDetailsTable').DataTable();
-    
-    // Function to filter all detail tables by application ID
-    // 
-    // When a user clicks an application in the summary table, this function:
-    // 1. Stores the selected app ID and name in currentAppFilter
-    // 2. Applies an exact-match filter to column 0 (CET APP ID) of each detail table
-    // 3. Triggers table redraw to show only matching rows
-    // 4. Adds visual filter badges to detail table headers
-    // 
-    // Uses regex with anchors (^ and $) to ensure exact matching, not partial matches.
-    // For example, searching for '1097' won't match '21097'.
-    function filterDetailTables(appId, cetAppName) {
-      if (appId) {
-        currentAppFilter = { id: appId, name: cetAppName };
-        
-        // Apply filter to all detail tables
-        alertTable.column(0).search('^' + appId + '$', true, false).draw();
-        disabledQueueTable.column(0).search('^' + appId + '$', true, false).draw();
-        behindTable.column(0).search('^' + appId + '$', true, false).draw();
-        slowTable.column(0).search('^' + appId + '$', true, false).draw();
-        
-        // Add filter badge to each detail table header
-        addFilterBadge(cetAppName);
-      } else {
-        clearFilters();
-      }
+  // Row actions (buttons rendered by renderIssueActions)
+  $(document).on('click', '[data-issue-action]', async function() {
+    const button = this;
+    const { issueAction, issueKey } = button.dataset;
+
+    if (issueAction === 'details') {
+      openIssueDialog(issueKey);
+      return;
     }
-    
-    // Function to add filter badge to headers
-    function addFilterBadge(cetAppName) {
-      $('.card-header').each(function() {
-        const headerTitle = $(this).find('h5');
-        // Remove existing badge if any
-        headerTitle.find('.filter-badge').remove();
-        // Add new badge (except to summary table)
-        if (!$(this).closest('.card').find('#cetIssuesSummaryTable').length) {
-          headerTitle.append(
-            `<span class="filter-badge">
-              Filtered by: ${cetAppName} 
-              <button type="button" class="btn-close btn-close-white" aria-label="Clear filter"></button>
-            </span>`
-          );
-        }
-      });
-      
-      // Handle clear filter button
-      $('.filter-badge .btn-close').off('click').on('click', function(e) {
-        e.stopPropagation();
-        clearFilters();
-      });
+
+    button.disabled = true;
+    const issue = await runIssueAction(issueKey, issueAction);
+    button.disabled = false;
+    if (issue) {
+      notifyIssue(ISSUE_ACTION_MESSAGES[issueAction], 'success');
     }
-    
-    // Update filter display
-    function updateFilterDisplay(appName) {
-      const filterBadge = $('#activeFilterBadge');
-      if (appName) {
-        filterBadge.html(`
-          <i class="bi bi-funnel-fill me-1"></i>
-          Filtered by: <strong>${appName}</strong>
-          <button type="button" class="btn-close btn-close-white ms-2" aria-label="Clear filter" id="clearFilterBtn"></button>
-        `).show();
-      } else {
-        filterBadge.hide();
-      }
+  });
+
+  $('#issueAssignToMe').on('click', function() {
+    const currentUser = document.getElementById('currentUser');
+    $('#issueAssignedTo').val(currentUser ? currentUser.dataset.user : '');
+  });
+
+  $('#issueAssignForm').on('submit', async function(e) {
+    e.preventDefault();
+    if (!dialogIssue) return;
+
+    const issue = await runIssueAction(dialogIssue.issueKey, 'assign', { assignedTo: $('#issueAssignedTo').val() });
+    if (issue) {
+      dialogIssue = issue;
+      renderDialogState();
+      notifyIssue(issue.assignedTo ? `Assigned to ${issue.assignedTo}.` : 'Owner removed.', 'success');
     }
-    
-    // Clear all filters
-    function clearFilters() {
-      currentAppFilter = null;
-      
-      // Clear search on all detail tables
-      alertTable.column(0).search('').draw();
-      disabledQueueTable.column(0).search('').draw();
-      behindTable.column(0).search('').draw();
-      slowTable.column(0).search('').draw();
-      
-      // Remove filter badges
-      $('.filter-badge').remove();
-      
-      // Remove selected class from summary table
-      $('#cetIssuesSummaryTable tbody tr').removeClass('selected');
-      
-      // Hide filter display if using badge element
-      const filterBadge = $('#activeFilterBadge');
-      if (filterBadge.length) {
-        filterBadge.hide();
-      }
+  });
+
+  $('#issueNoteForm').on('submit', async function(e) {
+    e.preventDefault();
+    if (!dialogIssue) return;
+
+    try {
+      const { issue } = await issueRequest(dialogIssue.issueKey, 'notes', { note: $('#issueNoteText').val() });
+      const { notes } = await issueRequest(dialogIssue.issueKey, '');
+      dialogIssue = issue;
+      updateIssueRow(issue);
+      renderIssueNotes(notes);
+      $('#issueNoteText').val('');
+    } catch (error) {
+      console.error('Error adding note:', error);
+      notifyIssue(error.message, 'error');
     }
-    
-    // Row click handler for summary table
-    $('#cetIssuesSummaryTable tbody').on('click', 'tr', function() {
-      // If clicking the same row, clear filter
-      if ($(this).hasClass('selected')) {
-        clearFilters();
-      } else {
-        const data = summaryTable.row(this).data();
-        if (data && data.appId) {
-          // Remove previous selection
-          $('#cetIssuesSummaryTable tbody tr').removeClass('selected');
-          // Add selection to clicked row
-          $(this).addClass('selected');
-          // Filter detail tables
-          filterDetailTables(data.appId, data.cetApp);
-        }
-      }
-    });
-    
-    // Add keyboard support (Enter key)
-    $('#cetIssuesSummaryTable tbody').on('keypress', 'tr', function(e) {
-      if (e.which === 13) { // Enter key
-        $(this).click();
-      }
-    });
-    
-    // Make rows focusable
-    $('#cetIssuesSummaryTable tbody tr').attr('tabindex', '0');
-    
-    // Clear filter button handler (delegated for dynamically added button)
-    $(document).on('click', '#clearFilterBtn', clearFilters);
-    
-  }, 800);
+  });
 });
@@ -6,179 +6,509 @@
  * CET Queues View Page Initialization
  * 
  * Page-specific initialization for the CET Queues view.
- * Handles summary cards and table filtering between queues and messages.
+ * Handles summary cards and progress of data requests submitted from the
+ * request form. Filtering messages by the selected queue is declared on the
+ * message details table (linkedTo in cet-queues-tables.yaml).
+ *
+ * The message inspector (cet-message-inspector-modal.ejs) opens from the inspect
+ * button of a message row and shows its headers, body, retries and last error.
+ * Messages are replayed from the inspector or with the "Replay Selected" bulk action
+ * of the message details table; both ask for a reason in the replay dialog.
+ *
+ * The queue depth trend chart (Chart.js, /api/history/queues) shows all queues, or the
+ * queue selected in the summary table.
  */
 
 'use strict';
 
-import { updateDashboardCard } from '../lib/card-kit/handlers/card-custom-handlers.js';
-
-/**
- * Get card configuration from DOM data-* attributes
- * @param {string} cardId - The ID of the card element
- * @returns {Object} Card configuration object
- */
-const getCardConfigFromDOM = (cardId) => {
-  const card = document.getElementById(cardId);
-  if (!card) return null;
-  
-  return {
-    cardId: cardId,
-    icon: card.dataset.icon || '',
-    label: card.dataset.label || '',
-    description: card.dataset.description || '',
-    thresholds: {
-      warning: card.dataset.thresholdWarning ? parseInt(card.dataset.thresholdWarning) : Infinity,
-      danger: card.dataset.thresholdDanger ? parseInt(card.dataset.thresholdDanger) : Infinity
-    }
-  };
+import { bindCardMetrics } from '../lib/card-kit/handlers/card-custom-handlers.js';
+import { escapeHTML } from '../lib/card-kit/core/card-helpers.js';
+import { renderJobStatus } from '../helpers/cet-render-helpers.js';
+import { showToast } from '../lib/form-kit/helpers/form-helpers.js';
+import { whenTableReady } from '../kit-extensions/datatable-kit/table-registry.js';
+import { DataTableSelection } from '../lib/datatable-kit/features/table-feature-selection.js';
+
+// How often the status of unfinished data request jobs is polled
+const JOB_POLL_INTERVAL_MS = 2000;
+
+const MESSAGES_TABLE_ID = 'cetMessageDetails';
+const SUMMARY_TABLE_ID = 'cetQueuesSummary';
+
+// Queue shown by the trend chart (null for all queues) and the chart itself
+let trendQueue = null;
+let trendChart = null;
+
+// Message shown in the inspector, and the messages awaiting replay confirmation
+let inspectedMessage = null;
+let pendingReplayIds = [];
+
+/**
+ * Initialize CET Queues cards
+ * Card metrics are declared in cet-queues-cards.yaml and computed by card-kit's bindCardMetrics.
+ * The message details follow the selected queue through their linkedTo config
+ * (cet-queues-tables.yaml), which also keeps the selected queue in the URL.
+ */
+const initializeCETQueuesCards = () => {
+  // Summary cards follow the filtered queues (bound once the table is ready)
+  bindCardMetrics('cetQueuesSummary');
 };
 
 /**
- * Get all card configs for this page from DOM
- * @returns {Object} Object with card configs keyed by card name
+ * Render the progress panel of one data request job
+ * @param {Object} job - Job from /api/jobs/:jobId
+ * @returns {string} HTML for the job panel
  */
-const getAllCardConfigs = () => {
-  return {
-    totalQueues: getCardConfigFromDOM('totalQueuesCard'),
-    enabledQueues: getCardConfigFromDOM('enabledQueuesCard'),
-    disabledQueues: getCardConfigFromDOM('disabledQueuesCard'),
-    totalMessages: getCardConfigFromDOM('totalMessagesCard')
-  };
+const renderJobPanel = (job) => {
+  const progress = job.progress || 0;
+  const isRunning = job.status === 'running';
+  const counts = job.totalRecords !== null && job.totalRecords !== undefined
+    ? `${job.recordCount.toLocaleString()} of ${job.totalRecords.toLocaleString()} records`
+    : `${(job.recordCount || 0).toLocaleString()} records`;
+
+  let actions = '';
+  if (!job.isFinal) {
+    actions = `
+      <button type="button" class="btn btn-sm btn-outline-danger" data-job-cancel="${job.id}" ${job.cancelRequested ? 'disabled' : ''}>
+        <i class="bi bi-x-octagon"></i> ${job.cancelRequested ? 'Cancelling…' : 'Cancel'}
+      </button>`;
+  } else if (job.downloadUrls) {
+    actions = `
+      <a class="btn btn-sm btn-outline-primary" href="${job.downloadUrls.csv}"><i class="bi bi-filetype-csv"></i> CSV</a>
+      <a class="btn btn-sm btn-outline-primary" href="${job.downloadUrls.json}"><i class="bi bi-filetype-json"></i> JSON</a>`;
+  }
+
+  return `
+    <div class="d-flex flex-wrap align-items-center gap-2 mb-1">
+      <strong>Job #${job.id}</strong>
+      ${renderJobStatus(job.status, 'display')}
+      <span class="text-muted small">${escapeHTML(job.appName)} · ${counts}</span>
+      <span class="ms-auto d-flex gap-1">${actions}</span>
+    </div>
+    <div class="progress" role="progressbar" aria-label="Job ${job.id} progress"
+         aria-valuenow="${progress}" aria-valuemin="0" aria-valuemax="100" style="height: 0.5rem;">
+      <div class="progress-bar ${isRunning ? 'progress-bar-striped progress-bar-animated' : ''} ${job.status === 'failed' ? 'bg-danger' : ''}"
+           style="width: ${progress}%"></div>
+    </div>
+    ${job.errorMessage ? `<div class="text-danger small mt-1">${escapeHTML(job.errorMessage)}</div>` : ''}
+  `;
 };
 
 /**
- * Initialize CET Queues cards
- * Uses DOM data-* attributes for configuration (no global variables needed)
- */
-const initializeCETQueuesCards = (cardConfig) => {
-  // Wait for table initialization
-  setTimeout(() => {
-    const summaryTable = $('#cetQueuesSummary').DataTable();
-    const detailsTable = $('#cetMessageDetails').DataTable();
-    let currentQueueId = null;
-
-    // Update summary cards with threshold styling
-    function updateSummaryCards() {
-      const data = summaryTable.rows({ search: 'applied' }).data().toArray();
-      
-      // Total Queues
-      if (cardConfig.totalQueues) {
-        const totalCount = data.length;
-        updateDashboardCard(
-          cardConfig.totalQueues.cardId,
-          totalCount,
-          cardConfig.totalQueues.icon,
-          cardConfig.totalQueues.label,
-          cardConfig.totalQueues.description,
-          cardConfig.totalQueues.thresholds
-        );
-      }
-      
-      // Enabled Queues
-      if (cardConfig.enabledQueues) {
-        const enabledCount = data.filter(row => row.status === 'Enabled').length;
-        updateDashboardCard(
-          cardConfig.enabledQueues.cardId,
-          enabledCount,
-          cardConfig.enabledQueues.icon,
-          cardConfig.enabledQueues.label,
-          cardConfig.enabledQueues.description,
-          cardConfig.enabledQueues.thresholds
-        );
-      }
-      
-      // Disabled Queues
-      if (cardConfig.disabledQueues) {
-        const disabledCount = data.filter(row => row.status === 'Disabled').length;
-        updateDashboardCard(
-          cardConfig.disabledQueues.cardId,
-          disabledCount,
-          cardConfig.disabledQueues.icon,
-          cardConfig.disabledQueues.label,
-          cardConfig.disabledQueues.description,
-          cardConfig.disabledQueues.thresholds
-        );
-      }
-      
-      // Total Messages
-      if (cardConfig.totalMessages) {
-        const totalMessages = data.reduce((sum, row) => sum + (row.messages || 0), 0);
-        updateDashboardCard(
-          cardConfig.totalMessages.cardId,
-          totalMessages,
-          cardConfig.totalMessages.icon,
-          cardConfig.totalMessages.label,
-          cardConfig.totalMessages.description,
-          cardConfig.totalMessages.thresholds
-        );
+ * Show a job in the progress area and poll its status until it finishes
+ * @param {Object} job - Job returned by POST /api/request-data
+ */
+const trackDataRequestJob = (job) => {
+  const container = document.getElementById('dataRequestJobs');
+  if (!container || !job) return;
+
+  let panel = container.querySelector(`[data-job-id="${job.id}"]`);
+  if (!panel) {
+    panel = document.createElement('div');
+    panel.className = 'border rounded p-2 mb-2';
+    panel.dataset.jobId = job.id;
+    container.prepend(panel);
+  }
+
+  const update = (current) => {
+    panel.innerHTML = renderJobPanel(current);
+
+    if (!current.isFinal) {
+      setTimeout(poll, JOB_POLL_INTERVAL_MS);
+    }
+  };
+
+  const poll = async () => {
+    try {
+      const response = await fetch(job.statusUrl, { headers: { 'Accept': 'application/json' } });
+      const body = await response.json();
+      if (!response.ok || !body.success) {
+        throw new Error(body.message || `HTTP error! status: ${response.status}`);
       }
+      update(body.job);
+    } catch (error) {
+      console.error(`Error polling job ${job.id}:`, error);
+      setTimeout(poll, JOB_POLL_INTERVAL_MS * 5);
     }
+  };
 
-    // Initialize summary cards
-    updateSummaryCards();
+  update(job);
+};
 
-    // Update cards on search/filter
-    summaryTable.on('search.dt draw.dt', function() {
-      updateSummaryCards();
-    });
+/**
+ * Cancel a job from its panel
+ * @param {string} jobId - Job ID
+ * @param {HTMLButtonElement} button - Cancel button (disabled while the request runs)
+ */
+const cancelDataRequestJob = async (jobId, button) => {
+  button.disabled = true;
 
-    // Row click handler for filtering message details
-    $('#cetQueuesSummary tbody').on('click', 'tr', function() {
-      const data = summaryTable.row(this).data();
-      
-      // Toggle selection
-      if ($(this).hasClass('selected')) {
-        // Deselect and clear filter
-        $(this).removeClass('selected');
-        currentQueueId = null;
-        detailsTable.column(0).search('').draw();
-        $('#filterBadge').hide();
-      } else {
-        // Remove previous selection
-        $('#cetQueuesSummary tbody tr').removeClass('selected');
-        // Add selection to clicked row
-        $(this).addClass('selected');
-        // Filter message details table
-        currentQueueId = data.queueId;
-        detailsTable.column(0).search('^' + data.queueId + '$', true, false).draw();
-        // Show filter badge
-        $('#filterBadge').html(`
-          <i class="bi bi-funnel-fill"></i> Filtered by Queue: <strong>${data.queueName}</strong>
-        `).show();
-      }
-    });
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+    const body = await response.json();
+    if (!response.ok || !body.success) {
+      throw new Error(body.message || `HTTP error! status: ${response.status}`);
+    }
+    // The poll loop picks up the new status
+  } catch (error) {
+    console.error(`Error cancelling job ${jobId}:`, error);
+    button.disabled = false;
+    if (typeof window.showToast === 'function') {
+      window.showToast(error.message, 'error');
+    }
+  }
+};
 
-    // Add keyboard support
-    $('#cetQueuesSummary tbody').on('keypress', 'tr', function(e) {
-      if (e.which === 13) { // Enter key
-        $(this).click();
-      }
+/**
+ * Read the JSON body of an API response, throwing its message on failure
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object>} Response body
+ */
+const readResponse = async (response) => {
+  const body = await response.json();
+  if (!response.ok || !body.success) {
+    throw new Error(body.message || `HTTP error! status: ${response.status}`);
+  }
+  return body;
+};
+
+/**
+ * Show one of the inspector states
+ * @param {string} state - loading, error or content
+ * @param {string} errorMessage - Message of the error state
+ */
+const setInspectorState = (state, errorMessage = '') => {
+  document.getElementById('messageInspectorLoading').classList.toggle('d-none', state !== 'loading');
+  document.getElementById('messageInspectorContent').classList.toggle('d-none', state !== 'content');
+
+  const errorBox = document.getElementById('messageInspectorError');
+  errorBox.classList.toggle('d-none', state !== 'error');
+  errorBox.textContent = errorMessage;
+
+  const replayBtn = document.getElementById('messageInspectorReplayBtn');
+  if (replayBtn) replayBtn.disabled = state !== 'content';
+};
+
+/**
+ * Show the formatted or the raw body of the inspected message
+ */
+const renderInspectorBody = () => {
+  const raw = document.getElementById('messageInspectorRaw').checked;
+  const body = raw ? inspectedMessage.body : inspectedMessage.formattedBody;
+  const bodyElement = document.getElementById('messageInspectorBody');
+
+  bodyElement.textContent = body ?? 'No payload was recorded for this message.';
+  bodyElement.classList.toggle('text-muted', body === null || body === undefined);
+};
+
+/**
+ * Fill the inspector with a message
+ * @param {Object} message - Message from /api/queues/messages/:messageId
+ */
+const renderInspector = (message) => {
+  inspectedMessage = message;
+  document.getElementById('messageInspectorTitle').textContent = `Message #${message.id}`;
+
+  const summary = [
+    ['Queue', message.queue],
+    ['Application', [message.app, message.appName].filter(Boolean).join(' - ')],
+    ['Queue status', message.queueStatus],
+    ['Enqueued', message.messageEnqueueTime],
+    ['Critical section', message.criticalSection],
+    ['Content type', message.contentType],
+    ['Retries', message.retryCount]
+  ];
+  document.getElementById('messageInspectorSummary').innerHTML = summary.map(([label, value]) => `
+    <dt class="col-sm-3">${label}</dt>
+    <dd class="col-sm-9 ${label === 'Queue' ? 'font-monospace' : ''}">${escapeHTML(String(value ?? '—'))}</dd>`).join('');
+
+  const lastError = document.getElementById('messageInspectorLastError');
+  lastError.classList.toggle('d-none', !message.lastError);
+  document.getElementById('messageInspectorLastErrorText').textContent = message.lastError || '';
+  document.getElementById('messageInspectorLastErrorAt').textContent = message.lastErrorAt || '';
+
+  const headers = Object.entries(message.headers || {});
+  document.getElementById('messageInspectorHeaders').innerHTML = headers.length
+    ? headers.map(([name, value]) => `
+      <tr>
+        <th scope="row" class="w-25 fw-normal text-muted">${escapeHTML(name)}</th>
+        <td class="font-monospace">${escapeHTML(typeof value === 'object' ? JSON.stringify(value) : String(value))}</td>
+      </tr>`).join('')
+    : '<tr><td class="text-muted">No headers</td></tr>';
+
+  document.getElementById('messageInspectorFormat').textContent = message.bodyFormat.toUpperCase();
+  renderInspectorBody();
+  setInspectorState('content');
+};
+
+/**
+ * Open the inspector and load a message
+ * @param {number} messageId - Message id
+ */
+const openInspector = async (messageId) => {
+  inspectedMessage = null;
+  document.getElementById('messageInspectorTitle').textContent = `Message #${messageId}`;
+  setInspectorState('loading');
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('messageInspectorModal')).show();
+
+  try {
+    const response = await fetch(`/api/queues/messages/${messageId}`, { headers: { 'Accept': 'application/json' } });
+    const body = await readResponse(response);
+    renderInspector(body.message);
+  } catch (error) {
+    console.error(`Error loading message ${messageId}:`, error);
+    setInspectorState('error', error.message || 'Failed to load the message');
+  }
+};
+
+/**
+ * Ask for the reason of a replay
+ * @param {Array<number>} messageIds - Messages to replay
+ */
+const openReplay = (messageIds) => {
+  const modalElement = document.getElementById('messageReplayModal');
+  if (!modalElement || !messageIds.length) return;
+
+  pendingReplayIds = messageIds;
+  const confirmText = modalElement.dataset.confirm || 'Replay {count} message(s)?';
+  document.getElementById('messageReplayText').textContent = confirmText.replace('{count}', messageIds.length);
+
+  const reasonInput = document.getElementById('messageReplayReason');
+  if (reasonInput) {
+    reasonInput.value = '';
+    reasonInput.classList.remove('is-invalid');
+  }
+  document.getElementById('messageReplayError').classList.add('d-none');
+
+  bootstrap.Modal.getOrCreateInstance(modalElement).show();
+};
+
+/**
+ * Show replayed messages in the message details table and clear the selection
+ * @param {Array<Object>} messages - Replayed message rows
+ */
+const refreshReplayedMessages = async (messages) => {
+  const api = await whenTableReady(MESSAGES_TABLE_ID);
+  DataTableSelection.clearSelection(MESSAGES_TABLE_ID, api);
+
+  if (api.page.info().serverSide) {
+    api.ajax.reload(null, false);
+    return;
+  }
+
+  messages.forEach(message => {
+    const row = api.row((index, data) => data.id === message.id);
+    if (row.any()) row.data({ ...row.data(), ...message });
+  });
+  api.draw(false);
+};
+
+/**
+ * Replay the messages awaiting confirmation
+ * @param {MouseEvent} event - Click on the confirm button
+ */
+const submitReplay = async (event) => {
+  const confirmBtn = event.currentTarget;
+  const modalElement = document.getElementById('messageReplayModal');
+  const reasonInput = document.getElementById('messageReplayReason');
+  const reason = reasonInput ? reasonInput.value.trim() : '';
+
+  if (reasonInput && modalElement.dataset.reason === 'required' && !reason) {
+    reasonInput.classList.add('is-invalid');
+    reasonInput.focus();
+    return;
+  }
+  reasonInput?.classList.remove('is-invalid');
+
+  const originalHtml = confirmBtn.innerHTML;
+  confirmBtn.disabled = true;
+  confirmBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Replaying...';
+
+  try {
+    const single = pendingReplayIds.length === 1;
+    const response = await fetch(single ? `/api/queues/messages/${pendingReplayIds[0]}/replay` : '/api/queues/messages/replay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(single ? { reason } : { messageIds: pendingReplayIds, reason })
     });
+    const body = await readResponse(response);
+
+    bootstrap.Modal.getInstance(modalElement).hide();
+    showToast(body.message, 'success');
+    await refreshReplayedMessages(body.messages);
+
+    if (inspectedMessage && body.messages.some(message => message.id === inspectedMessage.id)) {
+      openInspector(inspectedMessage.id);
+    }
+  } catch (error) {
+    console.error('Error replaying messages:', error);
+    const errorBox = document.getElementById('messageReplayError');
+    errorBox.textContent = error.message || 'Failed to replay the messages';
+    errorBox.classList.remove('d-none');
+  } finally {
+    confirmBtn.disabled = false;
+    confirmBtn.innerHTML = originalHtml;
+  }
+};
+
+/**
+ * Set up the message inspector and replay
+ */
+const initializeMessageInspector = () => {
+  // Inspect buttons (rendered by renderMessageInspect)
+  document.getElementById(MESSAGES_TABLE_ID)?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-message-inspect]');
+    if (button) {
+      openInspector(parseInt(button.dataset.messageInspect));
+    }
+  });
 
-    // Make rows focusable
-    $('#cetQueuesSummary tbody tr').attr('tabindex', '0');
+  document.querySelectorAll('input[name="messageInspectorView"]').forEach(input => {
+    input.addEventListener('change', () => inspectedMessage && renderInspectorBody());
+  });
 
-    // Clear filters
-    function clearFilters() {
-      $('#cetQueuesSummary tbody tr').removeClass('selected');
-      currentQueueId = null;
-      detailsTable.column(0).search('').draw();
-      $('#filterBadge').hide();
+  document.getElementById('messageInspectorCopyBtn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(document.getElementById('messageInspectorBody').textContent);
+      showToast('Message body copied', 'success');
+    } catch (error) {
+      showToast('Could not copy the message body', 'error');
     }
+  });
 
-    // Clear filter button handler
-    $('#clearFilter').on('click', clearFilters);
-  }, 500);
+  // Replay (only rendered when the user's roles allow it)
+  document.getElementById('messageInspectorReplayBtn')?.addEventListener('click', () => {
+    if (inspectedMessage) openReplay([inspectedMessage.id]);
+  });
+  document.getElementById('confirmMessageReplayBtn')?.addEventListener('click', submitReplay);
+
+  // "Replay Selected" bulk action of the message details table
+  document.addEventListener('datatable:bulkaction', (event) => {
+    const { tableId, action, ids } = event.detail;
+    if (tableId === MESSAGES_TABLE_ID && action === 'replay') {
+      openReplay(ids.map(Number));
+    }
+  });
+};
+
+/**
+ * Draw (or redraw) the queue depth trend chart
+ * @param {Object} history - Response of /api/history/queues
+ */
+const drawTrendChart = (history) => {
+  const spansDays = history.buckets.length * history.bucketMinutes > 24 * 60;
+  const labelOptions = spansDays
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' };
+  const line = (label, data, color, yAxisID, dashed = false) => ({
+    label,
+    data,
+    yAxisID,
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 2,
+    borderDash: dashed ? [4, 3] : [],
+    pointRadius: 0,
+    tension: 0.2,
+    spanGaps: false
+  });
+
+  trendChart?.destroy();
+  trendChart = new Chart(document.getElementById('queueTrendChart'), {
+    type: 'line',
+    data: {
+      labels: history.buckets.map(bucket => new Date(bucket).toLocaleString(undefined, labelOptions)),
+      datasets: [
+        line('Depth (messages)', history.series.messages, '#0d6efd', 'y'),
+        line('Enqueued / min', history.series.enqueueRate, '#fd7e14', 'rates', true),
+        line('Dequeued / min', history.series.dequeueRate, '#198754', 'rates', true)
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { ticks: { maxTicksLimit: 12, autoSkip: true } },
+        y: { beginAtZero: true, ticks: { precision: 0 }, title: { display: true, text: 'Messages' } },
+        rates: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Per minute' } }
+      },
+      plugins: {
+        legend: { position: 'bottom' }
+      }
+    }
+  });
+};
+
+/**
+ * Load and draw the depth trend of the selected queue (all queues when none is selected)
+ */
+const loadQueueTrend = async () => {
+  const range = document.querySelector('input[name="queueTrendRange"]:checked')?.value || '24h';
+  const scope = trendQueue ? trendQueue.queue : 'All queues';
+  const status = document.getElementById('queueTrendStatus');
+  document.getElementById('queueTrendTitle').textContent = scope;
+
+  const params = new URLSearchParams({ range });
+  if (trendQueue) params.set('queueId', trendQueue.id);
+
+  try {
+    const response = await fetch(`/api/history/queues?${params}`, { headers: { 'Accept': 'application/json' } });
+    const history = await readResponse(response);
+
+    drawTrendChart(history);
+    const growing = trendQueue?.growing ? ' Depth growing steadily: the consumer has probably stopped.' : '';
+    status.textContent = `${scope}, ${history.bucketMinutes}-minute intervals.${growing}`;
+    status.classList.toggle('text-danger', Boolean(growing));
+  } catch (error) {
+    console.error('Error loading queue depth history:', error);
+    status.textContent = `Could not load the queue trend: ${error.message}`;
+  }
+};
+
+/**
+ * Set up the queue depth trend chart
+ */
+const initializeQueueTrend = () => {
+  if (!document.getElementById('queueTrendChart') || typeof Chart === 'undefined') {
+    console.error('CET Queues: trend chart canvas or Chart.js not found');
+    return;
+  }
+
+  document.querySelectorAll('input[name="queueTrendRange"]').forEach(input => {
+    input.addEventListener('change', loadQueueTrend);
+  });
+
+  // Follow the queue selected in the summary table (linked tables)
+  document.addEventListener('datatable:linkchange', (event) => {
+    if (event.detail.tableId !== SUMMARY_TABLE_ID) return;
+    trendQueue = event.detail.row;
+    loadQueueTrend();
+  });
+
+  loadQueueTrend();
+};
+
+/**
+ * form-kit onSuccess hook of the request form (named in cet-request-form.yaml)
+ * form-kit resolves hooks by name on window, so this is the one global the page exposes.
+ * @param {Object} response - POST /api/request-data response ({ job, ... })
+ */
+window.onDataRequestQueued = (response) => {
+  trackDataRequestJob(response.job);
 };
 
 // Initialize using DOM data-* attributes (no global variables needed)
 document.addEventListener('DOMContentLoaded', () => {
-  const cardConfig = getAllCardConfigs();
-  
-  if (Object.keys(cardConfig).length > 0 && Object.values(cardConfig).some(c => c !== null)) {
-    initializeCETQueuesCards(cardConfig);
-  } else {
-    console.error('Card configuration not found in DOM data-* attributes');
-  }
+  initializeCETQueuesCards();
+  initializeMessageInspector();
+  initializeQueueTrend();
+
+  // Cancel buttons of data request jobs
+  document.getElementById('dataRequestJobs')?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-job-cancel]');
+    if (button) {
+      cancelDataRequestJob(button.dataset.jobCancel, button);
+    }
+  });
 });
@@ -0,0 +1,181 @@
+/**
+ * File: my-requests-page.js
+ * Created: 2026-10-18
+ *
+ * My Requests View Page Initialization
+ *
+ * Page-specific initialization for the My Requests view.
+ * Handles the row actions rendered by renderJobActions (re-submit and clone)
+ * and keeps the status of unfinished jobs in the table up to date.
+ */
+
+'use strict';
+
+import { onTableReady } from '../kit-extensions/datatable-kit/table-registry.js';
+
+// How often the status of unfinished jobs is polled
+const JOB_POLL_INTERVAL_MS = 3000;
+
+const TABLE_ID = 'myRequestsTable';
+const CLONE_FORM_ID = 'cloneRequestForm';
+
+// Jobs currently being polled (avoids duplicate poll loops)
+const trackedJobs = new Set();
+
+/**
+ * Get the requests DataTable
+ * @returns {DataTable} DataTables API instance
+ */
+const getTable = () => $(`#${TABLE_ID}`).DataTable();
+
+/**
+ * Show a toast through form-kit's global helper, when loaded
+ * @param {string} message - Toast text
+ * @param {string} type - success or error
+ */
+const notify = (message, type) => {
+  if (typeof window.showToast === 'function') {
+    window.showToast(message, type);
+  }
+};
+
+/**
+ * Add a job to the table or replace its row
+ * @param {Object} job - Job from /api/jobs
+ */
+const upsertJobRow = (job) => {
+  const table = getTable();
+  const row = table.row((index, data) => data.id === job.id);
+
+  if (row.any()) {
+    row.data(job);
+  } else {
+    table.row.add(job);
+  }
+  table.draw(false);
+};
+
+/**
+ * Poll a job until it finishes, updating its row
+ * @param {Object} job - Job with statusUrl
+ */
+const trackJob = (job) => {
+  if (job.isFinal || trackedJobs.has(job.id)) return;
+  trackedJobs.add(job.id);
+
+  const poll = async () => {
+    try {
+      const response = await fetch(job.statusUrl, { headers: { 'Accept': 'application/json' } });
+      const body = await response.json();
+      if (!response.ok || !body.success) {
+        throw new Error(body.message || `HTTP error! status: ${response.status}`);
+      }
+
+      upsertJobRow(body.job);
+
+      if (body.job.isFinal) {
+        trackedJobs.delete(job.id);
+        return;
+      }
+      setTimeout(poll, JOB_POLL_INTERVAL_MS);
+    } catch (error) {
+      console.error(`Error polling job ${job.id}:`, error);
+      setTimeout(poll, JOB_POLL_INTERVAL_MS * 5);
+    }
+  };
+
+  setTimeout(poll, JOB_POLL_INTERVAL_MS);
+};
+
+/**
+ * Show a newly queued job in the table and follow its progress
+ * @param {Object} job - Job returned when the request was queued
+ */
+const showQueuedJob = (job) => {
+  upsertJobRow(job);
+  trackJob(job);
+};
+
+/**
+ * Re-submit a job with the same parameters
+ * @param {number} jobId - Job ID
+ * @param {HTMLButtonElement} button - Action button (disabled while the request runs)
+ */
+const rerunJob = async (jobId, button) => {
+  button.disabled = true;
+
+  try {
+    const response = await fetch(`/api/jobs/${jobId}/rerun`, { method: 'POST' });
+    const body = await response.json();
+    if (!response.ok || !body.success) {
+      throw new Error(body.message || `HTTP error! status: ${response.status}`);
+    }
+
+    notify(body.message, 'success');
+    showQueuedJob(body.job);
+  } catch (error) {
+    console.error(`Error re-submitting job ${jobId}:`, error);
+    notify(error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+};
+
+/**
+ * Open the clone modal prefilled with a job's application and time range
+ * @param {Object} job - Job row
+ */
+const openCloneForm = (job) => {
+  const form = document.getElementById(CLONE_FORM_ID);
+  if (!form) return;
+
+  form.reset();
+
+  // Dispatch change so form-kit re-validates and enables the submit button
+  const appSelect = form.querySelector('[name="appId"]');
+  appSelect.value = job.appId;
+  appSelect.dispatchEvent(new Event('change'));
+
+  ['startDateTime', 'endDateTime'].forEach(fieldName => {
+    const input = form.querySelector(`[name="${fieldName}"]`);
+    if (input && input._flatpickr) {
+      input._flatpickr.setDate(new Date(job[fieldName]), true);
+    }
+  });
+
+  document.getElementById('cloneRequestSource').textContent = `of job #${job.id}`;
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('cloneRequestModal')).show();
+};
+
+/**
+ * form-kit onSuccess hook of the clone form (named in my-requests-clone-form.yaml)
+ * form-kit resolves hooks by name on window, so this is the one global the page exposes.
+ * @param {Object} response - POST /api/request-data response ({ job, ... })
+ */
+window.onRequestCloned = (response) => {
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('cloneRequestModal')).hide();
+  showQueuedJob(response.job);
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  // Row actions (buttons rendered by renderJobActions)
+  document.getElementById(TABLE_ID).addEventListener('click', (event) => {
+    const button = event.target.closest('[data-job-action]');
+    if (!button) return;
+
+    const jobId = parseInt(button.dataset.jobId);
+    const job = getTable().row((index, data) => data.id === jobId).data();
+    if (!job) return;
+
+    if (button.dataset.jobAction === 'rerun') {
+      rerunJob(jobId, button);
+    } else if (button.dataset.jobAction === 'clone') {
+      openCloneForm(job);
+    }
+  });
+
+  // Follow jobs that were still queued or running when the page loaded
+  onTableReady(TABLE_ID, table => {
+    table.rows().data().each(job => trackJob(job));
+  });
+});
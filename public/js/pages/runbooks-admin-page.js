@@ -0,0 +1,168 @@
+/**
+ * File: runbooks-admin-page.js
+ * Created: 2026-10-18
+ *
+ * Runbooks Admin Page Initialization
+ *
+ * Page-specific initialization for /runbooks. The table is auto-initialized; this
+ * handles the Add button and the row actions rendered by renderRunbookActions (edit
+ * and delete). The Add/Edit modal posts to /api/runbooks and the page reloads after a
+ * change, since the table data is embedded at render time.
+ */
+
+'use strict';
+
+import { showToast } from '../lib/form-kit/helpers/form-helpers.js';
+import { resetForm, getFormData } from '../lib/form-kit/core/form-dynamic.js';
+
+const TABLE_ID = 'runbooksTable';
+const FORM_ID = 'runbookForm';
+
+// Form fields filled from a runbook entry when editing
+const FORM_FIELDS = ['title', 'category', 'application', 'pattern', 'url', 'steps'];
+
+// Runbook being edited (null when adding)
+let currentEditId = null;
+
+/**
+ * Get the runbooks DataTable
+ * @returns {DataTable} DataTables API instance
+ */
+const getTable = () => $(`#${TABLE_ID}`).DataTable();
+
+/**
+ * Reload the page after a change, leaving the toast visible for a moment
+ */
+const reloadSoon = () => setTimeout(() => window.location.reload(), 1000);
+
+/**
+ * Read the JSON body of an API response, throwing its message on failure
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object>} Response body
+ */
+const readResponse = async (response) => {
+  const body = await response.json();
+  if (!response.ok || !body.success) {
+    throw new Error(body.message || `HTTP error! status: ${response.status}`);
+  }
+  return body;
+};
+
+/**
+ * Open the form modal to add or edit a runbook
+ * @param {Object|null} runbook - Runbook entry to edit (null adds one)
+ */
+const openForm = (runbook) => {
+  const form = document.getElementById(FORM_ID);
+  currentEditId = runbook ? runbook.runbookId : null;
+  resetForm(FORM_ID);
+
+  FORM_FIELDS.forEach(fieldName => {
+    const input = form.querySelector(`[name="${fieldName}"]`);
+    if (input) {
+      input.value = runbook ? runbook[fieldName] ?? '' : '';
+      // Updates the character counters
+      input.dispatchEvent(new Event('input'));
+    }
+  });
+  form.querySelector('[name="active"]').checked = runbook ? runbook.active : true;
+
+  const icon = runbook ? 'bi-pencil-square' : 'bi-plus-circle';
+  document.getElementById('runbookFormModalLabel').innerHTML =
+    `<i class="bi ${icon}"></i> ${runbook ? 'Edit Runbook' : 'Add Runbook'}`;
+
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('runbookFormModal')).show();
+};
+
+/**
+ * Create or update the runbook in the form
+ * @param {SubmitEvent} event - Form submit event
+ */
+const submitForm = async (event) => {
+  event.preventDefault();
+
+  const form = event.currentTarget;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  const originalHtml = submitBtn.innerHTML;
+  submitBtn.disabled = true;
+  submitBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Saving...';
+
+  // Unchecked checkboxes are left out of the form data
+  const runbook = { ...getFormData(FORM_ID), active: form.querySelector('[name="active"]').checked };
+
+  try {
+    const response = await fetch(currentEditId ? `/api/runbooks/${currentEditId}` : '/api/runbooks', {
+      method: currentEditId ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(runbook)
+    });
+    const body = await readResponse(response);
+
+    bootstrap.Modal.getInstance(document.getElementById('runbookFormModal')).hide();
+    showToast(body.message, 'success');
+    reloadSoon();
+  } catch (error) {
+    console.error('Error saving runbook:', error);
+    showToast(error.message || 'Failed to save runbook', 'danger');
+    submitBtn.disabled = false;
+    submitBtn.innerHTML = originalHtml;
+  }
+};
+
+/**
+ * Ask for confirmation before deleting a runbook
+ * @param {Object} runbook - Runbook entry
+ */
+const confirmDelete = (runbook) => {
+  document.getElementById('deleteRunbookTitle').textContent = runbook.title;
+  document.getElementById('confirmDeleteRunbookBtn').dataset.runbookId = runbook.runbookId;
+  bootstrap.Modal.getOrCreateInstance(document.getElementById('deleteRunbookModal')).show();
+};
+
+/**
+ * Delete the runbook awaiting confirmation
+ * @param {MouseEvent} event - Click on the confirm button
+ */
+const deleteRunbook = async (event) => {
+  const deleteBtn = event.currentTarget;
+  const originalHtml = deleteBtn.innerHTML;
+  deleteBtn.disabled = true;
+  deleteBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span>Deleting...';
+
+  try {
+    const response = await fetch(`/api/runbooks/${deleteBtn.dataset.runbookId}`, { method: 'DELETE' });
+    const body = await readResponse(response);
+
+    bootstrap.Modal.getInstance(document.getElementById('deleteRunbookModal')).hide();
+    showToast(body.message, 'success');
+    reloadSoon();
+  } catch (error) {
+    console.error('Error deleting runbook:', error);
+    showToast(error.message || 'Failed to delete runbook', 'danger');
+    deleteBtn.disabled = false;
+    deleteBtn.innerHTML = originalHtml;
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  // The form itself is initialized by form-kit (data-auto-init)
+  document.getElementById('addRunbookBtn').addEventListener('click', () => openForm(null));
+  document.getElementById(FORM_ID).addEventListener('submit', submitForm);
+  document.getElementById('confirmDeleteRunbookBtn').addEventListener('click', deleteRunbook);
+
+  // Row actions (buttons rendered by renderRunbookActions)
+  document.getElementById(TABLE_ID).addEventListener('click', (event) => {
+    const button = event.target.closest('[data-runbook-action]');
+    if (!button) return;
+
+    const runbookId = parseInt(button.dataset.runbookId);
+    const runbook = getTable().row((index, data) => data.runbookId === runbookId).data();
+    if (!runbook) return;
+
+    if (button.dataset.runbookAction === 'edit') {
+      openForm(runbook);
+    } else if (button.dataset.runbookAction === 'delete') {
+      confirmDelete(runbook);
+    }
+  });
+});
@@ -18,13 +18,23 @@ import {
     initAllDataTables,
     registerRenderFunction,
     customHandlers,
+    getTable,
+    whenTableReady,
+    onTableReady,
+    onTableEvent,
     DataTableFilters,
     DataTableAria,
     DataTableKeyboard,
     DataTableSelection,
     initializeFooter,
+    getServerAggregates,
     initializeEditing,
-    initializeSearch
+    initializeSearch,
+    DataTableLive,
+    DataTableUrlState,
+    DataTableSavedViews,
+    DataTableLinks,
+    DataTableRowActions
 } from './lib/datatable-kit/index.js';
 
 import * as renderHelpers from './lib/datatable-kit/helpers/table-helpers.js';
@@ -46,13 +56,23 @@ export {
     initAllDataTables,
     registerRenderFunction,
     customHandlers,
+    getTable,
+    whenTableReady,
+    onTableReady,
+    onTableEvent,
     DataTableFilters,
     DataTableAria,
     DataTableKeyboard,
     DataTableSelection,
     initializeFooter,
+    getServerAggregates,
     initializeEditing,
     initializeSearch,
+    DataTableLive,
+    DataTableUrlState,
+    DataTableSavedViews,
+    DataTableLinks,
+    DataTableRowActions,
     renderHelpers
 };
 
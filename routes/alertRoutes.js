@@ -0,0 +1,31 @@
+/**
+ * File: alertRoutes.js
+ * Created: 2026-10-18
+ * 
+ * Alert Routes
+ * Server-side alert rules and the events they raise (see services/alertRulesService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+
+/**
+ * GET /api/alerts/rules
+ * Alert rules with the result of their last evaluation
+ */
+router.get('/rules', alertController.listRules);
+
+/**
+ * GET /api/alerts/events
+ * Alert events, newest first (optional ?status=open|resolved, ?ruleId=, ?top=)
+ */
+router.get('/events', alertController.listEvents);
+
+/**
+ * POST /api/alerts/evaluate
+ * Evaluates every rule now
+ */
+router.post('/evaluate', alertController.evaluateRules);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * File: apiV1Routes.js
+ * Created: 2026-10-18
+ *
+ * API v1 Routes
+ * Versioned JSON endpoints for the CET datasets.
+ * Every response uses the envelope defined in controllers/apiV1Response.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const apiV1Controller = require('../controllers/apiV1Controller');
+
+/**
+ * GET /api/v1
+ * Lists available resources and datasets
+ */
+router.get('/', apiV1Controller.listResources);
+
+/**
+ * GET /api/v1/live/:resource/:dataset
+ * Server-Sent Events stream (snapshot, changes, sourceError) for live datasets
+ * Examples: /api/v1/live/dashboard/summary, /api/v1/live/queues/summary
+ */
+router.get('/live/:resource/:dataset', apiV1Controller.streamDataset);
+
+/**
+ * GET /api/v1/:resource
+ * All datasets of a resource in one response
+ * Resources: dashboard, issues, queues, reports
+ * Example: /api/v1/issues → { summary, alerts, disabled, behind, slow }
+ */
+router.get('/:resource', apiV1Controller.getResource);
+
+/**
+ * GET /api/v1/:resource/:dataset
+ * A single dataset
+ * Examples: /api/v1/dashboard/summary, /api/v1/issues/alerts, /api/v1/queues/messages, /api/v1/reports/detail
+ */
+router.get('/:resource/:dataset', apiV1Controller.getDataset);
+
+/**
+ * GET /api/v1/:resource/:dataset/page
+ * DataTables server-side processing for paged datasets
+ * Examples: /api/v1/queues/messages/page, /api/v1/reports/detail/page
+ */
+router.get('/:resource/:dataset/page', apiV1Controller.getDatasetPage);
+
+// Anything else under /api/v1 gets a JSON 404 and JSON errors, never an HTML page
+router.use(apiV1Controller.notFound);
+router.use(apiV1Controller.handleError);
+
+module.exports = router;
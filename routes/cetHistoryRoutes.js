@@ -0,0 +1,21 @@
+/**
+ * CET History Routes
+ * Defines routes for CET History view
+ */
+
+/**
+ * File: cetHistoryRoutes.js
+ * Created: 2026-10-18
+ */
+
+const express = require('express');
+const router = express.Router();
+const cetHistoryController = require('../controllers/cetHistoryController');
+
+/**
+ * GET /cet-history
+ * Display dashboard metric trends (?metric=, ?range=, ?iGateApp=&cetApp=)
+ */
+router.get('/', cetHistoryController.showCETHistory);
+
+module.exports = router;
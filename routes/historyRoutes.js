@@ -0,0 +1,44 @@
+/**
+ * File: historyRoutes.js
+ * Created: 2026-10-18
+ * 
+ * History Routes
+ * Dashboard metric and queue depth snapshots and the time series built from them
+ * (see services/dashboardHistoryService.js and services/queueDepthService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const historyController = require('../controllers/historyController');
+
+/**
+ * GET /api/history/dashboard
+ * Dashboard metrics over time (optional ?range=, ?from=&to=, ?iGateApp=&cetApp=)
+ */
+router.get('/dashboard', historyController.getDashboardHistory);
+
+/**
+ * GET /api/history/dashboard/apps
+ * One metric over time per app (optional ?metric=, ?range=, ?from=&to=, ?iGateApp=)
+ */
+router.get('/dashboard/apps', historyController.getAppHistory);
+
+/**
+ * GET /api/history/queues
+ * Queue depth with enqueued and dequeued messages over time (optional ?queueId=, ?range=, ?from=&to=)
+ */
+router.get('/queues', historyController.getQueueHistory);
+
+/**
+ * GET /api/history/snapshots
+ * Snapshot settings and the last capture
+ */
+router.get('/snapshots', historyController.getSnapshotStatus);
+
+/**
+ * POST /api/history/snapshots
+ * Takes a snapshot now
+ */
+router.post('/snapshots', historyController.captureSnapshot);
+
+module.exports = router;
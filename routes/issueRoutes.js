@@ -0,0 +1,31 @@
+/**
+ * File: issueRoutes.js
+ * Created: 2026-10-18
+ * 
+ * Issue Routes
+ * Workflow of the issues listed on /cet-issues (see services/issueWorkflowService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const issueController = require('../controllers/issueController');
+
+/**
+ * GET /api/issues/:issueKey
+ * Issue with its workflow state and notes
+ */
+router.get('/:issueKey', issueController.getIssue);
+
+/**
+ * POST /api/issues/:issueKey/notes
+ * Adds a note ({ note })
+ */
+router.post('/:issueKey/notes', issueController.addNote);
+
+/**
+ * POST /api/issues/:issueKey/:action
+ * acknowledge, assign ({ assignedTo }), resolve or reopen
+ */
+router.post('/:issueKey/:action', issueController.updateIssue);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * File: jobRoutes.js
+ * Created: 2026-10-18
+ * 
+ * Job Routes
+ * Background data request jobs created by POST /api/request-data
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+/**
+ * GET /api/jobs
+ * Lists data request jobs, newest first (optional ?status= and ?mine=true)
+ */
+router.get('/', jobController.listJobs);
+
+/**
+ * GET /api/jobs/:jobId
+ * Status and progress of a job
+ */
+router.get('/:jobId', jobController.getJob);
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancels a queued or running job
+ */
+router.post('/:jobId/cancel', jobController.cancelJob);
+
+/**
+ * POST /api/jobs/:jobId/rerun
+ * Queues a new job with the same application and time range
+ */
+router.post('/:jobId/rerun', jobController.rerunJob);
+
+/**
+ * GET /api/jobs/:jobId/download?format=csv|json
+ * Downloads the result of a succeeded job
+ */
+router.get('/:jobId/download', jobController.downloadJob);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * My Requests Routes
+ * Defines routes for My Requests view
+ */
+
+/**
+ * File: myRequestsRoutes.js
+ * Created: 2026-10-18
+ */
+
+const express = require('express');
+const router = express.Router();
+const myRequestsController = require('../controllers/myRequestsController');
+
+/**
+ * GET /my-requests
+ * Display the data requests of the current user (?scope=all for everyone)
+ */
+router.get('/', myRequestsController.showMyRequests);
+
+module.exports = router;
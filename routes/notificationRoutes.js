@@ -0,0 +1,31 @@
+/**
+ * File: notificationRoutes.js
+ * Created: 2026-10-18
+ * 
+ * Notification Routes
+ * Channels that alert events are sent to, and the delivery log (see services/notificationService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+
+/**
+ * GET /api/notifications/channels
+ * Notification channels from notification-channels.yaml
+ */
+router.get('/channels', notificationController.listChannels);
+
+/**
+ * POST /api/notifications/channels/:channelId/test
+ * Sends a sample notification through one channel
+ */
+router.post('/channels/:channelId/test', notificationController.sendTest);
+
+/**
+ * GET /api/notifications/deliveries
+ * Delivery log, newest first (optional ?status=, ?channelId=, ?top=)
+ */
+router.get('/deliveries', notificationController.listDeliveries);
+
+module.exports = router;
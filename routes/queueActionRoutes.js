@@ -0,0 +1,31 @@
+/**
+ * File: queueActionRoutes.js
+ * Created: 2026-10-18
+ *
+ * Queue Action Routes
+ * Control actions on CET queues and their audit log (see services/queueActionService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const queueActionController = require('../controllers/queueActionController');
+
+/**
+ * GET /api/queues/actions
+ * Latest queue actions (?queueId= for one queue, ?limit=)
+ */
+router.get('/actions', queueActionController.listActions);
+
+/**
+ * GET /api/queues/:queueId/actions
+ * Latest actions on one queue (?limit=)
+ */
+router.get('/:queueId/actions', queueActionController.listQueueActions);
+
+/**
+ * POST /api/queues/:queueId/:action
+ * Runs enable, disable, retry or purge ({ reason }); needs one of the action's roles
+ */
+router.post('/:queueId/:action', queueActionController.runAction);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+/**
+ * File: queueMessageRoutes.js
+ * Created: 2026-10-18
+ *
+ * Queue Message Routes
+ * Message inspector and replay of the CET queue messages (see services/queueMessageService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const queueMessageController = require('../controllers/queueMessageController');
+
+/**
+ * POST /api/queues/messages/replay
+ * Replays several messages ({ messageIds, reason }); needs one of the replay roles
+ */
+router.post('/replay', queueMessageController.replayMessages);
+
+/**
+ * GET /api/queues/messages/:messageId
+ * One message with its headers, body, retry count and last error
+ */
+router.get('/:messageId', queueMessageController.getMessage);
+
+/**
+ * POST /api/queues/messages/:messageId/replay
+ * Replays one message ({ reason })
+ */
+router.post('/:messageId/replay', queueMessageController.replayMessage);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * File: runbookRoutes.js
+ * Created: 2026-10-18
+ *
+ * Runbook Routes
+ * Runbook and knowledge-base entries matched to the CET issues (see services/runbookService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const runbookController = require('../controllers/runbookController');
+
+/**
+ * GET /api/runbooks
+ * Every runbook entry (?active=true for the active ones only)
+ */
+router.get('/', runbookController.listRunbooks);
+
+/**
+ * GET /api/runbooks/:runbookId
+ * One runbook entry
+ */
+router.get('/:runbookId', runbookController.getRunbook);
+
+/**
+ * POST /api/runbooks
+ * Creates an entry ({ title, url, steps, category, application, pattern, active })
+ */
+router.post('/', runbookController.createRunbook);
+
+/**
+ * PUT /api/runbooks/:runbookId
+ * Updates an entry
+ */
+router.put('/:runbookId', runbookController.updateRunbook);
+
+/**
+ * DELETE /api/runbooks/:runbookId
+ * Deletes an entry
+ */
+router.delete('/:runbookId', runbookController.deleteRunbook);
+
+module.exports = router;
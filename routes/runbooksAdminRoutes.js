@@ -0,0 +1,19 @@
+/**
+ * File: runbooksAdminRoutes.js
+ * Created: 2026-10-18
+ *
+ * Runbooks Admin Routes
+ * Page to add, edit and delete runbook entries (API in routes/runbookRoutes.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const runbookController = require('../controllers/runbookController');
+
+/**
+ * GET /runbooks
+ * Runbook administration page
+ */
+router.get('/', runbookController.showRunbooksAdmin);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * File: savedViewRoutes.js
+ * Created: 2026-10-18
+ *
+ * Saved View Routes
+ * Named table views of the current user and the team (see services/savedViewService.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const savedViewController = require('../controllers/savedViewController');
+
+/**
+ * GET /api/views/:tableId
+ * Own and shared views of a table
+ */
+router.get('/:tableId', savedViewController.listViews);
+
+/**
+ * POST /api/views/:tableId
+ * Saves a view ({ name, state, shared, isDefault })
+ */
+router.post('/:tableId', savedViewController.createView);
+
+/**
+ * PUT /api/views/:tableId/default
+ * Sets or clears ({ viewId: null }) the view the table opens with
+ */
+router.put('/:tableId/default', savedViewController.setDefaultView);
+
+/**
+ * PUT /api/views/:tableId/:viewId
+ * Updates an own view
+ */
+router.put('/:tableId/:viewId', savedViewController.updateView);
+
+/**
+ * DELETE /api/views/:tableId/:viewId
+ * Deletes an own view
+ */
+router.delete('/:tableId/:viewId', savedViewController.deleteView);
+
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * File: alertGroupService.js
+ * Created: 2026-10-18
+ *
+ * Alert Group Service
+ *
+ * Groups the rows of an issues detail dataset by a normalised signature, so a
+ * recurring alert shows once with its occurrence count instead of flooding the list.
+ * The signature fields of each category are set in alert-patterns.yaml:
+ *
+ *   alerts: [application, procedure, errorClass]
+ *   → 'ESR|spengine_instruction_756_1_2|constraint violation'
+ *
+ * Signature values are trimmed, lowercased and whitespace-collapsed. When a signature
+ * field has no value (the alert text was not parsed), the alert text with its numbers
+ * masked is added to the signature, so only alike messages end up in the same group.
+ *
+ * Rows are expected to carry the parsed fields already (alertParserService). When they
+ * carry their matching runbooks (runbookService), each group lists the runbooks of all
+ * its occurrences.
+ */
+
+const crypto = require('crypto');
+const { loadConfig } = require('./configService');
+
+// Row fields holding when an alert was raised: MM/DD/YYYY and HH:mm
+const DATE_FIELD = 'criticalSectionDate';
+const TIME_FIELD = 'time';
+const DEFAULT_SIGNATURE = ['application'];
+
+/**
+ * Signature fields of a category
+ * @param {string} category - Category (alerts, disabled, behind, slow)
+ * @returns {Array<string>} Row fields (default: application)
+ */
+const getSignatureFields = (category) => {
+  const fields = loadConfig('alert-patterns', `categories.${category}.signature`, null);
+  return Array.isArray(fields) && fields.length ? fields : DEFAULT_SIGNATURE;
+};
+
+/**
+ * Normalise a signature value
+ * @param {*} value - Field value
+ * @returns {string} Trimmed, lowercased value with single spaces ('' when missing)
+ */
+const normalise = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Normalised signature of a row
+ * @param {Object} row - Detail row
+ * @param {Array<string>} fields - Signature fields
+ * @param {string} textField - Field holding the alert text
+ * @returns {string} Signature values joined with '|'
+ */
+const buildSignature = (row, fields, textField) => {
+  const values = fields.map(field => normalise(row[field]));
+  if (values.some(value => value === '')) {
+    values.push(normalise(row[textField]).replace(/\d+/g, '#'));
+  }
+  return values.join('|');
+};
+
+/**
+ * Sortable timestamp of a row
+ * @param {Object} row - Detail row (criticalSectionDate MM/DD/YYYY, time HH:mm)
+ * @returns {string} 'YYYY-MM-DD HH:mm', or the raw values when the date is not MM/DD/YYYY
+ */
+const toTimestamp = (row) => {
+  const date = String(row[DATE_FIELD] ?? '').trim();
+  const time = String(row[TIME_FIELD] ?? '').trim();
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(date);
+  if (!match) return `${date} ${time}`.trim();
+
+  const [, month, day, year] = match;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')} ${time}`.trim();
+};
+
+/**
+ * Runbooks of a group's occurrences, without duplicates
+ * @param {Array<Object>} occurrences - Rows with a runbooks list
+ * @returns {Array<Object>} Runbooks in order of first appearance
+ */
+const mergeRunbooks = (occurrences) => {
+  const runbooks = new Map();
+  occurrences.forEach(row => {
+    (row.runbooks || []).forEach(runbook => {
+      if (!runbooks.has(runbook.runbookId)) runbooks.set(runbook.runbookId, runbook);
+    });
+  });
+  return [...runbooks.values()];
+};
+
+/**
+ * Group the rows of a detail dataset by signature
+ * @param {string} category - Category (alerts, disabled, behind, slow)
+ * @param {Array<Object>} rows - Detail rows with their parsed fields
+ * @param {string} textField - Field holding the alert text (default: alert)
+ * @returns {Array<Object>} Groups, most recently seen first:
+ *   { groupKey, ...signature fields, alert, occurrenceCount, openCount, firstSeen,
+ *     lastSeen, occurrences } - signature fields and alert come from the latest
+ *   occurrence; occurrences are the rows, latest first, each with its seenAt timestamp.
+ *   Groups get a runbooks list when the rows have one.
+ */
+const groupAlerts = (category, rows, textField = 'alert') => {
+  const fields = getSignatureFields(category);
+  const groups = new Map();
+  const hasRunbooks = rows.some(row => Array.isArray(row.runbooks));
+
+  rows.forEach(row => {
+    const signature = buildSignature(row, fields, textField);
+    if (!groups.has(signature)) {
+      groups.set(signature, []);
+    }
+    groups.get(signature).push({ ...row, seenAt: toTimestamp(row) });
+  });
+
+  return [...groups.entries()]
+    .map(([signature, occurrences]) => {
+      occurrences.sort((a, b) => b.seenAt.localeCompare(a.seenAt));
+      const latest = occurrences[0];
+
+      return {
+        groupKey: crypto.createHash('sha1').update(`${category}|${signature}`).digest('hex').slice(0, 12),
+        ...Object.fromEntries(fields.map(field => [field, latest[field] ?? null])),
+        [textField]: latest[textField],
+        occurrenceCount: occurrences.length,
+        openCount: occurrences.filter(row => row.issueStatus !== 'resolved').length,
+        firstSeen: occurrences[occurrences.length - 1].seenAt,
+        lastSeen: latest.seenAt,
+        ...(hasRunbooks ? { runbooks: mergeRunbooks(occurrences) } : {}),
+        occurrences
+      };
+    })
+    .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+};
+
+module.exports = {
+  getSignatureFields,
+  groupAlerts
+};
@@ -0,0 +1,172 @@
+/**
+ * File: alertParserService.js
+ * Created: 2026-10-18
+ *
+ * Alert Parser Service
+ *
+ * Turns the alert text of the issues detail datasets into fields, using the pattern
+ * library in alert-patterns.yaml (one set of patterns per category: alerts, disabled,
+ * behind, slow):
+ *
+ *   [SVRP00118E37\EUDS008].[DGIO0012].[cet].[spEngine_Instruction_756_1_2]: Line: 1112, Violation of PRIMARY
+ *   → { server: 'SVRP00118E37\EUDS008', database: 'DGIO0012', schema: 'cet',
+ *       procedure: 'spEngine_Instruction_756_1_2', line: 1112,
+ *       errorMessage: 'Violation of PRIMARY', errorClass: 'Constraint violation' }
+ *
+ * Fields are the named groups of the patterns. Every field of a category is set on
+ * each of its rows (null when the text does not match), so table columns and filters
+ * built on them always find a value.
+ */
+
+const { loadConfig } = require('./configService');
+
+// Named groups of a regular expression source: (?<name>
+const NAMED_GROUP = /\(\?<([A-Za-z_$][\w$]*)>/g;
+
+/**
+ * Compile the patterns of one category
+ * @param {string} category - Category name
+ * @param {Object} definition - { patterns, numeric } from alert-patterns.yaml
+ * @returns {Object} { patterns: [RegExp], fields: [string], numeric: Set }
+ */
+const compileCategory = (category, definition = {}) => {
+  const patterns = [];
+  const fields = [];
+
+  (definition.patterns || []).forEach(source => {
+    try {
+      patterns.push(new RegExp(source));
+    } catch (error) {
+      console.warn(`Alert pattern ignored (${category}): ${error.message}`);
+      return;
+    }
+    for (const [, field] of String(source).matchAll(NAMED_GROUP)) {
+      if (!fields.includes(field)) fields.push(field);
+    }
+  });
+
+  if (fields.includes('errorMessage')) {
+    fields.push('errorClass');
+  }
+
+  return { patterns, fields, numeric: new Set(definition.numeric || []) };
+};
+
+/**
+ * Compile the error classes
+ * @param {Array<Object>} errorClasses - [{ class, match }] from alert-patterns.yaml
+ * @returns {Array<Object>} [{ name, regex }]
+ */
+const compileErrorClasses = (errorClasses = []) => {
+  return errorClasses.reduce((compiled, entry) => {
+    try {
+      compiled.push({ name: entry.class, regex: new RegExp(entry.match, 'i') });
+    } catch (error) {
+      console.warn(`Alert error class ${entry.class} ignored: ${error.message}`);
+    }
+    return compiled;
+  }, []);
+};
+
+/**
+ * Read and compile alert-patterns.yaml
+ * @returns {Object} { categories: { name: compiled }, errorClasses }
+ */
+const loadPatterns = () => {
+  const config = loadConfig('alert-patterns', null, {}) || {};
+  const categories = {};
+  Object.entries(config.categories || {}).forEach(([category, definition]) => {
+    categories[category] = compileCategory(category, definition);
+  });
+
+  return {
+    categories,
+    errorClasses: compileErrorClasses(config.errorClasses)
+  };
+};
+
+/**
+ * Classify an error message
+ * @param {string|null} message - Error message
+ * @param {Array<Object>} errorClasses - Compiled error classes
+ * @returns {string|null} Error class, or null when none matches
+ */
+const classifyError = (message, errorClasses) => {
+  if (!message) return null;
+  const match = errorClasses.find(entry => entry.regex.test(message));
+  return match ? match.name : null;
+};
+
+/**
+ * Parse one alert text with compiled patterns
+ * @param {Object} compiled - Compiled category
+ * @param {Array<Object>} errorClasses - Compiled error classes
+ * @param {string} text - Alert text
+ * @returns {Object} Every field of the category (null when not found)
+ */
+const parseWith = (compiled, errorClasses, text) => {
+  const fields = Object.fromEntries(compiled.fields.map(field => [field, null]));
+  const value = typeof text === 'string' ? text.trim() : '';
+
+  compiled.patterns.forEach(regex => {
+    const groups = regex.exec(value)?.groups || {};
+    Object.entries(groups).forEach(([field, captured]) => {
+      if (fields[field] !== null || captured === undefined) return;
+      const trimmed = captured.trim();
+      fields[field] = compiled.numeric.has(field) ? Number(trimmed) : trimmed;
+    });
+  });
+
+  if ('errorClass' in fields) {
+    fields.errorClass = classifyError(fields.errorMessage, errorClasses);
+  }
+  return fields;
+};
+
+/**
+ * Fields a category can capture
+ * @param {string} category - Category (alerts, disabled, behind, slow)
+ * @returns {Array<string>} Field names, empty for categories without patterns
+ */
+const getFields = (category) => {
+  const compiled = loadPatterns().categories[category];
+  return compiled ? compiled.fields : [];
+};
+
+/**
+ * Parse an alert text
+ * @param {string} category - Category (alerts, disabled, behind, slow)
+ * @param {string} text - Alert text
+ * @returns {Object} Every field of the category (null when not found); {} for unknown categories
+ */
+const parseAlert = (category, text) => {
+  const { categories, errorClasses } = loadPatterns();
+  const compiled = categories[category];
+  return compiled ? parseWith(compiled, errorClasses, text) : {};
+};
+
+/**
+ * Add the parsed fields of each row's alert text to the rows
+ * Existing row fields win over parsed ones.
+ * @param {string} category - Category (alerts, disabled, behind, slow)
+ * @param {Array<Object>} rows - Detail rows
+ * @param {string} textField - Field holding the alert text (default: alert)
+ * @returns {Array<Object>} New rows with the parsed fields
+ */
+const withParsedFields = (category, rows, textField = 'alert') => {
+  const { categories, errorClasses } = loadPatterns();
+  const compiled = categories[category];
+  if (!compiled) return rows;
+
+  return rows.map(row => {
+    const parsed = parseWith(compiled, errorClasses, row[textField]);
+    const added = Object.entries(parsed).filter(([field]) => !(field in row));
+    return { ...row, ...Object.fromEntries(added) };
+  });
+};
+
+module.exports = {
+  getFields,
+  parseAlert,
+  withParsedFields
+};
@@ -0,0 +1,569 @@
+/**
+ * File: alertRulesService.js
+ * Created: 2026-10-18
+ *
+ * Alert Rules Service
+ *
+ * Server-side rules engine. On a schedule it reads the datasets behind the views,
+ * evaluates the rules in alert-rules.yaml and keeps alert events (dbo.CETAlertEvents)
+ * in step with the results, so breaches are detected when nobody has the page open.
+ *
+ * RULES:
+ * - cardRules re-evaluate the warning/danger thresholds of the card YAML files
+ *   (the same thresholds updateDashboardCard colours the cards with)
+ * - rules are free-standing, usually per app (where / groupBy), with thresholds or a
+ *   condition, and an optional forMinutes the breach must last before it alerts
+ *
+ * EVENT LIFECYCLE:
+ * A breach opens one event per rule and group; later evaluations update its value and
+ * severity, and it is resolved as soon as the rule no longer breaches (or the group
+ * disappears from the dataset). Rules whose dataset cannot be read are skipped, so a
+ * source outage does not resolve anything.
+ *
+ * NEW ROW WATCHES:
+ * watchNewRows entries announce rows that appear in a dataset between evaluations
+ * (e.g. new CET alerts). The first read after startup only records the existing rows.
+ *
+ * EVENTS (alertEvents EventEmitter):
+ * - opened   (event) - a new alert event was opened
+ * - updated  (event) - the severity of an open event changed
+ * - resolved (event) - an open event was resolved
+ * - newRow   ({ watchId, name, severity, dataset, row }) - a watched dataset gained a row
+ * Alert events carry `groupValues` ({ field: value } of the rule's groupBy) next to the
+ * stored columns, so listeners get e.g. the cetApp of a per-app rule.
+ *
+ * CONFIGURATION:
+ * ALERT_EVALUATION_INTERVAL_MS - How often rules are evaluated (default 60000, 0 disables the schedule)
+ */
+
+const { EventEmitter } = require('events');
+const dataProvider = require('./dataProviderService');
+const datasetService = require('./datasetService');
+const { diffRows } = require('./liveUpdateService');
+const { loadConfig } = require('./configService');
+
+const DEFAULT_INTERVAL_MS = 60000;
+const MIN_INTERVAL_MS = 5000;
+
+// Severities from most to least severe (conditions are checked in this order)
+const SEVERITIES = ['danger', 'warning'];
+const EVENT_STATUSES = ['open', 'resolved'];
+
+// Comparison operators allowed in `condition`
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+// Metric aggregations (names match the datatable-kit footer aggregations)
+const AGGREGATES = {
+  count: (rows) => rows.length,
+  countUnique: (rows, field) => new Set(rows.map(row => row[field])).size,
+  sum: (rows, field) => rows.reduce((total, row) => total + (Number(row[field]) || 0), 0),
+  min: (rows, field) => rows.length ? Math.min(...rows.map(row => Number(row[field]) || 0)) : 0,
+  max: (rows, field) => rows.length ? Math.max(...rows.map(row => Number(row[field]) || 0)) : 0,
+  average: (rows, field) => rows.length ? AGGREGATES.sum(rows, field) / rows.length : 0
+};
+
+const alertEvents = new EventEmitter();
+
+// Engine state for this process
+const engine = {
+  timer: null,
+  evaluating: false,
+  lastRun: null,
+  // `${ruleId}|${groupKey}` → time the current breach was first seen (for forMinutes)
+  breachStartedAt: new Map(),
+  // ruleId → { evaluatedAt, error, groups: [{ groupKey, value, severity }] }
+  results: new Map(),
+  // watchId → rows of the last read keyed by id (see watchNewRows)
+  rowSnapshots: new Map()
+};
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Read the evaluation interval from the environment
+ * @returns {number} Interval in ms, or 0 when the schedule is disabled
+ */
+const getIntervalMs = () => {
+  const value = parseInt(process.env.ALERT_EVALUATION_INTERVAL_MS);
+  if (value === 0) return 0;
+  return isNaN(value) ? DEFAULT_INTERVAL_MS : Math.max(MIN_INTERVAL_MS, value);
+};
+
+/**
+ * Turn a thresholds object into conditions, most severe first
+ * @param {Object} thresholds - { warning, danger }
+ * @returns {Array<Object>} [{ severity, operator, value }]
+ */
+const thresholdConditions = (thresholds) => {
+  return SEVERITIES
+    .filter(severity => typeof thresholds[severity] === 'number')
+    .map(severity => ({ severity, operator: '>=', value: thresholds[severity] }));
+};
+
+/**
+ * Normalise a rule from alert-rules.yaml
+ * @param {Object} rule - Rule as written in YAML
+ * @returns {Object|null} Rule with `conditions`, or null when invalid (logged)
+ */
+const normalizeRule = (rule) => {
+  let conditions = [];
+  if (rule.thresholds) {
+    conditions = thresholdConditions(rule.thresholds);
+  } else if (rule.condition) {
+    conditions = [{
+      severity: rule.severity || 'warning',
+      operator: rule.condition.operator,
+      value: rule.condition.value
+    }];
+  }
+
+  const metric = rule.metric || {};
+  const problems = [];
+  if (!rule.id) problems.push('missing id');
+  if (!rule.dataset || !rule.dataset.includes('/')) problems.push('dataset must be <resource>/<dataset>');
+  if (!AGGREGATES[metric.aggregate]) problems.push(`unknown aggregate ${metric.aggregate}`);
+  if (metric.aggregate !== 'count' && !metric.field) problems.push('metric.field is required');
+  if (conditions.length === 0) problems.push('no thresholds or condition');
+  conditions.forEach(condition => {
+    if (!OPERATORS[condition.operator]) problems.push(`unknown operator ${condition.operator}`);
+    if (!SEVERITIES.includes(condition.severity)) problems.push(`unknown severity ${condition.severity}`);
+  });
+
+  if (problems.length > 0) {
+    console.warn(`Alert rule ${rule.id || '(no id)'} ignored: ${problems.join(', ')}`);
+    return null;
+  }
+
+  return {
+    id: rule.id,
+    name: rule.name || rule.id,
+    dataset: rule.dataset,
+    where: rule.where || null,
+    groupBy: rule.groupBy ? [].concat(rule.groupBy) : [],
+    metric: metric,
+    conditions: conditions,
+    forMinutes: Number(rule.forMinutes) || 0,
+    message: rule.message || null,
+    source: rule.source || 'rules'
+  };
+};
+
+/**
+ * Build a rule from a cardRules entry, taking name and thresholds from the card YAML
+ * @param {Object} cardRule - cardRules entry ({ id, cards, card, dataset, where, metric })
+ * @returns {Object|null} Normalised rule, or null when the card has no thresholds
+ */
+const fromCardRule = (cardRule) => {
+  const card = loadConfig(cardRule.cards, cardRule.card, null);
+  if (!card || !card.thresholds) {
+    console.warn(`Alert rule ${cardRule.id} ignored: card ${cardRule.cards}.${cardRule.card} has no thresholds`);
+    return null;
+  }
+
+  return normalizeRule({
+    ...cardRule,
+    name: cardRule.name || card.label,
+    thresholds: card.thresholds,
+    source: `${cardRule.cards}.yaml`
+  });
+};
+
+/**
+ * Read alert-rules.yaml
+ * @returns {Object} { cardRules, rules, watchNewRows }
+ */
+const loadRulesConfig = () => loadConfig('alert-rules', null, {}) || {};
+
+/**
+ * Load every valid rule from alert-rules.yaml
+ * @param {Object} config - Rules configuration (read from the file when omitted)
+ * @returns {Array<Object>} Normalised rules
+ */
+const loadRules = (config = loadRulesConfig()) => {
+  const rules = [
+    ...(config.cardRules || []).map(fromCardRule),
+    ...(config.rules || []).map(normalizeRule)
+  ].filter(Boolean);
+
+  // Event rows are keyed by rule id, so a duplicate would flip the other rule's events
+  const seen = new Set();
+  return rules.filter(rule => {
+    if (seen.has(rule.id)) {
+      console.warn(`Alert rule ${rule.id} ignored: duplicate id`);
+      return false;
+    }
+    seen.add(rule.id);
+    return true;
+  });
+};
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Check a row against a rule's where clause
+ * @param {Object} row - Dataset row
+ * @param {Object|null} where - { field: value | [values] }
+ * @returns {boolean} True when the row matches
+ */
+const matchesWhere = (row, where) => {
+  if (!where) return true;
+  return Object.entries(where).every(([field, expected]) =>
+    [].concat(expected).some(value => String(row[field]) === String(value)));
+};
+
+/**
+ * Split rows into the groups a rule is evaluated for
+ * @param {Array<Object>} rows - Matching rows
+ * @param {Array<string>} groupBy - Group fields (empty for a single group)
+ * @returns {Map<string, Array<Object>>} groupKey → rows ('' for ungrouped rules)
+ */
+const groupRows = (rows, groupBy) => {
+  const groups = new Map();
+  if (groupBy.length === 0) {
+    groups.set('', rows);
+    return groups;
+  }
+
+  rows.forEach(row => {
+    const key = groupBy.map(field => row[field] ?? '').join(' / ');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return groups;
+};
+
+/**
+ * Find the most severe condition a value breaches
+ * @param {Object} rule - Normalised rule
+ * @param {number} value - Metric value
+ * @returns {Object|null} Breached condition, or null
+ */
+const findBreach = (rule, value) => {
+  return rule.conditions.find(condition => OPERATORS[condition.operator](value, condition.value)) || null;
+};
+
+/**
+ * Build the alert text of a breach
+ * @param {Object} rule - Normalised rule
+ * @param {string} groupKey - Group key ('' when ungrouped)
+ * @param {number} value - Metric value
+ * @param {Object} condition - Breached condition
+ * @returns {string} Alert message
+ */
+const formatMessage = (rule, groupKey, value, condition) => {
+  const template = rule.message
+    || (groupKey ? '{group}: {rule} is {value} (threshold {threshold})' : '{rule} is {value} (threshold {threshold})');
+  const values = {
+    rule: rule.name,
+    group: groupKey,
+    value: Number.isInteger(value) ? value : Math.round(value * 100) / 100,
+    threshold: condition.value
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+};
+
+/**
+ * Map a group key back to the groupBy fields it was built from
+ * @param {Object} rule - Normalised rule
+ * @param {string} groupKey - Group key ('' when ungrouped)
+ * @returns {Object} { field: value }
+ */
+const toGroupValues = (rule, groupKey) => {
+  const values = groupKey.split(' / ');
+  return rule.groupBy.reduce((group, field, index) => {
+    group[field] = values[index] ?? '';
+    return group;
+  }, {});
+};
+
+/**
+ * Run an alert event procedure that returns a single event row
+ * @param {string} procName - Stored procedure name
+ * @param {Object} params - Procedure parameters
+ * @returns {Promise<Object|null>} Event row, or null (errors are logged)
+ */
+const executeEventProcedure = async (procName, params) => {
+  const result = await dataProvider.executeProcedure(procName, params);
+  if (!result.success) {
+    console.error(`Error running ${procName}:`, result.error);
+    return null;
+  }
+  return (result.data || [])[0] || null;
+};
+
+/**
+ * Evaluate one rule and open, update or resolve its events
+ * @param {Object} rule - Normalised rule
+ * @param {Object} dataset - Provider result for the rule's dataset
+ * @param {Map<string, Object>} openEvents - Open events keyed `${ruleId}|${groupKey}`
+ * @param {Object} summary - Counters updated in place
+ * @returns {Promise<void>}
+ */
+const evaluateRule = async (rule, dataset, openEvents, summary) => {
+  const now = Date.now();
+
+  if (!dataset.success) {
+    engine.results.set(rule.id, { evaluatedAt: new Date(now).toISOString(), error: dataset.error, groups: [] });
+    summary.errors.push({ ruleId: rule.id, error: dataset.error });
+    return;
+  }
+
+  const rows = (dataset.data || []).filter(row => matchesWhere(row, rule.where));
+  const groups = groupRows(rows, rule.groupBy);
+  const groupResults = [];
+
+  for (const [groupKey, groupRowsList] of groups) {
+    const key = `${rule.id}|${groupKey}`;
+    const value = AGGREGATES[rule.metric.aggregate](groupRowsList, rule.metric.field);
+    const breach = findBreach(rule, value);
+    const openEvent = openEvents.get(key);
+    openEvents.delete(key);
+
+    groupResults.push({ groupKey, value, severity: breach ? breach.severity : null });
+
+    if (!breach) {
+      engine.breachStartedAt.delete(key);
+      if (openEvent) {
+        await resolveEvent(rule, openEvent, value, summary);
+      }
+      continue;
+    }
+
+    if (!engine.breachStartedAt.has(key)) {
+      engine.breachStartedAt.set(key, now);
+    }
+
+    const params = {
+      Severity: breach.severity,
+      MetricValue: value,
+      Threshold: breach.value,
+      Message: formatMessage(rule, groupKey, value, breach)
+    };
+
+    if (openEvent) {
+      const updated = await executeEventProcedure('usp_UpdateCETAlertEvent', { EventId: openEvent.id, ...params });
+      if (updated && updated.severity !== openEvent.severity) {
+        summary.updated++;
+        alertEvents.emit('updated', { ...updated, groupValues: toGroupValues(rule, groupKey) });
+      }
+      continue;
+    }
+
+    // Wait until the breach has lasted forMinutes
+    if (now - engine.breachStartedAt.get(key) < rule.forMinutes * 60000) {
+      continue;
+    }
+
+    const opened = await executeEventProcedure('usp_OpenCETAlertEvent', {
+      RuleId: rule.id,
+      RuleName: rule.name,
+      GroupKey: groupKey,
+      ...params
+    });
+    if (opened && opened.created) {
+      const { created, ...event } = opened;
+      summary.opened++;
+      console.log(`Alert opened: ${event.message}`);
+      alertEvents.emit('opened', { ...event, groupValues: toGroupValues(rule, groupKey) });
+    }
+  }
+
+  // Groups that no longer appear in the dataset cannot breach any more
+  for (const [key, openEvent] of [...openEvents]) {
+    if (openEvent.ruleId === rule.id) {
+      openEvents.delete(key);
+      engine.breachStartedAt.delete(key);
+      await resolveEvent(rule, openEvent, null, summary);
+    }
+  }
+
+  engine.results.set(rule.id, { evaluatedAt: new Date(now).toISOString(), error: null, groups: groupResults });
+};
+
+/**
+ * Resolve an open event
+ * @param {Object} rule - Normalised rule
+ * @param {Object} openEvent - Event row
+ * @param {number|null} value - Metric value at resolution
+ * @param {Object} summary - Counters updated in place
+ * @returns {Promise<void>}
+ */
+const resolveEvent = async (rule, openEvent, value, summary) => {
+  const resolved = await executeEventProcedure('usp_ResolveCETAlertEvent', {
+    EventId: openEvent.id,
+    MetricValue: value
+  });
+  if (resolved) {
+    summary.resolved++;
+    console.log(`Alert resolved: ${resolved.message}`);
+    alertEvents.emit('resolved', { ...resolved, groupValues: toGroupValues(rule, resolved.groupKey) });
+  }
+};
+
+/**
+ * Announce rows that appeared in a watched dataset since the last read
+ * @param {Object} watch - watchNewRows entry ({ id, name, dataset, severity })
+ * @param {Object} dataset - Provider result for the watched dataset
+ * @param {Object} summary - Counters updated in place
+ */
+const checkNewRows = (watch, dataset, summary) => {
+  if (!dataset.success) {
+    summary.errors.push({ watchId: watch.id, error: dataset.error });
+    return;
+  }
+
+  const previous = engine.rowSnapshots.get(watch.id);
+  const { added, current } = diffRows(previous || new Map(), dataset.data || []);
+  engine.rowSnapshots.set(watch.id, current);
+
+  // The first read is the baseline: rows that existed before startup are not new
+  if (!previous) return;
+
+  added.forEach(row => {
+    summary.newRows++;
+    alertEvents.emit('newRow', {
+      watchId: watch.id,
+      name: watch.name || watch.id,
+      severity: SEVERITIES.includes(watch.severity) ? watch.severity : 'warning',
+      dataset: watch.dataset,
+      row: row
+    });
+  });
+};
+
+/**
+ * Evaluate every rule once
+ * Overlapping calls are skipped (a slow data source must not stack evaluations).
+ * @returns {Promise<Object>} { success, evaluatedAt, rules, opened, updated, resolved, errors }
+ *                            or { success: false, error }
+ */
+const evaluateRules = async () => {
+  if (engine.evaluating) {
+    return { success: false, error: 'An evaluation is already running.' };
+  }
+  engine.evaluating = true;
+
+  try {
+    const config = loadRulesConfig();
+    const rules = loadRules(config);
+    const watches = (config.watchNewRows || []).filter(watch => watch.id && watch.dataset && watch.dataset.includes('/'));
+    const summary = { opened: 0, updated: 0, resolved: 0, newRows: 0, errors: [] };
+
+    const openResult = await dataProvider.executeProcedure('usp_GetCETAlertEvents', { Status: 'open', RuleId: null, Top: 10000 });
+    if (!openResult.success) {
+      return { success: false, error: openResult.error };
+    }
+    const openEvents = new Map((openResult.data || []).map(event => [`${event.ruleId}|${event.groupKey}`, event]));
+
+    // Read each dataset once per evaluation, however many rules use it
+    const datasets = new Map();
+    const readDataset = async (key) => {
+      if (!datasets.has(key)) {
+        const [resource, name] = key.split('/');
+        datasets.set(key, await datasetService.getDataset(resource, name));
+      }
+      return datasets.get(key);
+    };
+
+    for (const rule of rules) {
+      await evaluateRule(rule, await readDataset(rule.dataset), openEvents, summary);
+    }
+    for (const watch of watches) {
+      checkNewRows(watch, await readDataset(watch.dataset), summary);
+    }
+
+    // Forget results of rules removed from the YAML (their open events stay until resolved by hand)
+    const ruleIds = new Set(rules.map(rule => rule.id));
+    [...engine.results.keys()].filter(id => !ruleIds.has(id)).forEach(id => engine.results.delete(id));
+
+    engine.lastRun = new Date().toISOString();
+    return { success: true, evaluatedAt: engine.lastRun, rules: rules.length, watches: watches.length, ...summary };
+  } catch (error) {
+    console.error('Error evaluating alert rules:', error);
+    return { success: false, error: error.message };
+  } finally {
+    engine.evaluating = false;
+  }
+};
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * List the rules with the result of their last evaluation
+ * @returns {Object} { lastRun, intervalMs, rules }
+ */
+const getRules = () => {
+  const rules = loadRules().map(rule => ({
+    ...rule,
+    lastResult: engine.results.get(rule.id) || null
+  }));
+  return { lastRun: engine.lastRun, intervalMs: getIntervalMs(), rules };
+};
+
+/**
+ * List alert events, newest first
+ * @param {Object} filters - { status, ruleId, top }
+ * @returns {Promise<Object>} { success, events } or { success: false, error }
+ */
+const listEvents = async ({ status = null, ruleId = null, top = 200 } = {}) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETAlertEvents', {
+    Status: status,
+    RuleId: ruleId,
+    Top: top
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+  return { success: true, events: result.data || [] };
+};
+
+// ============================================================================
+// SCHEDULE
+// ============================================================================
+
+/**
+ * Start evaluating rules on a schedule (first run immediately)
+ * Called once when the application starts listening.
+ */
+const startScheduler = () => {
+  const intervalMs = getIntervalMs();
+  if (engine.timer || intervalMs === 0) return;
+
+  engine.timer = setInterval(evaluateRules, intervalMs);
+  engine.timer.unref();
+  evaluateRules();
+};
+
+/**
+ * Stop the schedule
+ */
+const stopScheduler = () => {
+  clearInterval(engine.timer);
+  engine.timer = null;
+};
+
+module.exports = {
+  SEVERITIES,
+  EVENT_STATUSES,
+  alertEvents,
+  loadRules,
+  evaluateRules,
+  getRules,
+  listEvents,
+  startScheduler,
+  stopScheduler
+};
@@ -7,31 +7,19 @@
  * Business logic for API endpoints
  */
 
-const fs = require('fs');
-const path = require('path');
 const cetAppsService = require('./cetAppsService');
-
-let mockCETAppsData = [];
-const mockDataPath = path.join(__dirname, '../mockdata/mockDataCETApps.js');
-if (fs.existsSync(mockDataPath)) {
-  try {
-    const appsData = require('../mockdata/mockDataCETApps');
-    mockCETAppsData = appsData.mockCETAppsData || [];
-  } catch (error) {
-    console.warn('⚠ API Service: CET Apps data source error:', error.message);
-  }
-} else {
-  console.warn('⚠ API Service: CET Apps data file not found:', mockDataPath);
-}
+const dataRequestJobService = require('./dataRequestJobService');
 
 /**
  * Process a data request for a specific application and time range
+ * Validates the request and queues a background extraction job (see dataRequestJobService.js)
  * @param {number} appId - Application ID
  * @param {string} startDateTime - Start datetime string
  * @param {string} endDateTime - End datetime string
- * @returns {Object} Result object with success status and data/error
+ * @param {string} requestedBy - User submitting the request (optional)
+ * @returns {Promise<Object>} Result object with success status and data/error
  */
-const processDataRequest = (appId, startDateTime, endDateTime) => {
+const processDataRequest = async (appId, startDateTime, endDateTime, requestedBy = null) => {
   // Validate required fields
   if (!appId || !startDateTime || !endDateTime) {
     return {
@@ -42,7 +30,7 @@ const processDataRequest = (appId, startDateTime, endDateTime) => {
   }
   
   // Validate app exists
-  const app = mockCETAppsData.find(a => a.id === parseInt(appId));
+  const app = await cetAppsService.getAppById(parseInt(appId));
   if (!app) {
     return {
       success: false,
@@ -71,37 +59,86 @@ const processDataRequest = (appId, startDateTime, endDateTime) => {
     };
   }
   
-  // Log the request (in production, this would trigger actual data retrieval)
-  console.log('Data request received:', {
-    appId: appId,
-    appName: `${app.iGateApp} - ${app.cetApp}`,
+  const appName = `${app.iGateApp} - ${app.cetApp}`;
+
+  // Queue the extraction; the worker picks it up in the background
+  const result = await dataRequestJobService.createJob({
+    appId: app.id,
+    appName: appName,
     startDateTime: startDateTime,
     endDateTime: endDateTime,
-    requestTime: new Date().toISOString()
+    requestedBy: requestedBy
   });
-  
-  // Simulate successful response
-  // In production, this would return actual data or a job ID for async processing
+
+  if (!result.success) {
+    console.error('Error queueing data request:', result.error);
+    return {
+      success: false,
+      status: 500,
+      message: 'The data request could not be queued.'
+    };
+  }
+
+  console.log('Data request queued:', {
+    jobId: result.job.id,
+    appId: app.id,
+    appName: appName,
+    startDateTime: startDateTime,
+    endDateTime: endDateTime
+  });
+
+  // 202 Accepted: the job runs asynchronously, poll job.statusUrl for progress
   return {
     success: true,
-    status: 200,
+    status: 202,
     data: {
       success: true,
-      message: 'Data request received successfully.',
-      requestId: 'REQ_' + Date.now(),
+      message: `Data request queued as job #${result.job.id}.`,
+      requestId: result.job.id,
+      job: result.job,
       app: {
         id: app.id,
-        name: `${app.iGateApp} - ${app.cetApp}`
+        name: appName
       },
       timeRange: {
         start: startDateTime,
         end: endDateTime
-      },
-      estimatedRecords: Math.floor(Math.random() * 10000) + 100 // Mock estimated count
+      }
     }
   };
 }
 
+/**
+ * Submit a previous data request again with the same application and time range
+ * The new job belongs to the user re-submitting it.
+ * @param {number} jobId - ID of the job to repeat
+ * @param {string} requestedBy - User submitting the request (optional)
+ * @returns {Promise<Object>} Result object like processDataRequest
+ */
+const resubmitDataRequest = async (jobId, requestedBy = null) => {
+  const existing = await dataRequestJobService.getJob(jobId);
+
+  if (!existing.success) {
+    console.error('Error loading data request job:', existing.error);
+    return {
+      success: false,
+      status: 500,
+      message: 'The data request could not be re-submitted.'
+    };
+  }
+
+  if (!existing.job) {
+    return {
+      success: false,
+      status: 404,
+      message: `Job ${jobId} not found.`
+    };
+  }
+
+  const { appId, startDateTime, endDateTime } = existing.job;
+  return processDataRequest(appId, startDateTime, endDateTime, requestedBy);
+}
+
 /**
  * Get all applications (legacy endpoint wrapper)
  * @returns {Promise<Array>} List of applications
@@ -112,5 +149,6 @@ const getAllApplications = async () => {
 
 module.exports = {
   processDataRequest,
+  resubmitDataRequest,
   getAllApplications
 };
@@ -8,34 +8,14 @@
  * Abstraction layer for CET Apps data operations.
  * This service can be backed by mock data, a database, or an external API.
  * 
- * To switch from mock data to a real database:
- * 1. Replace the mock data imports with database connection
- * 2. Update the function implementations to use SQL queries or ORM
- * 3. Routes in app.js remain unchanged
+ * The backing store is chosen by dataProviderService (DATA_PROVIDER env var):
+ * - sqlserver: stored procedures in database/sprocs
+ * - mock: in-memory data seeded from mockdata/mockDataCETApps.js
+ * Routes and controllers remain unchanged either way.
  */
 
-// Database service for SQL Server operations
-const dbService = require('./dbService');
-
-// Mock data (commented out - now using database)
-// const fs = require('fs');
-// const path = require('path');
-// let mockDataSource = null;
-// let dataSourceAvailable = false;
-// const mockDataPath = path.join(__dirname, '../mockdata/mockDataCETApps.js');
-// if (fs.existsSync(mockDataPath)) {
-//   try {
-//     mockDataSource = require('../mockdata/mockDataCETApps');
-//     dataSourceAvailable = true;
-//     console.log('✓ CET Apps data source loaded successfully');
-//   } catch (error) {
-//     console.warn('⚠ CET Apps data source error:', error.message);
-//     console.warn('  Pages will render with empty data');
-//   }
-// } else {
-//   console.warn('⚠ CET Apps data file not found:', mockDataPath);
-//   console.warn('  Pages will render with empty data');
-// }
+// Data provider (SQL Server or in-memory mock, selected by DATA_PROVIDER)
+const dataProvider = require('./dataProviderService');
 
 /**
  * Get all CET applications
@@ -43,7 +23,7 @@ const dbService = require('./dbService');
  */
 const getAllApps = async () => {
   try {
-    const result = await dbService.executeQuery('EXEC dbo.usp_GetAllCETApps');
+    const result = await dataProvider.executeProcedure('usp_GetAllCETApps');
     return result.data || [];
   } catch (error) {
     console.error('Error fetching all apps:', error);
@@ -58,7 +38,7 @@ const getAllApps = async () => {
  */
 const getAppById = async (id) => {
   try {
-    const result = await dbService.executeQuery('EXEC dbo.usp_GetCETAppById @AppID', { AppID: id });
+    const result = await dataProvider.executeProcedure('usp_GetCETAppById', { AppID: id });
     return result.data && result.data.length > 0 ? result.data[0] : null;
   } catch (error) {
     console.error('Error fetching app by ID:', error);
@@ -89,10 +69,7 @@ const createApp = async (appData) => {
       environment: appData.environment || 'production'
     };
     
-    const result = await dbService.executeQuery(
-      'EXEC dbo.usp_CreateCETApp @iGateApp, @cetApp, @sqlServer, @database_name, @description, @supportLink, @status, @environment',
-      params
-    );
+    const result = await dataProvider.executeProcedure('usp_CreateCETApp', params);
     
     // Return the newly created app using its ID
     const newAppId = result.data[0].id;
@@ -128,10 +105,7 @@ const updateApp = async (id, appData) => {
       environment: appData.environment || 'production'
     };
     
-    await dbService.executeQuery(
-      'EXEC dbo.usp_UpdateCETApp @AppID, @iGateApp, @cetApp, @sqlServer, @database_name, @description, @supportLink, @status, @environment',
-      params
-    );
+    await dataProvider.executeProcedure('usp_UpdateCETApp', params);
     
     return await getAppById(id);
   } catch (error) {
@@ -147,10 +121,7 @@ const updateApp = async (id, appData) => {
  */
 const deleteApp = async (id) => {
   try {
-    const result = await dbService.executeQuery(
-      'EXEC dbo.usp_DeleteCETApp @AppID',
-      { AppID: id }
-    );
+    const result = await dataProvider.executeProcedure('usp_DeleteCETApp', { AppID: id });
     
     // Check if any rows were affected (stored procedure will throw error if not found)
     return true;
@@ -169,7 +140,7 @@ const deleteApp = async (id) => {
  */
 const getUniqueIGateApps = async () => {
   try {
-    const result = await dbService.executeQuery('EXEC dbo.usp_GetUniqueIGateApps');
+    const result = await dataProvider.executeProcedure('usp_GetUniqueIGateApps');
     return result.data.map(row => row.iGateApp) || [];
   } catch (error) {
     console.error('Error fetching unique iGate apps:', error);
@@ -7,47 +7,65 @@
  * Business logic for CET Dashboard view
  */
 
-// Database service for SQL Server operations
-const dbService = require('./dbService');
+// Data provider (SQL Server or in-memory mock, selected by DATA_PROVIDER)
+const dataProvider = require('./dataProviderService');
 const { loadConfig } = require('./configService');
 
-// Mock data (commented out - now using database)
-// const fs = require('fs');
-// const path = require('path');
-// let mockCETData = [];
-// const mockDataPath = path.join(__dirname, '../mockdata/mockDataCET.js');
-// if (fs.existsSync(mockDataPath)) {
-//   try {
-//     mockCETData = require('../mockdata/mockDataCET');
-//     console.log('✓ CET Dashboard data source loaded successfully');
-//   } catch (error) {
-//     console.warn('⚠ CET Dashboard data source error:', error.message);
-//   }
-// } else {
-//   console.warn('⚠ CET Dashboard data file not found:', mockDataPath);
-// }
+/**
+ * Dashboard datasets keyed by public name (used by the /api/v1 routes)
+ * Each entry maps to the stored procedure that returns it
+ */
+const DATASETS = {
+  summary: 'usp_GetCETDashboard'
+};
+
+/**
+ * Dashboard datasets that can be streamed over /api/v1/live (see liveUpdateService.js)
+ */
+const LIVE_DATASETS = ['summary'];
+
+/**
+ * Fetch a single dashboard dataset by name
+ * @param {string} name - Dataset name (key of DATASETS)
+ * @returns {Promise<Object>} Provider result { success, data } or { success: false, error }
+ */
+const getDataset = async (name) => {
+  const procName = Object.hasOwn(DATASETS, name) ? DATASETS[name] : null;
+  if (!procName) {
+    return {
+      success: false,
+      error: `Unknown dashboard dataset: ${name}`
+    };
+  }
+  return dataProvider.executeProcedure(procName);
+};
 
 /**
  * Get all data needed for CET Dashboard view
  * @returns {Promise<Object>} Dashboard data and configurations
  */
 const getDashboardData = async () => {
-  // Get data from database using stored procedure
-  const result = await dbService.executeQuery('EXEC dbo.usp_GetCETDashboard');
+  // Get data from the configured provider using stored procedure
+  const result = await getDataset('summary');
   const cetData = result.data || [];
   
   return {
     cetData: cetData,
     columns: loadConfig('cet-dashboard-columns', 'cet', []),
     cardsConfig: loadConfig('cet-dashboard-cards'),
+    chartsConfig: loadConfig('cet-dashboard-charts', null, {}),
     filterConfig: loadConfig('cet-dashboard-filters'),
     footerConfig: loadConfig('cet-dashboard-footer'),
     ariaConfig: loadConfig('cet-dashboard-aria'),
     keyboardConfig: loadConfig('cet-dashboard-keyboard'),
+    tableOptions: loadConfig('cet-dashboard-tables', 'cetTable', {}),
     currentView: 'cet-dashboard'
   };
 }
 
 module.exports = {
+  DATASETS,
+  LIVE_DATASETS,
+  getDataset,
   getDashboardData
 };
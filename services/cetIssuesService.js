@@ -7,67 +7,187 @@
  * Business logic for CET Issues view
  */
 
-// Database service for SQL Server operations
-const dbService = require('./dbService');
+// Data provider (SQL Server or in-memory mock, selected by DATA_PROVIDER)
+const dataProvider = require('./dataProviderService');
 const { loadConfig } = require('./configService');
+const issueWorkflowService = require('./issueWorkflowService');
+const alertParserService = require('./alertParserService');
+const alertGroupService = require('./alertGroupService');
+const runbookService = require('./runbookService');
 
-// Mock data (commented out - now using database)
-// const fs = require('fs');
-// const path = require('path');
-// let cetIssuesSummary = [];
-// let cetAlertDetails = [];
-// let cetDisabledQueueDetails = [];
-// let cetBehindDetails = [];
-// let cetSlowDetails = [];
-// const mockDataPath = path.join(__dirname, '../mockdata/mockDataCETIssues.js');
-// if (fs.existsSync(mockDataPath)) {
-//   try {
-//     const issuesData = require('../mockdata/mockDataCETIssues');
-//     cetIssuesSummary = issuesData.cetIssuesSummary || [];
-//     cetAlertDetails = issuesData.cetAlertDetails || [];
-//     cetDisabledQueueDetails = issuesData.cetDisabledQueueDetails || [];
-//     cetBehindDetails = issuesData.cetBehindDetails || [];
-//     cetSlowDetails = issuesData.cetSlowDetails || [];
-//     console.log('✓ CET Issues data source loaded successfully');
-//   } catch (error) {
-//     console.warn('⚠ CET Issues data source error:', error.message);
-//   }
-// } else {
-//   console.warn('⚠ CET Issues data file not found:', mockDataPath);
-// }
+/**
+ * Issues datasets keyed by public name (used by the /api/v1 routes)
+ * Each entry maps to the stored procedure that returns it
+ */
+const DATASETS = {
+  summary: 'usp_GetCETIssuesSummary',
+  alerts: 'usp_GetCETAlertDetails',
+  disabled: 'usp_GetCETDisabledQueueDetails',
+  behind: 'usp_GetCETBehindDetails',
+  slow: 'usp_GetCETSlowDetails'
+};
+
+/**
+ * Fetch a single issues dataset by name
+ * Detail datasets (alerts, disabled, behind, slow) include each issue's workflow state
+ * (issueKey, issueStatus, assignedTo, ... - see issueWorkflowService.withIssueState)
+ * and the fields parsed from the alert text (server, procedure, errorClass, ... - see
+ * alertParserService and alert-patterns.yaml) and the runbooks matching them (runbooks -
+ * see runbookService).
+ * @param {string} name - Dataset name (key of DATASETS)
+ * @returns {Promise<Object>} Provider result { success, data } or { success: false, error }
+ */
+const getDataset = async (name) => {
+  const procName = Object.hasOwn(DATASETS, name) ? DATASETS[name] : null;
+  if (!procName) {
+    return {
+      success: false,
+      error: `Unknown issues dataset: ${name}`
+    };
+  }
+
+  const result = await dataProvider.executeProcedure(procName);
+  if (!result.success || !issueWorkflowService.ISSUE_TYPES[name]) {
+    return result;
+  }
+
+  const states = await issueWorkflowService.getStates(name);
+  const rows = issueWorkflowService.withIssueState(name, result.data || [], states);
+  return {
+    ...result,
+    data: await runbookService.withRunbooks(name, alertParserService.withParsedFields(name, rows))
+  };
+};
+
+/**
+ * Modes of the issues view: raw lists every occurrence, grouped shows one row per
+ * alert signature (alertGroupService) expanding to its occurrences
+ */
+const VIEW_MODES = ['raw', 'grouped'];
+
+/**
+ * Find a current issue by its stable key
+ * @param {string} issueKey - Issue key (issueKey field of a detail row)
+ * @returns {Promise<Object|null>} Issue row with its workflow state, or null
+ */
+const findIssue = async (issueKey) => {
+  const issueType = issueWorkflowService.getIssueType(issueKey);
+  if (!issueType) return null;
+
+  const result = await getDataset(issueType);
+  return (result.data || []).find(row => row.issueKey === issueKey) || null;
+};
+
+/**
+ * Get an issue with its notes
+ * @param {string} issueKey - Issue key
+ * @returns {Promise<Object>} { success, issue, notes } or { success: false, status, message }
+ */
+const getIssue = async (issueKey) => {
+  const issue = await findIssue(issueKey);
+  if (!issue) {
+    return { success: false, status: 404, message: 'Issue not found. It may no longer be reported.' };
+  }
+  return { success: true, issue, notes: await issueWorkflowService.getNotes(issueKey) };
+};
+
+/**
+ * Acknowledge, assign, resolve or reopen an issue
+ * @param {string} issueKey - Issue key
+ * @param {string} action - acknowledge, assign, resolve or reopen
+ * @param {Object} options - { user, assignedTo } (assignedTo only for assign)
+ * @returns {Promise<Object>} { success, issue } or { success: false, status, message }
+ */
+const updateIssue = async (issueKey, action, options) => {
+  const issue = await findIssue(issueKey);
+  if (!issue) {
+    return { success: false, status: 404, message: 'Issue not found. It may no longer be reported.' };
+  }
+  return issueWorkflowService.applyAction(issue, action, options);
+};
+
+/**
+ * Add a note to an issue
+ * @param {string} issueKey - Issue key
+ * @param {string} author - User adding the note
+ * @param {string} note - Note text
+ * @returns {Promise<Object>} { success, note, issue } or { success: false, status, message }
+ */
+const addIssueNote = async (issueKey, author, note) => {
+  const issue = await findIssue(issueKey);
+  if (!issue) {
+    return { success: false, status: 404, message: 'Issue not found. It may no longer be reported.' };
+  }
+
+  const result = await issueWorkflowService.addNote(issue, author, note);
+  if (!result.success) return result;
+
+  return { ...result, issue: { ...issue, noteCount: issue.noteCount + 1 } };
+};
 
 /**
  * Get all data needed for CET Issues view
+ * In grouped mode the detail datasets hold alert groups and use the *Groups column and
+ * filter configurations; the show filter applies to the occurrences before grouping.
+ * @param {Object} options - { user, show, mode } - show is all, unacknowledged or mine
+ *   (default all); mode is raw or grouped (default raw)
  * @returns {Promise<Object>} Issues data and configurations
  */
-const getIssuesData = async () => {
-  // Fetch data from database using stored procedures
-  const [summaryResult, alertResult, disabledResult, behindResult, slowResult] = await Promise.all([
-    dbService.executeQuery('EXEC dbo.usp_GetCETIssuesSummary'),
-    dbService.executeQuery('EXEC dbo.usp_GetCETAlertDetails'),
-    dbService.executeQuery('EXEC dbo.usp_GetCETDisabledQueueDetails'),
-    dbService.executeQuery('EXEC dbo.usp_GetCETBehindDetails'),
-    dbService.executeQuery('EXEC dbo.usp_GetCETSlowDetails')
+const getIssuesData = async ({ user = null, show = 'all', mode = 'raw' } = {}) => {
+  if (!issueWorkflowService.SHOW_FILTERS.includes(show)) {
+    show = 'all';
+  }
+  if (!VIEW_MODES.includes(mode)) {
+    mode = 'raw';
+  }
+  const grouped = mode === 'grouped';
+  const detailRows = (name, result) => {
+    const rows = issueWorkflowService.filterIssues(result.data || [], show, user);
+    return grouped ? alertGroupService.groupAlerts(name, rows) : rows;
+  };
+  const detailTable = (rawName, groupedName) => (grouped ? groupedName : rawName);
+
+  // Fetch data from the configured provider using stored procedures
+  const [summaryResult, alertResult, disabledResult, behindResult, slowResult, runbooks] = await Promise.all([
+    getDataset('summary'),
+    getDataset('alerts'),
+    getDataset('disabled'),
+    getDataset('behind'),
+    getDataset('slow'),
+    runbookService.getRunbooksFor()
   ]);
   
   return {
     cetIssuesSummary: summaryResult.data || [],
-    cetAlertDetails: alertResult.data || [],
-    cetDisabledQueueDetails: disabledResult.data || [],
-    cetBehindDetails: behindResult.data || [],
-    cetSlowDetails: slowResult.data || [],
+    cetAlertDetails: detailRows('alerts', alertResult),
+    cetDisabledQueueDetails: detailRows('disabled', disabledResult),
+    cetBehindDetails: detailRows('behind', behindResult),
+    cetSlowDetails: detailRows('slow', slowResult),
     columnsSummary: loadConfig('cet-issues-columns', 'cetIssuesSummary', []),
-    columnsAlertDetails: loadConfig('cet-issues-columns', 'cetAlertDetails', []),
-    columnsDisabledQueueDetails: loadConfig('cet-issues-columns', 'cetDisabledQueueDetails', []),
-    columnsBehindDetails: loadConfig('cet-issues-columns', 'cetBehindDetails', []),
-    columnsSlowDetails: loadConfig('cet-issues-columns', 'cetSlowDetails', []),
-    filterConfig: loadConfig('cet-issues-filters'),
+    columnsAlertDetails: loadConfig('cet-issues-columns', detailTable('cetAlertDetails', 'cetAlertGroups'), []),
+    columnsDisabledQueueDetails: loadConfig('cet-issues-columns', detailTable('cetDisabledQueueDetails', 'cetDisabledQueueGroups'), []),
+    columnsBehindDetails: loadConfig('cet-issues-columns', detailTable('cetBehindDetails', 'cetBehindGroups'), []),
+    columnsSlowDetails: loadConfig('cet-issues-columns', detailTable('cetSlowDetails', 'cetSlowGroups'), []),
+    filterConfig: loadConfig('cet-issues-filters', 'cetIssuesSummary'),
+    filtersAlertDetails: loadConfig('cet-issues-filters', detailTable('cetAlertDetails', 'cetAlertGroups')),
+    filtersDisabledQueueDetails: loadConfig('cet-issues-filters', detailTable('cetDisabledQueueDetails', 'cetDisabledQueueGroups')),
+    filtersBehindDetails: loadConfig('cet-issues-filters', detailTable('cetBehindDetails', 'cetBehindGroups')),
+    filtersSlowDetails: loadConfig('cet-issues-filters', detailTable('cetSlowDetails', 'cetSlowGroups')),
     ariaConfig: loadConfig('cet-issues-aria'),
     keyboardConfig: loadConfig('cet-issues-keyboard'),
+    issueDetailOptions: loadConfig('cet-issues-tables', 'issueDetails', {}),
+    runbooks: runbooks,
+    show: show,
+    mode: mode,
     currentView: 'cet-issues'
   };
 }
 
 module.exports = {
-  getIssuesData
+  DATASETS,
+  getDataset,
+  getIssuesData,
+  getIssue,
+  updateIssue,
+  addIssueNote
 };
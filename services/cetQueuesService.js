@@ -7,55 +7,106 @@
  * Business logic for CET Queues view
  */
 
-// Database service for SQL Server operations
-const dbService = require('./dbService');
+// Data provider (SQL Server or in-memory mock, selected by DATA_PROVIDER)
+const dataProvider = require('./dataProviderService');
 const { loadConfig } = require('./configService');
+const runbookService = require('./runbookService');
+const queueActionService = require('./queueActionService');
+const queueMessageService = require('./queueMessageService');
+const queueAgeService = require('./queueAgeService');
+const queueDepthService = require('./queueDepthService');
+const dashboardHistoryService = require('./dashboardHistoryService');
 
-// Mock data (commented out - now using database)
-// const fs = require('fs');
-// const path = require('path');
-// let cetQueuesSummary = [];
-// let cetMessageDetails = [];
-// let mockCETAppsData = [];
-// const queuesDataPath = path.join(__dirname, '../mockdata/mockDataCETQueues.js');
-// if (fs.existsSync(queuesDataPath)) {
-//   try {
-//     const queuesData = require('../mockdata/mockDataCETQueues');
-//     cetQueuesSummary = queuesData.cetQueuesSummary || [];
-//     cetMessageDetails = queuesData.cetMessageDetails || [];
-//     console.log('✓ CET Queues data source loaded successfully');
-//   } catch (error) {
-//     console.warn('⚠ CET Queues data source error:', error.message);
-//   }
-// } else {
-//   console.warn('⚠ CET Queues data file not found:', queuesDataPath);
-// }
-// const appsDataPath = path.join(__dirname, '../mockdata/mockDataCETApps.js');
-// if (fs.existsSync(appsDataPath)) {
-//   try {
-//     const appsData = require('../mockdata/mockDataCETApps');
-//     mockCETAppsData = appsData.mockCETAppsData || [];
-//   } catch (error) {
-//     console.warn('⚠ CET Apps data source error:', error.message);
-//   }
-// } else {
-//   console.warn('⚠ CET Apps data file not found:', appsDataPath);
-// }
+/**
+ * Queues datasets keyed by public name (used by the /api/v1 routes)
+ * Each entry maps to the stored procedure that returns it
+ */
+const DATASETS = {
+  summary: 'usp_GetCETQueuesSummary',
+  messages: 'usp_GetCETMessageDetails'
+};
+
+/**
+ * Queues datasets that can be streamed over /api/v1/live (see liveUpdateService.js)
+ */
+const LIVE_DATASETS = ['summary'];
+
+/**
+ * Fetch a single queues dataset by name
+ * Summary rows include the age of each queue's waiting messages (oldestMessageAgeMinutes,
+ * ageBuckets, slaStatus, ... - see queueAgeService and queue-sla.yaml) and the trend of
+ * their depth (depthChange, enqueueRate, dequeueRate, growing - see queueDepthService
+ * and queue-depth.yaml).
+ * @param {string} name - Dataset name (key of DATASETS)
+ * @returns {Promise<Object>} Provider result { success, data } or { success: false, error }
+ */
+const getDataset = async (name) => {
+  const procName = Object.hasOwn(DATASETS, name) ? DATASETS[name] : null;
+  if (!procName) {
+    return {
+      success: false,
+      error: `Unknown queues dataset: ${name}`
+    };
+  }
+
+  const result = await dataProvider.executeProcedure(procName);
+  if (!result.success || name !== 'summary') {
+    return result;
+  }
+  const rows = await queueAgeService.withQueueAges(result.data || []);
+  return { ...result, data: await queueDepthService.withQueueGrowth(rows) };
+};
+
+/**
+ * Queues datasets that support server-side paging, keyed by dataset name
+ * Each entry maps to a paged stored procedure (see serverSideService.js for the contract)
+ */
+const PAGED_DATASETS = {
+  messages: 'usp_GetCETMessageDetailsPaged'
+};
+
+/**
+ * Fetch one page of a queues dataset
+ * @param {string} name - Dataset name (key of PAGED_DATASETS)
+ * @param {Object} params - Paged procedure parameters from serverSideService.parseDataTablesRequest
+ * @returns {Promise<Object>} Provider result with recordsets [page rows, totals/aggregates]
+ */
+const getDatasetPage = async (name, params) => {
+  const procName = Object.hasOwn(PAGED_DATASETS, name) ? PAGED_DATASETS[name] : null;
+  if (!procName) {
+    return {
+      success: false,
+      error: `Queues dataset does not support paging: ${name}`
+    };
+  }
+  return dataProvider.executeProcedure(procName, params);
+};
 
 /**
  * Get all data needed for CET Queues view
+ * @param {Object} options - { roles } - current user's roles (select the queue actions offered)
  * @returns {Promise<Object>} Queues data and configurations
  */
-const getQueuesData = async () => {
-  // Fetch data from database using stored procedures
-  const [queuesSummaryResult, messageDetailsResult, appsResult] = await Promise.all([
-    dbService.executeQuery('EXEC dbo.usp_GetCETQueuesSummary'),
-    dbService.executeQuery('EXEC dbo.usp_GetCETMessageDetails'),
-    dbService.executeQuery('EXEC dbo.usp_GetAllCETApps')
+const getQueuesData = async ({ roles = [] } = {}) => {
+  const messageDetailsOptions = loadConfig('cet-queues-tables', 'cetMessageDetails', {});
+  const queueActions = queueActionService.getRowActions(roles);
+  const replayAction = queueMessageService.getReplayAction(roles);
+
+  // The actions column only shows when the user may run an action
+  const summaryColumns = loadConfig('cet-queues-columns', 'cetQueuesSummary', [])
+    .filter(col => queueActions || col.render !== 'renderRowActions');
+
+  // Fetch data from the configured provider using stored procedures
+  // (server-side tables fetch their own pages, so their rows are not embedded)
+  const [queuesSummaryResult, messageDetailsResult, appsResult, runbooks] = await Promise.all([
+    getDataset('summary'),
+    messageDetailsOptions.serverSide ? { data: null } : getDataset('messages'),
+    dataProvider.executeProcedure('usp_GetAllCETApps'),
+    runbookService.getRunbooksFor(['disabled'])
   ]);
   
   const cetQueuesSummary = queuesSummaryResult.data || [];
-  const cetMessageDetails = messageDetailsResult.data || [];
+  const cetMessageDetails = messageDetailsOptions.serverSide ? null : (messageDetailsResult.data || []);
   const mockCETAppsData = appsResult.data || [];
   
   // Load request form config
@@ -68,15 +119,29 @@ const getQueuesData = async () => {
     
     // Queue Summary data and config
     cetQueuesSummary: cetQueuesSummary,
-    cetQueuesSummaryColumns: loadConfig('cet-queues-columns', 'cetQueuesSummary', []),
+    cetQueuesSummaryColumns: summaryColumns,
     cetQueuesSummaryFooter: loadConfig('cet-queues-footer', 'cetQueuesSummary'),
     cetQueuesSummaryFilters: loadConfig('cet-queues-filters', 'cetQueuesSummary'),
+    cetQueuesSummaryOptions: loadConfig('cet-queues-tables', 'cetQueuesSummary', {}),
+    cetQueuesSummaryActions: queueActions,
     
     // Message Details data and config
     cetMessageDetails: cetMessageDetails,
     cetMessageDetailsColumns: loadConfig('cet-queues-columns', 'cetMessageDetails', []),
     cetMessageDetailsFooter: loadConfig('cet-queues-footer', 'cetMessageDetails'),
     cetMessageDetailsFilters: loadConfig('cet-queues-filters', 'cetMessageDetails'),
+    cetMessageDetailsOptions: messageDetailsOptions,
+    
+    // Message inspector replay (null when the user may not replay) and the bulk replay
+    // of the selected messages
+    replayAction: replayAction,
+    cetMessageDetailsSelection: replayAction
+      ? { bulkActions: [{ name: 'replay', label: `${replayAction.label} Selected`, icon: replayAction.icon, variant: replayAction.variant }] }
+      : null,
+    
+    // Queue depth trend chart (/api/history/queues)
+    trendRanges: Object.keys(dashboardHistoryService.RANGES),
+    defaultTrendRange: '24h',
     
     // Request form config
     requestFormConfig: requestFormConfig,
@@ -84,6 +149,9 @@ const getQueuesData = async () => {
     // Apps data for request form (deprecated - now in formConfig)
     cetAppsData: mockCETAppsData,
     
+    // Disabled queue runbooks (info modal)
+    runbooks: runbooks,
+    
     // Accessibility configs
     ariaConfig: loadConfig('cet-queues-aria'),
     keyboardConfig: loadConfig('cet-queues-keyboard'),
@@ -92,5 +160,10 @@ const getQueuesData = async () => {
 }
 
 module.exports = {
+  DATASETS,
+  LIVE_DATASETS,
+  getDataset,
+  PAGED_DATASETS,
+  getDatasetPage,
   getQueuesData
 };
@@ -7,38 +7,89 @@
  * Business logic for CET Reports view
  */
 
-// Database service for SQL Server operations
-const dbService = require('./dbService');
+// Data provider (SQL Server or in-memory mock, selected by DATA_PROVIDER)
+const dataProvider = require('./dataProviderService');
 const { loadConfig } = require('./configService');
+const reportTimeService = require('./reportTimeService');
 
-// Mock data (commented out - now using database)
-// const fs = require('fs');
-// const path = require('path');
-// let cetReportsSummary = [];
-// let cetReportsDetail = [];
-// const mockDataPath = path.join(__dirname, '../mockdata/mockDataCETReports.js');
-// if (fs.existsSync(mockDataPath)) {
-//   try {
-//     const reportsData = require('../mockdata/mockDataCETReports');
-//     cetReportsSummary = reportsData.cetReportsSummary || [];
-//     cetReportsDetail = reportsData.cetReportsDetail || [];
-//     console.log('✓ CET Reports data source loaded successfully');
-//   } catch (error) {
-//     console.warn('⚠ CET Reports data source error:', error.message);
-//   }
-// } else {
-//   console.warn('⚠ CET Reports data file not found:', mockDataPath);
-// }
+/**
+ * Reports datasets keyed by public name (used by the /api/v1 routes)
+ * Each entry maps to the stored procedure that returns it
+ */
+const DATASETS = {
+  summary: 'usp_GetCETReportsSummary',
+  detail: 'usp_GetCETReportsDetail'
+};
+
+/**
+ * Fetch a single reports dataset by name
+ * Rows include real timestamps built from the segment date and times (segmentAt, startAt,
+ * endAt, elapsedSeconds - see reportTimeService and report-times.yaml).
+ * @param {string} name - Dataset name (key of DATASETS)
+ * @returns {Promise<Object>} Provider result { success, data } or { success: false, error }
+ */
+const getDataset = async (name) => {
+  const procName = Object.hasOwn(DATASETS, name) ? DATASETS[name] : null;
+  if (!procName) {
+    return {
+      success: false,
+      error: `Unknown reports dataset: ${name}`
+    };
+  }
+
+  const result = await dataProvider.executeProcedure(procName);
+  if (!result.success) {
+    return result;
+  }
+  return { ...result, data: reportTimeService.withReportTimestamps(result.data || []) };
+};
+
+/**
+ * Reports datasets that support server-side paging, keyed by dataset name
+ * Each entry maps to a paged stored procedure (see serverSideService.js for the contract)
+ */
+const PAGED_DATASETS = {
+  detail: 'usp_GetCETReportsDetailPaged'
+};
+
+/**
+ * Fetch one page of a reports dataset
+ * Page rows include the same timestamps as getDataset; segmentAt date range filters
+ * are applied to the segment date.
+ * @param {string} name - Dataset name (key of PAGED_DATASETS)
+ * @param {Object} params - Paged procedure parameters from serverSideService.parseDataTablesRequest
+ * @returns {Promise<Object>} Provider result with recordsets [page rows, totals/aggregates]
+ */
+const getDatasetPage = async (name, params) => {
+  const procName = Object.hasOwn(PAGED_DATASETS, name) ? PAGED_DATASETS[name] : null;
+  if (!procName) {
+    return {
+      success: false,
+      error: `Reports dataset does not support paging: ${name}`
+    };
+  }
+
+  const result = await dataProvider.executeProcedure(procName, reportTimeService.toPagedParams(params));
+  if (!result.success) {
+    return result;
+  }
+  const [rows = [], ...rest] = result.recordsets || [result.data || []];
+  const page = reportTimeService.withReportTimestamps(rows);
+  return { ...result, data: page, recordsets: [page, ...rest] };
+};
 
 /**
  * Get all data needed for CET Reports view
  * @returns {Promise<Object>} Reports data and configurations
  */
 const getReportsData = async () => {
-  // Fetch data from database using stored procedures
+  const detailOptions = loadConfig('cet-reports-tables', 'reportsDetail', {});
+
+  // Fetch data from the configured provider using stored procedures
+  // (server-side tables fetch their own pages, so their rows are not embedded)
   const [summaryResult, detailResult] = await Promise.all([
-    dbService.executeQuery('EXEC dbo.usp_GetCETReportsSummary'),
-    dbService.executeQuery('EXEC dbo.usp_GetCETReportsDetail')
+    getDataset('summary'),
+    detailOptions.serverSide ? { data: null } : getDataset('detail')
   ]);
   
   return {
@@ -48,10 +99,12 @@ const getReportsData = async () => {
     // Reports Summary data and config
     cetReportsSummary: summaryResult.data || [],
     columnsSummary: loadConfig('cet-reports-columns', 'reportsSummary', []),
+    summaryOptions: loadConfig('cet-reports-tables', 'reportsSummary', {}),
     
     // Reports Detail data and config
-    cetReportsDetail: detailResult.data || [],
+    cetReportsDetail: detailOptions.serverSide ? null : (detailResult.data || []),
     columnsDetail: loadConfig('cet-reports-columns', 'reportsDetail', []),
+    detailOptions: detailOptions,
     
     // Shared configs
     filterConfig: loadConfig('cet-reports-filters'),
@@ -62,5 +115,9 @@ const getReportsData = async () => {
 }
 
 module.exports = {
+  DATASETS,
+  getDataset,
+  PAGED_DATASETS,
+  getDatasetPage,
   getReportsData
 };
@@ -0,0 +1,376 @@
+/**
+ * File: dashboardHistoryService.js
+ * Created: 2026-10-18
+ *
+ * Dashboard History Service
+ *
+ * Snapshots the per-app dashboard metrics (messages, issues, alerts, disabledQueues,
+ * processesBehind, slow) on a schedule into dbo.CETDashboardSnapshots and reads them
+ * back as time series for the history API and the /cet-history trend charts.
+ * The same capture records the depth of each queue (dbo.CETQueueDepthSnapshots),
+ * read back by queueDepthService.js.
+ *
+ * Series are bucketed so a chart never has more than MAX_POINTS points; each bucket
+ * holds the highest value seen in it, and buckets without snapshots are null (gaps).
+ *
+ * CONFIGURATION:
+ * SNAPSHOT_INTERVAL_MS    - How often snapshots are taken (default 300000, minimum 60000, 0 disables)
+ * SNAPSHOT_RETENTION_DAYS - Days of snapshots to keep (default 30)
+ */
+
+const dataProvider = require('./dataProviderService');
+const cetDashboardService = require('./cetDashboardService');
+
+const DEFAULT_INTERVAL_MS = 300000;
+const MIN_INTERVAL_MS = 60000;
+const DEFAULT_RETENTION_DAYS = 30;
+const PURGE_INTERVAL_MS = 3600000;
+
+// Longest series returned for one chart
+const MAX_POINTS = 300;
+
+// Bucket sizes (minutes) the automatic bucketing picks from
+const BUCKET_SIZES = [5, 15, 30, 60, 120, 240, 360, 720, 1440];
+
+// Snapshotted metrics, labelled like the dashboard table columns
+const METRICS = [
+  { key: 'messages', label: 'Messages' },
+  { key: 'issues', label: 'Threshold Alerts' },
+  { key: 'alerts', label: 'CET Alerts' },
+  { key: 'disabledQueues', label: 'Disabled Queues' },
+  { key: 'processesBehind', label: 'Processes Behind' },
+  { key: 'slow', label: 'Slow' }
+];
+
+// Preset ranges (?range=) in hours
+const RANGES = {
+  '6h': 6,
+  '24h': 24,
+  '7d': 168,
+  '30d': 720
+};
+const DEFAULT_RANGE = '24h';
+
+const snapshotter = {
+  timer: null,
+  lastSnapshot: null,
+  lastPurgeAt: 0
+};
+
+/**
+ * Read the snapshot interval from the environment
+ * @returns {number} Interval in ms, or 0 when snapshots are disabled
+ */
+const getIntervalMs = () => {
+  const value = parseInt(process.env.SNAPSHOT_INTERVAL_MS);
+  if (value === 0) return 0;
+  return isNaN(value) ? DEFAULT_INTERVAL_MS : Math.max(MIN_INTERVAL_MS, value);
+};
+
+/**
+ * Read the retention period from the environment
+ * @returns {number} Days of history to keep
+ */
+const getRetentionDays = () => {
+  const value = parseInt(process.env.SNAPSHOT_RETENTION_DAYS);
+  return isNaN(value) || value < 1 ? DEFAULT_RETENTION_DAYS : value;
+};
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+/**
+ * Delete snapshots older than the retention period (at most once an hour)
+ * @param {boolean} force - Purge even if the last purge was recent
+ * @returns {Promise<number|null>} Rows deleted, or null when skipped or failed
+ */
+const purgeSnapshots = async (force = false) => {
+  if (!force && Date.now() - snapshotter.lastPurgeAt < PURGE_INTERVAL_MS) return null;
+  snapshotter.lastPurgeAt = Date.now();
+
+  const result = await dataProvider.executeProcedure('usp_PurgeCETDashboardSnapshots', {
+    RetentionDays: getRetentionDays()
+  });
+
+  if (!result.success) {
+    console.error('Error purging dashboard snapshots:', result.error);
+    return null;
+  }
+  return (result.data || [])[0]?.deleted ?? 0;
+};
+
+/**
+ * Take a snapshot of the dashboard metrics
+ * Scheduled snapshots are skipped when another instance took one within half an interval.
+ * @param {boolean} force - Snapshot even if the last one is recent
+ * @returns {Promise<Object>} { success, snapshotAt, apps, queues, captured } or { success: false, error }
+ */
+const captureSnapshot = async (force = false) => {
+  const result = await dataProvider.executeProcedure('usp_CaptureCETDashboardSnapshot', {
+    MinIntervalSeconds: force ? 0 : Math.floor(getIntervalMs() / 2000)
+  });
+
+  if (!result.success) {
+    console.error('Error capturing dashboard snapshot:', result.error);
+    return { success: false, error: result.error };
+  }
+
+  const snapshot = (result.data || [])[0] || {};
+  snapshotter.lastSnapshot = {
+    snapshotAt: snapshot.snapshotAt ? new Date(snapshot.snapshotAt).toISOString() : null,
+    apps: snapshot.apps || 0,
+    queues: snapshot.queues || 0,
+    captured: Boolean(snapshot.captured)
+  };
+
+  await purgeSnapshots();
+  return { success: true, ...snapshotter.lastSnapshot };
+};
+
+/**
+ * Start taking snapshots on a schedule (first one immediately)
+ * Called once when the application starts listening.
+ */
+const startSnapshotter = () => {
+  const intervalMs = getIntervalMs();
+  if (snapshotter.timer || intervalMs === 0) return;
+
+  snapshotter.timer = setInterval(() => captureSnapshot(), intervalMs);
+  snapshotter.timer.unref();
+  captureSnapshot();
+};
+
+/**
+ * Stop the schedule
+ */
+const stopSnapshotter = () => {
+  clearInterval(snapshotter.timer);
+  snapshotter.timer = null;
+};
+
+/**
+ * Snapshot settings and the result of the last capture
+ * @returns {Object} { intervalMs, retentionDays, lastSnapshot }
+ */
+const getSnapshotStatus = () => ({
+  intervalMs: getIntervalMs(),
+  retentionDays: getRetentionDays(),
+  lastSnapshot: snapshotter.lastSnapshot
+});
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/**
+ * Work out the time range and bucket size of a history request
+ * @param {Object} options - { range, from, to } - range is a RANGES key; from/to are ISO dates
+ * @returns {Object} { from, to, bucketMinutes } (Dates) or { error } - also for ranges that
+ *   would need more than MAX_POINTS buckets
+ */
+const resolveRange = ({ range, from, to }) => {
+  let end = to ? new Date(to) : new Date();
+  let start;
+
+  if (from) {
+    start = new Date(from);
+  } else {
+    const hours = RANGES[range || DEFAULT_RANGE];
+    if (!hours) {
+      return { error: `Invalid range: ${range}. Use one of ${Object.keys(RANGES).join(', ')}, or from/to.` };
+    }
+    start = new Date(end.getTime() - hours * 3600000);
+  }
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+    return { error: 'from and to must be valid dates with from before to.' };
+  }
+
+  const rangeMinutes = (end - start) / 60000;
+  const minimum = Math.max(rangeMinutes / MAX_POINTS, getIntervalMs() / 60000);
+  const bucketMinutes = BUCKET_SIZES.find(size => size >= minimum) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+
+  // Align to bucket boundaries so labels fall on round times
+  const bucketMs = bucketMinutes * 60000;
+  start = new Date(Math.floor(start.getTime() / bucketMs) * bucketMs);
+  end = new Date(Math.ceil(end.getTime() / bucketMs) * bucketMs);
+
+  // Even the largest buckets cannot keep a longer range within MAX_POINTS
+  if ((end - start) / bucketMs > MAX_POINTS) {
+    const maxDays = Math.floor((MAX_POINTS * BUCKET_SIZES[BUCKET_SIZES.length - 1]) / 1440);
+    return { error: `The range is too long: from and to can be at most ${maxDays} days apart.` };
+  }
+
+  return { from: start, to: end, bucketMinutes };
+};
+
+/**
+ * Run usp_GetCETDashboardHistory
+ * @param {Object} window - { from, to, bucketMinutes } from resolveRange
+ * @param {Object} filters - { iGateApp, cetApp, byApp }
+ * @returns {Promise<Object>} Provider result
+ */
+const queryHistory = (window, { iGateApp = null, cetApp = null, byApp = false }) => {
+  return dataProvider.executeProcedure('usp_GetCETDashboardHistory', {
+    From: window.from,
+    To: window.to,
+    BucketMinutes: window.bucketMinutes,
+    IGateApp: iGateApp || null,
+    CetApp: cetApp || null,
+    ByApp: byApp ? 1 : 0
+  });
+};
+
+/**
+ * List the bucket start times of a window
+ * @param {Object} window - { from, to, bucketMinutes }
+ * @returns {Array<string>} ISO timestamps
+ */
+const listBuckets = (window) => {
+  const buckets = [];
+  const step = window.bucketMinutes * 60000;
+  for (let time = window.from.getTime(); time < window.to.getTime(); time += step) {
+    buckets.push(new Date(time).toISOString());
+  }
+  return buckets;
+};
+
+/**
+ * Lay rows out on the bucket list, null where a bucket has no snapshot
+ * @param {Array<string>} buckets - Bucket start times
+ * @param {Array<Object>} rows - History rows (bucketStart + metrics)
+ * @param {string} metric - Metric to extract
+ * @returns {Array<number|null>} Values aligned with buckets
+ */
+const alignValues = (buckets, rows, metric) => {
+  const values = new Map(rows.map(row => [new Date(row.bucketStart).toISOString(), row[metric]]));
+  return buckets.map(bucket => (values.has(bucket) ? values.get(bucket) : null));
+};
+
+/**
+ * Metric totals over time, across all apps or for one app
+ * @param {Object} options - { range, from, to, iGateApp, cetApp }
+ * @returns {Promise<Object>} { success, from, to, bucketMinutes, buckets, series: { metric: values } }
+ *                            or { success: false, status, message }
+ */
+const getHistory = async (options = {}) => {
+  const window = resolveRange(options);
+  if (window.error) {
+    return { success: false, status: 400, message: window.error };
+  }
+
+  const result = await queryHistory(window, { iGateApp: options.iGateApp, cetApp: options.cetApp });
+  if (!result.success) {
+    console.error('Error loading dashboard history:', result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading dashboard history.' };
+  }
+
+  const buckets = listBuckets(window);
+  const rows = result.data || [];
+
+  return {
+    success: true,
+    from: window.from.toISOString(),
+    to: window.to.toISOString(),
+    bucketMinutes: window.bucketMinutes,
+    iGateApp: options.iGateApp || null,
+    cetApp: options.cetApp || null,
+    buckets,
+    series: Object.fromEntries(METRICS.map(({ key }) => [key, alignValues(buckets, rows, key)]))
+  };
+};
+
+/**
+ * One metric over time, per app
+ * @param {Object} options - { range, from, to, metric, iGateApp }
+ * @returns {Promise<Object>} { success, from, to, bucketMinutes, metric, buckets, apps: [{ iGateApp, cetApp, values }] }
+ *                            or { success: false, status, message }
+ */
+const getAppHistory = async (options = {}) => {
+  const metric = options.metric || 'issues';
+  if (!METRICS.some(({ key }) => key === metric)) {
+    return {
+      success: false,
+      status: 400,
+      message: `Invalid metric: ${metric}. Use one of ${METRICS.map(({ key }) => key).join(', ')}.`
+    };
+  }
+
+  const window = resolveRange(options);
+  if (window.error) {
+    return { success: false, status: 400, message: window.error };
+  }
+
+  const result = await queryHistory(window, { iGateApp: options.iGateApp, byApp: true });
+  if (!result.success) {
+    console.error('Error loading dashboard history by app:', result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading dashboard history.' };
+  }
+
+  const buckets = listBuckets(window);
+  const rowsByApp = new Map();
+  (result.data || []).forEach(row => {
+    const key = `${row.iGateApp}|${row.cetApp}`;
+    if (!rowsByApp.has(key)) rowsByApp.set(key, []);
+    rowsByApp.get(key).push(row);
+  });
+
+  return {
+    success: true,
+    from: window.from.toISOString(),
+    to: window.to.toISOString(),
+    bucketMinutes: window.bucketMinutes,
+    metric,
+    buckets,
+    apps: [...rowsByApp.values()].map(rows => ({
+      iGateApp: rows[0].iGateApp,
+      cetApp: rows[0].cetApp,
+      values: alignValues(buckets, rows, metric)
+    }))
+  };
+};
+
+/**
+ * Get all data needed for the CET History view
+ * @param {Object} selection - { metric, range, iGateApp, cetApp } from the query string
+ * @returns {Promise<Object>} View data
+ */
+const getHistoryViewData = async ({ metric, range, iGateApp, cetApp } = {}) => {
+  const result = await cetDashboardService.getDataset('summary');
+  const apps = (result.data || [])
+    .map(row => ({ iGateApp: row.iGateApp, cetApp: row.cetApp }))
+    .sort((a, b) => `${a.iGateApp} ${a.cetApp}`.localeCompare(`${b.iGateApp} ${b.cetApp}`));
+
+  return {
+    pageTitle: 'CET History',
+    currentView: 'cet-history',
+
+    apps,
+    metrics: METRICS,
+    ranges: Object.keys(RANGES),
+    selection: {
+      metric: METRICS.some(({ key }) => key === metric) ? metric : 'issues',
+      range: RANGES[range] ? range : DEFAULT_RANGE,
+      iGateApp: iGateApp || '',
+      cetApp: cetApp || ''
+    },
+    snapshotStatus: getSnapshotStatus()
+  };
+};
+
+module.exports = {
+  METRICS,
+  RANGES,
+  resolveRange,
+  listBuckets,
+  alignValues,
+  captureSnapshot,
+  purgeSnapshots,
+  startSnapshotter,
+  stopSnapshotter,
+  getSnapshotStatus,
+  getHistory,
+  getAppHistory,
+  getHistoryViewData
+};
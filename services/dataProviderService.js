@@ -0,0 +1,125 @@
+/**
+ * File: dataProviderService.js
+ * Created: 2026-10-18
+ *
+ * Data Provider Service
+ *
+ * Single entry point for all CET data access. Services call stored procedures
+ * by name through this module and never talk to a database driver directly.
+ * The provider that actually executes the call is chosen by configuration:
+ *
+ *   DATA_PROVIDER=sqlserver  (default) - stored procedures on SQL Server via dbService
+ *   DATA_PROVIDER=mock                 - in-memory provider seeded from mockdata/*.js
+ *
+ * PROVIDER CONTRACT:
+ * Every provider is a module/object exposing:
+ * - name: string
+ * - execute(procName, params) → Promise<{ success, data, recordsets, rowsAffected } | { success: false, error }>
+ *   (data is the first result set; recordsets holds every result set for multi-set procedures)
+ * - testConnection() → Promise<{ success, message, data?, error? }>
+ * - close() → Promise<void>
+ *
+ * Providers are loaded lazily so the SQL Server driver (and its environment
+ * validation) is only touched when the sqlserver provider is selected.
+ *
+ * USAGE:
+ * const dataProvider = require('./dataProviderService');
+ * const result = await dataProvider.executeProcedure('usp_GetCETAppById', { AppID: 3 });
+ */
+
+require('dotenv').config();
+
+const DEFAULT_PROVIDER = 'sqlserver';
+
+// Registry of provider loaders keyed by name
+const providerRegistry = {
+  sqlserver: () => require('./providers/sqlServerProvider'),
+  mock: () => require('./providers/mockDataProvider')
+};
+
+// Resolved provider instance (cached after first use)
+let activeProvider = null;
+
+/**
+ * Register an additional data provider
+ * @param {string} name - Provider name used in DATA_PROVIDER
+ * @param {Object|Function} provider - Provider object, or a function returning one
+ */
+const registerProvider = (name, provider) => {
+  const key = name.toLowerCase();
+  providerRegistry[key] = typeof provider === 'function' ? provider : () => provider;
+
+  // Drop the cached instance if the active provider was replaced
+  if (activeProvider && activeProvider.name === key) {
+    activeProvider = null;
+  }
+};
+
+/**
+ * Get the configured provider name
+ * @returns {string} Lower-cased provider name
+ */
+const getProviderName = () => {
+  return (process.env.DATA_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+};
+
+/**
+ * Get (and lazily load) the configured data provider
+ * @returns {Object} Provider implementing the provider contract
+ */
+const getProvider = () => {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const name = getProviderName();
+  const loadProvider = providerRegistry[name];
+
+  if (!loadProvider) {
+    throw new Error(
+      `Unknown DATA_PROVIDER "${name}". ` +
+      `Available providers: ${Object.keys(providerRegistry).join(', ')}`
+    );
+  }
+
+  activeProvider = loadProvider();
+  console.log(`✓ Data provider selected: ${activeProvider.name}`);
+  return activeProvider;
+};
+
+/**
+ * Execute a stored procedure through the active provider
+ * @param {string} procName - Stored procedure name without schema (e.g., 'usp_GetCETDashboard')
+ * @param {Object} params - Named procedure parameters
+ * @returns {Promise<Object>} Result object { success, data, rowsAffected } or { success: false, error }
+ */
+const executeProcedure = async (procName, params = {}) => {
+  return getProvider().execute(procName, params);
+};
+
+/**
+ * Test connectivity of the active provider
+ * @returns {Promise<Object>} Test result
+ */
+const testConnection = async () => {
+  return getProvider().testConnection();
+};
+
+/**
+ * Release resources held by the active provider
+ * @returns {Promise<void>}
+ */
+const close = async () => {
+  if (activeProvider) {
+    await activeProvider.close();
+  }
+};
+
+module.exports = {
+  registerProvider,
+  getProviderName,
+  getProvider,
+  executeProcedure,
+  testConnection,
+  close
+};
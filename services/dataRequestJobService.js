@@ -0,0 +1,469 @@
+/**
+ * File: dataRequestJobService.js
+ * Created: 2026-10-18
+ *
+ * Data Request Job Service
+ *
+ * Background jobs behind POST /api/request-data. A request is stored as a job
+ * (dbo.CETDataRequestJobs) and picked up by an in-process worker, which reads the
+ * extract page by page so it can report progress and honour cancellation.
+ * The extracted rows are stored with the job (dbo.CETDataRequestJobResults) and
+ * served as CSV or JSON by whichever instance receives the download.
+ *
+ * LIFECYCLE:
+ * queued → running → succeeded | failed | cancelled
+ * queued → cancelled (cancelled before a worker claimed it)
+ *
+ * Jobs are claimed with usp_ClaimNextCETDataRequestJob, so several application
+ * instances can share the queue. A claimed job carries the worker's id and a lease,
+ * renewed at every poll and progress checkpoint. Jobs whose lease expired - their
+ * process stopped - are requeued by the next worker that polls; jobs of live workers
+ * are left alone.
+ *
+ * CONFIGURATION:
+ * JOB_LEASE_SECONDS      - How long a job stays claimed without a renewal (default 120,
+ *                          at least three poll intervals)
+ * JOB_WORKER_CONCURRENCY - Jobs run at the same time by this process (default 1)
+ * JOB_POLL_INTERVAL_MS   - How often the worker looks for jobs queued elsewhere (default 5000)
+ * JOB_PAGE_SIZE          - Rows read per extraction step (default 500)
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const dataProvider = require('./dataProviderService');
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+// Download formats and their content types
+const DOWNLOAD_FORMATS = {
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Setting value
+ */
+const getIntSetting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 1 ? fallback : value;
+};
+
+/**
+ * Lease of a claimed job
+ * @returns {number} Seconds, at least three poll intervals so polling renews it in time
+ */
+const getLeaseSeconds = () => {
+  const pollSeconds = Math.ceil(getIntSetting('JOB_POLL_INTERVAL_MS', 5000) / 1000);
+  return Math.max(getIntSetting('JOB_LEASE_SECONDS', 120), pollSeconds * 3);
+};
+
+// Worker state for this process (the id is unique per run, so a restarted process
+// does not renew the leases of the jobs its previous run left behind)
+const worker = {
+  id: `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`,
+  started: false,
+  running: 0,
+  timer: null
+};
+
+// ============================================================================
+// JOB RECORDS
+// ============================================================================
+
+/**
+ * Shape a job row for API responses (adds URLs, hides the storage file name)
+ * @param {Object} row - Job row from the stored procedures
+ * @returns {Object} Job view object
+ */
+const toJobView = (row) => {
+  const { workerId, leaseExpiresAt, cancelRequested, ...job } = row;
+  const view = {
+    ...job,
+    cancelRequested: Boolean(cancelRequested),
+    isFinal: FINAL_STATUSES.includes(row.status),
+    statusUrl: `/api/jobs/${row.id}`
+  };
+
+  if (!view.isFinal) {
+    view.cancelUrl = `/api/jobs/${row.id}/cancel`;
+  }
+  if (row.status === 'succeeded') {
+    view.downloadUrls = Object.keys(DOWNLOAD_FORMATS).reduce((urls, format) => {
+      urls[format] = `/api/jobs/${row.id}/download?format=${format}`;
+      return urls;
+    }, {});
+  }
+
+  return view;
+};
+
+/**
+ * Run a job procedure that returns a single job row
+ * @param {string} procName - Stored procedure name
+ * @param {Object} params - Procedure parameters
+ * @returns {Promise<Object>} { success, row } or { success: false, error }
+ */
+const executeJobProcedure = async (procName, params) => {
+  const result = await dataProvider.executeProcedure(procName, params);
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+  return { success: true, row: (result.data || [])[0] || null };
+};
+
+/**
+ * Queue a new data request job and wake the worker
+ * @param {Object} request - { appId, appName, startDateTime, endDateTime, requestedBy }
+ * @returns {Promise<Object>} { success, job } or { success: false, error }
+ */
+const createJob = async ({ appId, appName, startDateTime, endDateTime, requestedBy = null }) => {
+  const result = await executeJobProcedure('usp_CreateCETDataRequestJob', {
+    AppId: appId,
+    AppName: appName,
+    StartDateTime: new Date(startDateTime),
+    EndDateTime: new Date(endDateTime),
+    RequestedBy: requestedBy
+  });
+
+  if (!result.success || !result.row) {
+    return { success: false, error: result.error || 'Job was not created' };
+  }
+
+  setImmediate(fillWorkerSlots);
+  return { success: true, job: toJobView(result.row) };
+};
+
+/**
+ * Get a job by id
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object>} { success, job } (job is null when not found) or { success: false, error }
+ */
+const getJob = async (jobId) => {
+  const result = await executeJobProcedure('usp_GetCETDataRequestJob', { JobId: jobId });
+  if (!result.success) return result;
+  return { success: true, job: result.row ? toJobView(result.row) : null };
+};
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { requestedBy, status, top }
+ * @returns {Promise<Object>} { success, jobs } or { success: false, error }
+ */
+const listJobs = async ({ requestedBy = null, status = null, top = 200 } = {}) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETDataRequestJobs', {
+    RequestedBy: requestedBy,
+    Status: status,
+    Top: top
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+  return { success: true, jobs: (result.data || []).map(toJobView) };
+};
+
+/**
+ * Cancel a job
+ * Queued jobs stop immediately; running jobs stop at the worker's next checkpoint.
+ * @param {number} jobId - Job ID
+ * @returns {Promise<Object>} { success, status, job } or { success: false, status, message }
+ */
+const cancelJob = async (jobId) => {
+  const result = await executeJobProcedure('usp_CancelCETDataRequestJob', { JobId: jobId });
+
+  if (!result.success) {
+    return { success: false, status: 500, message: result.error };
+  }
+  if (!result.row) {
+    return { success: false, status: 404, message: `Job ${jobId} not found.` };
+  }
+  if (['succeeded', 'failed'].includes(result.row.status)) {
+    return { success: false, status: 409, message: `Job ${jobId} already ${result.row.status}.` };
+  }
+
+  return { success: true, status: 200, job: toJobView(result.row) };
+};
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+/**
+ * Quote a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows to CSV with a header row
+ * @param {Array<Object>} rows - Result rows
+ * @returns {string} CSV text
+ */
+const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.map(toCsvField).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => toCsvField(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Load the result of a succeeded job in a download format
+ * @param {number} jobId - Job ID
+ * @param {string} format - csv or json
+ * @returns {Promise<Object>} { success, fileName, contentType, body } or { success: false, status, message }
+ */
+const getJobResult = async (jobId, format = 'csv') => {
+  if (!DOWNLOAD_FORMATS[format]) {
+    return { success: false, status: 400, message: `Unsupported format: ${format}. Use csv or json.` };
+  }
+
+  const result = await executeJobProcedure('usp_GetCETDataRequestJob', { JobId: jobId });
+  if (!result.success) {
+    return { success: false, status: 500, message: result.error };
+  }
+
+  const job = result.row;
+  if (!job) {
+    return { success: false, status: 404, message: `Job ${jobId} not found.` };
+  }
+  if (job.status !== 'succeeded') {
+    return { success: false, status: 409, message: `Job ${jobId} is ${job.status}; results are available once it succeeds.` };
+  }
+
+  const stored = await executeJobProcedure('usp_GetCETDataRequestJobResult', { JobId: jobId });
+  if (!stored.success) {
+    return { success: false, status: 500, message: stored.error };
+  }
+
+  let rows;
+  try {
+    rows = JSON.parse(stored.row.resultData);
+  } catch (error) {
+    console.error(`Error reading the result of job ${jobId}:`, error);
+    return { success: false, status: 410, message: `The result of job ${jobId} is no longer available.` };
+  }
+
+  return {
+    success: true,
+    fileName: `data-request-${job.id}.${format}`,
+    contentType: DOWNLOAD_FORMATS[format],
+    body: format === 'csv' ? toCsv(rows) : JSON.stringify(rows, null, 2)
+  };
+};
+
+// ============================================================================
+// WORKER
+// ============================================================================
+
+/**
+ * Mark a running job of this worker final
+ * @param {number} jobId - Job ID
+ * @param {string} status - succeeded, failed or cancelled
+ * @param {Object} details - { recordCount, rows, errorMessage } - rows of a succeeded job
+ * @returns {Promise<Object>} Provider result
+ */
+const completeJob = (jobId, status, { recordCount = null, rows = null, errorMessage = null } = {}) => {
+  return dataProvider.executeProcedure('usp_CompleteCETDataRequestJob', {
+    JobId: jobId,
+    WorkerId: worker.id,
+    Status: status,
+    RecordCount: recordCount,
+    ResultData: rows ? JSON.stringify(rows) : null,
+    ErrorMessage: errorMessage
+  });
+};
+
+/**
+ * Extract the data of a claimed job and store its rows
+ * @param {Object} job - Job row in running state
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const pageSize = getIntSetting('JOB_PAGE_SIZE', 500);
+  const rows = [];
+  let totalRecords = null;
+
+  console.log(`Data request job ${job.id} started (${job.appName})`);
+
+  try {
+    do {
+      const page = await dataProvider.executeProcedure('usp_ExtractCETQueueMessages', {
+        AppId: job.appId,
+        StartDateTime: new Date(job.startDateTime),
+        EndDateTime: new Date(job.endDateTime),
+        Start: rows.length,
+        Length: pageSize
+      });
+
+      if (!page.success) {
+        throw new Error(page.error || 'Extraction failed');
+      }
+
+      const pageRows = page.data || [];
+      rows.push(...pageRows);
+      totalRecords = ((page.recordsets && page.recordsets[1] && page.recordsets[1][0]) || {}).totalRecords ?? rows.length;
+
+      // Checkpoint: record progress and pick up cancel requests
+      const progress = await executeJobProcedure('usp_UpdateCETDataRequestJobProgress', {
+        JobId: job.id,
+        WorkerId: worker.id,
+        LeaseSeconds: getLeaseSeconds(),
+        Progress: totalRecords > 0 ? Math.floor((rows.length / totalRecords) * 100) : 100,
+        RecordCount: rows.length,
+        TotalRecords: totalRecords
+      });
+
+      // The lease ran out and the job was requeued: it belongs to another run now
+      if (progress.success && progress.row &&
+        (progress.row.status !== 'running' || progress.row.workerId !== worker.id)) {
+        console.warn(`Data request job ${job.id} lost its lease; stopped`);
+        return;
+      }
+
+      if (progress.success && progress.row && progress.row.cancelRequested) {
+        await completeJob(job.id, 'cancelled', { recordCount: rows.length });
+        console.log(`Data request job ${job.id} cancelled`);
+        return;
+      }
+
+      if (pageRows.length < pageSize) break;
+    } while (rows.length < totalRecords);
+
+    const completed = await completeJob(job.id, 'succeeded', { recordCount: rows.length, rows });
+    if (!completed.success) {
+      throw new Error(completed.error || 'The result could not be stored');
+    }
+    const completedRow = (completed.data || [])[0];
+    if (!completedRow || completedRow.status !== 'succeeded' || completedRow.workerId !== worker.id) {
+      console.warn(`Data request job ${job.id} lost its lease before it completed; result discarded`);
+      return;
+    }
+    console.log(`Data request job ${job.id} succeeded (${rows.length} records)`);
+  } catch (error) {
+    console.error(`Data request job ${job.id} failed:`, error);
+    await completeJob(job.id, 'failed', { recordCount: rows.length, errorMessage: error.message });
+  }
+};
+
+/**
+ * Claim queued jobs until every worker slot is busy or the queue is empty
+ * @returns {Promise<void>}
+ */
+const fillWorkerSlots = async () => {
+  if (!worker.started) return;
+
+  const concurrency = getIntSetting('JOB_WORKER_CONCURRENCY', 1);
+
+  while (worker.running < concurrency) {
+    // Reserve the slot before the async claim so concurrent calls cannot overfill
+    worker.running++;
+
+    let claimed;
+    try {
+      claimed = await executeJobProcedure('usp_ClaimNextCETDataRequestJob', {
+        WorkerId: worker.id,
+        LeaseSeconds: getLeaseSeconds()
+      });
+    } catch (error) {
+      claimed = { success: false, error: error.message };
+    }
+
+    if (!claimed.success || !claimed.row) {
+      worker.running--;
+      if (!claimed.success) {
+        console.error('Error claiming data request job:', claimed.error);
+      }
+      return;
+    }
+
+    runJob(claimed.row).finally(() => {
+      worker.running--;
+      setImmediate(fillWorkerSlots);
+    });
+  }
+};
+
+/**
+ * Requeue the jobs whose lease expired (their worker stopped)
+ * @returns {Promise<void>}
+ */
+const requeueExpiredJobs = async () => {
+  const requeued = await dataProvider.executeProcedure('usp_RequeueInterruptedCETDataRequestJobs');
+  if (!requeued.success) {
+    console.error('Error requeueing interrupted data request jobs:', requeued.error);
+  } else if (requeued.data && requeued.data.length > 0) {
+    console.log(`Requeued ${requeued.data.length} interrupted data request job(s)`);
+  }
+};
+
+/**
+ * One poll of the worker: renew the leases of this worker's jobs, requeue the jobs
+ * of stopped workers, then claim queued jobs
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  if (worker.running > 0) {
+    const renewed = await dataProvider.executeProcedure('usp_RenewCETDataRequestJobLeases', {
+      WorkerId: worker.id,
+      LeaseSeconds: getLeaseSeconds()
+    });
+    if (!renewed.success) {
+      console.error('Error renewing data request job leases:', renewed.error);
+    }
+  }
+
+  await requeueExpiredJobs();
+  await fillWorkerSlots();
+};
+
+/**
+ * Start the worker: requeue interrupted jobs, then process the queue
+ * Called once when the application starts listening.
+ * @returns {Promise<void>}
+ */
+const startWorker = async () => {
+  if (worker.started) return;
+  worker.started = true;
+
+  await requeueExpiredJobs();
+
+  worker.timer = setInterval(() => {
+    poll().catch(error => console.error('Data request worker poll failed:', error));
+  }, getIntSetting('JOB_POLL_INTERVAL_MS', 5000));
+  worker.timer.unref();
+
+  fillWorkerSlots();
+};
+
+/**
+ * Stop claiming new jobs (running jobs finish on their own)
+ */
+const stopWorker = () => {
+  worker.started = false;
+  clearInterval(worker.timer);
+  worker.timer = null;
+};
+
+module.exports = {
+  JOB_STATUSES,
+  FINAL_STATUSES,
+  DOWNLOAD_FORMATS,
+  createJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  getJobResult,
+  toCsv,
+  startWorker,
+  stopWorker
+};
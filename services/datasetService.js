@@ -0,0 +1,47 @@
+/**
+ * File: datasetService.js
+ * Created: 2026-10-18
+ *
+ * Dataset Service
+ * Looks up the datasets of every view by resource name ("dashboard/summary"),
+ * for the /api/v1 routes and server-side consumers such as the alert rules engine.
+ */
+
+const cetDashboardService = require('./cetDashboardService');
+const cetIssuesService = require('./cetIssuesService');
+const cetQueuesService = require('./cetQueuesService');
+const cetReportsService = require('./cetReportsService');
+
+/**
+ * Resources keyed by name
+ * Each service provides DATASETS (name → stored procedure) and getDataset(name);
+ * services with paged datasets also provide PAGED_DATASETS and getDatasetPage(name, params)
+ */
+const RESOURCES = {
+  dashboard: cetDashboardService,
+  issues: cetIssuesService,
+  queues: cetQueuesService,
+  reports: cetReportsService
+};
+
+/**
+ * Fetch a dataset by resource and dataset name
+ * @param {string} resource - Resource name (key of RESOURCES)
+ * @param {string} dataset - Dataset name (key of the service's DATASETS)
+ * @returns {Promise<Object>} Provider result { success, data } or { success: false, error }
+ */
+const getDataset = async (resource, dataset) => {
+  const service = Object.hasOwn(RESOURCES, resource) ? RESOURCES[resource] : null;
+  if (!service) {
+    return {
+      success: false,
+      error: `Unknown resource: ${resource}`
+    };
+  }
+  return service.getDataset(dataset);
+};
+
+module.exports = {
+  RESOURCES,
+  getDataset
+};
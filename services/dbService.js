@@ -9,18 +9,33 @@
 require('dotenv').config();
 const sql = require('mssql');
 
-// Validate required environment variables
+// Required environment variables (validated when the first connection is made,
+// so the app can start with DATA_PROVIDER=mock and no database configured)
 const requiredEnvVars = ['DB_SERVER', 'DB_DATABASE', 'DB_USER', 'DB_PASSWORD'];
-const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
-if (missingEnvVars.length > 0) {
-  throw new Error(
-    `Missing required environment variables: ${missingEnvVars.join(', ')}\n` +
-    'Please create a .env file with the required database configuration.'
-  );
-}
+/**
+ * Ensure the database environment variables are present
+ * @throws {Error} If any required variable is missing
+ */
+const validateEnvironment = () => {
+  const missingEnvVars = requiredEnvVars.filter(varName => !process.env[varName]);
+
+  if (missingEnvVars.length > 0) {
+    throw new Error(
+      `Missing required environment variables: ${missingEnvVars.join(', ')}\n` +
+      'Please create a .env file with the required database configuration, ' +
+      'or set DATA_PROVIDER=mock to run without a database.'
+    );
+  }
+};
 
 // SQL Server configuration
+//
+// Times: JS Dates are sent and read as UTC (useUTC), and the dashboard's own tables
+// (database/tables/) store UTC - SYSUTCDATETIME() - so their times are real instants
+// whatever the server's time zone. The CET source tables (CETMessageDetails, ...) keep
+// the SQL Server's local clock; procedures compare those with SYSDATETIME() or convert
+// them with the server's offset, never with a UTC time as is.
 const dbConfig = {
   server: process.env.DB_SERVER,
   database: process.env.DB_DATABASE,
@@ -29,7 +44,8 @@ const dbConfig = {
   options: {
     encrypt: true,
     trustServerCertificate: true,
-    enableArithAbort: true
+    enableArithAbort: true,
+    useUTC: true
   },
   pool: {
     max: 10,
@@ -50,6 +66,8 @@ const getPool = async () => {
     return pool;
   }
 
+  validateEnvironment();
+
   try {
     pool = await sql.connect(dbConfig);
     console.log('✓ Database connection established');
@@ -87,7 +105,7 @@ const testConnection = async () => {
  * Execute a query
  * @param {string} queryString - SQL query to execute
  * @param {Object} params - Query parameters
- * @returns {Promise<Object>} Query result
+ * @returns {Promise<Object>} Query result (data is the first result set, recordsets holds all of them)
  */
 const executeQuery = async (queryString, params = {}) => {
   try {
@@ -103,6 +121,7 @@ const executeQuery = async (queryString, params = {}) => {
     return {
       success: true,
       data: result.recordset,
+      recordsets: result.recordsets,
       rowsAffected: result.rowsAffected[0]
     };
   } catch (error) {
@@ -0,0 +1,270 @@
+/**
+ * File: issueWorkflowService.js
+ * Created: 2026-10-18
+ *
+ * Issue Workflow Service
+ *
+ * Acknowledge / assign / notes / resolve lifecycle of the issues on /cet-issues.
+ * The issue rows come from the monitoring procedures and carry no ids that survive a
+ * refresh, so each issue gets a stable key derived from its identifying fields
+ * (ISSUE_TYPES). The workflow state is stored against that key in dbo.CETIssueStates
+ * and merged into the issue rows by cetIssuesService.
+ *
+ * LIFECYCLE:
+ * new → acknowledged → resolved (→ reopen → acknowledged)
+ * - acknowledge: takes ownership when the issue is unassigned
+ * - assign: sets or clears the owner, in any status
+ * - resolve: also acknowledges a new issue
+ * Saves are conditional on the status the change was based on, so two people
+ * acting on the same issue get a conflict instead of overwriting each other.
+ */
+
+const crypto = require('crypto');
+const dataProvider = require('./dataProviderService');
+
+/**
+ * Issue types keyed by issues dataset name (see cetIssuesService.DATASETS)
+ * identityFields make up the stable key. Alert rows include the alert text, since a
+ * critical section can raise several alerts; the other types have one row per
+ * critical section and their text carries changing figures (backlog, timings).
+ */
+const ISSUE_TYPES = {
+  alerts: { label: 'Alert', identityFields: ['application', 'step', 'subStep', 'criticalSection', 'criticalSectionDate', 'alert'] },
+  disabled: { label: 'Disabled queue', identityFields: ['application', 'step', 'subStep', 'criticalSection', 'criticalSectionDate'] },
+  behind: { label: 'Process behind', identityFields: ['application', 'step', 'subStep', 'criticalSection', 'criticalSectionDate'] },
+  slow: { label: 'Slow process', identityFields: ['application', 'step', 'subStep', 'criticalSection', 'criticalSectionDate'] }
+};
+
+const ISSUE_STATUSES = ['new', 'acknowledged', 'resolved'];
+const ACTIONS = ['acknowledge', 'assign', 'resolve', 'reopen'];
+
+// Row filters of the /cet-issues page (?show=)
+const SHOW_FILTERS = ['all', 'unacknowledged', 'mine'];
+
+const MAX_NOTE_LENGTH = 4000;
+
+/**
+ * Build the stable key of an issue row
+ * @param {string} issueType - Key of ISSUE_TYPES
+ * @param {Object} row - Issue row
+ * @returns {string} Key such as "alerts-1f0c9a7d2b4e6a81"
+ */
+const getIssueKey = (issueType, row) => {
+  const identity = ISSUE_TYPES[issueType].identityFields
+    .map(field => (row[field] instanceof Date ? row[field].toISOString() : String(row[field] ?? '')))
+    .join('|');
+  return `${issueType}-${crypto.createHash('sha1').update(identity).digest('hex').slice(0, 16)}`;
+};
+
+/**
+ * Issue type encoded in an issue key
+ * @param {string} issueKey - Issue key
+ * @returns {string|null} Issue type, or null for malformed keys
+ */
+const getIssueType = (issueKey) => {
+  const match = /^([a-z]+)-[0-9a-f]{16}$/.exec(issueKey || '');
+  return match && ISSUE_TYPES[match[1]] ? match[1] : null;
+};
+
+/**
+ * Load workflow states
+ * @param {string} issueType - Only this issue type (optional)
+ * @returns {Promise<Map<string, Object>>} States by issue key (empty on errors, which are logged)
+ */
+const getStates = async (issueType = null) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETIssueStates', {
+    IssueType: issueType,
+    IssueKey: null
+  });
+
+  if (!result.success) {
+    console.error('Error loading issue states:', result.error);
+    return new Map();
+  }
+  return new Map((result.data || []).map(state => [state.issueKey, state]));
+};
+
+/**
+ * Add the workflow fields to issue rows
+ * @param {string} issueType - Key of ISSUE_TYPES
+ * @param {Array<Object>} rows - Issue rows
+ * @param {Map<string, Object>} states - States from getStates
+ * @returns {Array<Object>} Rows with issueKey, issueType, issueStatus, assignedTo,
+ *                          acknowledgedBy/At, resolvedBy/At and noteCount
+ */
+const withIssueState = (issueType, rows, states) => {
+  return rows.map(row => {
+    const issueKey = getIssueKey(issueType, row);
+    const state = states.get(issueKey) || {};
+
+    return {
+      ...row,
+      issueKey,
+      issueType,
+      issueStatus: state.status || 'new',
+      assignedTo: state.assignedTo || null,
+      acknowledgedBy: state.acknowledgedBy || null,
+      acknowledgedAt: state.acknowledgedAt || null,
+      resolvedBy: state.resolvedBy || null,
+      resolvedAt: state.resolvedAt || null,
+      noteCount: state.noteCount || 0
+    };
+  });
+};
+
+/**
+ * Apply a ?show= filter to issue rows (already merged with their state)
+ * @param {Array<Object>} rows - Issue rows
+ * @param {string} show - all, unacknowledged or mine
+ * @param {string} user - Current user (for mine)
+ * @returns {Array<Object>} Matching rows
+ */
+const filterIssues = (rows, show, user) => {
+  if (show === 'unacknowledged') {
+    return rows.filter(row => row.issueStatus === 'new');
+  }
+  if (show === 'mine') {
+    return rows.filter(row => row.assignedTo === user);
+  }
+  return rows;
+};
+
+/**
+ * Work out the state an action leads to
+ * @param {Object} issue - Issue row with its workflow fields
+ * @param {string} action - One of ACTIONS
+ * @param {Object} options - { user, assignedTo }
+ * @returns {Object} { status, assignedTo } or { error } when the action does not apply
+ */
+const nextState = (issue, action, { user, assignedTo }) => {
+  const owner = issue.assignedTo;
+
+  switch (action) {
+    case 'acknowledge':
+      if (issue.issueStatus !== 'new') {
+        return { error: `Already ${issue.issueStatus} by ${issue.acknowledgedBy || 'someone else'}.` };
+      }
+      return { status: 'acknowledged', assignedTo: owner || user };
+
+    case 'assign':
+      return { status: issue.issueStatus, assignedTo: assignedTo || null };
+
+    case 'resolve':
+      if (issue.issueStatus === 'resolved') {
+        return { error: `Already resolved by ${issue.resolvedBy || 'someone else'}.` };
+      }
+      return { status: 'resolved', assignedTo: owner || user };
+
+    case 'reopen':
+      if (issue.issueStatus !== 'resolved') {
+        return { error: 'Only resolved issues can be reopened.' };
+      }
+      return { status: 'acknowledged', assignedTo: owner };
+
+    default:
+      return { error: `Unknown action: ${action}` };
+  }
+};
+
+/**
+ * Acknowledge, assign, resolve or reopen an issue
+ * @param {Object} issue - Issue row with its workflow fields (from cetIssuesService.findIssue)
+ * @param {string} action - One of ACTIONS
+ * @param {Object} options - { user, assignedTo } (assignedTo only for assign)
+ * @returns {Promise<Object>} { success, issue } or { success: false, status, message }
+ */
+const applyAction = async (issue, action, { user, assignedTo = null }) => {
+  const owner = typeof assignedTo === 'string' ? assignedTo.trim().slice(0, 256) : null;
+  const target = nextState(issue, action, { user, assignedTo: owner });
+
+  if (target.error) {
+    return { success: false, status: 409, message: target.error };
+  }
+
+  const result = await dataProvider.executeProcedure('usp_SaveCETIssueState', {
+    IssueKey: issue.issueKey,
+    IssueType: issue.issueType,
+    Application: issue.application ?? null,
+    ExpectedStatus: issue.issueStatus,
+    ExpectedAssignedTo: issue.assignedTo ?? null,
+    Status: target.status,
+    AssignedTo: target.assignedTo,
+    UpdatedBy: user
+  });
+
+  if (!result.success) {
+    console.error(`Error saving state of issue ${issue.issueKey}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while updating the issue.' };
+  }
+
+  const state = (result.data || [])[0];
+  if (!state) {
+    return {
+      success: false,
+      status: 409,
+      message: 'The issue was changed by someone else. Reload the page to see its current state.'
+    };
+  }
+
+  return { success: true, issue: withIssueState(issue.issueType, [issue], new Map([[issue.issueKey, state]]))[0] };
+};
+
+/**
+ * Add a note to an issue
+ * @param {Object} issue - Issue row with its workflow fields
+ * @param {string} author - User adding the note
+ * @param {string} text - Note text
+ * @returns {Promise<Object>} { success, note } or { success: false, status, message }
+ */
+const addNote = async (issue, author, text) => {
+  const note = typeof text === 'string' ? text.trim() : '';
+  if (!note) {
+    return { success: false, status: 400, message: 'A note is required.' };
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    return { success: false, status: 400, message: `Notes are limited to ${MAX_NOTE_LENGTH} characters.` };
+  }
+
+  const result = await dataProvider.executeProcedure('usp_AddCETIssueNote', {
+    IssueKey: issue.issueKey,
+    IssueType: issue.issueType,
+    Application: issue.application ?? null,
+    Author: author,
+    Note: note
+  });
+
+  if (!result.success) {
+    console.error(`Error adding note to issue ${issue.issueKey}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while adding the note.' };
+  }
+  return { success: true, note: (result.data || [])[0] };
+};
+
+/**
+ * List the notes of an issue, oldest first
+ * @param {string} issueKey - Issue key
+ * @returns {Promise<Array<Object>>} Notes (empty on errors, which are logged)
+ */
+const getNotes = async (issueKey) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETIssueNotes', { IssueKey: issueKey });
+  if (!result.success) {
+    console.error(`Error loading notes of issue ${issueKey}:`, result.error);
+    return [];
+  }
+  return result.data || [];
+};
+
+module.exports = {
+  ISSUE_TYPES,
+  ISSUE_STATUSES,
+  ACTIONS,
+  SHOW_FILTERS,
+  getIssueKey,
+  getIssueType,
+  getStates,
+  withIssueState,
+  filterIssues,
+  applyAction,
+  addNote,
+  getNotes
+};
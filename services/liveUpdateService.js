@@ -0,0 +1,202 @@
+/**
+ * File: liveUpdateService.js
+ * Created: 2026-10-18
+ *
+ * Live Update Service
+ *
+ * Server-Sent Events (SSE) push channel for table data. Each channel polls one
+ * dataset (through the owning service's getDataset) on an interval, diffs the
+ * rows against the previous snapshot by `id`, and streams only the changes to
+ * every connected client.
+ *
+ * Polling runs only while a channel has subscribers, so idle channels cost nothing.
+ *
+ * EVENTS SENT TO CLIENTS:
+ * - snapshot:    { version, rows }                       (on connect)
+ * - changes:     { version, added, updated, removed }    (after a poll that changed something)
+ * - sourceError: { message }                             (the stored procedure failed; stream stays open)
+ * Between changes a comment line is sent after every poll to keep proxies from
+ * closing the idle connection.
+ *
+ * CONFIGURATION:
+ * LIVE_UPDATE_INTERVAL_MS - poll interval in milliseconds (default 15000, minimum 1000)
+ */
+
+const DEFAULT_INTERVAL_MS = 15000;
+const MIN_INTERVAL_MS = 1000;
+
+// Reconnect delay suggested to EventSource clients
+const CLIENT_RETRY_MS = 5000;
+
+// Active channels keyed by name (e.g. 'dashboard/summary')
+const channels = new Map();
+
+/**
+ * Get the configured poll interval
+ * @returns {number} Interval in milliseconds
+ */
+const getIntervalMs = () => {
+  const configured = parseInt(process.env.LIVE_UPDATE_INTERVAL_MS);
+  return isNaN(configured) ? DEFAULT_INTERVAL_MS : Math.max(MIN_INTERVAL_MS, configured);
+};
+
+/**
+ * Diff two row sets by id
+ * @param {Map<*, Object>} previous - Previous rows keyed by id
+ * @param {Array<Object>} rows - Current rows
+ * @returns {Object} { added, updated, removed, current } where current is the new id map
+ */
+const diffRows = (previous, rows) => {
+  const current = new Map();
+  const added = [];
+  const updated = [];
+
+  rows.forEach(row => {
+    current.set(row.id, row);
+    const before = previous.get(row.id);
+    if (!before) {
+      added.push(row);
+    } else if (JSON.stringify(before) !== JSON.stringify(row)) {
+      updated.push(row);
+    }
+  });
+
+  const removed = [...previous.keys()].filter(id => !current.has(id));
+
+  return { added, updated, removed, current };
+};
+
+/**
+ * Write one SSE event to a client
+ * @param {Object} res - Express response held open for the stream
+ * @param {string} event - Event name
+ * @param {Object} payload - JSON payload
+ */
+const sendEvent = (res, event, payload) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+};
+
+/**
+ * Send an event to every client of a channel
+ * @param {Object} channel - Channel state
+ * @param {string} event - Event name
+ * @param {Object} payload - JSON payload
+ */
+const broadcast = (channel, event, payload) => {
+  channel.clients.forEach(res => sendEvent(res, event, payload));
+};
+
+/**
+ * Poll a channel's dataset and broadcast any changes
+ * @param {Object} channel - Channel state
+ * @returns {Promise<void>}
+ */
+const pollChannel = async (channel) => {
+  if (channel.polling) return;
+  channel.polling = true;
+
+  try {
+    const result = await channel.fetch();
+
+    if (!result.success) {
+      broadcast(channel, 'sourceError', { message: result.error || 'Data source unavailable' });
+      return;
+    }
+
+    const rows = result.data || [];
+    const { added, updated, removed, current } = diffRows(channel.snapshot, rows);
+    const isFirstPoll = channel.version === 0;
+    channel.snapshot = current;
+
+    if (isFirstPoll) {
+      channel.version = 1;
+      broadcast(channel, 'snapshot', { version: channel.version, rows });
+    } else if (added.length > 0 || updated.length > 0 || removed.length > 0) {
+      channel.version += 1;
+      broadcast(channel, 'changes', { version: channel.version, added, updated, removed });
+    } else {
+      channel.clients.forEach(res => res.write(': no changes\n\n'));
+    }
+  } catch (error) {
+    console.error(`Live update poll failed for ${channel.name}:`, error);
+    broadcast(channel, 'sourceError', { message: 'Live update poll failed' });
+  } finally {
+    channel.polling = false;
+  }
+};
+
+/**
+ * Subscribe an HTTP response to a channel as an SSE stream
+ * Starts polling when the first client connects and stops when the last one leaves.
+ * @param {string} name - Channel name (e.g. 'queues/summary')
+ * @param {Function} fetch - Async function returning a provider result { success, data }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const subscribe = (name, fetch, req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+
+  let channel = channels.get(name);
+  if (!channel) {
+    channel = {
+      name,
+      fetch,
+      clients: new Set(),
+      snapshot: new Map(),
+      version: 0,
+      polling: false,
+      timer: null
+    };
+    channels.set(name, channel);
+  }
+
+  channel.clients.add(res);
+
+  if (channel.version > 0) {
+    // Channel already running - bring the new client up to date immediately
+    sendEvent(res, 'snapshot', { version: channel.version, rows: [...channel.snapshot.values()] });
+  } else {
+    pollChannel(channel);
+  }
+
+  if (!channel.timer) {
+    channel.timer = setInterval(() => pollChannel(channel), getIntervalMs());
+    channel.timer.unref();
+  }
+
+  req.on('close', () => {
+    channel.clients.delete(res);
+
+    if (channel.clients.size === 0) {
+      clearInterval(channel.timer);
+      channels.delete(name);
+    }
+  });
+};
+
+/**
+ * Describe active channels (for diagnostics)
+ * @returns {Array<Object>} Channel name, client count and snapshot version
+ */
+const getChannelStats = () => {
+  return [...channels.values()].map(channel => ({
+    name: channel.name,
+    clients: channel.clients.size,
+    version: channel.version,
+    rows: channel.snapshot.size
+  }));
+};
+
+module.exports = {
+  diffRows,
+  subscribe,
+  getChannelStats,
+  getIntervalMs
+};
@@ -0,0 +1,53 @@
+/**
+ * File: myRequestsService.js
+ * Created: 2026-10-18
+ * 
+ * My Requests Service
+ * Business logic for the My Requests view (history of POST /api/request-data submissions)
+ */
+
+// Data provider (SQL Server or in-memory mock, selected by DATA_PROVIDER)
+const dataProvider = require('./dataProviderService');
+const dataRequestJobService = require('./dataRequestJobService');
+const { loadConfig } = require('./configService');
+
+/**
+ * Get all data needed for My Requests view
+ * @param {string} currentUser - User viewing the page
+ * @param {string} scope - 'mine' (default) or 'all' to include every user's requests
+ * @returns {Promise<Object>} Request history and configurations
+ */
+const getMyRequestsData = async (currentUser, scope = 'mine') => {
+  const showAll = scope === 'all';
+
+  const [jobsResult, appsResult] = await Promise.all([
+    dataRequestJobService.listJobs({ requestedBy: showAll ? null : currentUser }),
+    dataProvider.executeProcedure('usp_GetAllCETApps')
+  ]);
+
+  if (!jobsResult.success) {
+    console.error('Error loading data request jobs:', jobsResult.error);
+  }
+
+  // Clone form: same fields as the queues request form, prefilled by my-requests-page.js
+  const cloneFormConfig = loadConfig('my-requests-clone-form', null, {});
+  cloneFormConfig.appDataSource = appsResult.data || [];
+
+  return {
+    pageTitle: 'My Requests',
+    currentView: 'my-requests',
+    scope: showAll ? 'all' : 'mine',
+
+    requests: jobsResult.jobs || [],
+    columns: loadConfig('my-requests-columns', 'myRequests', []),
+    filterConfig: loadConfig('my-requests-filters'),
+    footerConfig: loadConfig('my-requests-footer'),
+    ariaConfig: loadConfig('my-requests-aria'),
+    keyboardConfig: loadConfig('my-requests-keyboard'),
+    cloneFormConfig: cloneFormConfig
+  };
+}
+
+module.exports = {
+  getMyRequestsData
+};
@@ -0,0 +1,614 @@
+/**
+ * File: notificationService.js
+ * Created: 2026-10-18
+ *
+ * Notification Service
+ *
+ * Sends alert events to the channels in notification-channels.yaml: SMTP email,
+ * generic HTTP webhooks, and Teams / Slack card payloads. Notifications come from
+ * the alert rules engine (alertRulesService.alertEvents):
+ * - threshold events: opened, updated (severity change) and resolved
+ * - new CET alert rows: new (watchNewRows in alert-rules.yaml)
+ *
+ * Every notification is logged per channel in dbo.CETNotificationDeliveries and
+ * retried with exponential backoff until it is delivered or runs out of attempts.
+ * Deliveries still pending or retrying when the server stops are resumed on start.
+ * HTTP 4xx responses (other than 408 and 429) fail at once, since retrying cannot help.
+ *
+ * CONFIGURATION:
+ * SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD - Mail server for email channels
+ * NOTIFY_EMAIL_FROM      - Sender address (default cet-dashboard@localhost)
+ * NOTIFY_MAX_ATTEMPTS    - Delivery attempts per notification (default 5)
+ * NOTIFY_RETRY_BASE_MS   - Delay before the first retry, doubled for each later one (default 2000)
+ * NOTIFY_RETRY_MAX_MS    - Longest delay between retries (default 300000)
+ * NOTIFY_HTTP_TIMEOUT_MS - Timeout of webhook/chat requests (default 10000)
+ * APP_BASE_URL           - Dashboard address used in links (default http://localhost:PORT)
+ */
+
+const nodemailer = require('nodemailer');
+const dataProvider = require('./dataProviderService');
+const cetAppsService = require('./cetAppsService');
+const { alertEvents } = require('./alertRulesService');
+const { loadConfig } = require('./configService');
+
+const CHANNEL_TYPES = ['email', 'webhook', 'teams', 'slack'];
+const EVENT_TYPES = ['opened', 'updated', 'resolved', 'new'];
+const DELIVERY_STATUSES = ['pending', 'retrying', 'delivered', 'failed'];
+
+// Default templates per channel type (overridden by a channel's `template`)
+const DEFAULT_TEMPLATES = {
+  email: {
+    subject: '[CET] {title}',
+    text: [
+      '{text}',
+      '',
+      'iGate app: {iGateApp}',
+      'CET app: {cetApp}',
+      'Critical section: {criticalSection}',
+      'Severity: {severity}',
+      'Occurred: {occurredAt}',
+      '',
+      '{dashboardUrl}'
+    ].join('\n')
+  },
+  webhook: { subject: '{title}', text: '{text}' },
+  teams: { subject: '{title}', text: '{text}' },
+  slack: { subject: '{title}', text: '{text}' }
+};
+
+// Row fields shown as facts on Teams / Slack cards
+const CARD_FACTS = [
+  { label: 'iGate app', field: 'iGateApp' },
+  { label: 'CET app', field: 'cetApp' },
+  { label: 'Critical section', field: 'criticalSection' },
+  { label: 'Severity', field: 'severity' },
+  { label: 'Occurred', field: 'occurredAt' }
+];
+
+const notifier = {
+  started: false,
+  transport: null
+};
+
+/**
+ * Read a positive integer setting from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Setting value
+ */
+const getIntSetting = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value < 1 ? fallback : value;
+};
+
+/**
+ * Replace {field} placeholders with notification values ("-" when missing)
+ * @param {string} template - Template text
+ * @param {Object} fields - Notification fields
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (template, fields) => {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) => {
+    const value = fields[name];
+    return value === null || value === undefined || value === '' ? '-' : String(value);
+  });
+};
+
+// ============================================================================
+// NOTIFICATIONS
+// ============================================================================
+
+/**
+ * Dashboard link for a page
+ * @param {string} page - Path of the page
+ * @returns {string} Absolute URL
+ */
+const dashboardUrl = (page) => {
+  const baseUrl = process.env.APP_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${baseUrl.replace(/\/$/, '')}${page}`;
+};
+
+/**
+ * Fill in iGateApp / cetApp from the CET app registry when only part is known
+ * Matches the way queue and alert rows name apps: the cetApp starts with the app number.
+ * @param {Object} fields - Notification fields (updated in place)
+ * @returns {Promise<Object>} The same fields
+ */
+const addAppDetails = async (fields) => {
+  if (fields.iGateApp && fields.cetApp) return fields;
+
+  const key = fields.application || fields.cetApp;
+  if (!key) return fields;
+
+  const apps = await cetAppsService.getAllApps();
+  const app = apps.find(candidate =>
+    candidate.cetApp === key || candidate.cetApp.startsWith(`${key} `) || candidate.cetApp.endsWith(`(${key})`));
+
+  if (app) {
+    fields.iGateApp = fields.iGateApp || app.iGateApp;
+    fields.cetApp = fields.cetApp || app.cetApp;
+  }
+  return fields;
+};
+
+/**
+ * Build notification fields from an alert rule event
+ * @param {string} eventType - opened, updated or resolved
+ * @param {Object} event - Alert event (with groupValues)
+ * @returns {Promise<Object>} Notification fields
+ */
+const fromAlertEvent = (eventType, event) => {
+  const subject = event.groupKey ? `${event.ruleName} (${event.groupKey})` : event.ruleName;
+  const titles = {
+    opened: `Alert: ${subject}`,
+    updated: `Alert now ${event.severity}: ${subject}`,
+    resolved: `Resolved: ${subject}`
+  };
+
+  return addAppDetails({
+    ...(event.groupValues || {}),
+    kind: 'threshold',
+    eventType: eventType,
+    alertEventId: event.id,
+    ruleId: event.ruleId,
+    ruleName: event.ruleName,
+    groupKey: event.groupKey,
+    severity: event.severity,
+    value: event.metricValue,
+    threshold: event.threshold,
+    title: titles[eventType],
+    text: event.message,
+    occurredAt: eventType === 'resolved' ? event.resolvedAt : event.lastEvaluatedAt,
+    dashboardUrl: dashboardUrl('/cet-dashboard')
+  });
+};
+
+/**
+ * Build notification fields from a new CET alert row
+ * @param {Object} newRow - { watchId, name, severity, dataset, row }
+ * @returns {Promise<Object>} Notification fields
+ */
+const fromNewRow = ({ watchId, name, severity, row }) => {
+  return addAppDetails({
+    ...row,
+    kind: 'cetAlert',
+    eventType: 'new',
+    alertEventId: null,
+    ruleId: watchId,
+    ruleName: name,
+    severity: severity,
+    title: row.application ? `${name}: ${row.application}` : name,
+    text: row.alert || row.message || name,
+    occurredAt: new Date().toISOString(),
+    dashboardUrl: dashboardUrl('/cet-issues')
+  });
+};
+
+// ============================================================================
+// CHANNELS
+// ============================================================================
+
+/**
+ * Load the channels from notification-channels.yaml
+ * @returns {Array<Object>} Channels with `url` resolved from `urlEnv`
+ */
+const loadChannels = () => {
+  const config = loadConfig('notification-channels', null, {}) || {};
+
+  return (config.channels || []).filter(channel => {
+    if (!channel.id || !CHANNEL_TYPES.includes(channel.type)) {
+      console.warn(`Notification channel ${channel.id || '(no id)'} ignored: type must be one of ${CHANNEL_TYPES.join(', ')}`);
+      return false;
+    }
+    return true;
+  }).map(channel => ({
+    ...channel,
+    url: channel.urlEnv ? process.env[channel.urlEnv] : channel.url
+  }));
+};
+
+/**
+ * Check a channel's filters against a notification
+ * @param {Object} channel - Channel
+ * @param {Object} fields - Notification fields
+ * @returns {boolean} True when the channel wants the notification
+ */
+const acceptsNotification = (channel, fields) => {
+  if (!channel.enabled) return false;
+  if (channel.events && !channel.events.includes(fields.eventType)) return false;
+  if (channel.severities && !channel.severities.includes(fields.severity)) return false;
+  if (channel.rules && !channel.rules.includes(fields.ruleId)) return false;
+  return true;
+};
+
+/**
+ * Hide credentials in a channel URL (for the channels API)
+ * @param {string} url - Endpoint URL
+ * @returns {string|null} Origin and path without query string or user info
+ */
+const redactUrl = (url) => {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname.length > 1 ? '/…' : ''}`;
+  } catch (error) {
+    return '(invalid URL)';
+  }
+};
+
+/**
+ * Render the message a channel sends
+ * @param {Object} channel - Channel
+ * @param {Object} fields - Notification fields
+ * @returns {Object} { subject, body } - body is the email text or the JSON payload
+ */
+const buildMessage = (channel, fields) => {
+  const template = { ...DEFAULT_TEMPLATES[channel.type], ...(channel.template || {}) };
+  const subject = renderTemplate(template.subject, fields);
+  const text = renderTemplate(template.text, fields);
+  const facts = CARD_FACTS.filter(fact => fields[fact.field] !== undefined && fields[fact.field] !== null && fields[fact.field] !== '');
+
+  if (channel.type === 'email') {
+    return { subject, body: text };
+  }
+
+  if (channel.type === 'teams') {
+    return {
+      subject,
+      body: {
+        type: 'message',
+        attachments: [{
+          contentType: 'application/vnd.microsoft.card.adaptive',
+          contentUrl: null,
+          content: {
+            $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+            type: 'AdaptiveCard',
+            version: '1.4',
+            body: [
+              {
+                type: 'TextBlock',
+                text: subject,
+                weight: 'Bolder',
+                size: 'Medium',
+                wrap: true,
+                color: fields.eventType === 'resolved' ? 'Good' : fields.severity === 'danger' ? 'Attention' : 'Warning'
+              },
+              { type: 'TextBlock', text: text, wrap: true },
+              { type: 'FactSet', facts: facts.map(fact => ({ title: fact.label, value: String(fields[fact.field]) })) }
+            ],
+            actions: [{ type: 'Action.OpenUrl', title: 'Open dashboard', url: fields.dashboardUrl }]
+          }
+        }]
+      }
+    };
+  }
+
+  if (channel.type === 'slack') {
+    return {
+      subject,
+      body: {
+        text: subject,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: subject.slice(0, 150) } },
+          { type: 'section', text: { type: 'mrkdwn', text: text } },
+          {
+            type: 'section',
+            fields: facts.map(fact => ({ type: 'mrkdwn', text: `*${fact.label}*\n${fields[fact.field]}` }))
+          },
+          { type: 'context', elements: [{ type: 'mrkdwn', text: `<${fields.dashboardUrl}|Open dashboard>` }] }
+        ]
+      }
+    };
+  }
+
+  // Generic webhook: the rendered text plus every notification field
+  return {
+    subject,
+    body: { subject, text, notification: fields }
+  };
+};
+
+/**
+ * Create the SMTP transport on first use
+ * @returns {Object} nodemailer transport
+ */
+const getTransport = () => {
+  if (!process.env.SMTP_HOST) {
+    const error = new Error('SMTP_HOST is not configured');
+    error.permanent = true;
+    throw error;
+  }
+
+  if (!notifier.transport) {
+    notifier.transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: getIntSetting('SMTP_PORT', 25),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+  return notifier.transport;
+};
+
+/**
+ * Send a rendered message through a channel
+ * Errors carry `permanent: true` when retrying cannot succeed.
+ * @param {Object} channel - Channel
+ * @param {Object} message - { subject, body } from buildMessage
+ * @returns {Promise<void>}
+ */
+const sendMessage = async (channel, message) => {
+  if (channel.type === 'email') {
+    if (!channel.to || channel.to.length === 0) {
+      throw Object.assign(new Error('Email channel has no recipients'), { permanent: true });
+    }
+    await getTransport().sendMail({
+      from: process.env.NOTIFY_EMAIL_FROM || 'cet-dashboard@localhost',
+      to: [].concat(channel.to).join(', '),
+      subject: message.subject,
+      text: message.body
+    });
+    return;
+  }
+
+  if (!channel.url) {
+    throw Object.assign(new Error(channel.urlEnv ? `${channel.urlEnv} is not set` : 'Channel has no url'), { permanent: true });
+  }
+
+  const response = await fetch(channel.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(channel.headers || {}) },
+    body: JSON.stringify(message.body),
+    signal: AbortSignal.timeout(getIntSetting('NOTIFY_HTTP_TIMEOUT_MS', 10000))
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text().catch(() => '')).slice(0, 200);
+    const error = new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+    error.permanent = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status);
+    throw error;
+  }
+};
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+/**
+ * Update a delivery log row
+ * @param {number} deliveryId - Delivery ID
+ * @param {Object} update - { status, attempts, lastError, nextAttemptAt }
+ * @returns {Promise<Object|null>} Updated row
+ */
+const updateDelivery = async (deliveryId, { status, attempts, lastError = null, nextAttemptAt = null }) => {
+  const result = await dataProvider.executeProcedure('usp_UpdateCETNotificationDelivery', {
+    DeliveryId: deliveryId,
+    Status: status,
+    Attempts: attempts,
+    LastError: lastError ? String(lastError).slice(0, 2000) : null,
+    NextAttemptAt: nextAttemptAt
+  });
+  if (!result.success) {
+    console.error(`Error updating notification delivery ${deliveryId}:`, result.error);
+    return null;
+  }
+  return (result.data || [])[0] || null;
+};
+
+/**
+ * Make one delivery attempt and schedule the next one on failure
+ * @param {Object} channel - Channel
+ * @param {Object} message - Rendered message
+ * @param {Object} delivery - Delivery log row
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {Promise<Object|null>} Delivery row after this attempt
+ */
+const attemptDelivery = async (channel, message, delivery, attempt) => {
+  const maxAttempts = (channel.retry && channel.retry.attempts) || getIntSetting('NOTIFY_MAX_ATTEMPTS', 5);
+
+  try {
+    await sendMessage(channel, message);
+    return updateDelivery(delivery.id, { status: 'delivered', attempts: attempt });
+  } catch (error) {
+    if (error.permanent || attempt >= maxAttempts) {
+      console.error(`Notification ${delivery.id} to ${channel.id} failed after ${attempt} attempt(s): ${error.message}`);
+      return updateDelivery(delivery.id, { status: 'failed', attempts: attempt, lastError: error.message });
+    }
+
+    const baseDelay = (channel.retry && channel.retry.baseDelayMs) || getIntSetting('NOTIFY_RETRY_BASE_MS', 2000);
+    const delay = Math.min(baseDelay * 2 ** (attempt - 1), getIntSetting('NOTIFY_RETRY_MAX_MS', 300000));
+
+    // Logged before the timer is set, so a restart finds the delivery to resume
+    const updated = await updateDelivery(delivery.id, {
+      status: 'retrying',
+      attempts: attempt,
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + delay)
+    });
+    setTimeout(() => attemptDelivery(channel, message, delivery, attempt + 1), delay).unref();
+    return updated;
+  }
+};
+
+/**
+ * Resume the deliveries left pending or retrying by the previous run
+ * Each one is retried at its nextAttemptAt (at once when that has passed) with the
+ * logged message; deliveries whose channel is no longer configured (or changed type) fail.
+ * @returns {Promise<void>}
+ */
+const resumeDeliveries = async () => {
+  const result = await dataProvider.executeProcedure('usp_GetUnfinishedCETNotificationDeliveries');
+  if (!result.success) {
+    console.error('Error loading unfinished notification deliveries:', result.error);
+    return;
+  }
+
+  const deliveries = result.data || [];
+  if (deliveries.length === 0) return;
+
+  const channels = loadChannels();
+  const resumed = await Promise.all(deliveries.map(async (delivery) => {
+    // The logged payload was built for the channel type it was logged with
+    const channel = channels.find(candidate => candidate.id === delivery.channelId && candidate.type === delivery.channelType);
+    let message = null;
+    try {
+      message = channel && {
+        subject: delivery.subject,
+        body: channel.type === 'email' ? delivery.payload : JSON.parse(delivery.payload)
+      };
+    } catch (error) {
+      message = null;
+    }
+
+    if (!message) {
+      const reason = channel ? 'Logged payload could not be read' : `Channel ${delivery.channelId} is no longer configured`;
+      await updateDelivery(delivery.id, { status: 'failed', attempts: delivery.attempts, lastError: `${reason}; not resumed` });
+      return false;
+    }
+
+    const due = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() : Date.now();
+    setTimeout(() => attemptDelivery(channel, message, delivery, delivery.attempts + 1), Math.max(0, due - Date.now())).unref();
+    return true;
+  }));
+
+  console.log(`Resumed ${resumed.filter(Boolean).length} of ${deliveries.length} unfinished notification deliveries`);
+};
+
+/**
+ * Log a notification for a channel and make the first attempt
+ * @param {Object} channel - Channel
+ * @param {Object} fields - Notification fields
+ * @returns {Promise<Object>} { success, delivery } or { success: false, error }
+ */
+const deliver = async (channel, fields) => {
+  const message = buildMessage(channel, fields);
+
+  const created = await dataProvider.executeProcedure('usp_CreateCETNotificationDelivery', {
+    ChannelId: channel.id,
+    ChannelType: channel.type,
+    Kind: fields.kind,
+    EventType: fields.eventType,
+    AlertEventId: fields.alertEventId || null,
+    Subject: message.subject.slice(0, 500),
+    Payload: typeof message.body === 'string' ? message.body : JSON.stringify(message.body)
+  });
+
+  const delivery = created.success && (created.data || [])[0];
+  if (!delivery) {
+    console.error(`Error logging notification to ${channel.id}:`, created.error);
+    return { success: false, error: created.error || 'Delivery was not logged' };
+  }
+
+  return { success: true, delivery: await attemptDelivery(channel, message, delivery, 1) };
+};
+
+/**
+ * Send a notification to every channel that accepts it
+ * @param {Object} fields - Notification fields
+ * @returns {Promise<Array<Object>>} Delivery results
+ */
+const notify = async (fields) => {
+  const channels = loadChannels().filter(channel => acceptsNotification(channel, fields));
+  return Promise.all(channels.map(channel => deliver(channel, fields)));
+};
+
+/**
+ * Send a sample notification through one channel, enabled or not
+ * Lets a channel be checked against a local SMTP / HTTP sink before it is enabled.
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object>} { success, delivery } or { success: false, status, message }
+ */
+const sendTestNotification = async (channelId) => {
+  const channel = loadChannels().find(candidate => candidate.id === channelId);
+  if (!channel) {
+    return { success: false, status: 404, message: `Channel ${channelId} not found.` };
+  }
+
+  const result = await deliver(channel, {
+    kind: 'test',
+    eventType: 'test',
+    ruleId: 'test',
+    ruleName: 'Test notification',
+    severity: 'warning',
+    iGateApp: 'ESR',
+    cetApp: '1097 (ESR Primary)',
+    criticalSection: 2,
+    title: `Test notification for ${channel.id}`,
+    text: 'This is a test notification from the CET dashboard.',
+    occurredAt: new Date().toISOString(),
+    dashboardUrl: dashboardUrl('/cet-dashboard')
+  });
+
+  if (!result.success) {
+    return { success: false, status: 500, message: 'The test notification could not be logged.' };
+  }
+  return { success: true, status: 200, delivery: result.delivery };
+};
+
+/**
+ * List channels without secrets
+ * @returns {Array<Object>} Channels
+ */
+const getChannels = () => {
+  return loadChannels().map(({ url, urlEnv, headers, ...channel }) => ({
+    ...channel,
+    url: redactUrl(url),
+    urlEnv: urlEnv || null,
+    configured: channel.type === 'email' ? Boolean(process.env.SMTP_HOST) : Boolean(url)
+  }));
+};
+
+/**
+ * List deliveries, newest first
+ * @param {Object} filters - { channelId, status, top }
+ * @returns {Promise<Object>} { success, deliveries } or { success: false, error }
+ */
+const listDeliveries = async ({ channelId = null, status = null, top = 200 } = {}) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETNotificationDeliveries', {
+    ChannelId: channelId,
+    Status: status,
+    Top: top
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+  return { success: true, deliveries: result.data || [] };
+};
+
+/**
+ * Subscribe to the alert rules engine and resume the unfinished deliveries
+ * Called once when the application starts listening.
+ */
+const start = () => {
+  if (notifier.started) return;
+  notifier.started = true;
+
+  const send = (buildFields) => async (payload) => {
+    try {
+      await notify(await buildFields(payload));
+    } catch (error) {
+      console.error('Error sending notifications:', error);
+    }
+  };
+
+  ['opened', 'updated', 'resolved'].forEach(eventType => {
+    alertEvents.on(eventType, send(event => fromAlertEvent(eventType, event)));
+  });
+  alertEvents.on('newRow', send(fromNewRow));
+
+  resumeDeliveries().catch(error => console.error('Error resuming notification deliveries:', error));
+};
+
+module.exports = {
+  CHANNEL_TYPES,
+  EVENT_TYPES,
+  DELIVERY_STATUSES,
+  renderTemplate,
+  buildMessage,
+  notify,
+  sendTestNotification,
+  getChannels,
+  listDeliveries,
+  start
+};
@@ -0,0 +1,1481 @@
+/**
+ * File: mockDataProvider.js
+ * Created: 2026-10-18
+ *
+ * Mock Data Provider
+ *
+ * In-memory implementation of the CET stored procedures, seeded from mockdata/*.js.
+ * Lets laptops, demos and tests run the full application without SQL Server.
+ *
+ * Each handler mirrors the stored procedure of the same name in database/sprocs:
+ * same result-set columns and the same ORDER BY, so services cannot tell the
+ * providers apart. Writes (create/update/delete) live for the process lifetime only.
+ */
+
+const mockCETData = require('../../mockdata/mockDataCET');
+const { mockCETAppsData } = require('../../mockdata/mockDataCETApps');
+const issuesData = require('../../mockdata/mockDataCETIssues');
+const queuesData = require('../../mockdata/mockDataCETQueues');
+const reportsData = require('../../mockdata/mockDataCETReports');
+const { mockCETRunbooksData } = require('../../mockdata/mockDataCETRunbooks');
+
+// ============================================================================
+// SEED DATA
+// ============================================================================
+
+/**
+ * Copy rows so in-memory writes never mutate the shared mockdata modules
+ * @param {Array<Object>} rows - Source rows
+ * @returns {Array<Object>} Shallow-copied rows
+ */
+const cloneRows = (rows = []) => rows.map(row => ({ ...row }));
+
+/**
+ * Map a mockdata app record to the dbo.CETApps column shape
+ * (mock files use `database`, the table uses `database_name`)
+ * @param {Object} app - Mock app record
+ * @returns {Object} App row as returned by usp_GetAllCETApps
+ */
+const toAppRow = (app) => ({
+  id: app.id,
+  iGateApp: app.iGateApp,
+  cetApp: app.cetApp,
+  sqlServer: app.sqlServer,
+  database_name: app.database_name || app.database,
+  description: app.description,
+  supportLink: app.supportLink,
+  status: app.status,
+  environment: app.environment,
+  lastUpdated: app.lastUpdated
+});
+
+// Metrics copied by usp_CaptureCETDashboardSnapshot
+const SNAPSHOT_METRICS = ['messages', 'issues', 'alerts', 'disabledQueues', 'processesBehind', 'slow'];
+
+/**
+ * Generate two days of dashboard history so trend charts have data in demos
+ * Values wander around the current dashboard figures with a daily cycle; the
+ * noise is derived from the row and time indexes, so every run gets the same history.
+ * @param {Array<Object>} rows - Dashboard rows
+ * @param {number} hours - Hours of history
+ * @param {number} intervalMinutes - Minutes between snapshots
+ * @returns {Array<Object>} Snapshot rows (with snapshotAt as ISO strings)
+ */
+const seedDashboardSnapshots = (rows, hours = 48, intervalMinutes = 5) => {
+  const step = intervalMinutes * 60000;
+  const latest = Math.floor(Date.now() / step) * step;
+  const count = Math.floor(hours * 60 / intervalMinutes);
+  const noise = (a, b) => {
+    const value = Math.sin(a * 12.9898 + b * 78.233) * 43758.5453;
+    return value - Math.floor(value);
+  };
+
+  const snapshots = [];
+  for (let index = count; index >= 1; index--) {
+    const time = latest - index * step;
+    const daily = Math.sin((time / 3600000) * (2 * Math.PI / 24));
+
+    rows.forEach((row, rowIndex) => {
+      const snapshot = {
+        id: snapshots.length + 1,
+        snapshotAt: new Date(time).toISOString(),
+        iGateApp: row.iGateApp,
+        cetApp: row.cetApp
+      };
+      SNAPSHOT_METRICS.forEach((metric, metricIndex) => {
+        const base = Number(row[metric]) || 0;
+        const factor = 0.6 + 0.4 * daily + 0.6 * noise(index + metricIndex * 1000, rowIndex);
+        snapshot[metric] = Math.max(0, Math.round(base * factor));
+      });
+      snapshots.push(snapshot);
+    });
+  }
+  return snapshots;
+};
+
+// Queues whose seeded depth grows steadily over the last hours (consumer stopped)
+const GROWING_QUEUE_IDS = [10, 19];
+const GROWTH_SNAPSHOTS = 18;
+
+/**
+ * Generate two days of queue depth history so queue trends have data in demos
+ * Depths wander around the current message counts like the dashboard history;
+ * the queues of GROWING_QUEUE_IDS instead climb steadily to their current depth
+ * over the last GROWTH_SNAPSHOTS snapshots without dequeuing anything.
+ * @param {Array<Object>} queues - Queue summary rows
+ * @param {number} hours - Hours of history
+ * @param {number} intervalMinutes - Minutes between snapshots
+ * @returns {Array<Object>} Snapshot rows (with snapshotAt as ISO strings)
+ */
+const seedQueueDepthSnapshots = (queues, hours = 48, intervalMinutes = 5) => {
+  const step = intervalMinutes * 60000;
+  const latest = Math.floor(Date.now() / step) * step;
+  const count = Math.floor(hours * 60 / intervalMinutes);
+  const noise = (a, b) => {
+    const value = Math.sin(a * 12.9898 + b * 78.233) * 43758.5453;
+    return value - Math.floor(value);
+  };
+
+  const snapshots = [];
+  const previous = new Map();
+  for (let index = count; index >= 1; index--) {
+    const time = latest - index * step;
+    const daily = Math.sin((time / 3600000) * (2 * Math.PI / 24));
+
+    queues.forEach((queue, queueIndex) => {
+      const base = Number(queue.messages) || 0;
+      let messages = Math.max(0, Math.round(base * (0.6 + 0.4 * daily + 0.6 * noise(index, queueIndex))));
+      let enqueued = Math.round((base / 4 + 2) * noise(index + 500, queueIndex));
+
+      if (GROWING_QUEUE_IDS.includes(queue.id) && index <= GROWTH_SNAPSHOTS) {
+        const start = Math.round(base * 0.4);
+        messages = start + Math.round((base - start) * (GROWTH_SNAPSHOTS - index + 1) / (GROWTH_SNAPSHOTS + 1));
+        enqueued = Math.max(0, messages - (previous.get(queue.id) ?? messages));
+      }
+
+      const before = previous.get(queue.id);
+      snapshots.push({
+        id: snapshots.length + 1,
+        snapshotAt: new Date(time).toISOString(),
+        queueId: queue.id,
+        queue: queue.queue,
+        status: queue.status,
+        messages,
+        enqueued: before === undefined ? null : enqueued,
+        dequeued: before === undefined ? null : Math.max(0, before + enqueued - messages)
+      });
+      previous.set(queue.id, messages);
+    });
+  }
+  return snapshots;
+};
+
+const tables = {
+  CETDashboard: cloneRows(mockCETData),
+  CETDashboardSnapshots: seedDashboardSnapshots(mockCETData),
+  CETQueueDepthSnapshots: seedQueueDepthSnapshots(queuesData.cetQueuesSummary),
+  CETApps: mockCETAppsData.map(toAppRow),
+  CETIssuesSummary: cloneRows(issuesData.cetIssuesSummary),
+  CETAlertDetails: cloneRows(issuesData.cetAlertDetails),
+  CETDisabledQueueDetails: cloneRows(issuesData.cetDisabledQueueDetails),
+  CETBehindDetails: cloneRows(issuesData.cetBehindDetails),
+  CETSlowDetails: cloneRows(issuesData.cetSlowDetails),
+  CETQueuesSummary: cloneRows(queuesData.cetQueuesSummary),
+  CETMessageDetails: cloneRows(queuesData.cetMessageDetails),
+  CETMessagePayloads: cloneRows(queuesData.cetMessagePayloads),
+  CETReportsSummary: cloneRows(reportsData.cetReportsSummary),
+  CETReportsDetail: cloneRows(reportsData.cetReportsDetail),
+  CETDataRequestJobs: [],
+  CETDataRequestJobResults: [],
+  CETAlertEvents: [],
+  CETNotificationDeliveries: [],
+  CETIssueStates: [],
+  CETIssueNotes: [],
+  CETSavedViews: [],
+  CETSavedViewDefaults: [],
+  CETRunbooks: cloneRows(mockCETRunbooksData),
+  CETQueueActions: []
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Sort rows the way an ORDER BY clause would
+ * @param {Array<Object>} rows - Rows to sort (not mutated)
+ * @param {...string} orderBy - Column names, optionally suffixed with ' DESC'
+ * @returns {Array<Object>} Sorted copy
+ */
+const orderRows = (rows, ...orderBy) => {
+  const keys = orderBy.map(entry => {
+    const [column, direction] = entry.split(' ');
+    return { column, descending: direction === 'DESC' };
+  });
+
+  return [...rows].sort((a, b) => {
+    for (const { column, descending } of keys) {
+      const left = a[column];
+      const right = b[column];
+      if (left === right) continue;
+
+      const comparison = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left ?? '').localeCompare(String(right ?? ''));
+
+      if (comparison !== 0) {
+        return descending ? -comparison : comparison;
+      }
+    }
+    return 0;
+  });
+};
+
+/**
+ * Find an app row by id (accepts string or number ids)
+ * @param {number|string} appId - Application ID
+ * @returns {Object|undefined} App row
+ */
+const findApp = (appId) => tables.CETApps.find(app => app.id === parseInt(appId));
+
+/**
+ * Validate the required CETApps columns (mirrors the RAISERROR checks in the sprocs)
+ * @param {Object} params - Procedure parameters
+ */
+const assertAppFields = (params) => {
+  if (!params.iGateApp || !params.cetApp || !params.sqlServer || !params.database_name) {
+    throw new Error('Required parameters cannot be NULL: iGateApp, cetApp, sqlServer, database_name');
+  }
+};
+
+/**
+ * Find a data request job by id (accepts string or number ids)
+ * @param {number|string} jobId - Job ID
+ * @returns {Object|undefined} Job row
+ */
+const findJob = (jobId) => tables.CETDataRequestJobs.find(job => job.id === parseInt(jobId));
+
+/**
+ * End of a job lease
+ * @param {number} seconds - Lease length
+ * @returns {string} ISO 8601 time, seconds from now
+ */
+const leaseUntil = (seconds) => new Date(Date.now() + parseInt(seconds) * 1000).toISOString();
+
+/**
+ * Find an alert event by id (accepts string or number ids)
+ * @param {number|string} eventId - Event ID
+ * @returns {Object|undefined} Event row
+ */
+const findAlertEvent = (eventId) => tables.CETAlertEvents.find(event => event.id === parseInt(eventId));
+
+/**
+ * Insert a 'new' issue workflow state (as the SQL procedures do on first use)
+ * @param {string} issueKey - Stable issue identifier
+ * @param {string} issueType - alerts, disabled, behind or slow
+ * @param {string} application - CET application number
+ * @returns {Object} Inserted state row
+ */
+const createIssueState = (issueKey, issueType, application) => {
+  const state = {
+    issueKey,
+    issueType,
+    application: application ?? null,
+    status: 'new',
+    assignedTo: null,
+    acknowledgedBy: null,
+    acknowledgedAt: null,
+    resolvedBy: null,
+    resolvedAt: null,
+    updatedBy: null,
+    updatedAt: new Date().toISOString()
+  };
+  tables.CETIssueStates.push(state);
+  return state;
+};
+
+/**
+ * Copy a saved view row with the user's default flag (the isDefault column of the procedures)
+ * @param {Object} view - Saved view row
+ * @param {string} user - User the flag is for
+ * @returns {Object} View row with isDefault
+ */
+const withDefaultFlag = (view, user) => ({
+  ...view,
+  isDefault: tables.CETSavedViewDefaults.some(row =>
+    row.tableId === view.tableId && row.userName === user && row.viewId === view.viewId)
+});
+
+/**
+ * Copy an issue state row with its note count (the noteCount column of the procedures)
+ * @param {Object} state - Issue state row
+ * @returns {Object} State row with noteCount
+ */
+const withNoteCount = (state) => ({
+  ...state,
+  noteCount: tables.CETIssueNotes.filter(note => note.issueKey === state.issueKey).length
+});
+
+/**
+ * Convert a DATETIME parameter or cell to epoch milliseconds
+ * @param {Date|string} value - Date object, ISO string or 'M/D/YYYY HH:MM:SS' string
+ * @returns {number} Milliseconds (NaN when unparseable)
+ */
+const toTime = (value) => (value instanceof Date ? value : new Date(value)).getTime();
+
+/**
+ * Format a time the way the message enqueue times are stored
+ * @param {Date} date - Time to format
+ * @returns {string} 'M/D/YYYY HH:MM:SS'
+ */
+const toEnqueueTime = (date) => {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+/**
+ * Record a queue control action (dbo.CETQueueActions) and return the queue record
+ * the action procedures select
+ * @param {Object} queue - Queue summary row after the change
+ * @param {Object} entry - { action, reason, previousStatus, affectedCount, user }
+ * @returns {Array<Object>} [queue with affectedCount and actionId]
+ */
+const auditQueueAction = (queue, { action, reason, previousStatus, affectedCount, user }) => {
+  const actionId = tables.CETQueueActions.length + 1;
+  tables.CETQueueActions.push({
+    actionId,
+    queueId: queue.id,
+    queue: queue.queue,
+    action,
+    reason,
+    previousStatus,
+    newStatus: queue.status,
+    affectedCount,
+    performedBy: user,
+    performedAt: new Date().toISOString()
+  });
+  return [{ ...queue, affectedCount, actionId }];
+};
+
+/**
+ * Parse the @Filters JSON parameter of the paged procedures
+ * Shape: { "<column>": { value?, exact?, in?, min?, max? } }
+ * @param {string|Object} filters - JSON string (as sent to SQL Server) or object
+ * @returns {Object} Filters keyed by column
+ */
+const parseFilters = (filters) => {
+  if (!filters) return {};
+  if (typeof filters === 'object') return filters;
+
+  try {
+    return JSON.parse(filters);
+  } catch (error) {
+    throw new Error('Invalid @Filters JSON');
+  }
+};
+
+/**
+ * Compare a cell to a filter bound (numeric when both sides are numbers)
+ * @param {*} cell - Cell value
+ * @param {*} bound - Filter bound
+ * @returns {number} Negative, zero or positive like a comparator
+ */
+const compareToBound = (cell, bound) => {
+  const cellNumber = Number(cell);
+  const boundNumber = Number(bound);
+
+  if (cell !== '' && bound !== '' && !isNaN(cellNumber) && !isNaN(boundNumber)) {
+    return cellNumber - boundNumber;
+  }
+  return String(cell ?? '').localeCompare(String(bound));
+};
+
+/**
+ * Test a row against column filters (mirrors the WHERE clause of the paged procedures)
+ * @param {Object} row - Data row
+ * @param {Object} filters - Filters keyed by column
+ * @param {Array<string>} filterColumns - Columns the procedure accepts filters for
+ * @returns {boolean} True when the row passes every filter
+ */
+const matchesFilters = (row, filters, filterColumns) => {
+  return filterColumns.every(column => {
+    const filter = filters[column];
+    if (!filter) return true;
+
+    const cell = row[column];
+    const text = String(cell ?? '');
+
+    if (filter.value && !text.toLowerCase().includes(String(filter.value).toLowerCase())) return false;
+    if (filter.exact !== undefined && filter.exact !== null && text !== String(filter.exact)) return false;
+    if (Array.isArray(filter.in) && filter.in.length > 0 && !filter.in.map(String).includes(text)) return false;
+    if (filter.min && compareToBound(cell, filter.min) < 0) return false;
+    if (filter.max && compareToBound(cell, filter.max) > 0) return false;
+
+    return true;
+  });
+};
+
+/**
+ * Compute a `<column>_<aggregation>` value (same names as the footer aggregations)
+ * @param {Array<Object>} rows - Filtered rows
+ * @param {string} key - Aggregate key, e.g. 'duration_sum'
+ * @returns {*} Aggregate value
+ */
+const computeAggregate = (rows, key) => {
+  const separator = key.lastIndexOf('_');
+  const column = key.slice(0, separator);
+  const aggregation = key.slice(separator + 1);
+  const present = rows.filter(row => row[column] !== null && row[column] !== undefined && row[column] !== '');
+  const numbers = present.map(row => Number(row[column])).filter(value => !isNaN(value));
+
+  switch (aggregation) {
+    case 'sum':
+      return numbers.reduce((sum, value) => sum + value, 0);
+    case 'average':
+      return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    case 'min':
+      return present.length > 0 ? orderRows(present, column)[0][column] : null;
+    case 'max':
+      return present.length > 0 ? orderRows(present, `${column} DESC`)[0][column] : null;
+    case 'count':
+      return present.length;
+    case 'countUnique':
+      return new Set(present.map(row => row[column])).size;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Run a DataTables-style paged query over a table
+ * Returns the two result sets of the paged procedures:
+ * [0] the requested page, [1] a single row with recordsTotal, recordsFiltered and aggregates
+ * @param {Array<Object>} rows - Source table
+ * @param {Object} params - @Start, @Length, @OrderColumn, @OrderDir, @Search, @Filters
+ * @param {Object} spec - Procedure definition
+ * @param {Array<string>} spec.searchColumns - Columns matched by @Search
+ * @param {Array<string>} spec.filterColumns - Columns accepted in @Filters
+ * @param {Array<string>} spec.orderColumns - Columns accepted in @OrderColumn
+ * @param {Array<string>} spec.defaultOrder - ORDER BY used when @OrderColumn is not recognised
+ * @param {Array<string>} spec.aggregates - Aggregate keys returned in the second result set
+ * @returns {Object} { recordsets }
+ */
+const pageRows = (rows, params, spec) => {
+  const start = Math.max(0, parseInt(params.Start) || 0);
+  const length = parseInt(params.Length);
+  const search = String(params.Search || '').toLowerCase();
+  const filters = parseFilters(params.Filters);
+
+  const filtered = rows.filter(row => {
+    if (search && !spec.searchColumns.some(column => String(row[column] ?? '').toLowerCase().includes(search))) {
+      return false;
+    }
+    return matchesFilters(row, filters, spec.filterColumns);
+  });
+
+  const orderBy = spec.orderColumns.includes(params.OrderColumn)
+    ? [`${params.OrderColumn}${String(params.OrderDir).toUpperCase() === 'DESC' ? ' DESC' : ''}`, 'id']
+    : spec.defaultOrder;
+  const ordered = orderRows(filtered, ...orderBy);
+  const page = isNaN(length) || length < 0 ? ordered.slice(start) : ordered.slice(start, start + length);
+
+  const summary = {
+    recordsTotal: rows.length,
+    recordsFiltered: filtered.length
+  };
+  spec.aggregates.forEach(key => {
+    summary[key] = computeAggregate(filtered, key);
+  });
+
+  return { recordsets: [page.map(row => ({ ...row })), [summary]] };
+};
+
+/**
+ * Timestamp sort keys of a reports row, as computed by usp_GetCETReportsDetailPaged:
+ * 'YYYYMMDDHHMMSS' of the segment, start and end, with a start or end time earlier than
+ * the time before it rolled to the next day (the run went past midnight)
+ * @param {Object} row - Reports row ({ segmentDate, segmentTime, startTime, endTime })
+ * @returns {Object} { segmentAt, startAt, endAt }
+ */
+const toReportSortKeys = (row) => {
+  const nextDay = date => new Date(Date.UTC(date.slice(0, 4), date.slice(4, 6) - 1, Number(date.slice(6, 8)) + 1))
+    .toISOString().slice(0, 10).replace(/-/g, '');
+  const startDate = row.startTime < row.segmentTime ? nextDay(row.segmentDate) : row.segmentDate;
+  const endDate = row.endTime < row.startTime ? nextDay(startDate) : startDate;
+
+  return {
+    segmentAt: `${row.segmentDate}${row.segmentTime}`,
+    startAt: `${startDate}${row.startTime}`,
+    endAt: `${endDate}${row.endTime}`
+  };
+};
+
+// ============================================================================
+// STORED PROCEDURE HANDLERS
+// ============================================================================
+
+/**
+ * Handlers keyed by stored procedure name
+ * Each receives the named params and returns the result-set rows
+ * (or { recordsets } when the procedure returns several result sets)
+ */
+const procedures = {
+  // Dashboard
+  usp_GetCETDashboard: () => orderRows(tables.CETDashboard, 'iGateApp', 'cetApp'),
+
+  // Apps registry
+  usp_GetAllCETApps: () => orderRows(tables.CETApps, 'iGateApp', 'cetApp'),
+
+  usp_GetCETAppById: ({ AppID, AppId }) => {
+    const app = findApp(AppID ?? AppId);
+    return app ? [{ ...app }] : [];
+  },
+
+  usp_CreateCETApp: (params) => {
+    assertAppFields(params);
+
+    const newApp = toAppRow({
+      ...params,
+      id: Math.max(0, ...tables.CETApps.map(app => app.id)) + 1,
+      description: params.description ?? null,
+      supportLink: params.supportLink ?? null,
+      status: params.status || 'active',
+      environment: params.environment || 'production',
+      lastUpdated: new Date().toISOString()
+    });
+
+    tables.CETApps.push(newApp);
+    return [{ ...newApp }];
+  },
+
+  usp_UpdateCETApp: (params) => {
+    const appId = params.AppID ?? params.AppId;
+    assertAppFields(params);
+
+    const app = findApp(appId);
+    if (!app) {
+      throw new Error(`Application with ID ${appId} not found`);
+    }
+
+    Object.assign(app, toAppRow({
+      ...params,
+      id: app.id,
+      description: params.description ?? null,
+      supportLink: params.supportLink ?? null,
+      status: params.status || 'active',
+      environment: params.environment || 'production',
+      lastUpdated: new Date().toISOString()
+    }));
+    return [{ ...app }];
+  },
+
+  usp_DeleteCETApp: ({ AppID, AppId }) => {
+    const index = tables.CETApps.findIndex(app => app.id === parseInt(AppID ?? AppId));
+    if (index !== -1) {
+      tables.CETApps.splice(index, 1);
+    }
+    return [{ RowsAffected: index !== -1 ? 1 : 0 }];
+  },
+
+  usp_GetUniqueIGateApps: () => {
+    const names = [...new Set(tables.CETApps.map(app => app.iGateApp))].sort();
+    return names.map(iGateApp => ({ iGateApp }));
+  },
+
+  // Issues
+  usp_GetCETIssuesSummary: () => orderRows(tables.CETIssuesSummary, 'iGateApp', 'cetApp'),
+  usp_GetCETAlertDetails: () => orderRows(tables.CETAlertDetails, 'application', 'step', 'subStep', 'criticalSection'),
+  usp_GetCETDisabledQueueDetails: () => orderRows(tables.CETDisabledQueueDetails, 'application', 'step', 'subStep', 'criticalSection'),
+  usp_GetCETBehindDetails: () => orderRows(tables.CETBehindDetails, 'application', 'step', 'subStep', 'criticalSection'),
+  usp_GetCETSlowDetails: () => orderRows(tables.CETSlowDetails, 'application', 'step', 'subStep', 'criticalSection'),
+
+  // Queues
+  usp_GetCETQueuesSummary: () => orderRows(tables.CETQueuesSummary, 'app', 'queue'),
+  usp_GetCETMessageDetails: () => orderRows(tables.CETMessageDetails, 'queueId', 'messageEnqueueTime'),
+  usp_GetCETMessageAges: () => {
+    const now = Date.now();
+    return orderRows(tables.CETMessageDetails, 'queueId', 'messageEnqueueTime').map(message => ({
+      id: message.id,
+      queueId: message.queueId,
+      messageEnqueueTime: message.messageEnqueueTime,
+      ageSeconds: Math.max(0, Math.floor((now - toTime(message.messageEnqueueTime)) / 1000))
+    }));
+  },
+  usp_GetCETMessageDetailsPaged: (params) => pageRows(tables.CETMessageDetails, params, {
+    searchColumns: ['queue', 'messageEnqueueTime', 'criticalSection'],
+    filterColumns: ['queueId', 'queue', 'messageEnqueueTime', 'criticalSection'],
+    orderColumns: ['queueId', 'queue', 'messageEnqueueTime', 'criticalSection'],
+    defaultOrder: ['queueId', 'messageEnqueueTime', 'id'],
+    aggregates: [
+      'queueId_countUnique', 'queue_countUnique', 'criticalSection_countUnique',
+      'messageEnqueueTime_min', 'messageEnqueueTime_max'
+    ]
+  }),
+
+  usp_SetCETQueueStatus: ({ QueueId, Status, Reason, User }) => {
+    if (QueueId == null || !Status || !Reason || !User) {
+      throw new Error('Required parameters cannot be NULL: QueueId, Status, Reason, User');
+    }
+    if (!['Enabled', 'Disabled'].includes(Status)) {
+      throw new Error('Invalid @Status: use Enabled or Disabled');
+    }
+
+    const queue = tables.CETQueuesSummary.find(row => row.id === Number(QueueId));
+    if (!queue) return [];
+    if (queue.status === Status) {
+      return [{ ...queue, affectedCount: 0, actionId: null }];
+    }
+
+    const previousStatus = queue.status;
+    queue.status = Status;
+    return auditQueueAction(queue, {
+      action: Status === 'Enabled' ? 'enable' : 'disable',
+      reason: Reason,
+      previousStatus,
+      affectedCount: 1,
+      user: User
+    });
+  },
+
+  usp_RetryCETQueueMessages: ({ QueueId, StuckMinutes, Reason, User }) => {
+    if (QueueId == null || !Reason || !User) {
+      throw new Error('Required parameters cannot be NULL: QueueId, Reason, User');
+    }
+
+    const queue = tables.CETQueuesSummary.find(row => row.id === Number(QueueId));
+    if (!queue) return [];
+
+    const now = new Date();
+    const stuckBefore = now.getTime() - (StuckMinutes ?? 30) * 60000;
+    const stuck = tables.CETMessageDetails.filter(message =>
+      message.queueId === queue.id && toTime(message.messageEnqueueTime) < stuckBefore);
+    stuck.forEach(message => { message.messageEnqueueTime = toEnqueueTime(now); });
+
+    return auditQueueAction(queue, {
+      action: 'retry',
+      reason: Reason,
+      previousStatus: queue.status,
+      affectedCount: stuck.length,
+      user: User
+    });
+  },
+
+  usp_PurgeCETQueue: ({ QueueId, Reason, User }) => {
+    if (QueueId == null || !Reason || !User) {
+      throw new Error('Required parameters cannot be NULL: QueueId, Reason, User');
+    }
+
+    const queue = tables.CETQueuesSummary.find(row => row.id === Number(QueueId));
+    if (!queue) return [];
+
+    const before = tables.CETMessageDetails.length;
+    const purgedIds = new Set(tables.CETMessageDetails
+      .filter(message => message.queueId === queue.id)
+      .map(message => message.id));
+    tables.CETMessagePayloads = tables.CETMessagePayloads.filter(payload => !purgedIds.has(payload.messageId));
+    tables.CETMessageDetails = tables.CETMessageDetails.filter(message => message.queueId !== queue.id);
+    queue.messages = 0;
+
+    return auditQueueAction(queue, {
+      action: 'purge',
+      reason: Reason,
+      previousStatus: queue.status,
+      affectedCount: before - tables.CETMessageDetails.length,
+      user: User
+    });
+  },
+
+  usp_GetCETMessage: ({ MessageId }) => {
+    if (MessageId == null) {
+      throw new Error('Required parameters cannot be NULL: MessageId');
+    }
+
+    const message = tables.CETMessageDetails.find(row => row.id === Number(MessageId));
+    if (!message) return [];
+
+    const queue = tables.CETQueuesSummary.find(row => row.id === message.queueId) || {};
+    const payload = tables.CETMessagePayloads.find(row => row.messageId === message.id) || {};
+    return [{
+      ...message,
+      app: queue.app ?? null,
+      appName: queue.appName ?? null,
+      queueStatus: queue.status ?? null,
+      contentType: payload.contentType ?? null,
+      headers: payload.headers ?? null,
+      body: payload.body ?? null,
+      retryCount: payload.retryCount ?? 0,
+      lastError: payload.lastError ?? null,
+      lastErrorAt: payload.lastErrorAt ?? null
+    }];
+  },
+
+  usp_ReplayCETMessages: ({ MessageIds, Reason, User }) => {
+    if (MessageIds == null || !Reason || !User) {
+      throw new Error('Required parameters cannot be NULL: MessageIds, Reason, User');
+    }
+
+    const ids = new Set(JSON.parse(MessageIds).map(Number).filter(Number.isInteger));
+    const messages = tables.CETMessageDetails.filter(message => ids.has(message.id));
+    const now = toEnqueueTime(new Date());
+
+    messages.forEach(message => {
+      message.messageEnqueueTime = now;
+      let payload = tables.CETMessagePayloads.find(row => row.messageId === message.id);
+      if (!payload) {
+        payload = { messageId: message.id, contentType: null, headers: null, body: null, retryCount: 0, lastError: null, lastErrorAt: null };
+        tables.CETMessagePayloads.push(payload);
+      }
+      payload.retryCount += 1;
+    });
+
+    // One audit entry per queue
+    const byQueue = new Map();
+    messages.forEach(message => byQueue.set(message.queueId, (byQueue.get(message.queueId) || 0) + 1));
+    byQueue.forEach((count, queueId) => {
+      const queue = tables.CETQueuesSummary.find(row => row.id === queueId)
+        || { id: queueId, queue: messages.find(message => message.queueId === queueId).queue, status: null };
+      auditQueueAction(queue, { action: 'replay', reason: Reason, previousStatus: queue.status, affectedCount: count, user: User });
+    });
+
+    return orderRows(messages, 'id').map(message => ({
+      ...message,
+      retryCount: tables.CETMessagePayloads.find(row => row.messageId === message.id).retryCount
+    }));
+  },
+
+  usp_GetCETQueueActions: ({ QueueId, Top } = {}) => {
+    const actions = QueueId == null
+      ? tables.CETQueueActions
+      : tables.CETQueueActions.filter(entry => entry.queueId === Number(QueueId));
+    return orderRows(actions, 'performedAt DESC', 'actionId DESC')
+      .slice(0, Top ?? 100)
+      .map(entry => ({ ...entry }));
+  },
+
+  // Data request jobs
+  usp_CreateCETDataRequestJob: ({ AppId, AppName, StartDateTime, EndDateTime, RequestedBy }) => {
+    if (!AppId || !AppName || !StartDateTime || !EndDateTime) {
+      throw new Error('Required parameters cannot be NULL: AppId, AppName, StartDateTime, EndDateTime');
+    }
+    if (toTime(EndDateTime) <= toTime(StartDateTime)) {
+      throw new Error('EndDateTime must be after StartDateTime');
+    }
+
+    const job = {
+      id: Math.max(0, ...tables.CETDataRequestJobs.map(row => row.id)) + 1,
+      appId: parseInt(AppId),
+      appName: AppName,
+      startDateTime: new Date(StartDateTime).toISOString(),
+      endDateTime: new Date(EndDateTime).toISOString(),
+      status: 'queued',
+      progress: 0,
+      totalRecords: null,
+      recordCount: 0,
+      workerId: null,
+      leaseExpiresAt: null,
+      errorMessage: null,
+      cancelRequested: false,
+      requestedBy: RequestedBy ?? null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    tables.CETDataRequestJobs.push(job);
+    return [{ ...job }];
+  },
+
+  usp_GetCETDataRequestJob: ({ JobId }) => {
+    const job = findJob(JobId);
+    return job ? [{ ...job }] : [];
+  },
+
+  usp_GetCETDataRequestJobs: ({ RequestedBy, Status, Top }) => {
+    const jobs = tables.CETDataRequestJobs.filter(job =>
+      (!RequestedBy || job.requestedBy === RequestedBy) && (!Status || job.status === Status));
+    return orderRows(jobs, 'createdAt DESC', 'id DESC').slice(0, parseInt(Top) || 200);
+  },
+
+  usp_ClaimNextCETDataRequestJob: ({ WorkerId, LeaseSeconds }) => {
+    if (!WorkerId || !(parseInt(LeaseSeconds) > 0)) {
+      throw new Error('A worker ID and a positive lease are required');
+    }
+
+    const [job] = orderRows(tables.CETDataRequestJobs.filter(row => row.status === 'queued'), 'createdAt', 'id');
+    if (!job) return [];
+
+    const claimed = findJob(job.id);
+    Object.assign(claimed, {
+      status: 'running',
+      progress: 0,
+      startedAt: new Date().toISOString(),
+      workerId: WorkerId,
+      leaseExpiresAt: leaseUntil(LeaseSeconds)
+    });
+    return [{ ...claimed }];
+  },
+
+  usp_UpdateCETDataRequestJobProgress: ({ JobId, WorkerId, LeaseSeconds, Progress, RecordCount, TotalRecords }) => {
+    if (!JobId || !WorkerId || !(parseInt(LeaseSeconds) > 0)) {
+      throw new Error('A job ID, a worker ID and a positive lease are required');
+    }
+
+    const job = findJob(JobId);
+    if (!job) return [];
+
+    if (job.status === 'running' && job.workerId === WorkerId) {
+      job.progress = Math.min(100, Math.max(0, parseInt(Progress) || 0));
+      job.recordCount = parseInt(RecordCount) || 0;
+      job.totalRecords = TotalRecords ?? job.totalRecords;
+      job.leaseExpiresAt = leaseUntil(LeaseSeconds);
+    }
+    return [{ ...job }];
+  },
+
+  usp_RenewCETDataRequestJobLeases: ({ WorkerId, LeaseSeconds }) => {
+    if (!WorkerId || !(parseInt(LeaseSeconds) > 0)) {
+      throw new Error('A worker ID and a positive lease are required');
+    }
+
+    const owned = tables.CETDataRequestJobs.filter(job => job.status === 'running' && job.workerId === WorkerId);
+    owned.forEach(job => {
+      job.leaseExpiresAt = leaseUntil(LeaseSeconds);
+    });
+    return [{ renewed: owned.length }];
+  },
+
+  usp_CompleteCETDataRequestJob: ({ JobId, WorkerId, Status, RecordCount, ResultData, ErrorMessage }) => {
+    if (!JobId || !WorkerId || !['succeeded', 'failed', 'cancelled'].includes(Status)) {
+      throw new Error('A job ID, a worker ID and a final status (succeeded, failed, cancelled) are required');
+    }
+
+    const job = findJob(JobId);
+    if (!job) return [];
+
+    if (job.status === 'running' && job.workerId === WorkerId) {
+      Object.assign(job, {
+        status: Status,
+        progress: Status === 'succeeded' ? 100 : job.progress,
+        recordCount: RecordCount ?? job.recordCount,
+        errorMessage: ErrorMessage ?? null,
+        completedAt: new Date().toISOString(),
+        leaseExpiresAt: null
+      });
+
+      if (Status === 'succeeded') {
+        tables.CETDataRequestJobResults = tables.CETDataRequestJobResults.filter(row => row.jobId !== job.id);
+        tables.CETDataRequestJobResults.push({ jobId: job.id, resultData: ResultData ?? '[]', createdAt: job.completedAt });
+      }
+    }
+    return [{ ...job }];
+  },
+
+  usp_GetCETDataRequestJobResult: ({ JobId }) => {
+    const result = tables.CETDataRequestJobResults.find(row => row.jobId === parseInt(JobId));
+    return result ? [{ jobId: result.jobId, resultData: result.resultData }] : [];
+  },
+
+  usp_CancelCETDataRequestJob: ({ JobId }) => {
+    const job = findJob(JobId);
+    if (!job) return [];
+
+    if (job.status === 'queued') {
+      Object.assign(job, { status: 'cancelled', cancelRequested: true, completedAt: new Date().toISOString() });
+    } else if (job.status === 'running') {
+      job.cancelRequested = true;
+    }
+    return [{ ...job }];
+  },
+
+  usp_RequeueInterruptedCETDataRequestJobs: () => {
+    const now = Date.now();
+    const interrupted = tables.CETDataRequestJobs.filter(job =>
+      job.status === 'running' && (!job.leaseExpiresAt || toTime(job.leaseExpiresAt) < now));
+    interrupted.forEach(job => Object.assign(job, {
+      status: job.cancelRequested ? 'cancelled' : 'queued',
+      completedAt: job.cancelRequested ? new Date().toISOString() : null,
+      progress: 0,
+      recordCount: 0,
+      startedAt: null,
+      workerId: null,
+      leaseExpiresAt: null
+    }));
+    return interrupted.map(job => ({ ...job }));
+  },
+
+  usp_ExtractCETQueueMessages: ({ AppId, StartDateTime, EndDateTime, Start, Length }) => {
+    if (!AppId || !StartDateTime || !EndDateTime) {
+      throw new Error('Required parameters cannot be NULL: AppId, StartDateTime, EndDateTime');
+    }
+
+    const app = findApp(AppId);
+    const queues = app
+      ? tables.CETQueuesSummary.filter(queue => app.cetApp === queue.app || app.cetApp.startsWith(`${queue.app} `))
+      : [];
+    const queuesById = new Map(queues.map(queue => [queue.id, queue]));
+    const from = toTime(StartDateTime);
+    const to = toTime(EndDateTime);
+
+    const extract = tables.CETMessageDetails
+      .filter(message => {
+        const enqueued = toTime(message.messageEnqueueTime);
+        return queuesById.has(message.queueId) && enqueued >= from && enqueued <= to;
+      })
+      .sort((a, b) => toTime(a.messageEnqueueTime) - toTime(b.messageEnqueueTime) || a.id - b.id)
+      .map(message => {
+        const queue = queuesById.get(message.queueId);
+        return {
+          id: message.id,
+          queueId: message.queueId,
+          queue: message.queue,
+          app: queue.app,
+          appName: queue.appName,
+          messageEnqueueTime: message.messageEnqueueTime,
+          criticalSection: message.criticalSection
+        };
+      });
+
+    const start = Math.max(0, parseInt(Start) || 0);
+    const length = parseInt(Length);
+    const page = isNaN(length) || length < 0 ? extract.slice(start) : extract.slice(start, start + length);
+
+    return { recordsets: [page, [{ totalRecords: extract.length }]] };
+  },
+
+  // Alert events
+  usp_OpenCETAlertEvent: ({ RuleId, RuleName, GroupKey, Severity, MetricValue, Threshold, Message }) => {
+    if (!RuleId || !RuleName || !Severity || !Message) {
+      throw new Error('Required parameters cannot be NULL: RuleId, RuleName, Severity, Message');
+    }
+
+    const groupKey = GroupKey ?? '';
+    const existing = tables.CETAlertEvents.find(event =>
+      event.ruleId === RuleId && event.groupKey === groupKey && event.status === 'open');
+    if (existing) {
+      return [{ ...existing, created: false }];
+    }
+
+    const now = new Date().toISOString();
+    const event = {
+      id: Math.max(0, ...tables.CETAlertEvents.map(row => row.id)) + 1,
+      ruleId: RuleId,
+      ruleName: RuleName,
+      groupKey: groupKey,
+      severity: Severity,
+      status: 'open',
+      metricValue: MetricValue ?? null,
+      threshold: Threshold ?? null,
+      message: Message,
+      openedAt: now,
+      lastEvaluatedAt: now,
+      resolvedAt: null
+    };
+    tables.CETAlertEvents.push(event);
+    return [{ ...event, created: true }];
+  },
+
+  usp_UpdateCETAlertEvent: ({ EventId, Severity, MetricValue, Threshold, Message }) => {
+    const event = findAlertEvent(EventId);
+    if (!event || event.status !== 'open') return [];
+
+    Object.assign(event, {
+      severity: Severity ?? event.severity,
+      metricValue: MetricValue ?? null,
+      threshold: Threshold ?? null,
+      message: Message ?? event.message,
+      lastEvaluatedAt: new Date().toISOString()
+    });
+    return [{ ...event }];
+  },
+
+  usp_ResolveCETAlertEvent: ({ EventId, MetricValue }) => {
+    const event = findAlertEvent(EventId);
+    if (!event || event.status !== 'open') return [];
+
+    const now = new Date().toISOString();
+    Object.assign(event, {
+      status: 'resolved',
+      metricValue: MetricValue ?? event.metricValue,
+      lastEvaluatedAt: now,
+      resolvedAt: now
+    });
+    return [{ ...event }];
+  },
+
+  usp_GetCETAlertEvents: ({ Status, RuleId, Top } = {}) => {
+    const events = tables.CETAlertEvents.filter(event =>
+      (!Status || event.status === Status) && (!RuleId || event.ruleId === RuleId));
+    return orderRows(events, 'openedAt DESC', 'id DESC').slice(0, parseInt(Top) || 200);
+  },
+
+  // Notification deliveries
+  usp_CreateCETNotificationDelivery: ({ ChannelId, ChannelType, Kind, EventType, AlertEventId, Subject, Payload }) => {
+    if (!ChannelId || !ChannelType || !Kind || !EventType || !Subject) {
+      throw new Error('Required parameters cannot be NULL: ChannelId, ChannelType, Kind, EventType, Subject');
+    }
+
+    const delivery = {
+      id: Math.max(0, ...tables.CETNotificationDeliveries.map(row => row.id)) + 1,
+      channelId: ChannelId,
+      channelType: ChannelType,
+      kind: Kind,
+      eventType: EventType,
+      alertEventId: AlertEventId ?? null,
+      subject: Subject,
+      payload: Payload ?? null,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      lastAttemptAt: null,
+      nextAttemptAt: null,
+      deliveredAt: null
+    };
+    tables.CETNotificationDeliveries.push(delivery);
+    return [{ ...delivery }];
+  },
+
+  usp_UpdateCETNotificationDelivery: ({ DeliveryId, Status, Attempts, LastError, NextAttemptAt }) => {
+    if (!DeliveryId || !['retrying', 'delivered', 'failed'].includes(Status)) {
+      throw new Error('A delivery ID and a status (retrying, delivered, failed) are required');
+    }
+
+    const delivery = tables.CETNotificationDeliveries.find(row => row.id === parseInt(DeliveryId));
+    if (!delivery) return [];
+
+    const now = new Date().toISOString();
+    Object.assign(delivery, {
+      status: Status,
+      attempts: parseInt(Attempts) || 0,
+      lastError: LastError ?? null,
+      lastAttemptAt: now,
+      nextAttemptAt: Status === 'retrying' && NextAttemptAt ? new Date(NextAttemptAt).toISOString() : null,
+      deliveredAt: Status === 'delivered' ? now : null
+    });
+    return [{ ...delivery }];
+  },
+
+  usp_GetCETNotificationDeliveries: ({ ChannelId, Status, Top } = {}) => {
+    const deliveries = tables.CETNotificationDeliveries.filter(row =>
+      (!ChannelId || row.channelId === ChannelId) && (!Status || row.status === Status));
+    return orderRows(deliveries, 'createdAt DESC', 'id DESC').slice(0, parseInt(Top) || 200);
+  },
+
+  usp_GetUnfinishedCETNotificationDeliveries: () => {
+    const unfinished = tables.CETNotificationDeliveries.filter(row => ['pending', 'retrying'].includes(row.status));
+    return orderRows(unfinished, 'createdAt', 'id');
+  },
+
+  // Dashboard history
+  usp_CaptureCETDashboardSnapshot: ({ MinIntervalSeconds } = {}) => {
+    const now = new Date();
+    now.setMilliseconds(0);
+    const last = tables.CETDashboardSnapshots.reduce((latest, row) => Math.max(latest, toTime(row.snapshotAt)), 0);
+
+    if (last && now.getTime() - last < (parseInt(MinIntervalSeconds) || 0) * 1000) {
+      return [{ snapshotAt: new Date(last).toISOString(), apps: 0, queues: 0, captured: false }];
+    }
+
+    let nextId = Math.max(0, ...tables.CETDashboardSnapshots.map(row => row.id)) + 1;
+    tables.CETDashboard.forEach(row => {
+      const snapshot = { id: nextId++, snapshotAt: now.toISOString(), iGateApp: row.iGateApp, cetApp: row.cetApp };
+      SNAPSHOT_METRICS.forEach(metric => {
+        snapshot[metric] = parseInt(row[metric]) || 0;
+      });
+      tables.CETDashboardSnapshots.push(snapshot);
+    });
+
+    // Queue depth, enqueued since the previous queue snapshot and dequeued meanwhile
+    const lastQueueSnapshot = tables.CETQueueDepthSnapshots.reduce((latest, row) => Math.max(latest, toTime(row.snapshotAt)), 0);
+    let nextDepthId = Math.max(0, ...tables.CETQueueDepthSnapshots.map(row => row.id)) + 1;
+    tables.CETQueuesSummary.forEach(queue => {
+      const previous = tables.CETQueueDepthSnapshots.find(row =>
+        row.queueId === queue.id && toTime(row.snapshotAt) === lastQueueSnapshot);
+      const messages = parseInt(queue.messages) || 0;
+      const enqueued = tables.CETMessageDetails.filter(message =>
+        message.queueId === queue.id && toTime(message.messageEnqueueTime) > lastQueueSnapshot).length;
+
+      tables.CETQueueDepthSnapshots.push({
+        id: nextDepthId++,
+        snapshotAt: now.toISOString(),
+        queueId: queue.id,
+        queue: queue.queue,
+        status: queue.status,
+        messages,
+        enqueued: previous ? enqueued : null,
+        dequeued: previous ? Math.max(0, previous.messages + enqueued - messages) : null
+      });
+    });
+
+    return [{
+      snapshotAt: now.toISOString(),
+      apps: tables.CETDashboard.length,
+      queues: tables.CETQueuesSummary.length,
+      captured: true
+    }];
+  },
+
+  usp_PurgeCETDashboardSnapshots: ({ RetentionDays }) => {
+    const days = parseInt(RetentionDays);
+    if (!days || days < 1) {
+      throw new Error('RetentionDays must be at least 1');
+    }
+
+    const cutoff = Date.now() - days * 86400000;
+    const before = tables.CETDashboardSnapshots.length + tables.CETQueueDepthSnapshots.length;
+    tables.CETDashboardSnapshots = tables.CETDashboardSnapshots.filter(row => toTime(row.snapshotAt) >= cutoff);
+    tables.CETQueueDepthSnapshots = tables.CETQueueDepthSnapshots.filter(row => toTime(row.snapshotAt) >= cutoff);
+    return [{ deleted: before - tables.CETDashboardSnapshots.length - tables.CETQueueDepthSnapshots.length }];
+  },
+
+  usp_GetCETDashboardHistory: ({ From, To, BucketMinutes, IGateApp, CetApp, ByApp }) => {
+    if (!From || !To) {
+      throw new Error('Required parameters cannot be NULL: From, To');
+    }
+
+    const from = toTime(From);
+    const to = toTime(To);
+    const bucketMs = (parseInt(BucketMinutes) > 0 ? parseInt(BucketMinutes) : 15) * 60000;
+    const byApp = Boolean(ByApp) && ByApp !== '0';
+
+    // Sum per snapshot (and app when byApp), then keep the highest value per bucket
+    const perSnapshot = new Map();
+    tables.CETDashboardSnapshots
+      .filter(row => {
+        const time = toTime(row.snapshotAt);
+        return time >= from && time < to &&
+          (!IGateApp || row.iGateApp === IGateApp) && (!CetApp || row.cetApp === CetApp);
+      })
+      .forEach(row => {
+        const key = byApp ? `${row.snapshotAt}|${row.iGateApp}|${row.cetApp}` : row.snapshotAt;
+        const entry = perSnapshot.get(key) || {
+          snapshotAt: row.snapshotAt,
+          iGateApp: byApp ? row.iGateApp : null,
+          cetApp: byApp ? row.cetApp : null,
+          ...Object.fromEntries(SNAPSHOT_METRICS.map(metric => [metric, 0]))
+        };
+        SNAPSHOT_METRICS.forEach(metric => {
+          entry[metric] += row[metric];
+        });
+        perSnapshot.set(key, entry);
+      });
+
+    const buckets = new Map();
+    perSnapshot.forEach(entry => {
+      const bucketStart = new Date(from + Math.floor((toTime(entry.snapshotAt) - from) / bucketMs) * bucketMs).toISOString();
+      const key = `${bucketStart}|${entry.iGateApp}|${entry.cetApp}`;
+      const bucket = buckets.get(key);
+      if (!bucket) {
+        const { snapshotAt, ...values } = entry;
+        buckets.set(key, { bucketStart, ...values });
+        return;
+      }
+      SNAPSHOT_METRICS.forEach(metric => {
+        bucket[metric] = Math.max(bucket[metric], entry[metric]);
+      });
+    });
+
+    return orderRows([...buckets.values()], 'bucketStart', 'iGateApp', 'cetApp');
+  },
+
+  usp_GetCETQueueDepthHistory: ({ From, To, BucketMinutes, QueueId, ByQueue }) => {
+    if (!From || !To) {
+      throw new Error('Required parameters cannot be NULL: From, To');
+    }
+
+    const from = toTime(From);
+    const to = toTime(To);
+    const bucketMs = (parseInt(BucketMinutes) > 0 ? parseInt(BucketMinutes) : 15) * 60000;
+    const byQueue = Boolean(ByQueue) && ByQueue !== '0';
+    const sum = (a, b) => (a === null && b === null ? null : (a || 0) + (b || 0));
+
+    // Sum per snapshot (and queue when byQueue); per bucket keep the highest depth,
+    // add up the enqueued and dequeued messages and keep the last status
+    const buckets = new Map();
+    tables.CETQueueDepthSnapshots
+      .filter(row => {
+        const time = toTime(row.snapshotAt);
+        return time >= from && time < to && (QueueId == null || row.queueId === Number(QueueId));
+      })
+      .sort((a, b) => toTime(a.snapshotAt) - toTime(b.snapshotAt))
+      .forEach(row => {
+        const bucketStart = new Date(from + Math.floor((toTime(row.snapshotAt) - from) / bucketMs) * bucketMs).toISOString();
+        const key = byQueue ? `${bucketStart}|${row.queueId}` : bucketStart;
+        const bucket = buckets.get(key) || {
+          bucketStart,
+          queueId: byQueue ? row.queueId : null,
+          queue: byQueue ? row.queue : null,
+          status: null,
+          snapshots: new Map(),
+          enqueued: null,
+          dequeued: null
+        };
+        bucket.snapshots.set(row.snapshotAt, (bucket.snapshots.get(row.snapshotAt) || 0) + row.messages);
+        bucket.enqueued = sum(bucket.enqueued, row.enqueued);
+        bucket.dequeued = sum(bucket.dequeued, row.dequeued);
+        if (byQueue) bucket.status = row.status;
+        buckets.set(key, bucket);
+      });
+
+    const rows = [...buckets.values()].map(({ snapshots, ...bucket }) => ({
+      ...bucket,
+      messages: Math.max(...snapshots.values())
+    }));
+    return orderRows(rows, 'bucketStart', 'queueId');
+  },
+
+  // Issue workflow
+  usp_GetCETIssueStates: ({ IssueType, IssueKey } = {}) => {
+    return tables.CETIssueStates
+      .filter(state => (!IssueType || state.issueType === IssueType) && (!IssueKey || state.issueKey === IssueKey))
+      .map(withNoteCount);
+  },
+
+  usp_SaveCETIssueState: ({ IssueKey, IssueType, Application, ExpectedStatus, ExpectedAssignedTo, Status, AssignedTo, UpdatedBy }) => {
+    if (!IssueKey || !IssueType || !ExpectedStatus || !Status || !UpdatedBy) {
+      throw new Error('Required parameters cannot be NULL: IssueKey, IssueType, ExpectedStatus, Status, UpdatedBy');
+    }
+
+    let state = tables.CETIssueStates.find(row => row.issueKey === IssueKey);
+    if (!state) {
+      if (ExpectedStatus !== 'new') return [];
+      state = createIssueState(IssueKey, IssueType, Application);
+    }
+    if (state.status !== ExpectedStatus || (state.assignedTo ?? null) !== (ExpectedAssignedTo ?? null)) return [];
+
+    const now = new Date().toISOString();
+    Object.assign(state, {
+      status: Status,
+      assignedTo: AssignedTo ?? null,
+      acknowledgedBy: Status !== 'new' && !state.acknowledgedBy ? UpdatedBy : state.acknowledgedBy,
+      acknowledgedAt: Status !== 'new' && !state.acknowledgedAt ? now : state.acknowledgedAt,
+      resolvedBy: Status === 'resolved' ? UpdatedBy : null,
+      resolvedAt: Status === 'resolved' ? now : null,
+      updatedBy: UpdatedBy,
+      updatedAt: now
+    });
+    return [withNoteCount(state)];
+  },
+
+  usp_AddCETIssueNote: ({ IssueKey, IssueType, Application, Author, Note }) => {
+    if (!IssueKey || !IssueType || !Author || !Note) {
+      throw new Error('Required parameters cannot be NULL: IssueKey, IssueType, Author, Note');
+    }
+
+    if (!tables.CETIssueStates.some(row => row.issueKey === IssueKey)) {
+      createIssueState(IssueKey, IssueType, Application).updatedBy = Author;
+    }
+
+    const note = {
+      id: Math.max(0, ...tables.CETIssueNotes.map(row => row.id)) + 1,
+      issueKey: IssueKey,
+      author: Author,
+      note: Note,
+      createdAt: new Date().toISOString()
+    };
+    tables.CETIssueNotes.push(note);
+    return [{ ...note }];
+  },
+
+  usp_GetCETIssueNotes: ({ IssueKey }) => {
+    return orderRows(tables.CETIssueNotes.filter(note => note.issueKey === IssueKey), 'createdAt', 'id');
+  },
+
+  // Saved table views
+  usp_GetCETSavedViews: ({ TableId, User }) => {
+    if (!TableId || !User) {
+      throw new Error('Required parameters cannot be NULL: TableId, User');
+    }
+
+    const views = tables.CETSavedViews
+      .filter(view => view.tableId === TableId && (view.owner === User || view.shared))
+      .map(view => withDefaultFlag(view, User));
+    return [
+      ...orderRows(views.filter(view => view.owner === User), 'name'),
+      ...orderRows(views.filter(view => view.owner !== User), 'name')
+    ];
+  },
+
+  usp_SaveCETSavedView: ({ ViewId, TableId, Name, Owner, Shared, ViewState }) => {
+    if (!TableId || !Name || !Owner || !ViewState) {
+      throw new Error('Required parameters cannot be NULL: TableId, Name, Owner, ViewState');
+    }
+
+    const now = new Date().toISOString();
+    let view;
+    if (ViewId == null) {
+      if (tables.CETSavedViews.some(row => row.tableId === TableId && row.owner === Owner && row.name === Name)) {
+        throw new Error(`Violation of UNIQUE KEY constraint 'UQ_CETSavedViews_name'.`);
+      }
+      view = {
+        viewId: Math.max(0, ...tables.CETSavedViews.map(row => row.viewId)) + 1,
+        tableId: TableId,
+        owner: Owner,
+        createdAt: now
+      };
+      tables.CETSavedViews.push(view);
+    } else {
+      view = tables.CETSavedViews.find(row => row.viewId === Number(ViewId) && row.tableId === TableId && row.owner === Owner);
+      if (!view) return [];
+    }
+
+    Object.assign(view, { name: Name, shared: Boolean(Shared), viewState: ViewState, updatedAt: now });
+    return [withDefaultFlag(view, Owner)];
+  },
+
+  usp_DeleteCETSavedView: ({ ViewId, TableId, Owner }) => {
+    if (ViewId == null || !TableId || !Owner) {
+      throw new Error('Required parameters cannot be NULL: ViewId, TableId, Owner');
+    }
+
+    const before = tables.CETSavedViews.length;
+    tables.CETSavedViews = tables.CETSavedViews.filter(row =>
+      !(row.viewId === Number(ViewId) && row.tableId === TableId && row.owner === Owner));
+    const deleted = before - tables.CETSavedViews.length;
+    if (deleted) {
+      tables.CETSavedViewDefaults = tables.CETSavedViewDefaults.filter(row => row.viewId !== Number(ViewId));
+    }
+    return [{ deleted }];
+  },
+
+  usp_SetCETSavedViewDefault: ({ TableId, User, ViewId }) => {
+    if (!TableId || !User) {
+      throw new Error('Required parameters cannot be NULL: TableId, User');
+    }
+
+    const visible = ViewId == null || tables.CETSavedViews.some(row =>
+      row.viewId === Number(ViewId) && row.tableId === TableId && (row.owner === User || row.shared));
+    if (!visible) return [];
+
+    tables.CETSavedViewDefaults = tables.CETSavedViewDefaults.filter(row => !(row.tableId === TableId && row.userName === User));
+    if (ViewId == null) {
+      return [{ viewId: null }];
+    }
+    tables.CETSavedViewDefaults.push({ tableId: TableId, userName: User, viewId: Number(ViewId), updatedAt: new Date().toISOString() });
+    return [{ viewId: Number(ViewId) }];
+  },
+
+  // Runbooks
+  usp_GetCETRunbooks: ({ ActiveOnly } = {}) => {
+    const runbooks = ActiveOnly ? tables.CETRunbooks.filter(runbook => runbook.active) : tables.CETRunbooks;
+    return orderRows(runbooks, 'title', 'runbookId').map(runbook => ({ ...runbook }));
+  },
+
+  usp_SaveCETRunbook: ({ RunbookId, Title, Url, Steps, Category, Application, Pattern, Active, User }) => {
+    if (!Title || !User) {
+      throw new Error('Required parameters cannot be NULL: Title, User');
+    }
+
+    const now = new Date().toISOString();
+    let runbook;
+    if (RunbookId == null) {
+      runbook = {
+        runbookId: Math.max(0, ...tables.CETRunbooks.map(row => row.runbookId)) + 1,
+        createdBy: User,
+        createdAt: now
+      };
+      tables.CETRunbooks.push(runbook);
+    } else {
+      runbook = tables.CETRunbooks.find(row => row.runbookId === Number(RunbookId));
+      if (!runbook) return [];
+    }
+
+    Object.assign(runbook, {
+      title: Title,
+      url: Url ?? null,
+      steps: Steps ?? null,
+      category: Category ?? null,
+      application: Application ?? null,
+      pattern: Pattern ?? null,
+      active: Active == null ? true : Boolean(Active),
+      updatedBy: User,
+      updatedAt: now
+    });
+    return [{ ...runbook }];
+  },
+
+  usp_DeleteCETRunbook: ({ RunbookId }) => {
+    if (RunbookId == null) {
+      throw new Error('Required parameters cannot be NULL: RunbookId');
+    }
+
+    const before = tables.CETRunbooks.length;
+    tables.CETRunbooks = tables.CETRunbooks.filter(row => row.runbookId !== Number(RunbookId));
+    return [{ deleted: before - tables.CETRunbooks.length }];
+  },
+
+  // Reports
+  usp_GetCETReportsSummary: () => orderRows(tables.CETReportsSummary, 'step', 'subStep', 'criticalSection'),
+  usp_GetCETReportsDetail: () => orderRows(
+    tables.CETReportsDetail, 'step', 'subStep', 'criticalSection', 'segmentDate DESC', 'segmentTime DESC'
+  ),
+  usp_GetCETReportsDetailPaged: (params) => {
+    // The timestamp sort keys only order the rows; like the procedure, the page leaves them out
+    const rows = tables.CETReportsDetail.map(row => ({ ...row, ...toReportSortKeys(row) }));
+    const { recordsets: [page, summary] } = pageRows(rows, params, {
+      searchColumns: ['step', 'subStep', 'criticalSection', 'segmentDate', 'segmentTime', 'startTime', 'endTime'],
+      filterColumns: ['step', 'subStep', 'criticalSection', 'segmentDate', 'segmentTime', 'duration'],
+      orderColumns: [
+        'step', 'subStep', 'criticalSection', 'segmentDate', 'segmentTime', 'waitTime',
+        'startTime', 'endTime', 'duration', 'deletes', 'updates', 'inserts',
+        'segmentAt', 'startAt', 'endAt'
+      ],
+      defaultOrder: ['step', 'subStep', 'criticalSection', 'segmentDate DESC', 'segmentTime DESC', 'id'],
+      aggregates: [
+        'step_countUnique', 'criticalSection_countUnique',
+        'waitTime_average', 'waitTime_max',
+        'duration_sum', 'duration_average', 'duration_min', 'duration_max',
+        'deletes_sum', 'updates_sum', 'inserts_sum'
+      ]
+    });
+    return { recordsets: [page.map(({ segmentAt, startAt, endAt, ...row }) => row), summary] };
+  }
+};
+
+// ============================================================================
+// PROVIDER CONTRACT
+// ============================================================================
+
+/**
+ * Execute a stored procedure against the in-memory tables
+ * @param {string} procName - Stored procedure name without schema
+ * @param {Object} params - Named procedure parameters
+ * @returns {Promise<Object>} Result in the same shape as dbService.executeQuery
+ */
+const execute = async (procName, params = {}) => {
+  const handler = procedures[procName];
+
+  if (!handler) {
+    console.error(`Mock provider: stored procedure not implemented: ${procName}`);
+    return {
+      success: false,
+      error: `Stored procedure not implemented by mock provider: ${procName}`
+    };
+  }
+
+  try {
+    // Handlers return rows, or { recordsets } for procedures with several result sets
+    const output = handler(params);
+    const recordsets = Array.isArray(output) ? [output] : output.recordsets;
+    return {
+      success: true,
+      data: recordsets[0],
+      recordsets,
+      rowsAffected: recordsets[0].length
+    };
+  } catch (error) {
+    console.error('Query execution error:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Report mock provider status (always available)
+ * @returns {Promise<Object>} Test result
+ */
+const testConnection = async () => ({
+  success: true,
+  message: 'Mock data provider ready',
+  data: {
+    tables: Object.fromEntries(
+      Object.entries(tables).map(([name, rows]) => [name, rows.length])
+    )
+  }
+});
+
+/**
+ * Nothing to release for in-memory data
+ * @returns {Promise<void>}
+ */
+const close = async () => {};
+
+module.exports = {
+  name: 'mock',
+  execute,
+  testConnection,
+  close
+};
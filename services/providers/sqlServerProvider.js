@@ -0,0 +1,50 @@
+/**
+ * File: sqlServerProvider.js
+ * Created: 2026-10-18
+ *
+ * SQL Server Data Provider
+ * Executes CET stored procedures (database/sprocs) through dbService.
+ *
+ * Parameters are passed by name (EXEC dbo.usp_X @Param = @Param), so the keys
+ * of the params object must match the procedure's parameter names.
+ */
+
+const dbService = require('../dbService');
+
+// Procedure names are interpolated into the EXEC statement, so only allow identifiers
+const PROCEDURE_NAME_PATTERN = /^usp_\w+$/;
+
+/**
+ * Build an EXEC statement with named parameters
+ * @param {string} procName - Stored procedure name
+ * @param {Object} params - Named parameters
+ * @returns {string} SQL statement
+ */
+const buildExecStatement = (procName, params) => {
+  const args = Object.keys(params).map(key => `@${key} = @${key}`);
+  return `EXEC dbo.${procName}${args.length > 0 ? ' ' + args.join(', ') : ''}`;
+};
+
+/**
+ * Execute a stored procedure
+ * @param {string} procName - Stored procedure name without schema
+ * @param {Object} params - Named procedure parameters
+ * @returns {Promise<Object>} Query result from dbService
+ */
+const execute = async (procName, params = {}) => {
+  if (!PROCEDURE_NAME_PATTERN.test(procName)) {
+    return {
+      success: false,
+      error: `Invalid stored procedure name: ${procName}`
+    };
+  }
+
+  return dbService.executeQuery(buildExecStatement(procName, params), params);
+};
+
+module.exports = {
+  name: 'sqlserver',
+  execute,
+  testConnection: dbService.testConnection,
+  close: dbService.closePool
+};
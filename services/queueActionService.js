@@ -0,0 +1,230 @@
+/**
+ * File: queueActionService.js
+ * Created: 2026-10-18
+ *
+ * Queue Action Service
+ *
+ * Operator actions on CET queues, run from the row actions of the /cet-queues summary
+ * so re-enabling a queue no longer needs a trip to SQL:
+ *
+ *   enable  - usp_SetCETQueueStatus (Enabled)
+ *   disable - usp_SetCETQueueStatus (Disabled)
+ *   retry   - usp_RetryCETQueueMessages: re-enqueues the stuck messages
+ *   purge   - usp_PurgeCETQueue: deletes the waiting messages
+ *
+ * Labels, confirmation texts, allowed roles and the rows each action applies to are set
+ * in queue-actions.yaml. Every action needs a reason and one of its roles; the procedures
+ * record it in dbo.CETQueueActions (the audit log) in the same transaction as the change.
+ */
+
+const dataProvider = require('./dataProviderService');
+const { loadConfig } = require('./configService');
+const { hasAnyRole } = require('./userService');
+const queueAgeService = require('./queueAgeService');
+const queueDepthService = require('./queueDepthService');
+
+// Procedure and fixed parameters of each action
+const ACTION_PROCEDURES = {
+  enable: { procedure: 'usp_SetCETQueueStatus', params: { Status: 'Enabled' } },
+  disable: { procedure: 'usp_SetCETQueueStatus', params: { Status: 'Disabled' } },
+  retry: { procedure: 'usp_RetryCETQueueMessages', params: {} },
+  purge: { procedure: 'usp_PurgeCETQueue', params: {} }
+};
+
+const ACTIONS = Object.keys(ACTION_PROCEDURES);
+
+// POST target of the row actions, queue row fields in braces (see table-feature-actions.js)
+const ACTION_URL = '/api/queues/{id}/{action}';
+
+const DEFAULT_STUCK_MINUTES = 30;
+const MAX_REASON_LENGTH = 1000;
+const MAX_AUDIT_ENTRIES = 500;
+
+/**
+ * Read the action definitions of queue-actions.yaml
+ * @returns {Object} Definitions keyed by action, for the known actions only
+ */
+const loadActions = () => {
+  const configured = loadConfig('queue-actions', 'actions', {}) || {};
+  return Object.fromEntries(
+    ACTIONS
+      .filter(action => configured[action])
+      .map(action => [action, { label: action, roles: [], reason: 'required', ...configured[action] }])
+  );
+};
+
+/**
+ * Check whether an action applies to a queue row (the when condition)
+ * @param {Object} definition - Action definition
+ * @param {Object} queue - Queue summary row
+ * @returns {boolean} True when the action applies
+ */
+const appliesTo = (definition, queue) => {
+  const when = definition.when;
+  if (!when || !when.field) return true;
+
+  const value = queue[when.field];
+  if ('equals' in when && value !== when.equals) return false;
+  if ('notEquals' in when && value === when.notEquals) return false;
+  if ('greaterThan' in when && !(Number(value) > Number(when.greaterThan))) return false;
+  return true;
+};
+
+/**
+ * Row actions of the queue summary table for a user
+ * Only the actions the user's roles allow are listed.
+ * @param {Array<string>} roles - User's roles
+ * @returns {Object|null} rowActions config of the datatable partial
+ *   ({ url, actions: [{ name, label, icon, variant, when, confirm, reason }] }), or null
+ *   when the user may run none
+ */
+const getRowActions = (roles = []) => {
+  const actions = Object.entries(loadActions())
+    .filter(([, definition]) => hasAnyRole(roles, definition.roles))
+    .map(([name, definition]) => ({
+      name,
+      label: definition.label,
+      icon: definition.icon || null,
+      variant: definition.variant || 'outline-secondary',
+      when: definition.when || null,
+      confirm: definition.confirm || null,
+      reason: definition.reason
+    }));
+
+  return actions.length ? { url: ACTION_URL, actions } : null;
+};
+
+/**
+ * Find a queue in the summary
+ * @param {number} queueId - Queue id
+ * @returns {Promise<Object>} { success, queue } or { success: false, status, message }
+ */
+const findQueue = async (queueId) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETQueuesSummary');
+  if (!result.success) {
+    console.error('Error loading queues:', result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading the queue.' };
+  }
+
+  const queue = (result.data || []).find(row => row.id === queueId);
+  return queue
+    ? { success: true, queue }
+    : { success: false, status: 404, message: 'Queue not found.' };
+};
+
+/**
+ * Confirmation message of a finished action
+ * @param {string} action - Action name
+ * @param {Object} queue - Queue record
+ * @param {number} affectedCount - Messages affected (retry, purge)
+ * @returns {string} Message
+ */
+const describeResult = (action, queue, affectedCount) => {
+  switch (action) {
+    case 'enable': return `Queue ${queue.queue} enabled.`;
+    case 'disable': return `Queue ${queue.queue} disabled.`;
+    case 'retry': return `${affectedCount} stuck message(s) of ${queue.queue} enqueued again.`;
+    default: return `${affectedCount} message(s) purged from ${queue.queue}.`;
+  }
+};
+
+/**
+ * Run a control action on a queue
+ * @param {number} queueId - Queue id
+ * @param {string} action - enable, disable, retry or purge
+ * @param {Object} options - { user, roles, reason }
+ * @returns {Promise<Object>} { success, message, row, audit: { actionId, action, affectedCount } }
+ *   or { success: false, status, message } - row is the queue summary row after the action,
+ *   with its message ages (queueAgeService) and depth trend (queueDepthService)
+ */
+const runAction = async (queueId, action, { user, roles = [], reason } = {}) => {
+  // Checked against the known actions first: a name like constructor would resolve on the prototype
+  const definition = ACTIONS.includes(action) ? loadActions()[action] : null;
+  if (!definition) {
+    return { success: false, status: 404, message: `Unknown queue action: ${action}. Use one of ${ACTIONS.join(', ')}.` };
+  }
+  if (!hasAnyRole(roles, definition.roles)) {
+    return {
+      success: false,
+      status: 403,
+      message: `${definition.label} needs one of the roles: ${definition.roles.join(', ')}.`
+    };
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmedReason && definition.reason === 'required') {
+    return { success: false, status: 400, message: 'A reason is required.' };
+  }
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    return { success: false, status: 400, message: `Reasons are limited to ${MAX_REASON_LENGTH} characters.` };
+  }
+
+  const found = await findQueue(queueId);
+  if (!found.success) return found;
+  if (!appliesTo(definition, found.queue)) {
+    const field = definition.when.field;
+    return {
+      success: false,
+      status: 409,
+      message: `${definition.label} does not apply to ${found.queue.queue} (${field}: ${found.queue[field]}).`
+    };
+  }
+
+  const { procedure, params } = ACTION_PROCEDURES[action];
+  const result = await dataProvider.executeProcedure(procedure, {
+    QueueId: queueId,
+    ...params,
+    ...(action === 'retry' ? { StuckMinutes: loadConfig('queue-actions', 'stuckAfterMinutes', DEFAULT_STUCK_MINUTES) } : {}),
+    Reason: trimmedReason || '(no reason given)',
+    User: user
+  });
+
+  if (!result.success) {
+    console.error(`Error running ${action} on queue ${queueId}:`, result.error);
+    return { success: false, status: 500, message: `An error occurred while running ${definition.label.toLowerCase()} on the queue.` };
+  }
+
+  const record = (result.data || [])[0];
+  if (!record) {
+    return { success: false, status: 404, message: 'Queue not found.' };
+  }
+
+  const { affectedCount, actionId, ...row } = record;
+  if (actionId === null || actionId === undefined) {
+    // Another operator changed the queue between the check and the update
+    return { success: false, status: 409, message: `${row.queue} is already ${row.status}.` };
+  }
+
+  const [summaryRow] = await queueDepthService.withQueueGrowth(await queueAgeService.withQueueAges([row]));
+  return {
+    success: true,
+    message: describeResult(action, row, affectedCount),
+    row: summaryRow,
+    audit: { actionId, action, affectedCount }
+  };
+};
+
+/**
+ * List the audit log of queue actions
+ * @param {Object} options - { queueId, limit } - queueId null for every queue (default 100 entries)
+ * @returns {Promise<Object>} { success, actions } or { success: false, status, message }
+ */
+const listActions = async ({ queueId = null, limit = 100 } = {}) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETQueueActions', {
+    QueueId: queueId,
+    Top: Math.min(Math.max(1, limit), MAX_AUDIT_ENTRIES)
+  });
+
+  if (!result.success) {
+    console.error('Error loading queue actions:', result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading the queue actions.' };
+  }
+  return { success: true, actions: result.data || [] };
+};
+
+module.exports = {
+  ACTIONS,
+  getRowActions,
+  runAction,
+  listActions
+};
@@ -0,0 +1,135 @@
+/**
+ * File: queueAgeService.js
+ * Created: 2026-10-18
+ *
+ * Queue Age Service
+ *
+ * Message age of the CET queues: a queue holding three messages that wait for hours
+ * matters more than one holding two hundred fresh ones. Computed from the message ages
+ * (usp_GetCETMessageAges, measured on the database server's clock like the enqueue
+ * times themselves) and added to each queue summary row:
+ *
+ *   oldestMessageEnqueueTime - enqueue time of the oldest waiting message
+ *   oldestMessageAgeMinutes  - its age in whole minutes (null for an empty queue)
+ *   ageBuckets               - histogram [{ field, label, variant, count }]
+ *   <bucket field>           - the count of each bucket (ageUnder5m, ...), for filters and cards
+ *   slaStatus                - ok, warning or breached (from the oldest message)
+ *   slaBreached              - true when the oldest message is past the SLA
+ *
+ * Buckets and SLA limits are set in queue-sla.yaml.
+ */
+
+const dataProvider = require('./dataProviderService');
+const { loadConfig } = require('./configService');
+
+const DEFAULT_BUCKETS = [
+  { field: 'ageUnder5m', label: '< 5m', maxMinutes: 5, variant: 'success' },
+  { field: 'age5to30m', label: '5–30m', maxMinutes: 30, variant: 'info' },
+  { field: 'age30mTo2h', label: '30m–2h', maxMinutes: 120, variant: 'warning' },
+  { field: 'ageOver2h', label: '> 2h', variant: 'danger' }
+];
+
+const DEFAULT_SLA = { warningMinutes: 30, breachMinutes: 120 };
+
+/**
+ * Read the buckets and SLA limits of queue-sla.yaml
+ * @returns {Object} { buckets, sla: { warningMinutes, breachMinutes } }
+ */
+const loadSettings = () => {
+  const buckets = loadConfig('queue-sla', 'buckets', null);
+  return {
+    buckets: Array.isArray(buckets) && buckets.length ? buckets : DEFAULT_BUCKETS,
+    sla: { ...DEFAULT_SLA, ...(loadConfig('queue-sla', 'sla', {}) || {}) }
+  };
+};
+
+/**
+ * Age of a message in whole minutes
+ * @param {Object} message - Message age row ({ ageSeconds })
+ * @returns {number|null} Minutes since the message was enqueued, null without an age
+ */
+const ageMinutes = (message) => {
+  const seconds = Number(message.ageSeconds);
+  if (message.ageSeconds === null || message.ageSeconds === undefined || Number.isNaN(seconds)) return null;
+  return Math.max(0, Math.floor(seconds / 60));
+};
+
+/**
+ * SLA status of a queue from the age of its oldest message
+ * @param {number|null} oldestMinutes - Age of the oldest message (null when empty)
+ * @param {Object} sla - { warningMinutes, breachMinutes }
+ * @returns {string} ok, warning or breached
+ */
+const getSlaStatus = (oldestMinutes, sla) => {
+  if (oldestMinutes === null) return 'ok';
+  if (oldestMinutes >= sla.breachMinutes) return 'breached';
+  if (oldestMinutes >= sla.warningMinutes) return 'warning';
+  return 'ok';
+};
+
+/**
+ * Age figures of one queue
+ * @param {Array<Object>} messages - The queue's message ages ({ messageEnqueueTime, ageSeconds })
+ * @param {Object} settings - { buckets, sla }
+ * @returns {Object} Fields added to the summary row (see the file header)
+ */
+const summarise = (messages, { buckets, sla }) => {
+  const counts = buckets.map(() => 0);
+  let oldest = null;
+
+  messages.forEach(message => {
+    const age = ageMinutes(message);
+    if (age === null) return;
+
+    const index = buckets.findIndex(bucket => bucket.maxMinutes === undefined || bucket.maxMinutes === null || age < bucket.maxMinutes);
+    counts[index === -1 ? buckets.length - 1 : index]++;
+
+    if (!oldest || age > oldest.age) {
+      oldest = { age, enqueueTime: message.messageEnqueueTime };
+    }
+  });
+
+  const oldestMinutes = oldest ? oldest.age : null;
+  const slaStatus = getSlaStatus(oldestMinutes, sla);
+
+  return {
+    oldestMessageEnqueueTime: oldest ? oldest.enqueueTime : null,
+    oldestMessageAgeMinutes: oldestMinutes,
+    ageBuckets: buckets.map((bucket, index) => ({
+      field: bucket.field,
+      label: bucket.label,
+      variant: bucket.variant || 'secondary',
+      count: counts[index]
+    })),
+    ...Object.fromEntries(buckets.map((bucket, index) => [bucket.field, counts[index]])),
+    slaStatus,
+    slaBreached: slaStatus === 'breached'
+  };
+};
+
+/**
+ * Add the message age figures to queue summary rows
+ * The rows are returned unchanged when the message ages cannot be loaded.
+ * @param {Array<Object>} rows - Queue summary rows ({ id, ... })
+ * @returns {Promise<Array<Object>>} New rows with the age fields
+ */
+const withQueueAges = async (rows) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETMessageAges');
+  if (!result.success) {
+    console.error('Error loading messages for the queue ages:', result.error);
+    return rows;
+  }
+
+  const byQueue = new Map();
+  (result.data || []).forEach(message => {
+    if (!byQueue.has(message.queueId)) byQueue.set(message.queueId, []);
+    byQueue.get(message.queueId).push(message);
+  });
+
+  const settings = loadSettings();
+  return rows.map(row => ({ ...row, ...summarise(byQueue.get(row.id) || [], settings) }));
+};
+
+module.exports = {
+  withQueueAges
+};
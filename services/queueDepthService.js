@@ -0,0 +1,167 @@
+/**
+ * File: queueDepthService.js
+ * Created: 2026-10-18
+ *
+ * Queue Depth Service
+ *
+ * Queue depth over time, from the snapshots dbo.CETQueueDepthSnapshots receives with
+ * each dashboard snapshot (dashboardHistoryService.js): the depth of every queue and the
+ * messages enqueued and dequeued since the previous snapshot.
+ *
+ * getQueueHistory feeds the queue trend chart of /cet-queues (GET /api/history/queues).
+ * withQueueGrowth adds to each queue summary row, over the growth window of
+ * queue-depth.yaml:
+ *
+ *   depthChange  - depth now minus depth at the start of the window (null without snapshots)
+ *   enqueueRate  - messages enqueued per minute between the first and last snapshot
+ *   dequeueRate  - messages dequeued per minute between the first and last snapshot
+ *   growing      - true when an Enabled queue grew steadily (never went down) by at least
+ *                  minIncrease messages: its consumer has probably stopped
+ */
+
+const dataProvider = require('./dataProviderService');
+const { loadConfig } = require('./configService');
+const { resolveRange, listBuckets, alignValues } = require('./dashboardHistoryService');
+
+const DEFAULT_GROWTH = { windowMinutes: 60, minSnapshots: 4, minIncrease: 10 };
+
+/**
+ * Read the growth settings of queue-depth.yaml
+ * @returns {Object} { windowMinutes, minSnapshots, minIncrease }
+ */
+const loadGrowthSettings = () => ({
+  ...DEFAULT_GROWTH,
+  ...(loadConfig('queue-depth', 'growth', {}) || {})
+});
+
+/**
+ * Messages per minute
+ * @param {number} count - Messages
+ * @param {number} minutes - Time span
+ * @returns {number} Rate rounded to one decimal place
+ */
+const perMinute = (count, minutes) => Math.round((count / Math.max(1, minutes)) * 10) / 10;
+
+/**
+ * Queue depth over time, across all queues or for one queue
+ * @param {Object} options - { range, from, to, queueId } - as for dashboard history
+ * @returns {Promise<Object>} { success, from, to, bucketMinutes, queueId, buckets,
+ *   series: { messages, enqueued, dequeued, enqueueRate, dequeueRate } }
+ *   or { success: false, status, message } - rates are per minute
+ */
+const getQueueHistory = async (options = {}) => {
+  const window = resolveRange(options);
+  if (window.error) {
+    return { success: false, status: 400, message: window.error };
+  }
+
+  const result = await dataProvider.executeProcedure('usp_GetCETQueueDepthHistory', {
+    From: window.from,
+    To: window.to,
+    BucketMinutes: window.bucketMinutes,
+    QueueId: options.queueId || null,
+    ByQueue: 0
+  });
+
+  if (!result.success) {
+    console.error('Error loading queue depth history:', result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading queue depth history.' };
+  }
+
+  const buckets = listBuckets(window);
+  const rows = result.data || [];
+  const enqueued = alignValues(buckets, rows, 'enqueued');
+  const dequeued = alignValues(buckets, rows, 'dequeued');
+  const toRates = values => values.map(value => (value === null ? null : perMinute(value, window.bucketMinutes)));
+
+  return {
+    success: true,
+    from: window.from.toISOString(),
+    to: window.to.toISOString(),
+    bucketMinutes: window.bucketMinutes,
+    queueId: options.queueId || null,
+    buckets,
+    series: {
+      messages: alignValues(buckets, rows, 'messages'),
+      enqueued,
+      dequeued,
+      enqueueRate: toRates(enqueued),
+      dequeueRate: toRates(dequeued)
+    }
+  };
+};
+
+/**
+ * Trend figures of one queue over the growth window
+ * @param {Object} row - Queue summary row (current depth and status)
+ * @param {Array<Object>} snapshots - The queue's snapshots in the window, oldest first
+ * @param {Object} settings - { windowMinutes, minSnapshots, minIncrease }
+ * @returns {Object} { depthChange, enqueueRate, dequeueRate, growing } - the rates are null
+ *   until the window holds two snapshots
+ */
+const summariseTrend = (row, snapshots, settings) => {
+  if (!snapshots.length) {
+    return { depthChange: null, enqueueRate: null, dequeueRate: null, growing: false };
+  }
+
+  // The current depth closes the series
+  const depths = [...snapshots.map(snapshot => snapshot.messages), Number(row.messages) || 0];
+  const depthChange = depths[depths.length - 1] - depths[0];
+  const steady = depths.every((depth, index) => index === 0 || depth >= depths[index - 1]);
+
+  // A snapshot counts the messages since the one before it, so the first snapshot's counts
+  // fall before the window: the rates cover the later snapshots, over the time they span
+  const later = snapshots.slice(1);
+  const spanMinutes = (new Date(snapshots[snapshots.length - 1].bucketStart) - new Date(snapshots[0].bucketStart)) / 60000;
+  const rate = field => (later.length
+    ? perMinute(later.reduce((sum, snapshot) => sum + (snapshot[field] || 0), 0), spanMinutes)
+    : null);
+
+  return {
+    depthChange,
+    enqueueRate: rate('enqueued'),
+    dequeueRate: rate('dequeued'),
+    growing: row.status === 'Enabled' &&
+      snapshots.length >= settings.minSnapshots &&
+      steady &&
+      depthChange >= settings.minIncrease
+  };
+};
+
+/**
+ * Add the depth trend figures to queue summary rows
+ * The rows are returned with empty figures when the snapshots cannot be loaded.
+ * @param {Array<Object>} rows - Queue summary rows ({ id, status, messages, ... })
+ * @returns {Promise<Array<Object>>} New rows with depthChange, enqueueRate, dequeueRate and growing
+ */
+const withQueueGrowth = async (rows) => {
+  const settings = loadGrowthSettings();
+  const to = new Date();
+  const from = new Date(to.getTime() - settings.windowMinutes * 60000);
+
+  // One-minute buckets keep every snapshot apart
+  const result = await dataProvider.executeProcedure('usp_GetCETQueueDepthHistory', {
+    From: from,
+    To: to,
+    BucketMinutes: 1,
+    QueueId: null,
+    ByQueue: 1
+  });
+
+  if (!result.success) {
+    console.error('Error loading queue depth snapshots:', result.error);
+  }
+
+  const byQueue = new Map();
+  (result.success ? result.data || [] : []).forEach(snapshot => {
+    if (!byQueue.has(snapshot.queueId)) byQueue.set(snapshot.queueId, []);
+    byQueue.get(snapshot.queueId).push(snapshot);
+  });
+
+  return rows.map(row => ({ ...row, ...summariseTrend(row, byQueue.get(row.id) || [], settings) }));
+};
+
+module.exports = {
+  getQueueHistory,
+  withQueueGrowth
+};
@@ -0,0 +1,240 @@
+/**
+ * File: queueMessageService.js
+ * Created: 2026-10-18
+ *
+ * Queue Message Service
+ *
+ * Message inspector and replay of the /cet-queues message details. A message's content
+ * and processing state (headers, body, retry count, last error) come from
+ * dbo.CETMessagePayloads, which the CET engine writes when it enqueues or fails a message.
+ *
+ * Bodies are returned as received and pretty-printed (bodyFormat json, xml or text):
+ * JSON is re-indented, XML gets one element per line. Bodies that do not parse are shown
+ * as they are.
+ *
+ * Replaying enqueues messages again (usp_ReplayCETMessages). It needs a reason and one of
+ * the roles of messageActions.replay in queue-actions.yaml, and is recorded per queue in
+ * the queue action audit log (dbo.CETQueueActions).
+ */
+
+const dataProvider = require('./dataProviderService');
+const { loadConfig } = require('./configService');
+const { hasAnyRole } = require('./userService');
+
+const MAX_REASON_LENGTH = 1000;
+const MAX_REPLAY_MESSAGES = 200;
+const XML_INDENT = '  ';
+
+/**
+ * Read the replay definition of queue-actions.yaml
+ * @returns {Object} { label, icon, variant, roles, confirm, reason }
+ */
+const loadReplayAction = () => ({
+  label: 'Replay',
+  roles: [],
+  reason: 'required',
+  ...(loadConfig('queue-actions', 'messageActions.replay', {}) || {})
+});
+
+/**
+ * Replay action offered to a user on /cet-queues
+ * @param {Array<string>} roles - User's roles
+ * @returns {Object|null} { label, icon, variant, confirm, reason }, or null when the
+ *   user's roles do not allow replays
+ */
+const getReplayAction = (roles = []) => {
+  const definition = loadReplayAction();
+  if (!hasAnyRole(roles, definition.roles)) return null;
+
+  return {
+    label: definition.label,
+    icon: definition.icon || null,
+    variant: definition.variant || 'warning',
+    confirm: definition.confirm || null,
+    reason: definition.reason
+  };
+};
+
+/**
+ * Detect the format of a message body
+ * @param {string|null} body - Message body
+ * @param {string|null} contentType - Content type recorded by the engine
+ * @returns {string} json, xml or text
+ */
+const detectFormat = (body, contentType) => {
+  const type = String(contentType || '').toLowerCase();
+  const start = String(body || '').trimStart().charAt(0);
+
+  if (type.includes('json') || (!type && (start === '{' || start === '['))) return 'json';
+  if (type.includes('xml') || (!type && start === '<')) return 'xml';
+  return 'text';
+};
+
+/**
+ * Indent an XML document, one element per line
+ * Elements holding only text stay on one line: <Queue>CET/...</Queue>
+ * @param {string} xml - XML text
+ * @returns {string} Indented XML
+ */
+const formatXml = (xml) => {
+  const tokens = xml.replace(/>\s+</g, '><').trim().match(/<[^>]+>|[^<]+/g) || [];
+  const isOpening = token => /^<[^/!?][^>]*[^/]>$|^<[^/!?]>$/.test(token);
+  const isClosing = token => token.startsWith('</');
+  const lines = [];
+  let depth = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isOpening(token) && tokens[i + 2] && !tokens[i + 1].startsWith('<') && isClosing(tokens[i + 2])) {
+      lines.push(XML_INDENT.repeat(depth) + token + tokens[i + 1].trim() + tokens[i + 2]);
+      i += 2;
+    } else if (isClosing(token)) {
+      depth = Math.max(0, depth - 1);
+      lines.push(XML_INDENT.repeat(depth) + token);
+    } else {
+      lines.push(XML_INDENT.repeat(depth) + token.trim());
+      if (isOpening(token)) depth++;
+    }
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Pretty-print a message body
+ * @param {string|null} body - Message body
+ * @param {string} format - json, xml or text
+ * @returns {string|null} Formatted body (the body as received when it does not parse)
+ */
+const formatBody = (body, format) => {
+  if (body === null || body === undefined) return null;
+
+  if (format === 'json') {
+    try {
+      return JSON.stringify(JSON.parse(body), null, 2);
+    } catch (error) {
+      return body;
+    }
+  }
+  if (format === 'xml' && /^\s*</.test(body)) {
+    return formatXml(body);
+  }
+  return body;
+};
+
+/**
+ * Parse the headers recorded with a message
+ * @param {string|Object|null} headers - JSON object (as stored)
+ * @returns {Object} Headers ({} when none; { raw } when they are not a JSON object)
+ */
+const parseHeaders = (headers) => {
+  if (!headers) return {};
+  if (typeof headers === 'object') return headers;
+
+  try {
+    const parsed = JSON.parse(headers);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { raw: headers };
+  } catch (error) {
+    return { raw: headers };
+  }
+};
+
+/**
+ * Get one message with its content for the inspector
+ * @param {number} messageId - Message id
+ * @returns {Promise<Object>} { success, message } or { success: false, status, message }
+ *   message: { id, queueId, queue, app, appName, queueStatus, messageEnqueueTime,
+ *   criticalSection, contentType, headers, body, bodyFormat, formattedBody, retryCount,
+ *   lastError, lastErrorAt, hasPayload }
+ */
+const getMessage = async (messageId) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETMessage', { MessageId: messageId });
+  if (!result.success) {
+    console.error(`Error loading message ${messageId}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading the message.' };
+  }
+
+  const row = (result.data || [])[0];
+  if (!row) {
+    return { success: false, status: 404, message: 'Message not found.' };
+  }
+
+  const bodyFormat = detectFormat(row.body, row.contentType);
+  return {
+    success: true,
+    message: {
+      ...row,
+      headers: parseHeaders(row.headers),
+      bodyFormat,
+      formattedBody: formatBody(row.body, bodyFormat),
+      hasPayload: row.body !== null && row.body !== undefined
+    }
+  };
+};
+
+/**
+ * Replay messages: enqueue them again
+ * @param {Array<number>} messageIds - Message ids
+ * @param {Object} options - { user, roles, reason }
+ * @returns {Promise<Object>} { success, message, messages, missingIds } or
+ *   { success: false, status, message } - messages are the replayed rows
+ */
+const replayMessages = async (messageIds, { user, roles = [], reason } = {}) => {
+  const definition = loadReplayAction();
+  if (!hasAnyRole(roles, definition.roles)) {
+    return {
+      success: false,
+      status: 403,
+      message: `${definition.label} needs one of the roles: ${definition.roles.join(', ')}.`
+    };
+  }
+
+  const ids = Array.isArray(messageIds) ? [...new Set(messageIds.map(Number))] : [];
+  if (!ids.length || ids.some(id => !Number.isInteger(id) || id <= 0)) {
+    return { success: false, status: 400, message: 'messageIds must be a list of message ids.' };
+  }
+  if (ids.length > MAX_REPLAY_MESSAGES) {
+    return { success: false, status: 400, message: `Replay up to ${MAX_REPLAY_MESSAGES} messages at a time.` };
+  }
+
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmedReason && definition.reason === 'required') {
+    return { success: false, status: 400, message: 'A reason is required.' };
+  }
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    return { success: false, status: 400, message: `Reasons are limited to ${MAX_REASON_LENGTH} characters.` };
+  }
+
+  const result = await dataProvider.executeProcedure('usp_ReplayCETMessages', {
+    MessageIds: JSON.stringify(ids),
+    Reason: trimmedReason || '(no reason given)',
+    User: user
+  });
+
+  if (!result.success) {
+    console.error('Error replaying messages:', result.error);
+    return { success: false, status: 500, message: 'An error occurred while replaying the messages.' };
+  }
+
+  const messages = result.data || [];
+  if (!messages.length) {
+    return { success: false, status: 404, message: ids.length === 1 ? 'Message not found.' : 'None of the messages exist.' };
+  }
+
+  const replayedIds = new Set(messages.map(row => row.id));
+  const missingIds = ids.filter(id => !replayedIds.has(id));
+  return {
+    success: true,
+    message: `${messages.length} message(s) replayed.` +
+      (missingIds.length ? ` ${missingIds.length} skipped (no longer queued).` : ''),
+    messages,
+    missingIds
+  };
+};
+
+module.exports = {
+  getReplayAction,
+  formatBody,
+  getMessage,
+  replayMessages
+};
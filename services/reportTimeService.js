@@ -0,0 +1,222 @@
+/**
+ * File: reportTimeService.js
+ * Created: 2026-10-19
+ *
+ * Report Time Service
+ *
+ * Real timestamps for the CET Reports rows, whose times the source system stores as
+ * bare strings on its own clock (time zone set in report-times.yaml): segmentDate
+ * 'YYYYMMDD', and segmentTime, startTime and endTime 'HHMMSS'. Added to each row:
+ *
+ *   segmentAt      - ISO 8601 (UTC) time of the segment
+ *   startAt        - time the run started; the day after the segment when startTime is
+ *                    earlier than segmentTime (the run waited past midnight)
+ *   endAt          - time the run ended; the day after the start when endTime is earlier
+ *                    than startTime (the run crossed midnight)
+ *   elapsedSeconds - seconds from startAt to endAt
+ *
+ * Each is null when its fields do not parse. toPagedParams translates the paged
+ * procedure filters on segmentAt into the segmentDate filters the procedure accepts.
+ */
+
+const { loadConfig } = require('./configService');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Date formatters by time zone, used to find the zone's UTC offset at a given time
+const zoneFormatters = new Map();
+
+/**
+ * Formatter giving the wall-clock parts of a time in a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat|null} Formatter, or null for an unknown time zone
+ */
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
+    } catch (error) {
+      formatter = null;
+    }
+    zoneFormatters.set(timeZone, formatter);
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+/**
+ * Read the time zone of report-times.yaml
+ * @returns {string|null} IANA time zone, or null for the server's time zone
+ */
+const loadTimeZone = () => {
+  const timeZone = loadConfig('report-times', 'timezone', null) || null;
+  if (timeZone && !getZoneFormatter(timeZone)) {
+    console.warn(`Unknown report time zone "${timeZone}", using the server time zone`);
+    return null;
+  }
+  return timeZone;
+};
+
+/**
+ * UTC offset of a time zone at a given time
+ * @param {number} time - Time in milliseconds
+ * @param {string|null} timeZone - IANA time zone (null: the server's time zone)
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getZoneOffset = (time, timeZone) => {
+  if (!timeZone) {
+    return -new Date(time).getTimezoneOffset() * 60000;
+  }
+
+  const parts = {};
+  getZoneFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Parse a 'YYYYMMDD' date
+ * @param {string} value - Date string
+ * @returns {Object|null} { year, month, day }, or null when it is not a calendar date
+ */
+const parseDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  return { year, month, day };
+};
+
+/**
+ * Parse an 'HHMMSS' time
+ * @param {string} value - Time string
+ * @returns {number|null} Seconds since midnight, or null when it is not a time of day
+ */
+const parseTime = (value) => {
+  const match = /^(\d{2})(\d{2})(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+
+  const [hours, minutes, seconds] = match.slice(1).map(Number);
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+/**
+ * Time of a wall-clock date and time in a time zone
+ * Wall-clock times skipped by a daylight saving change resolve to the time after the
+ * change; times repeated by it resolve to their first occurrence.
+ * @param {Object} date - { year, month, day }
+ * @param {number} seconds - Seconds since midnight (past one day rolls to the next days)
+ * @param {string|null} timeZone - IANA time zone (null: the server's time zone)
+ * @returns {number} Time in milliseconds
+ */
+const toTime = ({ year, month, day }, seconds, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, 0, seconds);
+  const firstOffset = getZoneOffset(wallClock, timeZone);
+  const offset = getZoneOffset(wallClock - firstOffset, timeZone);
+  const time = wallClock - offset;
+
+  // A skipped time has no offset of its own: the offset before the change moves it past the gap
+  return getZoneOffset(time, timeZone) === offset ? time : wallClock - firstOffset;
+};
+
+/**
+ * Timestamps of one report row
+ * @param {Object} row - Report row ({ segmentDate, segmentTime, startTime, endTime })
+ * @param {string|null} timeZone - IANA time zone of the report clock
+ * @returns {Object} { segmentAt, startAt, endAt, elapsedSeconds }
+ */
+const toTimestamps = (row, timeZone) => {
+  const date = parseDate(row.segmentDate);
+  const segment = parseTime(row.segmentTime);
+  const start = parseTime(row.startTime);
+  const end = parseTime(row.endTime);
+
+  if (!date) {
+    return { segmentAt: null, startAt: null, endAt: null, elapsedSeconds: null };
+  }
+
+  // Seconds since midnight of the segment date, each time no earlier than the one before it
+  let startSeconds = null;
+  if (start !== null) {
+    startSeconds = segment !== null && start < segment ? start + DAY_SECONDS : start;
+  }
+  let endSeconds = null;
+  if (end !== null && startSeconds !== null) {
+    endSeconds = end + Math.floor(startSeconds / DAY_SECONDS) * DAY_SECONDS;
+    if (endSeconds < startSeconds) endSeconds += DAY_SECONDS;
+  }
+
+  const toIso = seconds => (seconds === null ? null : new Date(toTime(date, seconds, timeZone)).toISOString());
+  const startAt = toIso(startSeconds);
+  const endAt = toIso(endSeconds);
+
+  // A start skipped by a daylight saving change moves past the gap, possibly past the end
+  return {
+    segmentAt: toIso(segment),
+    startAt,
+    endAt,
+    elapsedSeconds: startAt && endAt ? Math.max(0, (Date.parse(endAt) - Date.parse(startAt)) / 1000) : null
+  };
+};
+
+/**
+ * Add the timestamps to report rows
+ * @param {Array<Object>} rows - Report rows
+ * @returns {Array<Object>} New rows with segmentAt, startAt, endAt and elapsedSeconds
+ */
+const withReportTimestamps = (rows) => {
+  const timeZone = loadTimeZone();
+  return rows.map(row => ({ ...row, ...toTimestamps(row, timeZone) }));
+};
+
+/**
+ * Translate paged procedure parameters for the timestamp columns
+ * A segmentAt filter (date range bounds 'YYYY-MM-DD', as sent by the dateRange filter)
+ * becomes a segmentDate filter with 'YYYYMMDD' bounds: whole days of the report clock.
+ * Sorting by segmentAt, startAt or endAt is done by the procedure itself.
+ * @param {Object} params - Paged procedure parameters from serverSideService.parseDataTablesRequest
+ * @returns {Object} Parameters for the paged procedure
+ */
+const toPagedParams = (params) => {
+  if (!params.Filters) return params;
+
+  let filters;
+  try {
+    filters = JSON.parse(params.Filters);
+  } catch (error) {
+    return params;
+  }
+  if (!filters.segmentAt) return params;
+
+  const toDay = value => (/^\d{4}-\d{2}-\d{2}$/.test(value || '') ? value.replace(/-/g, '') : null);
+  const { segmentAt, ...rest } = filters;
+  const min = toDay(segmentAt.min);
+  const max = toDay(segmentAt.max);
+  if (min || max) {
+    rest.segmentDate = { ...rest.segmentDate, min, max };
+  }
+
+  return {
+    ...params,
+    Filters: Object.keys(rest).length > 0 ? JSON.stringify(rest) : null
+  };
+};
+
+module.exports = {
+  withReportTimestamps,
+  toPagedParams
+};
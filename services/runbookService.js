@@ -0,0 +1,331 @@
+/**
+ * File: runbookService.js
+ * Created: 2026-10-18
+ *
+ * Runbook Service
+ *
+ * Registry of runbook and knowledge-base links (dbo.CETRunbooks), matched to the issue
+ * rows of /cet-issues so operators find the remediation steps next to the alert.
+ * An entry sets one or more criteria; it matches a row when all of them match:
+ *
+ *   category    - alerts, disabled, behind or slow (the issues dataset)
+ *   application - CET application number, compared with the row's application
+ *   pattern     - text the alert must contain (case-insensitive); * stands for any text
+ *                 and | separates alternatives, e.g. 'ESR_*_INBOUND|Connection timeout'
+ *
+ *   { title: 'Re-enable a disabled queue', category: 'disabled' }
+ *   → every disabled queue issue
+ *   { title: 'ESR inbound queue', application: '1097', pattern: 'ESR_PRIMARY_INBOUND' }
+ *   → alerts of application 1097 mentioning ESR_PRIMARY_INBOUND, in any category
+ *
+ * Patterns are matched as plain text, not as regular expressions: they are saved by any
+ * user, and matching stays linear in the alert length whatever the pattern.
+ *
+ * Matching entries are listed most specific first (most criteria set), then by title.
+ * Entries hold a link (url), remediation steps as text, or both. Inactive entries stay
+ * in the registry without being matched.
+ */
+
+const dataProvider = require('./dataProviderService');
+const { loadConfig } = require('./configService');
+const { ISSUE_TYPES } = require('./issueWorkflowService');
+
+// Issue datasets a runbook can be limited to
+const CATEGORIES = Object.keys(ISSUE_TYPES);
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_URL_LENGTH = 500;
+const MAX_STEPS_LENGTH = 4000;
+const MAX_APPLICATION_LENGTH = 50;
+const MAX_PATTERN_LENGTH = 500;
+
+/**
+ * Convert a runbook record for the API
+ * @param {Object} row - Record from the runbook procedures
+ * @returns {Object} Runbook with active as a boolean
+ */
+const toRunbook = (row) => ({
+  runbookId: row.runbookId,
+  title: row.title,
+  url: row.url || null,
+  steps: row.steps || null,
+  category: row.category || null,
+  application: row.application || null,
+  pattern: row.pattern || null,
+  active: Boolean(row.active),
+  createdBy: row.createdBy,
+  createdAt: row.createdAt,
+  updatedBy: row.updatedBy,
+  updatedAt: row.updatedAt
+});
+
+/**
+ * Trim an optional text field
+ * @param {*} value - Posted value
+ * @returns {string|null} Trimmed text, null when empty or not a string
+ */
+const optionalText = (value) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed || null;
+};
+
+/**
+ * Check and normalize a posted runbook
+ * @param {Object} body - { title, url, steps, category, application, pattern, active }
+ * @returns {Object} { values } or { error: { success: false, status, message } }
+ */
+const validateRunbook = (body = {}) => {
+  const invalid = (message) => ({ error: { success: false, status: 400, message } });
+
+  const values = {
+    title: optionalText(body.title),
+    url: optionalText(body.url),
+    steps: optionalText(body.steps),
+    category: optionalText(body.category),
+    application: optionalText(body.application === undefined || body.application === null ? null : String(body.application)),
+    pattern: optionalText(body.pattern),
+    active: body.active === undefined ? true : body.active === true || body.active === 'true' || body.active === 1 || body.active === '1'
+  };
+
+  if (!values.title) return invalid('A title is required.');
+  if (values.title.length > MAX_TITLE_LENGTH) return invalid(`Titles are limited to ${MAX_TITLE_LENGTH} characters.`);
+  if (!values.url && !values.steps) return invalid('Add a link, remediation steps, or both.');
+  if (values.url && (values.url.length > MAX_URL_LENGTH || !/^https?:\/\/\S+$/i.test(values.url))) {
+    return invalid(`The link must be an http(s) URL of up to ${MAX_URL_LENGTH} characters.`);
+  }
+  if (values.steps && values.steps.length > MAX_STEPS_LENGTH) {
+    return invalid(`Remediation steps are limited to ${MAX_STEPS_LENGTH} characters.`);
+  }
+  if (values.category && !CATEGORIES.includes(values.category)) {
+    return invalid(`Unknown category: ${values.category}. Use one of ${CATEGORIES.join(', ')}.`);
+  }
+  if (values.application && values.application.length > MAX_APPLICATION_LENGTH) {
+    return invalid(`Applications are limited to ${MAX_APPLICATION_LENGTH} characters.`);
+  }
+  if (values.pattern) {
+    if (values.pattern.length > MAX_PATTERN_LENGTH) {
+      return invalid(`Patterns are limited to ${MAX_PATTERN_LENGTH} characters.`);
+    }
+    if (!compilePattern(values.pattern)) {
+      return invalid('The pattern needs some text besides * and |.');
+    }
+  }
+  if (!values.category && !values.application && !values.pattern) {
+    return invalid('Set a category, an application or a pattern, so the runbook does not match every issue.');
+  }
+
+  return { values };
+};
+
+/**
+ * List the runbook entries
+ * @param {Object} options - { activeOnly } - leave out inactive entries (default false)
+ * @returns {Promise<Object>} { success, runbooks } or { success: false, status, message }
+ */
+const listRunbooks = async ({ activeOnly = false } = {}) => {
+  const result = await dataProvider.executeProcedure('usp_GetCETRunbooks', { ActiveOnly: activeOnly ? 1 : 0 });
+  if (!result.success) {
+    console.error('Error loading runbooks:', result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading the runbooks.' };
+  }
+
+  return { success: true, runbooks: (result.data || []).map(toRunbook) };
+};
+
+/**
+ * Get one runbook entry
+ * @param {number} runbookId - Runbook id
+ * @returns {Promise<Object>} { success, runbook } or { success: false, status, message }
+ */
+const getRunbook = async (runbookId) => {
+  const result = await listRunbooks();
+  if (!result.success) return result;
+
+  const runbook = result.runbooks.find(entry => entry.runbookId === runbookId);
+  return runbook
+    ? { success: true, runbook }
+    : { success: false, status: 404, message: 'Runbook not found.' };
+};
+
+/**
+ * Create or update a runbook entry
+ * @param {Object} body - { title, url, steps, category, application, pattern, active }
+ * @param {string} user - Current user (recorded as creator or last editor)
+ * @param {number|null} runbookId - Entry to update (null creates one)
+ * @returns {Promise<Object>} { success, runbook } or { success: false, status, message }
+ */
+const saveRunbook = async (body, user, runbookId = null) => {
+  const { values, error } = validateRunbook(body);
+  if (error) return error;
+
+  const result = await dataProvider.executeProcedure('usp_SaveCETRunbook', {
+    RunbookId: runbookId,
+    Title: values.title,
+    Url: values.url,
+    Steps: values.steps,
+    Category: values.category,
+    Application: values.application,
+    Pattern: values.pattern,
+    Active: values.active ? 1 : 0,
+    User: user
+  });
+
+  if (!result.success) {
+    console.error(`Error saving runbook "${values.title}":`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while saving the runbook.' };
+  }
+
+  const row = (result.data || [])[0];
+  if (!row) {
+    return { success: false, status: 404, message: 'Runbook not found.' };
+  }
+  return { success: true, runbook: toRunbook(row) };
+};
+
+/**
+ * Delete a runbook entry
+ * @param {number} runbookId - Runbook id
+ * @returns {Promise<Object>} { success } or { success: false, status, message }
+ */
+const deleteRunbook = async (runbookId) => {
+  const result = await dataProvider.executeProcedure('usp_DeleteCETRunbook', { RunbookId: runbookId });
+  if (!result.success) {
+    console.error(`Error deleting runbook ${runbookId}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while deleting the runbook.' };
+  }
+  if (!((result.data || [])[0] || {}).deleted) {
+    return { success: false, status: 404, message: 'Runbook not found.' };
+  }
+  return { success: true };
+};
+
+/**
+ * Compile a runbook pattern
+ * @param {string} pattern - Alternatives separated by |, each with * standing for any text
+ * @returns {Array<Array<string>>|null} Per alternative, the lowercase pieces between the
+ *   wildcards; null when no alternative has any text
+ */
+const compilePattern = (pattern) => {
+  const alternatives = pattern.toLowerCase().split('|')
+    .map(alternative => alternative.split('*').map(piece => piece.trim()).filter(Boolean))
+    .filter(pieces => pieces.length > 0);
+  return alternatives.length > 0 ? alternatives : null;
+};
+
+/**
+ * Test a compiled pattern against a text
+ * Each piece of an alternative is looked up after the previous one; the first match
+ * leaves the most room for the next pieces, so one pass per alternative is enough.
+ * @param {Array<Array<string>>} alternatives - Compiled pattern
+ * @param {string} text - Alert text
+ * @returns {boolean} True when an alternative matches
+ */
+const matchesPattern = (alternatives, text) => {
+  const lower = text.toLowerCase();
+  return alternatives.some(pieces => {
+    let from = 0;
+    return pieces.every(piece => {
+      const index = lower.indexOf(piece, from);
+      if (index === -1) return false;
+      from = index + piece.length;
+      return true;
+    });
+  });
+};
+
+/**
+ * Compile the patterns of the runbook entries
+ * @param {Array<Object>} runbooks - Runbook entries
+ * @returns {Array<Object>} Entries with a compiled pattern (null without pattern); entries
+ *   whose pattern has no text are left out
+ */
+const compileRunbooks = (runbooks) => {
+  return runbooks.reduce((compiled, runbook) => {
+    const matcher = runbook.pattern ? compilePattern(runbook.pattern) : null;
+    if (runbook.pattern && !matcher) {
+      console.warn(`Runbook ${runbook.runbookId} ignored: its pattern has no text`);
+    } else {
+      compiled.push({ ...runbook, matcher });
+    }
+    return compiled;
+  }, []);
+};
+
+/**
+ * Runbook entries matching one issue row
+ * @param {Array<Object>} compiled - Compiled runbook entries
+ * @param {string} category - Category (alerts, disabled, behind, slow)
+ * @param {Object} row - Issue row
+ * @param {string} textField - Field holding the alert text
+ * @returns {Array<Object>} { runbookId, title, url, steps }, most specific first
+ */
+const matchRow = (compiled, category, row, textField) => {
+  const text = typeof row[textField] === 'string' ? row[textField] : '';
+  const criteria = runbook => [runbook.category, runbook.application, runbook.pattern].filter(Boolean).length;
+
+  return compiled
+    .filter(runbook =>
+      (!runbook.category || runbook.category === category) &&
+      (!runbook.application || runbook.application === String(row.application ?? '')) &&
+      (!runbook.matcher || matchesPattern(runbook.matcher, text)))
+    .sort((a, b) => criteria(b) - criteria(a) || a.title.localeCompare(b.title))
+    .map(({ runbookId, title, url, steps }) => ({ runbookId, title, url, steps }));
+};
+
+/**
+ * Add the matching runbooks to each issue row (runbooks field)
+ * The rows are returned with empty lists when the runbooks cannot be loaded.
+ * @param {string} category - Category (alerts, disabled, behind, slow)
+ * @param {Array<Object>} rows - Issue rows
+ * @param {string} textField - Field holding the alert text (default: alert)
+ * @returns {Promise<Array<Object>>} New rows with a runbooks list
+ */
+const withRunbooks = async (category, rows, textField = 'alert') => {
+  const result = await listRunbooks({ activeOnly: true });
+  const compiled = result.success ? compileRunbooks(result.runbooks) : [];
+
+  return rows.map(row => ({ ...row, runbooks: matchRow(compiled, category, row, textField) }));
+};
+
+/**
+ * Active runbooks of some categories, for the info modals
+ * Entries without a category apply to every category and are included.
+ * @param {Array<string>} categories - Categories (default: all)
+ * @returns {Promise<Array<Object>>} Runbook entries, by title ([] when they cannot be loaded)
+ */
+const getRunbooksFor = async (categories = CATEGORIES) => {
+  const result = await listRunbooks({ activeOnly: true });
+  if (!result.success) return [];
+
+  return result.runbooks.filter(runbook => !runbook.category || categories.includes(runbook.category));
+};
+
+/**
+ * Get all data needed for the runbooks admin page
+ * @returns {Promise<Object>} Runbook entries and configurations
+ */
+const getRunbooksAdminData = async () => {
+  const result = await listRunbooks();
+
+  return {
+    runbooks: result.success ? result.runbooks : [],
+    columns: loadConfig('runbooks-columns', 'runbooks', []),
+    filterConfig: loadConfig('runbooks-filters'),
+    ariaConfig: loadConfig('runbooks-aria'),
+    formConfig: loadConfig('runbooks-admin-form', null, {}),
+    currentView: 'runbooks'
+  };
+};
+
+module.exports = {
+  CATEGORIES,
+  validateRunbook,
+  listRunbooks,
+  getRunbook,
+  saveRunbook,
+  deleteRunbook,
+  withRunbooks,
+  getRunbooksFor,
+  getRunbooksAdminData
+};
@@ -0,0 +1,261 @@
+/**
+ * File: savedViewService.js
+ * Created: 2026-10-18
+ *
+ * Saved View Service
+ *
+ * Named views of the dashboard tables, stored per user in dbo.CETSavedViews so they
+ * follow the user across browsers (filters and selection are otherwise kept in
+ * localStorage only). A view holds what the table's view picker captures
+ * (public/js/kit-extensions/datatable-kit/table-feature-saved-views.js):
+ *
+ *   {
+ *     search: { mode: 'simple', query: 'ESR' },   // simple, regex or operator
+ *     order: [[2, 'desc']],                       // DataTables order
+ *     filters: { "3": "Enabled" },                // see DataTableFilters.getFilterValues
+ *     hidden: [5, 6],                             // hidden column indexes
+ *     columnOrder: [0, 2, 1, ...]                 // null without the ColReorder extension
+ *   }
+ *
+ * Views are private unless shared with the team; only the owner can change or delete
+ * a view. Every user can pick one view (own or shared) to open a table with.
+ */
+
+const dataProvider = require('./dataProviderService');
+
+const SEARCH_MODES = ['simple', 'regex', 'operator'];
+
+// DataTable element ids (see views/partials/datatable.ejs)
+const TABLE_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,99}$/;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_STATE_LENGTH = 20000;
+
+/**
+ * Keep the column indexes of a list
+ * @param {*} value - Candidate list
+ * @returns {Array<number>} Non-negative integers
+ */
+const toColumnIndexes = (value) => {
+  return Array.isArray(value) ? value.filter(index => Number.isInteger(index) && index >= 0) : [];
+};
+
+/**
+ * Reduce a posted view to the fields the view picker applies
+ * @param {Object} state - View state from the request body
+ * @returns {Object|null} Normalized state, or null when it is not an object
+ */
+const normalizeState = (state) => {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    return null;
+  }
+
+  const search = state.search && typeof state.search === 'object' ? state.search : {};
+  const filters = state.filters && typeof state.filters === 'object' && !Array.isArray(state.filters) ? state.filters : {};
+  const columnOrder = toColumnIndexes(state.columnOrder);
+
+  return {
+    search: {
+      mode: SEARCH_MODES.includes(search.mode) ? search.mode : 'simple',
+      query: typeof search.query === 'string' ? search.query : ''
+    },
+    order: Array.isArray(state.order)
+      ? state.order
+        .filter(entry => Array.isArray(entry) && Number.isInteger(entry[0]) && entry[0] >= 0)
+        .map(([column, dir]) => [column, dir === 'desc' ? 'desc' : 'asc'])
+      : [],
+    filters: Object.fromEntries(Object.entries(filters).filter(([column]) => /^\d+$/.test(column))),
+    hidden: toColumnIndexes(state.hidden),
+    columnOrder: columnOrder.length ? columnOrder : null
+  };
+};
+
+/**
+ * Convert a saved view record for the API
+ * @param {Object} row - Record from the saved view procedures
+ * @param {string} user - Current user
+ * @returns {Object} { viewId, tableId, name, owner, shared, isDefault, isOwner, state, createdAt, updatedAt }
+ */
+const toView = (row, user) => {
+  let state = null;
+  try {
+    state = JSON.parse(row.viewState);
+  } catch (error) {
+    console.error(`Invalid state of saved view ${row.viewId}:`, error.message);
+  }
+
+  return {
+    viewId: row.viewId,
+    tableId: row.tableId,
+    name: row.name,
+    owner: row.owner,
+    shared: Boolean(row.shared),
+    isDefault: Boolean(row.isDefault),
+    isOwner: row.owner === user,
+    state,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt
+  };
+};
+
+/**
+ * Check a table id
+ * @param {string} tableId - DataTable element id
+ * @returns {Object|null} { success: false, status, message } when invalid
+ */
+const validateTableId = (tableId) => {
+  return TABLE_ID_PATTERN.test(tableId || '')
+    ? null
+    : { success: false, status: 400, message: `Invalid table id: ${tableId}` };
+};
+
+/**
+ * List the views of a table a user can load (own and shared)
+ * @param {string} tableId - DataTable element id
+ * @param {string} user - Current user
+ * @returns {Promise<Object>} { success, views } or { success: false, status, message }
+ */
+const listViews = async (tableId, user) => {
+  const invalid = validateTableId(tableId);
+  if (invalid) return invalid;
+
+  const result = await dataProvider.executeProcedure('usp_GetCETSavedViews', { TableId: tableId, User: user });
+  if (!result.success) {
+    console.error(`Error loading saved views of ${tableId}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while loading the saved views.' };
+  }
+
+  return { success: true, views: (result.data || []).map(row => toView(row, user)) };
+};
+
+/**
+ * Create or update a view owned by the user
+ * @param {string} tableId - DataTable element id
+ * @param {string} user - Current user (the owner)
+ * @param {Object} body - { name, shared, state, isDefault }
+ * @param {number|null} viewId - View to update (null creates one)
+ * @returns {Promise<Object>} { success, view } or { success: false, status, message }
+ */
+const saveView = async (tableId, user, body = {}, viewId = null) => {
+  const invalid = validateTableId(tableId);
+  if (invalid) return invalid;
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) {
+    return { success: false, status: 400, message: 'A view name is required.' };
+  }
+  if (name.length > MAX_NAME_LENGTH) {
+    return { success: false, status: 400, message: `View names are limited to ${MAX_NAME_LENGTH} characters.` };
+  }
+
+  const state = normalizeState(body.state);
+  if (!state) {
+    return { success: false, status: 400, message: 'The view state must be an object.' };
+  }
+  const viewState = JSON.stringify(state);
+  if (viewState.length > MAX_STATE_LENGTH) {
+    return { success: false, status: 400, message: 'The view is too large to save.' };
+  }
+
+  // Names are unique per owner and table
+  const existing = await listViews(tableId, user);
+  if (!existing.success) return existing;
+  const sameName = existing.views.find(view => view.isOwner && view.name.toLowerCase() === name.toLowerCase());
+  if (sameName && sameName.viewId !== viewId) {
+    return { success: false, status: 409, message: `You already have a view named "${sameName.name}".` };
+  }
+
+  const result = await dataProvider.executeProcedure('usp_SaveCETSavedView', {
+    ViewId: viewId,
+    TableId: tableId,
+    Name: name,
+    Owner: user,
+    Shared: body.shared ? 1 : 0,
+    ViewState: viewState
+  });
+
+  if (!result.success) {
+    console.error(`Error saving view "${name}" of ${tableId}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while saving the view.' };
+  }
+
+  const row = (result.data || [])[0];
+  if (!row) {
+    return { success: false, status: 404, message: 'View not found, or it is not one of your views.' };
+  }
+
+  const view = toView(row, user);
+  if (body.isDefault !== undefined && Boolean(body.isDefault) !== view.isDefault) {
+    const defaultResult = await setDefaultView(tableId, user, body.isDefault ? view.viewId : null);
+    if (!defaultResult.success) return defaultResult;
+    view.isDefault = Boolean(body.isDefault);
+  }
+
+  return { success: true, view };
+};
+
+/**
+ * Delete a view owned by the user
+ * @param {string} tableId - DataTable element id
+ * @param {string} user - Current user (the owner)
+ * @param {number} viewId - View to delete
+ * @returns {Promise<Object>} { success } or { success: false, status, message }
+ */
+const deleteView = async (tableId, user, viewId) => {
+  const invalid = validateTableId(tableId);
+  if (invalid) return invalid;
+
+  const result = await dataProvider.executeProcedure('usp_DeleteCETSavedView', {
+    ViewId: viewId,
+    TableId: tableId,
+    Owner: user
+  });
+
+  if (!result.success) {
+    console.error(`Error deleting saved view ${viewId} of ${tableId}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while deleting the view.' };
+  }
+  if (!((result.data || [])[0] || {}).deleted) {
+    return { success: false, status: 404, message: 'View not found, or it is not one of your views.' };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Set the view the user opens a table with
+ * @param {string} tableId - DataTable element id
+ * @param {string} user - Current user
+ * @param {number|null} viewId - Own or shared view (null clears the default)
+ * @returns {Promise<Object>} { success, viewId } or { success: false, status, message }
+ */
+const setDefaultView = async (tableId, user, viewId) => {
+  const invalid = validateTableId(tableId);
+  if (invalid) return invalid;
+
+  const result = await dataProvider.executeProcedure('usp_SetCETSavedViewDefault', {
+    TableId: tableId,
+    User: user,
+    ViewId: viewId
+  });
+
+  if (!result.success) {
+    console.error(`Error setting the default view of ${tableId}:`, result.error);
+    return { success: false, status: 500, message: 'An error occurred while setting the default view.' };
+  }
+
+  const row = (result.data || [])[0];
+  if (!row) {
+    return { success: false, status: 404, message: 'View not found.' };
+  }
+  return { success: true, viewId: row.viewId ?? null };
+};
+
+module.exports = {
+  SEARCH_MODES,
+  normalizeState,
+  listViews,
+  saveView,
+  deleteView,
+  setDefaultView
+};
@@ -0,0 +1,196 @@
+/**
+ * File: serverSideService.js
+ * Created: 2026-10-18
+ *
+ * Server-Side Processing Service
+ *
+ * Translates DataTables server-side requests (draw/start/length/order/search/columns)
+ * into the parameters of the paged stored procedures, and their two result sets
+ * back into a DataTables response.
+ *
+ * PAGED PROCEDURE CONTRACT (see database/sprocs/17_*, 18_*):
+ * Parameters: @Start, @Length, @OrderColumn, @OrderDir, @Search, @Filters (JSON)
+ * Result set 1: the requested page of rows
+ * Result set 2: one row with recordsTotal, recordsFiltered and aggregates named
+ *               <column>_<aggregation> (sum, average, min, max, count, countUnique)
+ *
+ * FILTERS:
+ * @Filters is a JSON object keyed by column data name. Each entry may contain:
+ * - value: contains match (text filters, plain column search)
+ * - exact: equality (select filters, anchored regex searches such as '^ESR$')
+ * - in:    list of allowed values (multi-select filters, '^(a|b)$' searches)
+ * - min/max: inclusive bounds (range and dateRange filters)
+ */
+
+// Upper bound for a single page, so a client cannot ask for an unbounded page size.
+// A length of -1 ("All") is capped too: server-side tables do not offer it.
+const MAX_PAGE_LENGTH = 1000;
+
+// Column names are passed to the procedure as data, but keep them to identifiers anyway
+const COLUMN_NAME_PATTERN = /^\w+$/;
+
+/**
+ * DataTables serialises arrays as objects with numeric keys when they are long
+ * enough to exceed the query parser's array limit; normalise both forms
+ * @param {Array|Object} value - Array-like request value
+ * @returns {Array} Array of entries
+ */
+const toArray = (value) => {
+  if (!value) return [];
+  return Array.isArray(value) ? value : Object.values(value);
+};
+
+/**
+ * Unescape a string escaped with $.fn.dataTable.util.escapeRegex
+ * @param {string} value - Escaped value
+ * @returns {string} Literal value
+ */
+const unescapeRegex = (value) => value.replace(/\\(.)/g, '$1');
+
+/**
+ * Convert a DataTables column search into a filter entry
+ * Anchored regex searches produced by the filters feature and page scripts
+ * ('^value$' and '^(a|b)$') become exact / in filters; anything else is a contains match.
+ * @param {string} value - Search value
+ * @param {boolean} isRegex - Whether the search was sent as a regex
+ * @returns {Object|null} Filter entry
+ */
+const columnSearchToFilter = (value, isRegex) => {
+  if (!value) return null;
+
+  if (isRegex) {
+    const listMatch = value.match(/^\^\((.*)\)\$$/);
+    if (listMatch) {
+      return { in: listMatch[1].split(/(?<!\\)\|/).map(unescapeRegex) };
+    }
+
+    const exactMatch = value.match(/^\^(.*)\$$/);
+    if (exactMatch) {
+      return { exact: unescapeRegex(exactMatch[1]) };
+    }
+  }
+
+  return { value };
+};
+
+/**
+ * Convert an entry of DataTableFilters.activeFilters into a filter entry
+ * @param {Object} activeFilter - { type, value } as stored by the filters feature
+ * @returns {Object|null} Filter entry
+ */
+const activeFilterToFilter = ({ type, value } = {}) => {
+  switch (type) {
+    case 'text':
+    case 'date':
+      return value ? { value } : null;
+
+    case 'select':
+      return value ? { exact: value } : null;
+
+    case 'multi-select':
+      return Array.isArray(value) && value.length > 0 ? { in: value } : null;
+
+    case 'range':
+    case 'dateRange':
+      return value && (value.min || value.max)
+        ? { min: value.min || null, max: value.max || null }
+        : null;
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Parse a DataTables server-side request into paged procedure parameters
+ * @param {Object} query - Express req.query (or req.body for POST)
+ * @returns {Object} { draw, params } where params are the procedure parameters
+ */
+const parseDataTablesRequest = (query = {}) => {
+  const columns = toArray(query.columns);
+  const order = toArray(query.order)[0];
+
+  const start = Math.max(0, parseInt(query.start) || 0);
+  let length = parseInt(query.length);
+  if (isNaN(length) || length < 0 || length > MAX_PAGE_LENGTH) {
+    length = MAX_PAGE_LENGTH;
+  }
+
+  // Sort column (DataTables sends the index into columns[])
+  let orderColumn = null;
+  let orderDir = 'ASC';
+  if (order) {
+    const column = columns[parseInt(order.column)];
+    if (column && COLUMN_NAME_PATTERN.test(column.data) && column.orderable !== 'false') {
+      orderColumn = column.data;
+      orderDir = String(order.dir).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+    }
+  }
+
+  // Column filters: plain column searches first, then the typed filters from the filters feature
+  const filters = {};
+  columns.forEach(column => {
+    if (!column || !COLUMN_NAME_PATTERN.test(column.data)) return;
+    const search = column.search || {};
+    const filter = columnSearchToFilter(search.value, search.regex === 'true' || search.regex === true);
+    if (filter) {
+      filters[column.data] = filter;
+    }
+  });
+
+  let activeFilters = {};
+  if (query.filters) {
+    try {
+      activeFilters = typeof query.filters === 'string' ? JSON.parse(query.filters) : query.filters;
+    } catch (error) {
+      activeFilters = {};
+    }
+  }
+  Object.entries(activeFilters).forEach(([columnIndex, activeFilter]) => {
+    const column = columns[parseInt(columnIndex)];
+    if (!column || !COLUMN_NAME_PATTERN.test(column.data)) return;
+    const filter = activeFilterToFilter(activeFilter);
+    if (filter) {
+      filters[column.data] = { ...filters[column.data], ...filter };
+    }
+  });
+
+  return {
+    draw: parseInt(query.draw) || 0,
+    params: {
+      Start: start,
+      Length: length,
+      OrderColumn: orderColumn,
+      OrderDir: orderDir,
+      Search: (query.search && query.search.value) || null,
+      Filters: Object.keys(filters).length > 0 ? JSON.stringify(filters) : null
+    }
+  };
+};
+
+/**
+ * Build a DataTables response from a paged procedure result
+ * @param {number} draw - Draw counter echoed back to DataTables
+ * @param {Object} result - Provider result with recordsets
+ * @returns {Object} { draw, recordsTotal, recordsFiltered, data, aggregates }
+ */
+const buildDataTablesResponse = (draw, result) => {
+  const recordsets = result.recordsets || [result.data || []];
+  const rows = recordsets[0] || [];
+  const { recordsTotal = rows.length, recordsFiltered = rows.length, ...aggregates } =
+    (recordsets[1] && recordsets[1][0]) || {};
+
+  return {
+    draw,
+    recordsTotal,
+    recordsFiltered,
+    data: rows,
+    aggregates
+  };
+};
+
+module.exports = {
+  MAX_PAGE_LENGTH,
+  parseDataTablesRequest,
+  buildDataTablesResponse
+};
@@ -0,0 +1,90 @@
+/**
+ * File: userService.js
+ * Created: 2026-10-18
+ *
+ * User Service
+ *
+ * Works out who is making a request. The dashboard sits behind the corporate
+ * reverse proxy / SSO gateway, which authenticates users and forwards the
+ * account name in a trusted header; the app does not handle logins itself.
+ *
+ * The gateway also forwards the user's roles (directory groups mapped to dashboard
+ * roles, e.g. queue-operator), which gate operational actions such as queue control.
+ *
+ * CONFIGURATION:
+ * AUTH_USER_HEADER  - Request header carrying the user name (default x-remote-user)
+ * DEFAULT_USER      - User name when the header is missing, e.g. local development (default anonymous)
+ * AUTH_ROLES_HEADER - Request header carrying the user's roles, comma-separated (default x-remote-roles)
+ * DEFAULT_ROLES     - Roles when the header is missing, comma-separated (default none)
+ */
+
+const DEFAULT_USER_HEADER = 'x-remote-user';
+const DEFAULT_ROLES_HEADER = 'x-remote-roles';
+const ANONYMOUS_USER = 'anonymous';
+
+/**
+ * Get the user name of a request
+ * Strips a Windows domain prefix (DOMAIN\user) so names match across proxies.
+ * @param {Object} req - Express request object
+ * @returns {string} User name
+ */
+const getCurrentUser = (req) => {
+  const headerName = (process.env.AUTH_USER_HEADER || DEFAULT_USER_HEADER).toLowerCase();
+  const headerValue = (req.get(headerName) || '').trim();
+  const userName = headerValue.split('\\').pop();
+
+  return userName || process.env.DEFAULT_USER || ANONYMOUS_USER;
+};
+
+/**
+ * Split a comma-separated role list
+ * @param {string} value - Roles, e.g. 'queue-operator, queue-admin'
+ * @returns {Array<string>} Lowercased role names without duplicates
+ */
+const parseRoles = (value) => {
+  const roles = String(value || '').split(',').map(role => role.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(roles)];
+};
+
+/**
+ * Get the roles of a request
+ * @param {Object} req - Express request object
+ * @returns {Array<string>} Role names (empty when the user has none)
+ */
+const getCurrentRoles = (req) => {
+  const headerName = (process.env.AUTH_ROLES_HEADER || DEFAULT_ROLES_HEADER).toLowerCase();
+  const headerValue = req.get(headerName);
+
+  return parseRoles(headerValue !== undefined ? headerValue : process.env.DEFAULT_ROLES);
+};
+
+/**
+ * Check whether a user holds one of the roles allowed to do something
+ * @param {Array<string>} roles - User's roles
+ * @param {Array<string>} allowedRoles - Roles allowed (empty allows everyone)
+ * @returns {boolean} True when allowed
+ */
+const hasAnyRole = (roles, allowedRoles = []) => {
+  if (!allowedRoles.length) return true;
+  return allowedRoles.some(role => roles.includes(String(role).toLowerCase()));
+};
+
+/**
+ * Express middleware: sets req.user, req.roles and res.locals.currentUser (for views)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const identifyUser = (req, res, next) => {
+  req.user = getCurrentUser(req);
+  req.roles = getCurrentRoles(req);
+  res.locals.currentUser = req.user;
+  next();
+};
+
+module.exports = {
+  getCurrentUser,
+  getCurrentRoles,
+  hasAnyRole,
+  identifyUser
+};